@@ -1,8 +1,51 @@
+const { calculateTradeValues, roundMoney } = require('../lib/pricing-rules');
+const { normalizeCondition, detectConditionFromTitle, findConditionVariant } = require('../lib/conditions');
+const { getActivePricing } = require('../lib/pricing-profiles');
+const {
+  parseCardGrading,
+  gradeLabel,
+  certKey,
+  loadGradedCerts,
+  findDuplicateCerts,
+  recordGradedCerts
+} = require('../lib/grading');
+const {
+  getIdempotencyKey,
+  hashRequestBody,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} = require('../lib/idempotency');
+const { createTradeSaga } = require('../lib/trade-saga');
+const { generateTradeId, recordTrade } = require('../lib/trade-ledger');
+const {
+  adjustInventoryLevel,
+  removeProductTag,
+  disableGiftCard,
+  debitStoreCredit
+} = require('../lib/trade-reversal');
+const {
+  loadLocations,
+  loadLocationRouting,
+  resolveTradeLocation,
+  getStockedInventoryItems
+} = require('../lib/locations');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { makeShopifyRequest, shopifyErrorResponse } = require('../lib/shopify-client');
+const { createCardSearch } = require('../lib/card-search');
+const { loadCatalogIndex } = require('../lib/catalog-index');
+const { loadSearchAliases } = require('../lib/learned-aliases');
+const { gameForCard } = require('../lib/games');
+
+// Cards looked up in parallel; the Shopify client keeps them inside GraphQL cost limits
+const CARD_LOOKUP_CONCURRENCY = 4;
+
 module.exports = async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'Idempotent-Replayed');
   
   if (req.method === 'OPTIONS') {
     console.log('OPTIONS request received - sending CORS headers');
@@ -14,6 +57,13 @@ module.exports = async function handler(req, res) {
   console.log('URL:', req.url);
   console.log('Body:', req.body);
 
+  // Set once an idempotency key is claimed: store the response sent for that key, or give
+  // the key up
+  let completeIdempotency = null;
+  let releaseIdempotency = null;
+  // Side effects of this commit, so a failure can roll them back
+  let tradeSaga = null;
+
   try {
     if (req.method !== 'POST') {
       console.log('❌ Method not allowed:', req.method);
@@ -22,6 +72,7 @@ module.exports = async function handler(req, res) {
 
     const estimateMode = req.query?.estimate === 'true';
     const { cards, employeeName, payoutMethod, overrideTotal, customerEmail } = req.body;
+    const { key: idempotencyKey, error: idempotencyError } = getIdempotencyKey(req);
     
     console.log('📋 Request data:', {
       cardsCount: cards?.length,
@@ -29,7 +80,8 @@ module.exports = async function handler(req, res) {
       payoutMethod,
       overrideTotal,
       customerEmail,
-      estimateMode
+      estimateMode,
+      idempotencyKey
     });
 
     // Log card details for debugging SKU matching
@@ -40,6 +92,10 @@ module.exports = async function handler(req, res) {
     })));
 
     // Validation
+    if (idempotencyError) {
+      return res.status(400).json({ error: idempotencyError });
+    }
+
     if (payoutMethod === "store-credit" && !customerEmail && !estimateMode) {
       return res.status(400).json({ error: 'Customer email is required for store credit payouts' });
     }
@@ -61,6 +117,16 @@ module.exports = async function handler(req, res) {
       return res.status(400).json({ error: 'Invalid or missing cards array' });
     }
 
+    // Graded slabs carry gradingCompany / grade / certNumber
+    const cardGradings = [];
+    for (const card of cards) {
+      const { grading, error } = parseCardGrading(card);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid grading details', details: `${card.cardName}: ${error}` });
+      }
+      cardGradings.push(grading);
+    }
+
     // Complete Shopify configuration from Vercel environment variables
     const SHOPIFY_DOMAIN = process.env.SHOPIFY_DOMAIN;
     const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY;
@@ -89,26 +155,9 @@ module.exports = async function handler(req, res) {
       hasAccessToken: !!SHOPIFY_ACCESS_TOKEN
     });
 
-    // Helper function for authenticated Shopify API requests
-    const makeShopifyRequest = async (endpoint, options = {}) => {
-      const defaultHeaders = {
-        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-        'Content-Type': 'application/json',
-        'User-Agent': `Trade-in-System/1.0 (API Key: ${SHOPIFY_API_KEY.substring(0, 8)}...)`
-      };
-
-      return fetch(`https://${SHOPIFY_DOMAIN}${endpoint}`, {
-        ...options,
-        headers: {
-          ...defaultHeaders,
-          ...options.headers
-        }
-      });
-    };
-
-    // Helper function for GraphQL requests
+    // Helper function for GraphQL requests (the shared client paces these by query cost)
     const makeShopifyGraphQLRequest = async (query, variables = {}) => {
-      return makeShopifyRequest('/admin/api/2023-10/graphql.json', {
+      return makeShopifyRequest('/graphql.json', {
         method: 'POST',
         body: JSON.stringify({ 
           query,
@@ -117,787 +166,60 @@ module.exports = async function handler(req, res) {
       });
     };
 
-    // Trade rate calculation functions
-    function calculateMaximumTradeValue(marketValue) {
-      const price = parseFloat(marketValue);
-      
-      if (price >= 50.00) return parseFloat((price * 0.75).toFixed(2));
-      if (price >= 25.00) return parseFloat((price * 0.70).toFixed(2));
-      if (price >= 15.01) return parseFloat((price * 0.65).toFixed(2));
-      if (price >= 8.00) return parseFloat((price * 0.50).toFixed(2));
-      if (price >= 5.00) return parseFloat((price * 0.35).toFixed(2));
-      if (price >= 3.01) return parseFloat((price * 0.25).toFixed(2));
-      if (price >= 2.00) return 0.50;
-      if (price >= 0.01) return 0.01;
-      return 0;
-    }
-
-    function calculateSuggestedTradeValue(marketValue) {
-      const price = parseFloat(marketValue);
-      
-      if (price >= 50.00) return parseFloat((price * 0.75).toFixed(2));
-      if (price >= 25.00) return parseFloat((price * 0.50).toFixed(2));
-      if (price >= 15.01) return parseFloat((price * 0.35).toFixed(2));
-      if (price >= 8.00) return parseFloat((price * 0.40).toFixed(2));
-      if (price >= 5.00) return parseFloat((price * 0.35).toFixed(2));
-      if (price >= 3.01) return parseFloat((price * 0.25).toFixed(2));
-      if (price >= 2.00) return 0.10;
-      if (price >= 0.01) return 0.01;
-      return 0;
-    }
-
-    // Helper function to normalize card names/tags for search
-    function normalizeSearchTerm(term) {
-      if (!term) return '';
-      
-      // Convert "138/131" format to "138131" for tag searches
-      const normalized = term.replace(/[\/\-\s]/g, '');
-      console.log(`🔄 Normalized "${term}" to "${normalized}"`);
-      return normalized;
-    }
+    // A retried commit replays the first response instead of touching Shopify again
+    if (!estimateMode && idempotencyKey) {
+      const requestHash = hashRequestBody(req.body);
+      const claim = await claimIdempotencyKey(makeShopifyRequest, idempotencyKey, requestHash);
 
-    // ========== ENHANCED ONE PIECE / POKEMON CARD NUMBER HANDLING ==========
-    // Normalize One Piece / Pokemon set+number patterns
-    // "EB03-026" -> "EB03026", "OP09 001" -> "OP09001"
-    function normalizeCardNumber(cardName) {
-      if (!cardName) return cardName;
-      
-      // One Piece patterns: OP09-001, EB03-026, ST01-001, PRB-001
-      const onePiecePattern = /^(OP|EB|ST|PRB)\s*(\d{1,2})[\s\-]*(\d{1,3})$/i;
-      const match = cardName.match(onePiecePattern);
-      
-      if (match) {
-        const prefix = match[1].toUpperCase();
-        const setNum = match[2].padStart(2, '0');
-        const cardNum = match[3].padStart(3, '0');
-        const normalized = `${prefix}${setNum}${cardNum}`;
-        console.log(`🎴 Normalized One Piece "${cardName}" to "${normalized}"`);
-        return normalized;
+      if (claim.action === 'replay') {
+        console.log('🔁 Replaying stored response for Idempotency-Key:', idempotencyKey);
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(claim.statusCode).json(claim.response);
       }
-      
-      // Pokemon patterns: SV07-025, SV07 025, SV7-25
-      const pokemonPattern = /^(SV|SM|XY|BW|SWSH)\s*(\d{1,2})[\s\-]*(\d{1,3})$/i;
-      const pkMatch = cardName.match(pokemonPattern);
-      
-      if (pkMatch) {
-        const prefix = pkMatch[1].toUpperCase();
-        const setNum = pkMatch[2].padStart(2, '0');
-        const cardNum = pkMatch[3].padStart(3, '0');
-        const normalized = `${prefix}${setNum}${cardNum}`;
-        console.log(`⚡ Normalized Pokemon "${cardName}" to "${normalized}"`);
-        return normalized;
-      }
-      
-      return cardName;
-    }
 
-    // Helper function to extract potential tags from card names
-    function extractPotentialTags(cardName) {
-      if (!cardName) return [];
-      
-      const tags = [];
-      
-      // ========== ONE PIECE / POKEMON SET PATTERNS ==========
-      // First, check if it's a One Piece or Pokemon set pattern and normalize it
-      const normalizedCardNum = normalizeCardNumber(cardName);
-      if (normalizedCardNum !== cardName) {
-        tags.push(normalizedCardNum);
-        console.log(`🏷️ Added normalized card number: ${normalizedCardNum}`);
-      }
-      
-      // One Piece patterns in longer strings: "Luffy OP09-001" or "EB03-026 Super Rare"
-      const onePieceInString = cardName.match(/(OP|EB|ST|PRB)\s*(\d{1,2})[\s\-]*(\d{1,3})/gi);
-      if (onePieceInString) {
-        onePieceInString.forEach(match => {
-          const normalized = normalizeCardNumber(match.trim());
-          if (normalized && !tags.includes(normalized)) {
-            tags.push(normalized);
-            console.log(`🏷️ Extracted One Piece tag from string: ${normalized}`);
-          }
-        });
-      }
-      
-      // Pokemon patterns in longer strings: "Charizard SV07-025"
-      const pokemonInString = cardName.match(/(SV|SM|XY|BW|SWSH)\s*(\d{1,2})[\s\-]*(\d{1,3})/gi);
-      if (pokemonInString) {
-        pokemonInString.forEach(match => {
-          const normalized = normalizeCardNumber(match.trim());
-          if (normalized && !tags.includes(normalized)) {
-            tags.push(normalized);
-            console.log(`🏷️ Extracted Pokemon tag from string: ${normalized}`);
-          }
-        });
-      }
-      
-      // ========== ORIGINAL NUMBER PATTERNS ==========
-      // Look for number/number patterns (like 138/131)
-      const numberPattern = /(\d+)[\/\-](\d+)/g;
-      let match;
-      while ((match = numberPattern.exec(cardName)) !== null) {
-        // Add both original and normalized versions
-        tags.push(match[0]); // Original: "138/131"
-        tags.push(match[1] + match[2]); // Normalized: "138131"
-      }
-      
-      // Look for standalone numbers that might be set numbers
-      const standaloneNumbers = cardName.match(/\b\d{3,6}\b/g);
-      if (standaloneNumbers) {
-        tags.push(...standaloneNumbers);
+      if (claim.action === 'conflict') {
+        console.log('❌ Idempotency conflict:', claim.error);
+        return res.status(claim.status).json({ error: claim.error, code: claim.code });
       }
-      
-      // Also try the full card name as a tag (normalized)
-      tags.push(normalizeSearchTerm(cardName));
-      
-      const uniqueTags = [...new Set(tags)];
-      console.log(`🏷️ Extracted ${uniqueTags.length} potential tags from "${cardName}":`, uniqueTags);
-      return uniqueTags;
-    }
-
-    // Normalize text for comparison
-    function normalizeForComparison(text) {
-      if (!text) return '';
-      
-      return text
-        .toLowerCase()
-        .replace(/[^\w\s]/g, ' ')  // Replace punctuation with spaces
-        .replace(/\s+/g, ' ')      // Collapse multiple spaces
-        .trim();
-    }
-
-    // Simple similarity calculation (Jaccard similarity on word sets)
-    function calculateSimilarity(str1, str2) {
-      const words1 = new Set(str1.split(' ').filter(w => w.length > 1));
-      const words2 = new Set(str2.split(' ').filter(w => w.length > 1));
-      
-      const intersection = new Set([...words1].filter(x => words2.has(x)));
-      const union = new Set([...words1, ...words2]);
-      
-      if (union.size === 0) return 0;
-      
-      return intersection.size / union.size;
-    }
-
-    // Enhanced variant matching that considers both product and variant titles
-    function findBestVariantMatch(searchName, options) {
-      let bestScore = 0;
-      let bestOption = options[0]; // Default to first option
-
-      const normalizedSearch = normalizeForComparison(searchName);
-
-      options.forEach(option => {
-        // Compare against full title (product + variant)
-        const normalizedFull = normalizeForComparison(option.fullTitle);
-        const fullScore = calculateSimilarity(normalizedSearch, normalizedFull);
-        
-        // Also compare against just product title
-        const normalizedProduct = normalizeForComparison(option.productTitle);
-        const productScore = calculateSimilarity(normalizedSearch, normalizedProduct);
-        
-        // Use the better score
-        const score = Math.max(fullScore, productScore * 0.9); // Slight preference for full title matches
-        
-        console.log(`🔍 Scoring "${option.fullTitle}": ${score.toFixed(3)} (full: ${fullScore.toFixed(3)}, product: ${productScore.toFixed(3)})`);
-        
-        if (score > bestScore) {
-          bestScore = score;
-          bestOption = option;
-        }
-      });
-
-      return { option: bestOption, score: bestScore };
-    }
 
-    // Get location ID for inventory updates
-    let locationId = null;
-    if (!estimateMode) {
-      try {
-        const locationRes = await makeShopifyRequest('/admin/api/2023-10/locations.json');
-        const locations = await locationRes.json();
-        locationId = locations.locations?.[0]?.id;
-        console.log('📍 Location ID:', locationId);
-      } catch (err) {
-        console.error('❌ Failed to get location ID:', err);
-      }
+      completeIdempotency = (statusCode, body) =>
+        completeIdempotencyKey(makeShopifyRequest, idempotencyKey, claim, requestHash, statusCode, body);
+      releaseIdempotency = () => releaseIdempotencyKey(makeShopifyRequest, idempotencyKey, claim);
     }
 
-    // Get variant by exact SKU - for frontend confirmed searches
-    const getVariantBySku = async (sku) => {
-      console.log('🎯 Getting exact variant by SKU:', sku);
-      
-      const query = `{
-        productVariants(first: 1, query: "sku:${sku}") {
-          edges {
-            node {
-              id
-              title
-              sku
-              price
-              inventoryQuantity
-              image {
-                url
-              }
-              inventoryItem {
-                id
-              }
-              product {
-                id
-                title
-                tags
-                featuredImage {
-                  url
-                }
-              }
-            }
-          }
-        }
-      }`;
-
-      const graphqlRes = await makeShopifyGraphQLRequest(query);
-      const json = await graphqlRes.json();
-      console.log('🎯 Exact SKU GraphQL response:', JSON.stringify(json, null, 2));
-      
-      const variantEdge = json?.data?.productVariants?.edges?.[0];
-      
-      if (variantEdge?.node) {
-        const variant = variantEdge.node;
-        const inventoryItemId = variant.inventoryItem?.id;
-        
-        // Extract numeric ID from GraphQL ID
-        const numericInventoryItemId = inventoryItemId ? inventoryItemId.replace('gid://shopify/InventoryItem/', '') : null;
-        
-        console.log('🎯 Found exact variant:', {
-          sku: variant.sku,
-          price: variant.price,
-          inventoryItemId: inventoryItemId,
-          numericInventoryItemId: numericInventoryItemId
-        });
-        
-        // Extract product ID from GraphQL ID
-        const productId = variant.product.id;
-        
-        return {
-          found: true,
-          product: { title: variant.product.title, id: productId },
-          variant: {
-            sku: variant.sku,
-            price: variant.price,
-            inventory_item_id: numericInventoryItemId,
-            product_id: productId
-          },
-          searchMethod: 'exact_sku',
-          image: variant.image?.url || variant.product.featuredImage?.url || null,
-          tags: Array.isArray(variant.product.tags) ? variant.product.tags : []
-        };
-      }
-      
-      console.log('🎯 Exact SKU not found');
-      return { found: false };
-    };
-
-    // Search by title with better normalization (REST - exact match)
-    const searchByTitle = async (query) => {
-      console.log('🔍 Searching by title (REST exact):', query);
-      
-      const productRes = await makeShopifyRequest(
-        `/admin/api/2023-10/products.json?title=${encodeURIComponent(query)}`
-      );
-
-      const productData = await productRes.json();
-      console.log('🔍 Title search response:', JSON.stringify(productData, null, 2));
-      
-      if (productData?.products?.length > 0) {
-        const product = productData.products[0];
-        const variant = product.variants[0];
-        
-        console.log('🔍 Title search found variant:', {
-          sku: variant.sku,
-          price: variant.price,
-          inventory_item_id: variant.inventory_item_id
-        });
-        
-        return {
-          found: true,
-          product: product,
-          variant: {
-            sku: variant.sku,
-            price: variant.price,
-            inventory_item_id: variant.inventory_item_id,
-            product_id: product.id
-          },
-          searchMethod: 'title',
-          image: product.image?.src || product.images?.[0]?.src || null
-        };
-      }
-      
-      return { found: false };
-    };
-
-    // NEW: GraphQL fulltext search - finds products by partial name match
-    // This is the key fix for searches like "Rayquaza", "Pikachu", etc.
-    const searchByTitleFulltext = async (query, originalCardName) => {
-      console.log('🔍 Searching by title (GraphQL fulltext):', query);
-      
-      // Escape quotes in the query for GraphQL
-      const escapedQuery = query.replace(/"/g, '\\"');
-      
-      // Strategy 1: General search (searches across title, tags, body, vendor, etc.)
-      // This is Shopify's most flexible search - just pass the term without a field prefix
-      const graphqlQuery = `{
-        products(first: 20, query: "${escapedQuery}") {
-          edges {
-            node {
-              id
-              title
-              tags
-              featuredImage {
-                url
-              }
-              variants(first: 5) {
-                edges {
-                  node {
-                    id
-                    title
-                    sku
-                    price
-                    inventoryQuantity
-                    inventoryItem {
-                      id
-                    }
-                    product {
-                      id
-                      title
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }`;
-
-      const graphqlRes = await makeShopifyGraphQLRequest(graphqlQuery);
-      const json = await graphqlRes.json();
-      const products = json?.data?.products?.edges || [];
-      console.log(`🔍 Fulltext search for "${query}" found ${products.length} products`);
-      
-      if (products.length === 0) {
-        // Strategy 2: Try with title: prefix (more targeted but still partial match in Shopify)
-        console.log('🔍 Trying title-prefixed search...');
-        const titleQuery = `{
-          products(first: 20, query: "title:${escapedQuery}") {
-            edges {
-              node {
-                id
-                title
-                tags
-                featuredImage {
-                  url
-                }
-                variants(first: 5) {
-                  edges {
-                    node {
-                      id
-                      title
-                      sku
-                      price
-                      inventoryQuantity
-                      inventoryItem {
-                        id
-                      }
-                      product {
-                        id
-                        title
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }`;
-
-        const titleRes = await makeShopifyGraphQLRequest(titleQuery);
-        const titleJson = await titleRes.json();
-        const titleProducts = titleJson?.data?.products?.edges || [];
-        console.log(`🔍 Title-prefixed search for "${query}" found ${titleProducts.length} products`);
-        
-        if (titleProducts.length === 0) {
-          return { found: false };
+    // Send a commit-path response, storing it first when an idempotency key was claimed
+    const sendCommitResponse = async (statusCode, body) => {
+      if (completeIdempotency) {
+        try {
+          await completeIdempotency(statusCode, body);
+        } catch (err) {
+          console.error('❌ Failed to store idempotent response:', err);
         }
-        
-        return buildFulltextResult(titleProducts, originalCardName || query);
       }
-      
-      return buildFulltextResult(products, originalCardName || query);
+      return res.status(statusCode).json(body);
     };
 
-    // Helper to build result from fulltext search products
-    function buildFulltextResult(products, originalCardName) {
-      const allOptions = [];
-      products.forEach(productEdge => {
-        const product = productEdge.node;
-        product.variants.edges.forEach(variantEdge => {
-          const variant = variantEdge.node;
-          allOptions.push({
-            productTitle: product.title,
-            variantTitle: variant.title,
-            sku: variant.sku,
-            price: parseFloat(variant.price || 0),
-            inventory: variant.inventoryQuantity,
-            inventoryItemId: variant.inventoryItem?.id?.replace('gid://shopify/InventoryItem/', ''),
-            fullTitle: variant.title !== 'Default Title' ? `${product.title} - ${variant.title}` : product.title,
-            productId: product.id,
-            variantId: variant.id,
-            image: product.featuredImage?.url || null,
-            tags: Array.isArray(product.tags) ? product.tags : []
-          });
-        });
-      });
-
-      console.log(`🔍 Fulltext search found ${allOptions.length} total variants across ${products.length} products`);
-
-      if (allOptions.length === 0) {
-        return { found: false };
-      }
-
-      if (allOptions.length === 1) {
-        const option = allOptions[0];
-        return {
-          found: true,
-          product: { title: option.productTitle, id: option.productId },
-          variant: {
-            sku: option.sku,
-            price: option.price,
-            inventory_item_id: option.inventoryItemId,
-            product_id: option.productId
-          },
-          searchMethod: 'fulltext_single',
-          confidence: 'high',
-          image: option.image || null
-        };
-      }
-
-      // Multiple options - find best match or return all for user selection
-      const bestMatch = findBestVariantMatch(originalCardName, allOptions);
-      
-      if (bestMatch.score > 0.8) {
-        console.log(`🎯 Fulltext high confidence match: "${bestMatch.option.fullTitle}" (score: ${bestMatch.score.toFixed(2)})`);
-        return {
-          found: true,
-          product: { title: bestMatch.option.productTitle, id: bestMatch.option.productId },
-          variant: {
-            sku: bestMatch.option.sku,
-            price: bestMatch.option.price,
-            inventory_item_id: bestMatch.option.inventoryItemId,
-            product_id: bestMatch.option.productId
-          },
-          searchMethod: 'fulltext_confident',
-          confidence: 'high',
-          alternativeCount: allOptions.length - 1,
-          allOptions: allOptions,
-          image: bestMatch.option.image || null
-        };
-      }
-
-      // Return all options for user to pick
-      console.log(`⚠️ Fulltext multiple options, best guess: "${bestMatch.option.fullTitle}" (score: ${bestMatch.score.toFixed(2)})`);
-      return {
-        found: true,
-        product: { title: bestMatch.option.productTitle, id: bestMatch.option.productId },
-        variant: {
-          sku: bestMatch.option.sku,
-          price: bestMatch.option.price,
-          inventory_item_id: bestMatch.option.inventoryItemId,
-          product_id: bestMatch.option.productId
-        },
-        searchMethod: 'fulltext_uncertain',
-        confidence: bestMatch.score > 0.5 ? 'medium' : 'low',
-        alternativeCount: allOptions.length - 1,
-        allOptions: allOptions,
-        needsConfirmation: true,
-        image: bestMatch.option.image || null
-      };
+    tradeSaga = createTradeSaga();
+    const tradeId = estimateMode ? null : generateTradeId();
+
+    // Location the trade-in stock goes to: explicit locationId / locationName, else the
+    // kiosk or employee default, else the configured default, else the first location
+    const locations = await loadLocations(makeShopifyRequest);
+    const { routing: locationRouting } = await loadLocationRouting(makeShopifyRequest);
+    const { location: tradeLocation, source: locationSource, error: locationError } = resolveTradeLocation(locations, {
+      locationId: req.body.locationId,
+      locationName: req.body.locationName,
+      kioskId: req.body.kioskId,
+      employeeName
+    }, locationRouting);
+
+    if (locationError) {
+      console.log('❌ Location error:', locationError);
+      return sendCommitResponse(400, { error: 'Invalid location', details: locationError });
     }
 
-    const searchBySKU = async (sku) => {
-      console.log('🔍 Searching by SKU (fallback):', sku);
-      
-      const query = `{
-        productVariants(first: 1, query: "sku:${sku}") {
-          edges {
-            node {
-              id
-              title
-              sku
-              price
-              inventoryQuantity
-              image {
-                url
-              }
-              inventoryItem {
-                id
-              }
-              product {
-                id
-                title
-                tags
-                featuredImage {
-                  url
-                }
-              }
-            }
-          }
-        }
-      }`;
-
-      const graphqlRes = await makeShopifyGraphQLRequest(query);
-      const json = await graphqlRes.json();
-      console.log('🔍 SKU GraphQL response:', JSON.stringify(json, null, 2));
-      
-      const variantEdge = json?.data?.productVariants?.edges?.[0];
-      
-      if (variantEdge?.node) {
-        const variant = variantEdge.node;
-        const inventoryItemId = variant.inventoryItem?.id;
-        
-        // Extract numeric ID from GraphQL ID
-        const numericInventoryItemId = inventoryItemId ? inventoryItemId.replace('gid://shopify/InventoryItem/', '') : null;
-        
-        console.log('🔍 SKU search found variant:', {
-          sku: variant.sku,
-          price: variant.price,
-          inventoryItemId: inventoryItemId,
-          numericInventoryItemId: numericInventoryItemId
-        });
-        
-        // Get product ID from variant's product
-        const productId = variant.product.id;
-        
-        return {
-          found: true,
-          product: { title: variant.product.title, id: productId },
-          variant: {
-            sku: variant.sku,
-            price: variant.price,
-            inventory_item_id: numericInventoryItemId,
-            product_id: productId
-          },
-          searchMethod: 'sku',
-          image: variant.image?.url || variant.product.featuredImage?.url || null,
-          tags: Array.isArray(variant.product.tags) ? variant.product.tags : []
-        };
-      }
-      
-      return { found: false };
-    };
-
-    // FIXED: Enhanced tag search that returns ALL matches, not just the first one
-    const searchByTagWithAllOptions = async (tag, originalCardName) => {
-      console.log('🏷️ Searching by tag for ALL options:', tag, 'for card:', originalCardName);
-      
-      const normalizedTag = normalizeSearchTerm(tag);
-      
-      const query = `{
-        products(first: 20, query: "tag:${normalizedTag}") {
-          edges {
-            node {
-              id
-              title
-              tags
-              featuredImage {
-                url
-              }
-              variants(first: 5) {
-                edges {
-                  node {
-                    id
-                    title
-                    sku
-                    price
-                    inventoryQuantity
-                    inventoryItem {
-                      id
-                    }
-                    product {
-                      id
-                      title
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }`;
-
-      const graphqlRes = await makeShopifyGraphQLRequest(query);
-      const json = await graphqlRes.json();
-      console.log(`🏷️ Tag search for "${normalizedTag}" found ${json?.data?.products?.edges?.length || 0} products`);
-      
-      const products = json?.data?.products?.edges || [];
-      
-      if (products.length === 0) {
-        return { found: false };
-      }
-
-      // Flatten all variants from all products
-      const allOptions = [];
-      products.forEach(productEdge => {
-        const product = productEdge.node;
-        product.variants.edges.forEach(variantEdge => {
-          const variant = variantEdge.node;
-          allOptions.push({
-            productTitle: product.title,
-            variantTitle: variant.title,
-            sku: variant.sku,
-            price: parseFloat(variant.price || 0),
-            inventory: variant.inventoryQuantity,
-            inventoryItemId: variant.inventoryItem?.id?.replace('gid://shopify/InventoryItem/', ''),
-            fullTitle: variant.title !== 'Default Title' ? `${product.title} - ${variant.title}` : product.title,
-            productId: product.id,
-            variantId: variant.id,
-            image: product.featuredImage?.url || null,
-            tags: Array.isArray(product.tags) ? product.tags : []
-          });
-        });
-      });
-
-      console.log(`🔍 Found ${allOptions.length} total variants across ${products.length} products`);
-
-      if (allOptions.length === 1) {
-        // Only one option, return it directly
-        const option = allOptions[0];
-        return {
-          found: true,
-          product: { title: option.productTitle, id: option.productId },
-          variant: {
-            sku: option.sku,
-            price: option.price,
-            inventory_item_id: option.inventoryItemId,
-            product_id: option.productId
-          },
-          searchMethod: 'tag_single',
-          confidence: 'high',
-          image: option.image || null
-        };
-      }
-
-      // Multiple options - find best match or return for user selection
-      const bestMatch = findBestVariantMatch(originalCardName, allOptions);
-      
-      if (bestMatch.score > 0.8) {
-        // High confidence match
-        console.log(`🎯 High confidence match: "${bestMatch.option.fullTitle}" (score: ${bestMatch.score.toFixed(2)})`);
-        
-        return {
-          found: true,
-          product: { title: bestMatch.option.productTitle, id: bestMatch.option.productId },
-          variant: {
-            sku: bestMatch.option.sku,
-            price: bestMatch.option.price,
-            inventory_item_id: bestMatch.option.inventoryItemId,
-            product_id: bestMatch.option.productId
-          },
-          searchMethod: 'tag_confident',
-          confidence: 'high',
-          alternativeCount: allOptions.length - 1,
-          allOptions: allOptions, // Include all options for frontend
-          image: bestMatch.option.image || null
-        };
-      }
-
-      // Medium/low confidence - return best guess but flag for user confirmation
-      console.log(`⚠️ Multiple options found, best guess: "${bestMatch.option.fullTitle}" (score: ${bestMatch.score.toFixed(2)})`);
-      
-      return {
-        found: true,
-        product: { title: bestMatch.option.productTitle, id: bestMatch.option.productId },
-        variant: {
-          sku: bestMatch.option.sku,
-          price: bestMatch.option.price,
-          inventory_item_id: bestMatch.option.inventoryItemId,
-          product_id: bestMatch.option.productId
-        },
-        searchMethod: 'tag_uncertain',
-        confidence: bestMatch.score > 0.5 ? 'medium' : 'low',
-        alternativeCount: allOptions.length - 1,
-        allOptions: allOptions, // Include all options for frontend selection
-        needsConfirmation: true,
-        image: bestMatch.option.image || null
-      };
-    };
-
-    // FIXED: Updated main search function with enhanced tag search + fulltext name search
-    const searchCard = async (card) => {
-      const { cardName, sku, searchMethod } = card;
-      
-      console.log(`🔍 Processing card: ${cardName}`);
-      console.log(`  - SKU provided: ${sku}`);
-      console.log(`  - Search method: ${searchMethod}`);
-      
-      // PRIORITY 1: If frontend confirmed exact SKU, use it
-      if (sku && searchMethod === 'exact_sku') {
-        console.log('🎯 Using exact SKU from frontend confirmation');
-        const exactResult = await getVariantBySku(sku);
-        if (exactResult.found) {
-          console.log('✅ Exact SKU match found');
-          return exactResult;
-        } else {
-          console.warn('⚠️ Exact SKU not found, falling back to other methods');
-        }
-      }
-      
-      // PRIORITY 2: Try enhanced tag search with multiple options
-      const potentialTags = extractPotentialTags(cardName);
-      
-      for (const tag of potentialTags) {
-        if (!tag || tag.length < 2) continue;
-        
-        try {
-          const result = await searchByTagWithAllOptions(tag, cardName);
-          if (result.found) {
-            console.log(`✅ Found via tag "${tag}": ${result.product.title}`);
-            return result;
-          }
-        } catch (error) {
-          console.log(`❌ Tag search failed for "${tag}":`, error.message);
-          continue;
-        }
-      }
-      
-      // PRIORITY 3: GraphQL fulltext title search (handles partial names like "Rayquaza", "Pikachu")
-      try {
-        const fulltextResult = await searchByTitleFulltext(cardName, cardName);
-        if (fulltextResult.found) {
-          console.log(`✅ Found via fulltext search: ${fulltextResult.product.title}`);
-          return fulltextResult;
-        }
-      } catch (error) {
-        console.log(`❌ Fulltext search failed for "${cardName}":`, error.message);
-      }
-      
-      // FALLBACK: REST exact title search and SKU search
-      const searchMethods = [
-        { query: cardName, method: searchByTitle, name: 'title' },
-        { query: sku || cardName, method: searchBySKU, name: 'sku' }
-      ].filter(s => s.query); // Remove null/empty queries
-
-      for (const { query, method, name } of searchMethods) {
-        try {
-          const result = await method(query);
-          if (result.found) {
-            console.log(`✅ Found via ${name}: ${result.product.title}`);
-            return result;
-          }
-        } catch (error) {
-          console.log(`❌ ${name} search failed for ${query}:`, error.message);
-          continue;
-        }
-      }
-      
-      console.log(`❌ No matches found for: ${cardName}`);
-      return { found: false };
-    };
+    const locationId = tradeLocation.id;
+    console.log('📍 Location:', { id: locationId, name: tradeLocation.name, source: locationSource });
 
     // FIXED: Enhanced inventory update function that uses exact inventory_item_id
     async function updateInventoryForVariant(variant, quantity, cardName, locationId) {
@@ -919,7 +241,7 @@ module.exports = async function handler(req, res) {
         console.log(`  - Inventory Item ID: ${variant.inventory_item_id}`);
         console.log(`  - Quantity adjustment: +${quantity}`);
         
-        const adjustRes = await makeShopifyRequest('/admin/api/2023-10/inventory_levels/adjust.json', {
+        const adjustRes = await makeShopifyRequest('/inventory_levels/adjust.json', {
           method: 'POST',
           body: JSON.stringify({
             location_id: parseInt(locationId),
@@ -951,11 +273,12 @@ module.exports = async function handler(req, res) {
       }
     }
 
-    // Add "justtraded" tag to a product
+    // Add "justtraded" tag to a product. `added` is false when the tag was already there,
+    // so a rollback only removes tags this trade put on.
     async function addJustTradedTag(productId, cardName) {
       if (!productId) {
         console.error(`❌ No product_id for ${cardName}, cannot add tag`);
-        return false;
+        return { tagged: false, added: false };
       }
 
       try {
@@ -967,11 +290,11 @@ module.exports = async function handler(req, res) {
         console.log(`🏷️ Adding 'justtraded' tag to ${cardName} (Product ID: ${numericProductId})`);
 
         // First get current tags
-        const getRes = await makeShopifyRequest(`/admin/api/2023-10/products/${numericProductId}.json`);
+        const getRes = await makeShopifyRequest(`/products/${numericProductId}.json`);
         
         if (!getRes.ok) {
           console.error(`❌ Failed to get product for tagging:`, await getRes.text());
-          return false;
+          return { tagged: false, added: false };
         }
 
         const productData = await getRes.json();
@@ -981,7 +304,7 @@ module.exports = async function handler(req, res) {
         const tagArray = currentTags.split(',').map(t => t.trim()).filter(t => t);
         if (tagArray.includes('justtraded')) {
           console.log(`🏷️ Product already has 'justtraded' tag`);
-          return true;
+          return { tagged: true, added: false };
         }
 
         // Add the new tag
@@ -989,7 +312,7 @@ module.exports = async function handler(req, res) {
         const newTags = tagArray.join(', ');
 
         // Update product with new tags
-        const updateRes = await makeShopifyRequest(`/admin/api/2023-10/products/${numericProductId}.json`, {
+        const updateRes = await makeShopifyRequest(`/products/${numericProductId}.json`, {
           method: 'PUT',
           body: JSON.stringify({
             product: {
@@ -1001,28 +324,46 @@ module.exports = async function handler(req, res) {
 
         if (updateRes.ok) {
           console.log(`✅ Added 'justtraded' tag to ${cardName}`);
-          return true;
+          return { tagged: true, added: true };
         } else {
           console.error(`❌ Failed to add tag:`, await updateRes.text());
-          return false;
+          return { tagged: false, added: false };
         }
       } catch (tagErr) {
         console.error(`❌ Failed to add 'justtraded' tag for ${cardName}:`, tagErr);
-        return false;
+        return { tagged: false, added: false };
       }
     }
 
-    // FIXED: Updated main processing loop to handle exact inventory updates
-    async function processTradeCards(cards, estimateMode, locationId) {
+    // Prices every card, checks the trade location stocks each matched variant, then (when
+    // committing) adds the inventory. Nothing is adjusted if any card can't be stocked there.
+    async function processTradeCards(cards, estimateMode, location, activePricing) {
+      const locationId = location?.id || null;
+      const locationFields = {
+        locationId,
+        locationName: location?.name || null
+      };
       let totalSuggestedValue = 0;
       let totalMaximumValue = 0;
+      let totalPayoutValue = 0;
       let totalRetailValue = 0;
       const results = [];
       const inventoryUpdates = []; // Track inventory updates for verification
+      const stockable = []; // Results whose variant will receive inventory
 
       console.log('⏱️ Processing', cards.length, 'cards');
 
-      for (const card of cards) {
+      // Look everything up first: confirmed SKUs in batched queries, the rest concurrently.
+      // Results stay in input order.
+      const catalog = await loadCatalogIndex();
+      const cardSearch = createCardSearch(makeShopifyRequest, {
+        catalog,
+        aliases: await loadSearchAliases(makeShopifyRequest)
+      });
+      await cardSearch.prefetchExactSkus(cards.filter(card => card.sku && card.searchMethod === 'exact_sku').map(card => card.sku));
+      const searchResults = await mapWithConcurrency(cards, CARD_LOOKUP_CONCURRENCY, card => cardSearch.searchCard(card));
+
+      for (const [cardIndex, card] of cards.entries()) {
         const { cardName, sku = null, quantity = 1, condition = 'NM', searchMethod = null } = card;
         
         console.log(`🃏 Processing: ${cardName}`);
@@ -1030,7 +371,15 @@ module.exports = async function handler(req, res) {
         console.log(`  - Quantity: ${quantity}`);
         console.log(`  - Search Method: ${searchMethod}`);
         
-        const searchResult = await searchCard(card);
+        const { grading } = parseCardGrading(card);
+        const gradingFields = grading ? {
+          gradingCompany: grading.company,
+          grade: grading.grade,
+          certNumber: grading.certNumber,
+          duplicateCert: grading.certNumber ? duplicateCertKeys.has(certKey(grading.company, grading.certNumber)) : false
+        } : {};
+
+        const searchResult = searchResults[cardIndex];
         
         if (!searchResult.found) {
           console.log('❌ No match found for:', cardName);
@@ -1044,73 +393,178 @@ module.exports = async function handler(req, res) {
             condition,
             sku: null,
             searchMethod: 'none',
-            inventoryUpdated: false
+            game: gameForCard(card),
+            inventoryUpdated: false,
+            ...locationFields,
+            ...gradingFields
           });
           continue;
         }
 
         const product = searchResult.product;
-        const variant = searchResult.variant;
+        const matchedVariant = searchResult.variant;
+        const productVariants = searchResult.productVariants || [];
+
+        // Prefer the product's own variant for this condition (e.g. "Lightly Played"),
+        // both for pricing and so the inventory lands on the right variant. Slabs skip
+        // this: the grade replaces the condition, and a raw fallback prices off the NM card.
+        const requestedCondition = normalizeCondition(condition);
+        const gradedListing = !!(grading && searchResult.gradedListing);
+        const conditionVariant = grading ? null : (detectConditionFromTitle(matchedVariant.title) === requestedCondition
+          ? matchedVariant
+          : findConditionVariant(productVariants, requestedCondition, matchedVariant.title));
+        const baseVariant = gradedListing
+          ? matchedVariant
+          : findConditionVariant(productVariants, 'NM', matchedVariant.title) || matchedVariant;
+        const variant = conditionVariant || (grading ? baseVariant : matchedVariant);
+        const basePrice = parseFloat(baseVariant.price || 0);
         const variantPrice = parseFloat(variant.price || 0);
         
-        // Condition multiplier: NM and LP get full value, MP/HP/DMG get $0
-        const conditionUpper = (condition || 'NM').toUpperCase();
-        const isDisabledCondition = ['MP', 'HP', 'DMG'].includes(conditionUpper);
-        const suggestedTradeValue = isDisabledCondition ? 0 : calculateSuggestedTradeValue(variantPrice);
-        const maximumTradeValue = isDisabledCondition ? 0 : calculateMaximumTradeValue(variantPrice);
+        // Tier, condition and payout-method rates all come from the shared pricing rules
+        const {
+          suggestedTradeValue,
+          maximumTradeValue,
+          payoutTradeValue,
+          baseSuggestedTradeValue,
+          baseMaximumTradeValue,
+          conditionMultiplier,
+          conditionPriceSource,
+          gradeMultiplier
+        } = calculateTradeValues(basePrice, {
+          condition: requestedCondition,
+          conditionPrice: conditionVariant ? variantPrice : null,
+          payoutMethod,
+          game: searchResult.game,
+          productType: searchResult.productType,
+          grading,
+          gradedListing
+        }, activePricing.rules);
+
+        // A slab priced off the raw card is worth the raw price times the grade multiplier
+        const retailPrice = grading && !gradedListing
+          ? roundMoney(variantPrice * (gradeMultiplier || 0))
+          : variantPrice;
         
         totalSuggestedValue += suggestedTradeValue * quantity;
         totalMaximumValue += maximumTradeValue * quantity;
-        totalRetailValue += variantPrice * quantity;
+        totalPayoutValue += payoutTradeValue * quantity;
+        totalRetailValue += retailPrice * quantity;
 
-        console.log(`✅ Found: ${product.title} - $${variantPrice} (Suggested: $${suggestedTradeValue})`);
+        const pricedAs = grading ? `${gradeLabel(grading)}${gradedListing ? ' listing' : ` x${gradeMultiplier}`}` : `${requestedCondition} via ${conditionPriceSource}`;
+        console.log(`✅ Found: ${product.title} - $${retailPrice} (Suggested: $${suggestedTradeValue}, ${pricedAs})`);
         console.log(`  - Final SKU: ${variant.sku}`);
         console.log(`  - Search Method: ${searchResult.searchMethod}`);
         console.log(`  - Inventory Item ID: ${variant.inventory_item_id}`);
 
-        // Update inventory if not in estimate mode and we have the required data
-        let inventoryUpdated = false;
-        let tagAdded = false;
-        if (!estimateMode && locationId && variant.inventory_item_id) {
-          inventoryUpdated = await updateInventoryForVariant(variant, quantity, cardName, locationId);
-          
-          if (inventoryUpdated) {
-            inventoryUpdates.push({
-              cardName,
-              sku: variant.sku,
-              inventoryItemId: variant.inventory_item_id,
-              quantityAdded: quantity
-            });
-            
-            // Add "justtraded" tag to the product
-            tagAdded = await addJustTradedTag(variant.product_id, cardName);
-          }
-        } else {
-          console.log(`📦 Skipping inventory update for ${cardName}:`);
-          console.log(`  - Estimate mode: ${estimateMode}`);
-          console.log(`  - Location ID: ${locationId}`);
-          console.log(`  - Inventory Item ID: ${variant.inventory_item_id}`);
-        }
+        // A slab without its own listing isn't stocked onto the raw single
+        const inventorySkippedReason = grading && !gradedListing ? 'no_graded_listing' : null;
 
-        results.push({
+        const result = {
           cardName,
           match: product.title,
-          retailPrice: variantPrice,
+          retailPrice,
           suggestedTradeValue,
           maximumTradeValue,
+          // Pre-condition values, so staff can see what the condition cost
+          basePrice,
+          baseSuggestedTradeValue,
+          baseMaximumTradeValue,
+          conditionMultiplier,
+          conditionPriceSource,
+          gradeMultiplier,
+          gradedListing,
+          ...gradingFields,
           quantity,
           condition,
           sku: variant.sku,
           searchMethod: searchResult.searchMethod,
-          inventoryUpdated,
+          game: searchResult.game,
+          inventoryUpdated: false,
+          inventorySkippedReason,
           inventoryItemId: variant.inventory_item_id,
+          productId: variant.product_id,
+          ...locationFields,
+          stockedAtLocation: null,
           // Include additional data for debugging and frontend
           confidence: searchResult.confidence,
           alternativeCount: searchResult.alternativeCount,
           allOptions: searchResult.allOptions,
           image: searchResult.image || null,
-          tags: searchResult.tags || []
+          tags: searchResult.tags || [],
+          productType: searchResult.productType || null,
+          pricingProfileId: activePricing.profile.id,
+          pricingProfileVersion: activePricing.profile.version
+        };
+        results.push(result);
+
+        if (!inventorySkippedReason && variant.inventory_item_id) {
+          stockable.push({ result, variant });
+        }
+      }
+
+      // Every variant that will receive inventory must be stocked at the trade location
+      let unstocked = [];
+      if (locationId && stockable.length > 0) {
+        const stocked = await getStockedInventoryItems(
+          makeShopifyRequest,
+          stockable.map(({ variant }) => variant.inventory_item_id),
+          locationId
+        );
+        stockable.forEach(({ result, variant }) => {
+          result.stockedAtLocation = stocked.has(variant.inventory_item_id.toString());
         });
+        unstocked = stockable
+          .filter(({ result }) => !result.stockedAtLocation)
+          .map(({ result }) => ({ cardName: result.cardName, sku: result.sku, inventoryItemId: result.inventoryItemId }));
+
+        if (unstocked.length > 0) {
+          console.log(`⚠️ ${unstocked.length} card(s) not stocked at ${location.name}:`, unstocked);
+        }
+      }
+
+      // Update inventory if not in estimate mode and every card can be stocked
+      if (!estimateMode && locationId && unstocked.length === 0) {
+        for (const { result, variant } of stockable) {
+          const { cardName, quantity } = result;
+          const inventoryUpdated = await updateInventoryForVariant(variant, quantity, cardName, locationId);
+          result.inventoryUpdated = inventoryUpdated;
+          if (!inventoryUpdated) continue;
+
+          inventoryUpdates.push({
+            cardName,
+            sku: variant.sku,
+            inventoryItemId: variant.inventory_item_id,
+            quantityAdded: quantity
+          });
+          tradeSaga.record({
+            type: 'inventory_adjust',
+            cardName,
+            sku: variant.sku,
+            inventoryItemId: variant.inventory_item_id,
+            locationId,
+            quantity
+          }, () => adjustInventoryLevel(makeShopifyRequest, {
+            locationId,
+            inventoryItemId: variant.inventory_item_id,
+            adjustment: -quantity
+          }));
+
+          // Add "justtraded" tag to the product
+          const tagResult = await addJustTradedTag(variant.product_id, cardName);
+          if (tagResult.added) {
+            tradeSaga.record({
+              type: 'tag_add',
+              cardName,
+              productId: variant.product_id,
+              tag: 'justtraded'
+            }, () => removeProductTag(makeShopifyRequest, variant.product_id));
+          }
+        }
+      } else {
+        console.log('📦 Skipping inventory updates:');
+        console.log(`  - Estimate mode: ${estimateMode}`);
+        console.log(`  - Location: ${locationId} (${location?.name || 'none'})`);
+        console.log(`  - Unstocked cards: ${unstocked.length}`);
       }
 
       // Log inventory update summary
@@ -1126,9 +580,11 @@ module.exports = async function handler(req, res) {
         totals: {
           totalSuggestedValue,
           totalMaximumValue,
+          totalPayoutValue,
           totalRetailValue
         },
-        inventoryUpdates
+        inventoryUpdates,
+        unstocked
       };
     }
 
@@ -1137,7 +593,7 @@ module.exports = async function handler(req, res) {
       try {
         // Search for existing customer
         const searchRes = await makeShopifyRequest(
-          `/admin/api/2023-10/customers/search.json?query=email:${encodeURIComponent(email)}`
+          `/customers/search.json?query=email:${encodeURIComponent(email)}`
         );
         
         const searchData = await searchRes.json();
@@ -1148,7 +604,7 @@ module.exports = async function handler(req, res) {
         }
 
         // Create new customer
-        const createRes = await makeShopifyRequest('/admin/api/2023-10/customers.json', {
+        const createRes = await makeShopifyRequest('/customers.json', {
           method: 'POST',
           body: JSON.stringify({
             customer: {
@@ -1176,9 +632,11 @@ module.exports = async function handler(req, res) {
 
     const issueStoreCredit = async (customerId, amount, reason) => {
       try {
+        // The credit input has no note field; the reason (with the trade ID) goes in the logs
+        console.log(`💳 Issuing store credit: ${amount.toFixed(2)} CAD - ${reason}`);
         const mutation = `
-          mutation StoreCreditAccountCreditCreate($input: StoreCreditAccountCreditInput!) {
-            storeCreditAccountCreditCreate(input: $input) {
+          mutation StoreCreditAccountCredit($id: ID!, $creditInput: StoreCreditAccountCreditInput!) {
+            storeCreditAccountCredit(id: $id, creditInput: $creditInput) {
               storeCreditAccountTransaction {
                 id
                 amount {
@@ -1202,14 +660,14 @@ module.exports = async function handler(req, res) {
           }
         `;
 
+        // Crediting the customer ID credits (or opens) their store credit account in that currency
         const variables = {
-          input: {
-            customerId: `gid://shopify/Customer/${customerId}`,
-            amount: {
+          id: `gid://shopify/Customer/${customerId}`,
+          creditInput: {
+            creditAmount: {
               amount: amount.toFixed(2),
               currencyCode: "CAD"
-            },
-            note: reason
+            }
           }
         };
 
@@ -1225,11 +683,11 @@ module.exports = async function handler(req, res) {
           throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
         }
         
-        if (result.data?.storeCreditAccountCreditCreate?.userErrors?.length > 0) {
-          throw new Error(`Store credit error: ${result.data.storeCreditAccountCreditCreate.userErrors[0].message}`);
+        if (result.data?.storeCreditAccountCredit?.userErrors?.length > 0) {
+          throw new Error(`Store credit error: ${result.data.storeCreditAccountCredit.userErrors[0].message}`);
         }
 
-        const transaction = result.data?.storeCreditAccountCreditCreate?.storeCreditAccountTransaction;
+        const transaction = result.data?.storeCreditAccountCredit?.storeCreditAccountTransaction;
         
         if (!transaction) {
           throw new Error('Store credit transaction was not created');
@@ -1243,12 +701,41 @@ module.exports = async function handler(req, res) {
       }
     };
 
+    // The same cert can't be bought twice, nor appear twice in one trade. Estimates only flag it.
+    const certRegistry = cardGradings.some(g => g?.certNumber)
+      ? await loadGradedCerts(makeShopifyRequest)
+      : { certs: [] };
+    const duplicateCerts = findDuplicateCerts(cardGradings, certRegistry.certs);
+    const duplicateCertKeys = new Set(duplicateCerts.map(d => certKey(d.company, d.certNumber)));
+
+    if (duplicateCerts.length > 0 && !estimateMode) {
+      console.log('❌ Duplicate graded certs:', duplicateCerts);
+      return sendCommitResponse(409, {
+        error: 'Duplicate graded certificate',
+        details: duplicateCerts.map(d => `${gradeLabel(d)} cert ${d.certNumber} (${d.reason})`).join('; '),
+        duplicates: duplicateCerts
+      });
+    }
+
+    // Pick the pricing profile in effect right now (falls back to Standard)
+    const activePricing = await getActivePricing(makeShopifyRequest);
+    console.log('🏷️ Pricing profile:', activePricing.profile);
+
     // Process cards with enhanced tag search and exact inventory updates
-    const processingResult = await processTradeCards(cards, estimateMode, locationId);
-    const { results, totals, inventoryUpdates } = processingResult;
+    const processingResult = await processTradeCards(cards, estimateMode, tradeLocation, activePricing);
+    const { results, totals, inventoryUpdates, unstocked } = processingResult;
+
+    if (!estimateMode && unstocked.length > 0) {
+      return sendCommitResponse(409, {
+        error: 'Cards not stocked at the selected location',
+        details: `${unstocked.map(card => card.cardName).join(', ')} not stocked at ${tradeLocation.name}`,
+        location: { id: locationId, name: tradeLocation.name, source: locationSource },
+        unstocked
+      });
+    }
 
     // Calculate final payout
-    const finalPayout = validatedOverride !== null ? validatedOverride : totals.totalSuggestedValue;
+    const finalPayout = validatedOverride !== null ? validatedOverride : totals.totalPayoutValue;
     const overrideUsed = validatedOverride !== null;
 
     console.log('💰 Final calculations:', {
@@ -1264,31 +751,95 @@ module.exports = async function handler(req, res) {
 
     // Handle payouts (only if not estimate mode)
     let giftCardCode = null;
+    let giftCardId = null;
     let storeCreditTransaction = null;
     let customer = null;
 
+    // Durable record of this commit. A ledger failure is reported but doesn't undo the trade.
+    const recordLedgerEntry = async (status, details = {}) => {
+      if (estimateMode) return false;
+
+      try {
+        await recordTrade(makeShopifyRequest, {
+          id: tradeId,
+          createdAt: new Date().toISOString(),
+          status,
+          employeeName: employeeName || null,
+          payoutMethod,
+          customerEmail: customerEmail || null,
+          customer: customer ? {
+            id: customer.id,
+            email: customer.email,
+            name: `${customer.first_name} ${customer.last_name}`
+          } : null,
+          override: {
+            used: overrideUsed,
+            amount: overrideUsed ? finalPayout : null
+          },
+          totals: {
+            suggested: totals.totalSuggestedValue,
+            maximum: totals.totalMaximumValue,
+            payout: totals.totalPayoutValue,
+            retail: totals.totalRetailValue,
+            finalPayout
+          },
+          pricingProfile: activePricing.profile,
+          pricingRulesVersion: activePricing.rules.version,
+          locationId,
+          location: { id: locationId, name: tradeLocation.name, source: locationSource },
+          idempotencyKey: idempotencyKey || null,
+          cards: results.map(({ allOptions, tags, image, ...card }) => card),
+          payout: {
+            method: payoutMethod,
+            amount: finalPayout,
+            giftCardId,
+            giftCardCode,
+            storeCreditTransactionId: storeCreditTransaction?.id || null,
+            storeCreditAccountId: storeCreditTransaction?.account?.id || null
+          },
+          commitSteps: tradeSaga.completedSteps(),
+          ...details
+        });
+        return true;
+      } catch (err) {
+        console.error('❌ Failed to record trade in ledger:', err);
+        return false;
+      }
+    };
+
     if (!estimateMode && finalPayout > 0) {
       if (payoutMethod === "store-credit") {
         try {
           customer = await findOrCreateCustomer(customerEmail);
-          const reason = `Trade-in payout for ${employeeName || "Unknown"}${overrideUsed ? ` (Override)` : ''}`;
+          const reason = `Trade-in payout ${tradeId} for ${employeeName || "Unknown"}${overrideUsed ? ` (Override)` : ''}`;
           storeCreditTransaction = await issueStoreCredit(customer.id, finalPayout, reason);
+          tradeSaga.record({
+            type: 'store_credit',
+            reference: storeCreditTransaction.id,
+            accountId: storeCreditTransaction.account?.id || null,
+            amount: finalPayout,
+            customerEmail
+          }, () => debitStoreCredit(makeShopifyRequest, storeCreditTransaction.account.id, finalPayout));
           console.log(`✅ Store credit issued: ${finalPayout} to ${customerEmail}`);
         } catch (err) {
           console.error("❌ Store credit failed:", err);
-          return res.status(500).json({ 
+          const rollback = await tradeSaga.compensate(`Store credit failed: ${err.message}`);
+          await recordLedgerEntry('failed', { error: err.message, rollback });
+          return sendCommitResponse(500, { 
             error: "Store credit creation failed", 
-            details: err.message
+            details: err.message,
+            tradeId,
+            rollback
           });
         }
       } else if (payoutMethod === "gift-card") {
         try {
-          const giftCardRes = await makeShopifyRequest('/admin/api/2023-10/gift_cards.json', {
+          const giftCardRes = await makeShopifyRequest('/gift_cards.json', {
             method: "POST",
             body: JSON.stringify({
               gift_card: {
                 initial_value: finalPayout.toFixed(2),
-                note: `Trade-in payout for ${employeeName || "Unknown"}${overrideUsed ? ` (Override)` : ''}`,
+                note: `Trade-in payout ${tradeId} for ${employeeName || "Unknown"}${overrideUsed ? ` (Override)` : ''}`,
                 currency: "CAD"
               }
             })
@@ -1300,13 +851,23 @@ module.exports = async function handler(req, res) {
           
           const giftCardData = await giftCardRes.json();
           giftCardCode = giftCardData?.gift_card?.code;
+          giftCardId = giftCardData?.gift_card?.id || null;
+          tradeSaga.record({
+            type: 'gift_card',
+            reference: giftCardId,
+            amount: finalPayout
+          }, () => disableGiftCard(makeShopifyRequest, giftCardId));
           
           console.log(`✅ Gift card created: ${finalPayout}, Code: ${giftCardCode}`);
         } catch (err) {
           console.error("❌ Gift card failed:", err);
-          return res.status(500).json({ 
+          const rollback = await tradeSaga.compensate(`Gift card failed: ${err.message}`);
+          await recordLedgerEntry('failed', { error: err.message, rollback });
+          return sendCommitResponse(500, { 
             error: "Gift card creation failed", 
-            details: err.message 
+            details: err.message,
+            tradeId,
+            rollback
           });
         }
       } else if (payoutMethod === "cash") {
@@ -1314,10 +875,42 @@ module.exports = async function handler(req, res) {
       }
     }
 
+    // Remember bought certs so they can't be traded in again. Only slabs that were matched and
+    // stocked were bought; a cert on an unmatched row stays free for a later trade.
+    if (!estimateMode) {
+      const tradedAt = new Date().toISOString();
+      const certEntries = results
+        .filter(r => r.certNumber && r.match && r.inventoryUpdated)
+        .map(r => ({
+          company: r.gradingCompany,
+          certNumber: r.certNumber,
+          grade: r.grade,
+          cardName: r.cardName,
+          match: r.match,
+          sku: r.sku,
+          employeeName: employeeName || null,
+          payoutMethod,
+          tradeId,
+          tradedAt
+        }));
+
+      try {
+        await recordGradedCerts(makeShopifyRequest, certEntries);
+      } catch (err) {
+        console.error('❌ Failed to record graded certs:', err);
+      }
+    }
+
+    const ledgerRecorded = await recordLedgerEntry('completed');
+
     // Return response with enhanced debugging information
     const response = {
       success: true,
       estimate: estimateMode,
+      tradeId,
+      ledgerRecorded,
+      location: { id: locationId, name: tradeLocation.name, source: locationSource },
+      unstocked,
       employeeName,
       payoutMethod,
       customerEmail,
@@ -1328,7 +921,13 @@ module.exports = async function handler(req, res) {
       finalPayout: finalPayout.toFixed(2),
       overrideUsed,
       overrideAmount: overrideUsed ? finalPayout.toFixed(2) : null,
+      pricingRulesVersion: activePricing.rules.version,
+      pricingProfile: activePricing.profile,
+      duplicateCerts,
+      idempotencyKey: estimateMode ? null : idempotencyKey,
       giftCardCode,
+      giftCardId,
+      commitSteps: estimateMode ? [] : tradeSaga.completedSteps(),
       storeCreditTransaction: storeCreditTransaction ? {
         id: storeCreditTransaction.id,
         amount: storeCreditTransaction.amount,
@@ -1353,6 +952,7 @@ module.exports = async function handler(req, res) {
         titleMatches: results.filter(r => r.searchMethod === 'title').length,
         skuMatches: results.filter(r => r.searchMethod === 'sku').length,
         tagMatches: results.filter(r => r.searchMethod?.startsWith('tag')).length,
+        gradedListingMatches: results.filter(r => r.searchMethod === 'graded_listing').length,
         uncertainMatches: results.filter(r => r.confidence === 'low' || r.confidence === 'medium').length,
         multipleOptionsAvailable: results.filter(r => r.alternativeCount > 0).length,
         searchMethodBreakdown: results.reduce((acc, r) => {
@@ -1382,14 +982,41 @@ module.exports = async function handler(req, res) {
     console.log('🔀 Multiple options available:', response.debug.multipleOptionsAvailable);
     console.log('=== API REQUEST END ===');
     
-    res.status(200).json(response);
+    return sendCommitResponse(200, response);
 
   } catch (err) {
     console.error("💥 API ERROR:", err);
-    return res.status(500).json({ 
-      error: "Internal server error", 
-      details: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred',
+    // Shopify still rate limiting after the client's retries -> 503 the kiosk can retry
+    const shopifyError = shopifyErrorResponse(err);
+    const statusCode = shopifyError ? shopifyError.status : 500;
+    const errorBody = { 
+      ...(shopifyError ? shopifyError.body : {
+        error: "Internal server error", 
+        details: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred'
+      }),
       timestamp: new Date().toISOString()
-    });
+    };
+
+    // Undo whatever this commit already changed in Shopify
+    const changedShopify = !!tradeSaga && tradeSaga.completedSteps().length > 0;
+    if (changedShopify) {
+      errorBody.rollback = await tradeSaga.compensate(`Unexpected error: ${err.message}`);
+    }
+
+    if (releaseIdempotency && shopifyError?.body.retryable && !changedShopify) {
+      // Nothing happened yet: a retry after Retry-After with the same key should commit
+      await releaseIdempotency().catch(releaseErr => {
+        console.error('❌ Failed to release idempotency key:', releaseErr);
+      });
+    } else if (completeIdempotency) {
+      // The outcome is final (rolled back or not), so a retry must not run the commit again
+      await completeIdempotency(statusCode, errorBody).catch(storeErr => {
+        console.error('❌ Failed to store idempotent response:', storeErr);
+      });
+    }
+    if (shopifyError?.retryAfterSeconds) {
+      res.setHeader('Retry-After', shopifyError.retryAfterSeconds);
+    }
+    return res.status(statusCode).json(errorBody);
   }
 };
@@ -0,0 +1,143 @@
+// api/cards/aliases.js
+// Learned search aliases (lib/learned-aliases.js). The counter records the option staff pick
+// for an ambiguous search (POST action "confirm", staff token); admins list, edit and delete them.
+//   GET  /api/cards/aliases?q=umbreon                      list, optionally filtered
+//   POST { action: 'confirm', query, sku, confirmedBy }     record a pick, staff or admin
+//   POST { action: 'update', aliasId, query?, sku?, updatedBy }   admin only
+//   POST { action: 'delete', aliasId }                      admin only
+
+const { requireAdmin, requireStaff } = require('../../lib/admin-auth');
+const { makeShopifyRequest, sendShopifyError } = require('../../lib/shopify-client');
+const { createCardSearch } = require('../../lib/card-search');
+const { loadCatalogIndex } = require('../../lib/catalog-index');
+const {
+  loadLearnedAliases,
+  saveLearnedAliases,
+  recordConfirmation,
+  updateAlias,
+  removeAlias
+} = require('../../lib/learned-aliases');
+
+const ACTIONS = ['confirm', 'update', 'delete'];
+
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  console.log('=== LEARNED ALIASES API ===');
+  console.log('Method:', req.method);
+
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!process.env.SHOPIFY_DOMAIN || !process.env.SHOPIFY_ACCESS_TOKEN) {
+      return res.status(500).json({
+        error: 'Server configuration error',
+        details: 'Missing Shopify credentials'
+      });
+    }
+
+    if (req.method === 'GET') {
+      if (!requireAdmin(req, res)) return;
+      return await handleListAliases(req.query || {}, res);
+    }
+
+    const body = req.body || {};
+    if (!ACTIONS.includes(body.action)) {
+      return res.status(400).json({ error: 'Invalid action', allowed: ACTIONS });
+    }
+    // Recording a pick is part of serving a trade; changing what was learned is not
+    const authorized = body.action === 'confirm' ? requireStaff(req, res) : requireAdmin(req, res);
+    if (!authorized) return;
+
+    return await handleAliasAction(body, res);
+  } catch (err) {
+    console.error('💥 LEARNED ALIASES ERROR:', err);
+    if (sendShopifyError(res, err)) return;
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+async function handleListAliases({ q }, res) {
+  const { aliases } = await loadLearnedAliases(makeShopifyRequest);
+  const needle = (q || '').trim().toLowerCase();
+  const data = needle
+    ? aliases.filter(alias => [alias.query, alias.sku, alias.title].some(value => (value || '').toLowerCase().includes(needle)))
+    : aliases;
+
+  return res.status(200).json({
+    success: true,
+    total: data.length,
+    data
+  });
+}
+
+// The SKU as the store has it now: { sku, title, game }, or null when no variant has it
+async function lookUpVariant(sku) {
+  const cardSearch = createCardSearch(makeShopifyRequest, { catalog: await loadCatalogIndex() });
+  const result = await cardSearch.getVariantBySku(sku);
+  if (!result.found) return null;
+
+  const { product, variant } = result;
+  return {
+    sku: variant.sku,
+    title: variant.title && variant.title !== 'Default Title' ? `${product.title} - ${variant.title}` : product.title,
+    game: result.game
+  };
+}
+
+async function handleAliasAction(body, res) {
+  const { action, aliasId, query, confirmedBy, updatedBy } = body;
+  const sku = typeof body.sku === 'string' ? body.sku.trim() : body.sku;
+
+  if (action === 'confirm' && !sku) {
+    return res.status(400).json({ error: 'sku is required' });
+  }
+
+  let variant = null;
+  if (sku) {
+    variant = await lookUpVariant(sku);
+    if (!variant) {
+      return res.status(404).json({ error: 'SKU not found', sku });
+    }
+  }
+
+  const { metafieldId, aliases } = await loadLearnedAliases(makeShopifyRequest);
+  let result;
+
+  switch (action) {
+    case 'confirm':
+      result = recordConfirmation(aliases, { query, variant, confirmedBy: confirmedBy || null });
+      break;
+    case 'update':
+      result = updateAlias(aliases, aliasId, { query, variant, updatedBy: updatedBy || null });
+      break;
+    case 'delete':
+      result = removeAlias(aliases, aliasId);
+      break;
+  }
+
+  if (result.error) {
+    return res.status(result.status || 400).json({ error: result.error });
+  }
+
+  await saveLearnedAliases(makeShopifyRequest, aliases, metafieldId);
+  console.log(`✅ Learned alias ${action}: "${result.alias.query}" -> ${result.alias.sku}`);
+
+  return res.status(200).json({
+    success: true,
+    alias: result.alias
+  });
+}
@@ -0,0 +1,133 @@
+// api/cards/search.js
+// Card lookup for typeahead: GET /api/cards/search?q=charizard&game=pokemon&page=1&pageSize=20
+// Ranked candidates from the shared card search pipeline, without the location lookup and
+// payout validation of a buybackstep4 estimate. Out-of-stock variants are left out unless
+// includeOutOfStock=true. `game` accepts any name lib/games.js knows ("Pokémon", "MTG") and
+// only returns candidates identified as that game.
+
+const { makeShopifyRequest, sendShopifyError } = require('../../lib/shopify-client');
+const { createCardSearch, rankCandidates } = require('../../lib/card-search');
+const { loadCatalogIndex } = require('../../lib/catalog-index');
+const { loadSearchAliases } = require('../../lib/learned-aliases');
+const { GAME_SLUGS, normalizeGame } = require('../../lib/games');
+
+const MIN_QUERY_LENGTH = 2;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    if (!process.env.SHOPIFY_DOMAIN || !process.env.SHOPIFY_ACCESS_TOKEN) {
+      return res.status(500).json({
+        error: 'Server configuration error',
+        details: 'Missing Shopify credentials'
+      });
+    }
+
+    const { params, error } = parseSearchParams(req.query || {});
+    if (error) {
+      return res.status(400).json({ error: 'Invalid search', details: error });
+    }
+
+    const { q, game, includeOutOfStock, page, pageSize } = params;
+    console.log('🔎 Card search:', params);
+
+    const catalog = await loadCatalogIndex();
+    const aliases = await loadSearchAliases(makeShopifyRequest);
+    const result = await createCardSearch(makeShopifyRequest, { catalog, aliases }).searchRawCard({ cardName: q, game });
+    const candidates = (result.found ? rankCandidates(result, q) : [])
+      .filter(candidate => includeOutOfStock || (candidate.inventory || 0) > 0)
+      .filter(candidate => !game || candidate.game === game);
+
+    const start = (page - 1) * pageSize;
+    const pageCandidates = candidates.slice(start, start + pageSize);
+
+    console.log(`✅ ${candidates.length} candidates for "${q}" via ${result.searchMethod || 'none'}`);
+
+    // Product data only, so a short shared cache keeps repeated keystrokes cheap
+    res.setHeader('Cache-Control', 's-maxage=30, stale-while-revalidate=60');
+    return res.status(200).json({
+      success: true,
+      query: q,
+      game,
+      includeOutOfStock,
+      searchMethod: result.found ? result.searchMethod : 'none',
+      needsConfirmation: result.found ? result.needsConfirmation : false,
+      page,
+      pageSize,
+      total: candidates.length,
+      hasMore: start + pageSize < candidates.length,
+      candidates: pageCandidates.map(candidate => ({
+        productTitle: candidate.productTitle,
+        variantTitle: candidate.variantTitle,
+        fullTitle: candidate.fullTitle,
+        sku: candidate.sku,
+        price: candidate.price,
+        inventory: candidate.inventory ?? null,
+        inStock: (candidate.inventory || 0) > 0,
+        image: candidate.image,
+        tags: candidate.tags,
+        productType: candidate.productType,
+        game: candidate.game,
+        productId: candidate.productId,
+        variantId: candidate.variantId,
+        inventoryItemId: candidate.inventoryItemId,
+        score: Math.round(candidate.score * 1000) / 1000,
+        confidence: candidate.confidence
+      }))
+    });
+  } catch (err) {
+    console.error('💥 CARD SEARCH ERROR:', err);
+    if (sendShopifyError(res, err)) return;
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+function parseSearchParams(query) {
+  const q = String(query.q || '').trim();
+  if (q.length < MIN_QUERY_LENGTH) {
+    return { error: `q must be at least ${MIN_QUERY_LENGTH} characters` };
+  }
+
+  const game = query.game ? normalizeGame(query.game) : null;
+  if (query.game && !game) {
+    return { error: `Unknown game "${query.game}". Use one of: ${GAME_SLUGS.join(', ')}` };
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `pageSize must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  return {
+    params: {
+      q,
+      game,
+      includeOutOfStock: ['true', '1', 'yes'].includes(String(query.includeOutOfStock).toLowerCase()),
+      page,
+      pageSize
+    }
+  };
+}
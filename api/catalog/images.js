@@ -0,0 +1,77 @@
+// api/catalog/images.js
+// Image hash index status (GET) and refresh (POST, admin) for visual photo matching. A refresh
+// hashes the catalog index's product and variant images that are new or changed, up to maxImages per run
+// (POST { "maxImages": 500 }); call it again until `remaining` is 0. { "full": true } rehashes
+// everything.
+
+const { requireAdmin } = require('../../lib/admin-auth');
+const { loadCatalogIndex } = require('../../lib/catalog-index');
+const { loadImageIndex, refreshImageIndex } = require('../../lib/image-index');
+const { indexStorageBackend, indexStorageAvailable } = require('../../lib/index-storage');
+
+const MAX_IMAGES_PER_RUN = 1000;
+
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  console.log('=== IMAGE INDEX API ===');
+  console.log('Method:', req.method);
+
+  try {
+    if (req.method === 'GET') {
+      const index = await loadImageIndex();
+      return res.status(200).json({
+        success: true,
+        storage: indexStorageBackend(),
+        indexed: !!index,
+        images: index ? index.size : 0,
+        refreshedAt: index?.refreshedAt || null
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    if (!indexStorageAvailable()) {
+      return res.status(503).json({
+        error: 'Image index storage not configured',
+        details: 'Connect a Vercel Blob store so every instance shares one index'
+      });
+    }
+
+    const body = req.body || {};
+    const maxImages = body.maxImages === undefined ? undefined : parseInt(body.maxImages, 10);
+    if (maxImages !== undefined && !(maxImages >= 1 && maxImages <= MAX_IMAGES_PER_RUN)) {
+      return res.status(400).json({ error: `maxImages must be between 1 and ${MAX_IMAGES_PER_RUN}` });
+    }
+
+    const catalog = await loadCatalogIndex({ allowStale: true });
+    if (!catalog) {
+      return res.status(409).json({
+        error: 'No catalog index',
+        details: 'Sync the catalog (POST /api/catalog/sync) before building the image index'
+      });
+    }
+
+    const result = await refreshImageIndex(catalog, { full: body.full === true, maxImages });
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    console.error('💥 IMAGE INDEX ERROR:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,70 @@
+// api/catalog/sync.js
+// Local catalog index status (GET) and refresh (POST, admin). POST { "full": true } forces
+// a full export; otherwise only products updated since the last sync are fetched.
+
+const { requireAdmin } = require('../../lib/admin-auth');
+const { makeShopifyRequest, sendShopifyError } = require('../../lib/shopify-client');
+const { loadCatalogIndex, syncCatalog } = require('../../lib/catalog-index');
+const { indexStorageBackend, indexStorageAvailable } = require('../../lib/index-storage');
+
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  console.log('=== CATALOG SYNC API ===');
+  console.log('Method:', req.method);
+
+  try {
+    if (req.method === 'GET') {
+      const index = await loadCatalogIndex({ allowStale: true });
+      return res.status(200).json({
+        success: true,
+        storage: indexStorageBackend(),
+        indexed: !!index,
+        fresh: index ? index.isFresh() : false,
+        products: index ? index.size : 0,
+        syncedAt: index?.syncedAt || null,
+        fullSyncAt: index?.fullSyncAt || null
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    if (!indexStorageAvailable()) {
+      return res.status(503).json({
+        error: 'Catalog index storage not configured',
+        details: 'Connect a Vercel Blob store so every instance shares one index'
+      });
+    }
+
+    if (!process.env.SHOPIFY_DOMAIN || !process.env.SHOPIFY_ACCESS_TOKEN) {
+      return res.status(500).json({
+        error: 'Server configuration error',
+        details: 'Missing Shopify credentials'
+      });
+    }
+
+    const full = req.body?.full === true || req.query?.full === 'true';
+    const result = await syncCatalog(makeShopifyRequest, { full });
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    console.error('💥 CATALOG SYNC ERROR:', err);
+    if (sendShopifyError(res, err)) return;
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
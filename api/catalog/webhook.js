@@ -0,0 +1,76 @@
+// api/catalog/webhook.js
+// Shopify product webhooks (products/create, products/update, products/delete) kept for the
+// local catalog index between syncs. Each one is stored as its own update rather than by
+// rewriting the index, so webhooks handled at once by different instances can't drop each
+// other's changes. Verified with the app's webhook secret (SHOPIFY_WEBHOOK_SECRET, else
+// SHOPIFY_API_SECRET) against the raw body.
+
+const crypto = require('crypto');
+const { recordCatalogUpdate } = require('../../lib/catalog-index');
+
+const UPSERT_TOPICS = ['products/create', 'products/update'];
+const DELETE_TOPIC = 'products/delete';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const rawBody = await readRawBody(req);
+
+    if (!verifyShopifyWebhook(rawBody, req.headers['x-shopify-hmac-sha256'])) {
+      console.log('❌ Catalog webhook failed HMAC verification');
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const topic = req.headers['x-shopify-topic'];
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    console.log(`📬 Catalog webhook ${topic} for product ${payload.id}`);
+
+    if (!UPSERT_TOPICS.includes(topic) && topic !== DELETE_TOPIC) {
+      return res.status(200).json({ success: true, recorded: false, reason: 'unhandled_topic' });
+    }
+
+    // Nothing to keep current until a sync has built the index
+    const recorded = await recordCatalogUpdate(topic === DELETE_TOPIC ? 'delete' : 'upsert', payload);
+    if (!recorded) {
+      return res.status(200).json({ success: true, recorded: false, reason: 'no_index' });
+    }
+
+    return res.status(200).json({ success: true, recorded: true });
+  } catch (err) {
+    console.error('💥 CATALOG WEBHOOK ERROR:', err);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred',
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function verifyShopifyWebhook(rawBody, hmacHeader) {
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET;
+  if (!secret || !hmacHeader) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(String(hmacHeader), 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+module.exports = handler;
+// HMAC is computed over the exact bytes Shopify sent
+module.exports.config = {
+  api: {
+    bodyParser: false
+  }
+};
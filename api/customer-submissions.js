@@ -1,10 +1,23 @@
 // api/customer-submissions.js
 // This handles customer trade-in submissions with LIVE pricing data
 
+const { calculateTradeValues } = require('../lib/pricing-rules');
+const { getActivePricing } = require('../lib/pricing-profiles');
+const { normalizeCondition, detectConditionFromTitle, findConditionVariant } = require('../lib/conditions');
+const { makeShopifyRequest, sendShopifyError } = require('../lib/shopify-client');
+const { requireAdmin } = require('../lib/admin-auth');
+const { createCardSearch } = require('../lib/card-search');
+const { loadCatalogIndex } = require('../lib/catalog-index');
+const { loadSearchAliases } = require('../lib/learned-aliases');
+const { GAME_SLUGS, normalizeGame, gameForCard, gamesIn } = require('../lib/games');
+const { updateShopMetafield } = require('../lib/shop-metafields');
+
+const SUBMISSION_STATUSES = ['pending', 'approved', 'completed', 'rejected'];
+
 module.exports = async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, PUT, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   
   if (req.method === 'OPTIONS') {
@@ -21,11 +34,15 @@ module.exports = async function handler(req, res) {
       return await handleSubmission(req, res);
     } else if (req.method === 'GET') {
       return await handleGetSubmissions(req, res);
+    } else if (req.method === 'PUT') {
+      if (!requireAdmin(req, res)) return;
+      return await handleUpdateSubmission(req, res);
     } else {
       return res.status(405).json({ error: 'Method Not Allowed' });
     }
   } catch (err) {
     console.error("💥 CUSTOMER SUBMISSION ERROR:", err);
+    if (sendShopifyError(res, err)) return;
     return res.status(500).json({ 
       error: "Internal server error", 
       details: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred',
@@ -109,14 +126,19 @@ async function handleSubmission(req, res) {
           cardName: card.cardName,
           quantity: parseInt(card.quantity) || 1,
           condition: card.condition || 'NM',
+          game: result?.game || gameForCard(card),
           sku: result?.sku || card.sku || null,
           searchMethod: card.searchMethod || 'manual',
           matchFound: !!result?.match,
           matchedProduct: result?.match || null,
           retailPrice: result?.retailPrice || 0,
+          basePrice: result?.basePrice || 0,
           suggestedTradeValue: result?.suggestedTradeValue || 0,
           maximumTradeValue: result?.maximumTradeValue || 0,
-          confidence: result?.confidence || null
+          baseSuggestedTradeValue: result?.baseSuggestedTradeValue || 0,
+          confidence: result?.confidence || null,
+          pricingProfileId: result?.pricingProfileId || null,
+          pricingProfileVersion: result?.pricingProfileVersion || null
         };
       }),
       estimateData: {
@@ -125,9 +147,10 @@ async function handleSubmission(req, res) {
         totalRetailValue: parseFloat(estimateData.totalRetailValue),
         cardsFound: estimateData.processingStats.cardsFound,
         cardsNotFound: estimateData.processingStats.cardsNotFound,
+        pricingProfile: estimateData.pricingProfile,
         timestamp: estimateData.timestamp
       },
-      estimatedValue: parseFloat(estimateData.suggestedTotal),
+      estimatedValue: parseFloat(estimateData.payoutTotal),
       notes: [],
       processedBy: null,
       processedAt: null
@@ -182,6 +205,7 @@ async function handleSubmission(req, res) {
       cardResults: submission.cards.map(card => ({
         cardName: card.cardName,
         quantity: card.quantity,
+        game: card.game,
         matchFound: card.matchFound,
         matchedProduct: card.matchedProduct,
         estimatedValue: (card.suggestedTradeValue * card.quantity).toFixed(2)
@@ -191,6 +215,7 @@ async function handleSubmission(req, res) {
   } catch (error) {
     console.error('❌ Failed to process submission:', error);
     console.error('❌ Error stack:', error.stack);
+    if (sendShopifyError(res, error)) return;
     return res.status(500).json({
       error: 'Failed to process submission',
       details: 'Please try again or contact support',
@@ -220,272 +245,21 @@ async function getEstimateFromTradeInSystem(data) {
   console.log('✅ Credentials validated, starting card processing...');
   console.log('📦 Processing', data.cards.length, 'cards');
 
-  const makeShopifyRequest = async (endpoint, options = {}) => {
-    const defaultHeaders = {
-      'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-      'Content-Type': 'application/json',
-    };
-
-    return fetch(`https://${SHOPIFY_DOMAIN}${endpoint}`, {
-      ...options,
-      headers: {
-        ...defaultHeaders,
-        ...options.headers
-      }
-    });
-  };
-
-  const makeShopifyGraphQLRequest = async (query, variables = {}) => {
-    return makeShopifyRequest('/admin/api/2023-10/graphql.json', {
-      method: 'POST',
-      body: JSON.stringify({ 
-        query,
-        variables
-      })
-    });
-  };
-
-  // Trade rate calculation functions
-  function calculateMaximumTradeValue(marketValue) {
-    const price = parseFloat(marketValue);
-    
-    if (price >= 50.00) return parseFloat((price * 0.75).toFixed(2));
-    if (price >= 25.00) return parseFloat((price * 0.70).toFixed(2));
-    if (price >= 15.01) return parseFloat((price * 0.65).toFixed(2));
-    if (price >= 8.00) return parseFloat((price * 0.50).toFixed(2));
-    if (price >= 5.00) return parseFloat((price * 0.35).toFixed(2));
-    if (price >= 3.01) return parseFloat((price * 0.25).toFixed(2));
-    if (price >= 2.00) return 0.50;
-    if (price >= 0.01) return 0.01;
-    return 0;
-  }
-
-  function calculateSuggestedTradeValue(marketValue) {
-    const price = parseFloat(marketValue);
-    
-    if (price >= 50.00) return parseFloat((price * 0.75).toFixed(2));
-    if (price >= 25.00) return parseFloat((price * 0.50).toFixed(2));
-    if (price >= 15.01) return parseFloat((price * 0.35).toFixed(2));
-    if (price >= 8.00) return parseFloat((price * 0.40).toFixed(2));
-    if (price >= 5.00) return parseFloat((price * 0.35).toFixed(2));
-    if (price >= 3.01) return parseFloat((price * 0.25).toFixed(2));
-    if (price >= 2.00) return 0.10;
-    if (price >= 0.01) return 0.01;
-    return 0;
-  }
-
-  // Search functions
-  function normalizeSearchTerm(term) {
-    if (!term) return '';
-    const normalized = term.replace(/[\/\-\s]/g, '');
-    return normalized;
-  }
-
-  // Normalize One Piece / Pokemon set+number patterns
-  // "EB03-026" -> "EB03026", "OP09 001" -> "OP09001"
-  function normalizeCardNumber(cardName) {
-    if (!cardName) return cardName;
-    
-    // One Piece patterns: OP09-001, EB03-026, ST01-001, PRB-001
-    const onePiecePattern = /^(OP|EB|ST|PRB)\s*(\d{1,2})[\s\-]*(\d{1,3})$/i;
-    const match = cardName.match(onePiecePattern);
-    
-    if (match) {
-      const prefix = match[1].toUpperCase();
-      const setNum = match[2].padStart(2, '0');
-      const cardNum = match[3].padStart(3, '0');
-      return `${prefix}${setNum}${cardNum}`;
-    }
-    
-    // Pokemon patterns: SV07-025, SV07 025
-    const pokemonPattern = /^(SV|SM|XY|BW|SWSH)\s*(\d{1,2})[\s\-]*(\d{1,3})$/i;
-    const pkMatch = cardName.match(pokemonPattern);
-    
-    if (pkMatch) {
-      const prefix = pkMatch[1].toUpperCase();
-      const setNum = pkMatch[2].padStart(2, '0');
-      const cardNum = pkMatch[3].padStart(3, '0');
-      return `${prefix}${setNum}${cardNum}`;
-    }
-    
-    return cardName;
-  }
-
-  function extractPotentialTags(cardName) {
-    if (!cardName) return [];
-    
-    const tags = [];
-    
-    // First, check if it's a One Piece or Pokemon set pattern and normalize it
-    const normalizedCardNum = normalizeCardNumber(cardName);
-    if (normalizedCardNum !== cardName) {
-      tags.push(normalizedCardNum);
-    }
-    
-    // One Piece patterns in longer strings: "Luffy OP09-001" or "EB03-026 Super Rare"
-    const onePieceInString = cardName.match(/(OP|EB|ST|PRB)\s*(\d{1,2})[\s\-]*(\d{1,3})/gi);
-    if (onePieceInString) {
-      onePieceInString.forEach(match => {
-        const normalized = normalizeCardNumber(match.trim());
-        if (normalized) tags.push(normalized);
-      });
-    }
-    
-    // Pokemon patterns in longer strings
-    const pokemonInString = cardName.match(/(SV|SM|XY|BW|SWSH)\s*(\d{1,2})[\s\-]*(\d{1,3})/gi);
-    if (pokemonInString) {
-      pokemonInString.forEach(match => {
-        const normalized = normalizeCardNumber(match.trim());
-        if (normalized) tags.push(normalized);
-      });
-    }
-    
-    // Original number patterns like 025/198
-    const numberPattern = /(\d+)[\/\-](\d+)/g;
-    let match;
-    
-    while ((match = numberPattern.exec(cardName)) !== null) {
-      tags.push(match[0]);
-      tags.push(match[1] + match[2]);
-    }
-    
-    // Standalone numbers (3-6 digits)
-    const standaloneNumbers = cardName.match(/\b\d{3,6}\b/g);
-    if (standaloneNumbers) {
-      tags.push(...standaloneNumbers);
-    }
-    
-    // Add the fully normalized search term
-    tags.push(normalizeSearchTerm(cardName));
-    
-    return [...new Set(tags)];
-  }
-
-  const searchByTagWithAllOptions = async (tag, originalCardName) => {
-    const normalizedTag = normalizeSearchTerm(tag);
-    
-    const query = `{
-      products(first: 20, query: "tag:${normalizedTag}") {
-        edges {
-          node {
-            id
-            title
-            tags
-            variants(first: 5) {
-              edges {
-                node {
-                  id
-                  title
-                  sku
-                  price
-                  inventoryQuantity
-                }
-              }
-            }
-          }
-        }
-      }
-    }`;
-
-    const graphqlRes = await makeShopifyGraphQLRequest(query);
-    const json = await graphqlRes.json();
-    
-    const products = json?.data?.products?.edges || [];
-    
-    if (products.length === 0) {
-      return { found: false };
-    }
-
-    const product = products[0].node;
-    const variant = product.variants.edges[0]?.node;
-    
-    if (variant) {
-      return {
-        found: true,
-        product: { title: product.title },
-        variant: {
-          sku: variant.sku,
-          price: variant.price
-        },
-        searchMethod: 'tag'
-      };
-    }
-    
-    return { found: false };
-  };
-
-  const searchByTitle = async (query) => {
-    const productRes = await makeShopifyRequest(
-      `/admin/api/2023-10/products.json?title=${encodeURIComponent(query)}`
-    );
-
-    const productData = await productRes.json();
-    
-    if (productData?.products?.length > 0) {
-      const product = productData.products[0];
-      const variant = product.variants[0];
-      
-      return {
-        found: true,
-        product: product,
-        variant: {
-          sku: variant.sku,
-          price: variant.price
-        },
-        searchMethod: 'title'
-      };
-    }
-    
-    return { found: false };
-  };
+  // Same search pipeline as the counter, so a quote matches what staff will see
+  const catalog = await loadCatalogIndex();
+  const cardSearch = createCardSearch(makeShopifyRequest, {
+    catalog,
+    aliases: await loadSearchAliases(makeShopifyRequest)
+  });
 
-  const searchCard = async (card) => {
-    const { cardName, sku } = card;
-    
-    console.log(`  🔍 searchCard called for: "${cardName}"`);
-    
-    const potentialTags = extractPotentialTags(cardName);
-    console.log(`  🏷️ Extracted tags:`, potentialTags);
-    
-    for (const tag of potentialTags) {
-      if (!tag || tag.length < 2) continue;
-      
-      console.log(`    🔎 Trying tag search with: "${tag}"`);
-      
-      try {
-        const result = await searchByTagWithAllOptions(tag, cardName);
-        if (result.found) {
-          console.log(`    ✅ Found via tag "${tag}"`);
-          return result;
-        } else {
-          console.log(`    ❌ Tag "${tag}" - no results`);
-        }
-      } catch (error) {
-        console.log(`    ❌ Tag search error for "${tag}":`, error.message);
-        continue;
-      }
-    }
-    
-    console.log(`  🔎 Trying title search for: "${cardName}"`);
-    try {
-      const result = await searchByTitle(cardName);
-      if (result.found) {
-        console.log(`    ✅ Found via title search`);
-        return result;
-      } else {
-        console.log(`    ❌ Title search - no results`);
-      }
-    } catch (error) {
-      console.log(`    ❌ Title search error:`, error.message);
-    }
-    
-    console.log(`  ❌ All search methods exhausted for: "${cardName}"`);
-    return { found: false };
-  };
+  // Pricing profile in effect right now (falls back to Standard)
+  const activePricing = await getActivePricing(makeShopifyRequest);
+  console.log('🏷️ Pricing profile:', activePricing.profile);
 
   // Process all cards
   let totalSuggestedValue = 0;
   let totalMaximumValue = 0;
+  let totalPayoutValue = 0;
   let totalRetailValue = 0;
   const results = [];
 
@@ -496,7 +270,7 @@ async function getEstimateFromTradeInSystem(data) {
     
     console.log(`\n🃏 Processing card: "${cardName}" (qty: ${quantity})`);
     
-    const searchResult = await searchCard(card);
+    const searchResult = await cardSearch.searchCard(card);
     
     console.log(`🔍 Search result for "${cardName}":`, {
       found: searchResult.found,
@@ -516,21 +290,40 @@ async function getEstimateFromTradeInSystem(data) {
         quantity,
         condition,
         sku: null,
-        searchMethod: 'none'
+        searchMethod: 'none',
+        game: gameForCard(card)
       });
       continue;
     }
 
     const product = searchResult.product;
-    const variant = searchResult.variant;
+    const matchedVariant = searchResult.variant;
+    const productVariants = searchResult.productVariants || [];
+
+    // Same variant choice as the counter (buybackstep4): the product's own variant for this
+    // condition is priced directly; without one the NM variant's value takes the multiplier
+    const requestedCondition = normalizeCondition(condition);
+    const conditionVariant = detectConditionFromTitle(matchedVariant.title) === requestedCondition
+      ? matchedVariant
+      : findConditionVariant(productVariants, requestedCondition, matchedVariant.title);
+    const baseVariant = findConditionVariant(productVariants, 'NM', matchedVariant.title) || matchedVariant;
+    const variant = conditionVariant || matchedVariant;
+    const basePrice = parseFloat(baseVariant.price || 0);
     const variantPrice = parseFloat(variant.price || 0);
-    const suggestedTradeValue = calculateSuggestedTradeValue(variantPrice);
-    const maximumTradeValue = calculateMaximumTradeValue(variantPrice);
+
+    const { suggestedTradeValue, maximumTradeValue, payoutTradeValue, baseSuggestedTradeValue } = calculateTradeValues(basePrice, {
+      condition: requestedCondition,
+      conditionPrice: conditionVariant ? variantPrice : null,
+      payoutMethod: data.payoutMethod,
+      game: searchResult.game,
+      productType: searchResult.productType
+    }, activePricing.rules);
     
     console.log(`✅ Match found: ${product.title} - ${variantPrice} (Trade: ${suggestedTradeValue})`);
     
     totalSuggestedValue += suggestedTradeValue * quantity;
     totalMaximumValue += maximumTradeValue * quantity;
+    totalPayoutValue += payoutTradeValue * quantity;
     totalRetailValue += variantPrice * quantity;
 
     results.push({
@@ -539,10 +332,17 @@ async function getEstimateFromTradeInSystem(data) {
       retailPrice: variantPrice,
       suggestedTradeValue,
       maximumTradeValue,
+      basePrice,
+      baseSuggestedTradeValue,
       quantity,
       condition,
       sku: variant.sku,
-      searchMethod: searchResult.searchMethod
+      searchMethod: searchResult.searchMethod,
+      game: searchResult.game,
+      confidence: searchResult.confidence,
+      needsConfirmation: searchResult.needsConfirmation,
+      pricingProfileId: activePricing.profile.id,
+      pricingProfileVersion: activePricing.profile.version
     });
   }
 
@@ -561,7 +361,9 @@ async function getEstimateFromTradeInSystem(data) {
     results,
     suggestedTotal: totalSuggestedValue.toFixed(2),
     maximumTotal: totalMaximumValue.toFixed(2),
+    payoutTotal: totalPayoutValue.toFixed(2),
     totalRetailValue: totalRetailValue.toFixed(2),
+    pricingProfile: activePricing.profile,
     timestamp: new Date().toISOString(),
     processingStats: {
       totalCards: data.cards.length,
@@ -573,6 +375,10 @@ async function getEstimateFromTradeInSystem(data) {
 
 async function handleGetSubmissions(req, res) {
   const { submissionId, email, status } = req.query;
+  const game = req.query.game ? normalizeGame(req.query.game) : null;
+  if (req.query.game && !game) {
+    return res.status(400).json({ error: 'Invalid game', details: `Use one of: ${GAME_SLUGS.join(', ')}` });
+  }
   
   try {
     let submissions;
@@ -582,7 +388,7 @@ async function handleGetSubmissions(req, res) {
     } else if (email) {
       submissions = await getSubmissionsByEmail(email);
     } else {
-      submissions = await getAllSubmissions({ status });
+      submissions = await getAllSubmissions({ status, game });
     }
     
     return res.status(200).json({
@@ -598,6 +404,39 @@ async function handleGetSubmissions(req, res) {
   }
 }
 
+// Staff review: approve / reject / complete a submission
+async function handleUpdateSubmission(req, res) {
+  const { submissionId, status, notes = [], processedBy = null } = req.body || {};
+
+  if (!submissionId || !status) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['submissionId', 'status']
+    });
+  }
+
+  if (!SUBMISSION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status, expected one of: ${SUBMISSION_STATUSES.join(', ')}` });
+  }
+
+  const existing = await getSubmissionById(submissionId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Submission not found' });
+  }
+
+  const submission = await updateSubmissionStatus(
+    submissionId,
+    status,
+    (Array.isArray(notes) ? notes : [notes]).filter(Boolean),
+    processedBy
+  );
+
+  return res.status(200).json({
+    success: true,
+    data: submission
+  });
+}
+
 // Helper Functions
 
 function generateSubmissionId() {
@@ -607,31 +446,13 @@ function generateSubmissionId() {
   return `${prefix}-${year}-${random}`;
 }
 
-const makeShopifyRequest = async (endpoint, options = {}) => {
-  const SHOPIFY_DOMAIN = process.env.SHOPIFY_DOMAIN;
-  const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
-  
-  const defaultHeaders = {
-    'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-    'Content-Type': 'application/json',
-  };
-
-  return fetch(`https://${SHOPIFY_DOMAIN}${endpoint}`, {
-    ...options,
-    headers: {
-      ...defaultHeaders,
-      ...options.headers
-    }
-  });
-};
-
 // Store anonymous submissions at shop level
 async function storeAnonymousSubmission(submission) {
   console.log('📦 Storing anonymous submission:', submission.id);
   
   try {
     // Get existing anonymous submissions index
-    const indexResponse = await makeShopifyRequest('/admin/api/2023-10/metafields.json?namespace=trade_in_system&key=anonymous_submissions');
+    const indexResponse = await makeShopifyRequest('/metafields.json?namespace=trade_in_system&key=anonymous_submissions');
     const indexData = await indexResponse.json();
     
     let anonymousSubmissions = [];
@@ -663,12 +484,12 @@ async function storeAnonymousSubmission(submission) {
     };
     
     if (indexData.metafields && indexData.metafields.length > 0) {
-      await makeShopifyRequest(`/admin/api/2023-10/metafields/${indexData.metafields[0].id}.json`, {
+      await makeShopifyRequest(`/metafields/${indexData.metafields[0].id}.json`, {
         method: 'PUT',
         body: JSON.stringify(metafieldPayload)
       });
     } else {
-      await makeShopifyRequest('/admin/api/2023-10/metafields.json', {
+      await makeShopifyRequest('/metafields.json', {
         method: 'POST',
         body: JSON.stringify(metafieldPayload)
       });
@@ -704,7 +525,7 @@ async function storeSubmission(submission) {
     };
     
     const response = await makeShopifyRequest(
-      `/admin/api/2023-10/customers/${shopifyCustomer.id}/metafields.json`,
+      `/customers/${shopifyCustomer.id}/metafields.json`,
       {
         method: 'POST',
         body: JSON.stringify(metafieldData)
@@ -734,7 +555,7 @@ async function findOrCreateShopifyCustomer(customerData) {
   
   try {
     const searchResponse = await makeShopifyRequest(
-      `/admin/api/2023-10/customers/search.json?query=email:${encodeURIComponent(customerData.email)}`
+      `/customers/search.json?query=email:${encodeURIComponent(customerData.email)}`
     );
     
     const searchData = await searchResponse.json();
@@ -756,7 +577,7 @@ async function findOrCreateShopifyCustomer(customerData) {
       }
     };
     
-    const createResponse = await makeShopifyRequest('/admin/api/2023-10/customers.json', {
+    const createResponse = await makeShopifyRequest('/customers.json', {
       method: 'POST',
       body: JSON.stringify(customerPayload)
     });
@@ -777,22 +598,10 @@ async function findOrCreateShopifyCustomer(customerData) {
   }
 }
 
+// The index is shared by every submission, so it is updated with a compare-and-set
+// (updateShopMetafield) rather than a plain read and write that could drop a concurrent entry
 async function storeSubmissionIndex(submission) {
   try {
-    const indexResponse = await makeShopifyRequest('/admin/api/2023-10/metafields.json?namespace=trade_in_system&key=submission_index');
-    const indexData = await indexResponse.json();
-    
-    let submissionIndex = [];
-    
-    if (indexData.metafields && indexData.metafields.length > 0) {
-      try {
-        submissionIndex = JSON.parse(indexData.metafields[0].value);
-      } catch (e) {
-        console.warn('Failed to parse existing submission index, starting fresh');
-        submissionIndex = [];
-      }
-    }
-    
     const indexEntry = {
       id: submission.id,
       isAnonymous: submission.isAnonymous || false,
@@ -804,36 +613,15 @@ async function storeSubmissionIndex(submission) {
       payoutMethod: submission.payoutMethod,
       estimatedValue: submission.estimatedValue,
       cardCount: submission.cards.length,
+      games: gamesIn(submission.cards),
       cardsFound: submission.estimateData?.cardsFound || 0,
       cardsNotFound: submission.estimateData?.cardsNotFound || 0
     };
     
-    submissionIndex.unshift(indexEntry);
-    
-    if (submissionIndex.length > 1000) {
-      submissionIndex = submissionIndex.slice(0, 1000);
-    }
-    
-    const indexMetafield = {
-      metafield: {
-        namespace: 'trade_in_system',
-        key: 'submission_index',
-        value: JSON.stringify(submissionIndex),
-        type: 'json'
-      }
-    };
-    
-    if (indexData.metafields && indexData.metafields.length > 0) {
-      await makeShopifyRequest(`/admin/api/2023-10/metafields/${indexData.metafields[0].id}.json`, {
-        method: 'PUT',
-        body: JSON.stringify(indexMetafield)
-      });
-    } else {
-      await makeShopifyRequest('/admin/api/2023-10/metafields.json', {
-        method: 'POST',
-        body: JSON.stringify(indexMetafield)
-      });
-    }
+    await updateShopMetafield(makeShopifyRequest, 'submission_index', (current) => {
+      const submissionIndex = Array.isArray(current) ? current : [];
+      return [indexEntry, ...submissionIndex].slice(0, 1000);
+    }, { fallbackValue: [] });
     
     console.log('✅ Submission index updated');
     
@@ -847,7 +635,7 @@ async function getSubmissionById(submissionId) {
   
   try {
     // First check anonymous submissions
-    const anonResponse = await makeShopifyRequest('/admin/api/2023-10/metafields.json?namespace=trade_in_system&key=anonymous_submissions');
+    const anonResponse = await makeShopifyRequest('/metafields.json?namespace=trade_in_system&key=anonymous_submissions');
     const anonData = await anonResponse.json();
     
     if (anonData.metafields && anonData.metafields.length > 0) {
@@ -859,7 +647,7 @@ async function getSubmissionById(submissionId) {
     }
     
     // Then check customer-linked submissions
-    const indexResponse = await makeShopifyRequest('/admin/api/2023-10/metafields.json?namespace=trade_in_system&key=submission_index');
+    const indexResponse = await makeShopifyRequest('/metafields.json?namespace=trade_in_system&key=submission_index');
     const indexData = await indexResponse.json();
     
     if (indexData.metafields && indexData.metafields.length > 0) {
@@ -868,7 +656,7 @@ async function getSubmissionById(submissionId) {
       
       if (indexEntry && indexEntry.customerId) {
         const metafieldResponse = await makeShopifyRequest(
-          `/admin/api/2023-10/customers/${indexEntry.customerId}/metafields.json?namespace=trade_in_submissions&key=${submissionId}`
+          `/customers/${indexEntry.customerId}/metafields.json?namespace=trade_in_submissions&key=${submissionId}`
         );
         
         const metafieldData = await metafieldResponse.json();
@@ -893,7 +681,7 @@ async function getSubmissionsByEmail(email) {
   
   try {
     const searchResponse = await makeShopifyRequest(
-      `/admin/api/2023-10/customers/search.json?query=email:${encodeURIComponent(email)}`
+      `/customers/search.json?query=email:${encodeURIComponent(email)}`
     );
     
     const searchData = await searchResponse.json();
@@ -905,7 +693,7 @@ async function getSubmissionsByEmail(email) {
     const customer = searchData.customers[0];
     
     const metafieldsResponse = await makeShopifyRequest(
-      `/admin/api/2023-10/customers/${customer.id}/metafields.json?namespace=trade_in_submissions`
+      `/customers/${customer.id}/metafields.json?namespace=trade_in_submissions`
     );
     
     const metafieldsData = await metafieldsResponse.json();
@@ -937,7 +725,7 @@ async function getAllSubmissions(filters = {}) {
   console.log('🔍 Getting all submissions from Shopify with filters:', filters);
   
   try {
-    const indexResponse = await makeShopifyRequest('/admin/api/2023-10/metafields.json?namespace=trade_in_system&key=submission_index');
+    const indexResponse = await makeShopifyRequest('/metafields.json?namespace=trade_in_system&key=submission_index');
     const indexData = await indexResponse.json();
     
     if (!indexData.metafields || indexData.metafields.length === 0) {
@@ -949,6 +737,9 @@ async function getAllSubmissions(filters = {}) {
     if (filters.status) {
       submissions = submissions.filter(sub => sub.status === filters.status);
     }
+    if (filters.game) {
+      submissions = submissions.filter(sub => (sub.games || []).includes(filters.game));
+    }
     
     return submissions;
     
@@ -994,7 +785,7 @@ async function updateSubmissionStatus(submissionId, status, notes, processedBy)
     // Handle anonymous vs customer-linked differently
     if (submission.isAnonymous) {
       // Update in anonymous submissions
-      const anonResponse = await makeShopifyRequest('/admin/api/2023-10/metafields.json?namespace=trade_in_system&key=anonymous_submissions');
+      const anonResponse = await makeShopifyRequest('/metafields.json?namespace=trade_in_system&key=anonymous_submissions');
       const anonData = await anonResponse.json();
       
       if (anonData.metafields && anonData.metafields.length > 0) {
@@ -1003,7 +794,7 @@ async function updateSubmissionStatus(submissionId, status, notes, processedBy)
         if (idx !== -1) {
           anonSubmissions[idx] = submission;
           
-          await makeShopifyRequest(`/admin/api/2023-10/metafields/${anonData.metafields[0].id}.json`, {
+          await makeShopifyRequest(`/metafields/${anonData.metafields[0].id}.json`, {
             method: 'PUT',
             body: JSON.stringify({
               metafield: {
@@ -1017,7 +808,7 @@ async function updateSubmissionStatus(submissionId, status, notes, processedBy)
     } else {
       // Update customer-linked submission
       const metafieldResponse = await makeShopifyRequest(
-        `/admin/api/2023-10/customers/${submission.customer.shopifyId}/metafields.json?namespace=trade_in_submissions&key=${submissionId}`
+        `/customers/${submission.customer.shopifyId}/metafields.json?namespace=trade_in_submissions&key=${submissionId}`
       );
       
       const metafieldData = await metafieldResponse.json();
@@ -1025,7 +816,7 @@ async function updateSubmissionStatus(submissionId, status, notes, processedBy)
       if (metafieldData.metafields && metafieldData.metafields.length > 0) {
         const metafieldId = metafieldData.metafields[0].id;
         
-        await makeShopifyRequest(`/admin/api/2023-10/metafields/${metafieldId}.json`, {
+        await makeShopifyRequest(`/metafields/${metafieldId}.json`, {
           method: 'PUT',
           body: JSON.stringify({
             metafield: {
@@ -1050,28 +841,17 @@ async function updateSubmissionStatus(submissionId, status, notes, processedBy)
 
 async function updateSubmissionInIndex(submissionId, updates) {
   try {
-    const indexResponse = await makeShopifyRequest('/admin/api/2023-10/metafields.json?namespace=trade_in_system&key=submission_index');
-    const indexData = await indexResponse.json();
-    
-    if (indexData.metafields && indexData.metafields.length > 0) {
-      let submissionIndex = JSON.parse(indexData.metafields[0].value);
+    let updated = false;
+    await updateShopMetafield(makeShopifyRequest, 'submission_index', (current) => {
+      const submissionIndex = Array.isArray(current) ? current : [];
+      updated = submissionIndex.some(sub => sub.id === submissionId);
+      if (!updated) return undefined;
       
-      const submissionIdx = submissionIndex.findIndex(sub => sub.id === submissionId);
-      if (submissionIdx !== -1) {
-        submissionIndex[submissionIdx] = { ...submissionIndex[submissionIdx], ...updates };
-        
-        await makeShopifyRequest(`/admin/api/2023-10/metafields/${indexData.metafields[0].id}.json`, {
-          method: 'PUT',
-          body: JSON.stringify({
-            metafield: {
-              value: JSON.stringify(submissionIndex),
-              type: 'json'
-            }
-          })
-        });
-        
-        console.log('✅ Submission index updated');
-      }
+      return submissionIndex.map(sub => (sub.id === submissionId ? { ...sub, ...updates } : sub));
+    }, { fallbackValue: [] });
+    
+    if (updated) {
+      console.log('✅ Submission index updated');
     }
   } catch (error) {
     console.error('⚠️ Failed to update submission in index (non-critical):', error);
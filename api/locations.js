@@ -0,0 +1,83 @@
+// api/locations.js
+// Shopify locations trade-ins can be routed to, plus the per-employee / per-kiosk default
+// location mapping (GET for the staff screen, POST to update the mapping as an admin)
+
+const { requireAdmin } = require('../lib/admin-auth');
+const { makeShopifyRequest, sendShopifyError } = require('../lib/shopify-client');
+const {
+  loadLocations,
+  loadLocationRouting,
+  saveLocationRouting,
+  validateLocationRouting
+} = require('../lib/locations');
+
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  console.log('=== LOCATIONS API ===');
+  console.log('Method:', req.method);
+
+  try {
+    if (!process.env.SHOPIFY_DOMAIN || !process.env.SHOPIFY_ACCESS_TOKEN) {
+      return res.status(500).json({
+        error: 'Server configuration error',
+        details: 'Missing Shopify credentials'
+      });
+    }
+
+    if (req.method === 'GET') {
+      return await handleGetLocations(req, res);
+    } else if (req.method === 'POST') {
+      if (!requireAdmin(req, res)) return;
+      return await handleUpdateRouting(req, res);
+    } else {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+  } catch (err) {
+    console.error('💥 LOCATIONS ERROR:', err);
+    if (sendShopifyError(res, err)) return;
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+async function handleGetLocations(req, res) {
+  const locations = await loadLocations(makeShopifyRequest);
+  const { routing } = await loadLocationRouting(makeShopifyRequest);
+
+  return res.status(200).json({
+    success: true,
+    locations: locations.map(location => ({ id: location.id, name: location.name })),
+    routing
+  });
+}
+
+async function handleUpdateRouting(req, res) {
+  const { defaultLocation = null, employees = {}, kiosks = {} } = req.body || {};
+  const routing = { defaultLocation, employees, kiosks };
+
+  const locations = await loadLocations(makeShopifyRequest);
+  const errors = validateLocationRouting(routing, locations);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid location routing', details: errors });
+  }
+
+  const { metafieldId } = await loadLocationRouting(makeShopifyRequest);
+  await saveLocationRouting(makeShopifyRequest, routing, metafieldId);
+  console.log('✅ Location routing updated');
+
+  return res.status(200).json({
+    success: true,
+    routing
+  });
+}
@@ -0,0 +1,115 @@
+// api/pricing-profiles.js
+// Admin API for versioned pricing profiles: list, create, edit, activate and roll back
+
+const { requireAdmin } = require('../lib/admin-auth');
+const { makeShopifyRequest, sendShopifyError } = require('../lib/shopify-client');
+const {
+  selectActiveProfile,
+  buildActivePricing,
+  loadPricingProfiles,
+  savePricingProfiles,
+  createProfile,
+  updateProfile,
+  setProfileEnabled,
+  rollbackProfile
+} = require('../lib/pricing-profiles');
+
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  console.log('=== PRICING PROFILES API ===');
+  console.log('Method:', req.method);
+
+  try {
+    if (!process.env.SHOPIFY_DOMAIN || !process.env.SHOPIFY_ACCESS_TOKEN) {
+      return res.status(500).json({
+        error: 'Server configuration error',
+        details: 'Missing Shopify credentials'
+      });
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    if (req.method === 'GET') {
+      return await handleListProfiles(req, res);
+    } else if (req.method === 'POST') {
+      return await handleProfileAction(req, res);
+    } else {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+  } catch (err) {
+    console.error('💥 PRICING PROFILES ERROR:', err);
+    if (sendShopifyError(res, err)) return;
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+async function handleListProfiles(req, res) {
+  const { profiles } = await loadPricingProfiles(makeShopifyRequest);
+  const active = buildActivePricing(selectActiveProfile(profiles));
+
+  return res.status(200).json({
+    success: true,
+    activeProfile: active.profile,
+    data: profiles
+  });
+}
+
+async function handleProfileAction(req, res) {
+  const { action, profileId, version, name, startsAt, endsAt, rules, note, updatedBy } = req.body || {};
+
+  const { metafieldId, profiles } = await loadPricingProfiles(makeShopifyRequest);
+  let result;
+
+  switch (action) {
+    case 'create':
+      result = createProfile(profiles, { name, startsAt, endsAt, rules, note, createdBy: updatedBy || null });
+      break;
+    case 'update':
+      result = updateProfile(profiles, profileId, { name, startsAt, endsAt, rules, note, updatedBy: updatedBy || null });
+      break;
+    case 'activate':
+      result = setProfileEnabled(profiles, profileId, true);
+      break;
+    case 'deactivate':
+      result = setProfileEnabled(profiles, profileId, false);
+      break;
+    case 'rollback':
+      if (version === undefined || version === null) {
+        return res.status(400).json({ error: 'version is required for rollback' });
+      }
+      result = rollbackProfile(profiles, profileId, version, { note, updatedBy: updatedBy || null });
+      break;
+    default:
+      return res.status(400).json({
+        error: 'Invalid action',
+        allowed: ['create', 'update', 'activate', 'deactivate', 'rollback']
+      });
+  }
+
+  if (result.error) {
+    return res.status(result.status || 400).json({ error: result.error, details: result.details });
+  }
+
+  await savePricingProfiles(makeShopifyRequest, profiles, metafieldId);
+  console.log(`✅ Pricing profile ${action}:`, result.profile.id, `v${result.profile.currentVersion}`);
+
+  const active = buildActivePricing(selectActiveProfile(profiles));
+
+  return res.status(action === 'create' ? 201 : 200).json({
+    success: true,
+    profile: result.profile,
+    activeProfile: active.profile
+  });
+}
@@ -0,0 +1,64 @@
+// api/pricing-rules.js
+// Read-only view of the active trade pricing rules, used by the customer portal for quotes.
+// With ?format=js it serves lib/pricing-rules.js itself as a browser script (window.PricingRules),
+// so the portal prices cards with the same code as the buyback endpoint rather than a copy.
+
+const fs = require('fs');
+const { getActivePricing, buildActivePricing } = require('../lib/pricing-profiles');
+const { makeShopifyRequest, sendShopifyError } = require('../lib/shopify-client');
+
+let script = null;
+
+// The CommonJS module wrapped to run in a page: its exports become window.PricingRules and
+// nothing else leaks into the page's globals
+async function pricingRulesScript() {
+  if (!script) {
+    const source = await fs.promises.readFile(require.resolve('../lib/pricing-rules'), 'utf8');
+    script = `(function () {\nconst module = { exports: {} };\n${source}\nwindow.PricingRules = module.exports;\n})();\n`;
+  }
+  return script;
+}
+
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    if (req.query?.format === 'js') {
+      res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+      res.setHeader('Cache-Control', 'public, max-age=300');
+      return res.status(200).end(await pricingRulesScript());
+    }
+
+    // Same profile selection the buyback endpoint uses, so the quote matches the payout
+    const hasCredentials = process.env.SHOPIFY_DOMAIN && process.env.SHOPIFY_ACCESS_TOKEN;
+    const activePricing = hasCredentials
+      ? await getActivePricing(makeShopifyRequest)
+      : buildActivePricing(null);
+
+    return res.status(200).json({
+      success: true,
+      rules: activePricing.rules,
+      profile: activePricing.profile,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('💥 PRICING RULES ERROR:', err);
+    if (sendShopifyError(res, err)) return;
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
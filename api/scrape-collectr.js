@@ -5,6 +5,8 @@
  * Body: { "url": "https://app.getcollectr.com/showcase/profile/..." }
  */
 
+const { SET_NAME_PATTERNS, normalizeGame, findSetName, gameForCard } = require('../lib/games');
+
 let chromium, puppeteer;
 
 // Dynamic imports for serverless
@@ -169,7 +171,9 @@ module.exports = async (req, res) => {
     
     // Fallback: scrape from DOM
     console.log('[Collectr] Scraping from DOM...');
-    const scrapedData = await page.evaluate(() => {
+    // Set names per game, as regex sources the page can rebuild
+    const setNamePatterns = SET_NAME_PATTERNS.map(({ game, pattern }) => ({ game, source: pattern.source }));
+    const scrapedData = await page.evaluate((setNamePatterns) => {
       const results = {
         profileName: null,
         totalValue: null,
@@ -180,9 +184,6 @@ module.exports = async (req, res) => {
       const h1 = document.querySelector('h1');
       if (h1) results.profileName = h1.textContent.trim();
       
-      // Pokemon sets regex
-      const pokemonSets = /\b(Prismatic Evolutions|Surging Sparks|Stellar Crown|Shrouded Fable|Twilight Masquerade|Temporal Forces|Paldean Fates|Paradox Rift|151|Obsidian Flames|Paldea Evolved|Scarlet & Violet|Crown Zenith|Silver Tempest|Lost Origin|Pokemon GO|Astral Radiance|Brilliant Stars|Fusion Strike|Celebrations|Evolving Skies|Chilling Reign|Battle Styles|Shining Fates|Vivid Voltage|Darkness Ablaze|Sword & Shield|Hidden Fates|Unified Minds|Team Up|Lost Thunder|Celestial Storm|Ultra Prism|Burning Shadows|Sun & Moon|Evolutions|XY|Base Set|Jungle|Fossil|Team Rocket|Neo Genesis)\b/i;
-      
       // Find card containers
       const containers = document.querySelectorAll('[class*="card"], [class*="item"], [class*="product"], article');
       
@@ -202,9 +203,15 @@ module.exports = async (req, res) => {
         // Skip if no name or name is too short/generic
         if (!card.name || card.name.length < 3) return;
         
-        // Set
-        const setMatch = text.match(pokemonSets);
-        if (setMatch) card.set = setMatch[1];
+        // Set, and the game it belongs to
+        for (const { game, source } of setNamePatterns) {
+          const setMatch = text.match(new RegExp(source, 'i'));
+          if (setMatch) {
+            card.set = setMatch[1];
+            card.game = game;
+            break;
+          }
+        }
         
         // Card number
         const numMatch = text.match(/(\d{1,3})\s*\/\s*(\d{1,3})/);
@@ -230,7 +237,7 @@ module.exports = async (req, res) => {
       });
       
       return results;
-    });
+    }, setNamePatterns);
     
     await browser.close();
     console.log(`[Collectr] Found ${scrapedData.cards.length} cards from DOM`);
@@ -242,7 +249,7 @@ module.exports = async (req, res) => {
       if (seen.has(key)) return false;
       seen.add(key);
       return true;
-    });
+    }).map(card => ({ ...card, game: card.game || cardGame(card) }));
     
     return res.status(200).json({
       success: true,
@@ -290,13 +297,24 @@ function normalizeApiData(data) {
     items = data.data;
   }
   
-  return items.map(item => ({
-    name: item.name || item.productName || item.title || item.cardName || null,
-    set: item.set || item.setName || item.expansion || item.series || null,
-    number: item.number || item.cardNumber || item.collectorNumber || null,
-    condition: item.condition || item.grade || 'NM',
-    quantity: item.quantity || item.qty || item.count || 1,
-    marketPrice: item.price || item.marketPrice || item.value || item.tcgPrice || null,
-    image: item.image || item.imageUrl || item.img || item.thumbnail || null
-  })).filter(card => card.name);
+  return items.map(item => {
+    const card = {
+      name: item.name || item.productName || item.title || item.cardName || null,
+      set: item.set || item.setName || item.expansion || item.series || null,
+      number: item.number || item.cardNumber || item.collectorNumber || null,
+      condition: item.condition || item.grade || 'NM',
+      quantity: item.quantity || item.qty || item.count || 1,
+      marketPrice: item.price || item.marketPrice || item.value || item.tcgPrice || null,
+      image: item.image || item.imageUrl || item.img || item.thumbnail || null
+    };
+    return { ...card, game: cardGame({ ...card, category: item.game || item.category || item.categoryName }) };
+  }).filter(card => card.name);
+}
+
+// Game from what Collectr gave: its category, else the set name, else a set code in the
+// name or number
+function cardGame({ category, name, set, number }) {
+  return normalizeGame(category) ||
+    findSetName(set)?.game ||
+    gameForCard({ cardName: [name, number].filter(Boolean).join(' ') });
 }
@@ -1,5 +1,50 @@
 // /api/shopify-image-match.js
-// FIXED: Searches for "Pokemon Single" not "Pokemon Singles"
+// Matches a card photo to store products: the OCR text becomes a card name, which goes
+// through the same search pipeline as the trade counter (lib/card-search.js). Without OCR
+// text from the browser the photo is read here, offline (lib/card-ocr.js). Candidates come
+// from the search's queries, card number tags before name words, against the catalog index
+// when one is built, otherwise Shopify's product search paged through its first few pages
+// (LIVE_MAX_PAGES); other games' products are then dropped.
+//
+// Photos come as multipart form data (lib/multipart.js): the front as `image` (or `front`),
+// optionally the `back`. Oversized uploads get a 413, anything but JPEG/PNG/WebP/HEIC a 415.
+//
+// The photo also gives hints about the printing (lib/edition-signals.js). The holo pattern
+// nudges the order of a card's variants (holo, reverse holo or non-holo); when that changes
+// the printing, the match needs confirming (printing_changed). Stamp and set symbol scores and
+// the Base Set shadow come back in edition_signals for staff, but don't pick a printing: the
+// templates are stand-ins and the shadow is too thin to read off a tilted photo. A photo of
+// the back, when uploaded, only tells the game.
+//
+// multi_card=true takes a photo of several cards (a binder page, a spread): each card is found
+// and cropped (lib/card-detect.js), read and matched on its own, and the response has one
+// entry per card in `cards`, with its bounding box in the photo. Up to MAX_CARDS are cropped
+// (cards_truncated says when there were more). MULTI_CARD_BUDGET_MS is a deadline for the
+// whole photo: no card is started after it, those come back in cards_skipped to send again on
+// their own, and a card under way when it passes stops reading and searching and comes back
+// with what it has and timed_out set. `partial` says the response is missing either.
+
+import { getShopifyClient } from '../lib/shopify-client.js';
+import { createCardSearch, rankCandidates } from '../lib/card-search.js';
+import { loadCatalogIndex } from '../lib/catalog-index.js';
+import { loadSearchAliases } from '../lib/learned-aliases.js';
+import { normalizeGame } from '../lib/games.js';
+import { recognizeCard, parseCardFields } from '../lib/card-ocr.js';
+import { hashImage } from '../lib/image-hash.js';
+import { loadImageIndex, blendCandidates } from '../lib/image-index.js';
+import { detectCards, MAX_CARDS } from '../lib/card-detect.js';
+import { mapWithConcurrency } from '../lib/concurrency.js';
+import { parseMultipartForm } from '../lib/multipart.js';
+import { readEditionSignals, applyEditionSignals } from '../lib/edition-signals.js';
+
+// Form fields photos may be uploaded in
+const IMAGE_FIELDS = ['image', 'front', 'back'];
+// Cards of a multi-card photo in flight at once: OCR takes turns on the one worker, so this
+// only overlaps one card's reading with another's Shopify search, hashing and edition read
+const MULTI_CARD_CONCURRENCY = 2;
+// Deadline for a multi-card photo, so a full binder page answers inside the function's 60s
+// maxDuration (vercel.json). MULTI_CARD_BUDGET_MS in the environment overrides it.
+const MULTI_CARD_BUDGET_MS = 40 * 1000;
 
 export const config = {
   api: {
@@ -26,45 +71,53 @@ export default async function handler(req, res) {
     console.log('=== Shopify Image Match API Started ===');
     const startTime = Date.now();
     
-    const shopifyKey = process.env.SHOPIFY_API_KEY;
+    // The store comes from configuration, like every other endpoint: SHOPIFY_DOMAIN, or the
+    // shop name in SHOPIFY_STORE
     const shopifyToken = process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_API_PASSWORD;
-    const shopifyStore = process.env.SHOPIFY_STORE || 'ke40sv-my';
+    const shopifyDomain = process.env.SHOPIFY_DOMAIN ||
+      (process.env.SHOPIFY_STORE ? `${process.env.SHOPIFY_STORE}.myshopify.com` : null);
     
     console.log('Environment check:', {
-      hasKey: !!shopifyKey,
       hasToken: !!shopifyToken,
-      store: shopifyStore
+      store: shopifyDomain
     });
 
-    if (!shopifyKey || !shopifyToken) {
+    if (!shopifyDomain || !shopifyToken) {
       return res.status(500).json({
         error: 'Missing Shopify credentials',
-        details: 'Set SHOPIFY_API_KEY and SHOPIFY_ACCESS_TOKEN environment variables'
+        details: 'Set SHOPIFY_DOMAIN (or SHOPIFY_STORE) and SHOPIFY_ACCESS_TOKEN environment variables'
       });
     }
 
     let formData;
     try {
-      formData = await parseFormDataNative(req);
+      formData = await parseMultipartForm(req, { fileFields: IMAGE_FIELDS });
       console.log('Form data parsed successfully');
     } catch (parseError) {
-      return res.status(400).json({
-        error: 'Failed to parse form data',
-        details: parseError.message
+      console.log(`❌ Upload rejected (${parseError.status}):`, parseError.message);
+      return res.status(parseError.status || 400).json({
+        error: parseError.status === 413 ? 'Upload too large' : parseError.status === 415 ? 'Unsupported upload' : 'Failed to parse form data',
+        code: parseError.code || null,
+        details: parseError.details ? `${parseError.message}. ${parseError.details}` : parseError.message
       });
     }
     
     const { 
-      shopify_store = shopifyStore, 
       match_threshold = 0.7, 
       max_results = 5,
       search_type = 'generic',
       card_number = null,
-      extracted_text = null
+      extracted_text = null,
+      multi_card = false,
+      game: requestedGame = null
     } = formData.fields;
 
+    // The scanner's Pokémon mode implies the game; otherwise it's inferred from the set code
+    const game = normalizeGame(requestedGame) || (search_type === 'pokemon_card' ? 'pokemon' : null);
+
     console.log('🔍 Search parameters:', {
       search_type,
+      game,
       card_number,
       threshold: match_threshold,
       max_results,
@@ -72,31 +125,29 @@ export default async function handler(req, res) {
       extracted_text_preview: extracted_text ? extracted_text.substring(0, 50) : 'none'
     });
 
-    if (!formData.files || !formData.files.image) {
+    // The card's front comes as `image` (or `front`); `back` is optional
+    const imageFile = formData.files.image || formData.files.front;
+    const backFile = formData.files.back || null;
+    if (!imageFile) {
       return res.status(400).json({
         error: 'No image file provided'
       });
     }
 
-    const imageFile = formData.files.image;
     console.log('Processing image:', {
       filename: imageFile.filename,
       size: imageFile.data.length,
-      type: imageFile.mimetype
+      type: imageFile.mimetype,
+      has_back: !!backFile
     });
 
     // Connect to Shopify
     console.log('=== Connecting to Shopify via REST API ===');
-    let products = [];
+    const shopify = getShopifyClient({ domain: shopifyDomain, accessToken: shopifyToken });
     let shopInfo = null;
 
     try {
-      const shopResponse = await fetch(`https://${shopifyStore}.myshopify.com/admin/api/2023-10/shop.json`, {
-        headers: {
-          'X-Shopify-Access-Token': shopifyToken,
-          'Content-Type': 'application/json'
-        }
-      });
+      const shopResponse = await shopify.request('/shop.json');
       
       if (!shopResponse.ok) {
         throw new Error(`Shop API returned ${shopResponse.status}: ${shopResponse.statusText}`);
@@ -105,313 +156,127 @@ export default async function handler(req, res) {
       const shopData = await shopResponse.json();
       shopInfo = shopData.shop;
       console.log('✅ Connected to shop:', shopInfo.name);
-      
-      // Get initial products
-      const productsResponse = await fetch(`https://${shopifyStore}.myshopify.com/admin/api/2023-10/products.json?limit=50&published_status=published`, {
-        headers: {
-          'X-Shopify-Access-Token': shopifyToken,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!productsResponse.ok) {
-        throw new Error(`Products API returned ${productsResponse.status}`);
-      }
-      
-      const productsData = await productsResponse.json();
-      products = productsData.products || [];
-      
-      console.log(`Retrieved ${products.length} initial products from Shopify`);
-      
     } catch (shopifyError) {
       return res.status(500).json({
         error: 'Shopify connection failed',
         message: shopifyError.message,
-        store: shopifyStore
+        store: shopifyDomain
+      });
+    }
+
+    const matchOptions = {
+      shopify,
+      catalog: await loadCatalogIndex(),
+      aliases: null,
+      game,
+      searchType: search_type,
+      cardNumber: card_number,
+      threshold: parseFloat(match_threshold),
+      maxResults: parseInt(max_results)
+    };
+    const storeInfo = {
+      shopify_connection: 'direct-rest-api',
+      shop_name: shopInfo?.name || 'Unknown',
+      store_domain: shopInfo?.domain || shopifyDomain
+    };
+    const imageInfo = {
+      filename: imageFile.filename,
+      size: imageFile.data.length,
+      type: imageFile.mimetype,
+      ...(backFile ? { back: { filename: backFile.filename, size: backFile.data.length, type: backFile.mimetype } } : {})
+    };
+
+    // Several cards in one photo: each is cropped, read and matched on its own
+    if (multi_card === true || multi_card === 'true' || multi_card === '1') {
+      const detection = await detectCardsInPhoto(imageFile);
+      const crops = detection.cards.length > 0
+        ? detection.cards
+        : [{
+            boundingBox: detection.width ? { x: 0, y: 0, width: detection.width, height: detection.height } : null,
+            corners: null,
+            image: imageFile.data,
+            wholePhoto: true
+          }];
+
+      const deadline = startTime + (Number(process.env.MULTI_CARD_BUDGET_MS) || MULTI_CARD_BUDGET_MS);
+      const results = await mapWithConcurrency([...crops.entries()], MULTI_CARD_CONCURRENCY, async ([index, crop]) => {
+        const position = { index, bounding_box: crop.boundingBox, corners: crop.corners };
+        if (Date.now() >= deadline) return { skipped: position };
+
+        // The frontend's OCR text is for the whole photo, so it only stands in for a single card
+        const useFrontendText = crop.wholePhoto && !!extracted_text;
+        const ocr = useFrontendText ? null : await extractTextFromImage({ ...imageFile, data: crop.image }, { deadline });
+        const result = await matchCard(crop.image, useFrontendText ? extracted_text : ocr?.text || '', ocr, { ...matchOptions, deadline });
+        return { card: { ...position, ...cardResponse(result, ocr) } };
+      });
+      const cards = results.filter(result => result.card).map(result => result.card);
+      const skipped = results.filter(result => result.skipped).map(result => result.skipped);
+      const timedOut = cards.filter(card => card.timed_out).length;
+      const { detected } = detection;
+
+      console.log(`✅ Matched ${cards.length} cards (${detected} detected, ${detection.cards.length} cropped, ${skipped.length} skipped and ${timedOut} cut short for time)`);
+      return res.status(200).json({
+        success: true,
+        multi_card: true,
+        partial: skipped.length > 0 || timedOut > 0,
+        cards_detected: detected,
+        cards_truncated: detected > detection.cards.length,
+        max_cards: MAX_CARDS,
+        cards,
+        cards_skipped: skipped,
+        ...storeInfo,
+        processing_time: Date.now() - startTime,
+        ocr_source: 'backend',
+        ...(detection.error ? { detection_error: detection.error } : {}),
+        debug_info: {
+          detection_time: detection.durationMs,
+          image_width: detection.width || null,
+          image_height: detection.height || null,
+          search_type: search_type,
+          cards_with_matches: cards.filter(card => card.matches.length > 0).length
+        },
+        image_info: imageInfo
       });
     }
 
     // Use frontend OCR result if available
-    const extractedText = extracted_text || await extractTextFromImage(imageFile);
+    const ocr = extracted_text ? null : await extractTextFromImage(imageFile);
+    const extractedText = extracted_text || ocr?.text || '';
     console.log('📝 Using extracted text:', extracted_text ? '(from frontend OCR)' : '(from backend)');
     console.log('📝 Full extracted text:', extractedText);
 
-    // ENHANCED SEARCH LOGIC
-    if (search_type === 'pokemon_card' && card_number) {
-      console.log(`🎯 Direct Pokemon card search requested for: ${card_number}`);
-      
-      // Search directly for the specified card number
-      const searchFormats = [
-        card_number,                          // 031182
-        card_number.replace(/(\d{3})(\d{3})/, '$1/$2'), // 031/182
-        card_number.replace(/(\d{3})(\d{3})/, '$1-$2'),  // 031-182
-      ];
-      
-      for (const searchTerm of searchFormats) {
-        console.log(`🔍 Searching for Pokemon card: "${searchTerm}"`);
-        
-        const searchUrl = `https://${shopifyStore}.myshopify.com/admin/api/2023-10/products.json?limit=50&published_status=any&query=${encodeURIComponent(searchTerm)}`;
-        
-        const searchResponse = await fetch(searchUrl, {
-          headers: {
-            'X-Shopify-Access-Token': shopifyToken,
-            'Content-Type': 'application/json'
-          }
-        });
-        
-        if (searchResponse.ok) {
-          const searchData = await searchResponse.json();
-          const foundProducts = searchData.products || [];
-          console.log(`📦 Found ${foundProducts.length} products for "${searchTerm}"`);
-          
-          if (foundProducts.length > 0) {
-            products = foundProducts;
-            console.log(`✅ Using ${foundProducts.length} products from direct card search`);
-            console.log('Found products:', foundProducts.map(p => p.title));
-            break;
-          }
-        }
-      }
-    }
-    // POKEMON SINGLES DETECTION - FIXED FOR "Pokemon Single" (no 's')
-    else if (extractedText.toLowerCase().includes('pokemon')) {
-      console.log('🎯 Pokemon detected! Searching for Pokemon singles...');
-      
-      // Look for card numbers in the extracted text
-      const cardNumberMatch = extractedText.match(/[0O]{0,3}(\d{1,3})[\/\-\s]*(\d{2,3})/);
-      
-      if (cardNumberMatch) {
-        let cardNumber = cardNumberMatch[0]
-          .replace(/[O]/g, '0')          // O to 0
-          .replace(/[\/\-\s]/g, '');     // Remove separators
-        
-        console.log(`📋 Card number detected: ${cardNumber}`);
-        
-        // Try different tag formats for SINGLES
-        const tagFormats = [
-          cardNumber,                           // 031182
-          cardNumber.replace(/^0+/, ''),        // 31182 (no leading zeros)
-          cardNumber.replace(/(\d{3})(\d{3})/, '$1/$2'),  // 031/182
-          cardNumber.replace(/(\d{3})(\d{3})/, '$1-$2'),  // 031-182
-          cardNumber.replace(/(\d{3})(\d{3})/, '$1_$2'),  // 031_182
-        ];
-        
-        console.log('🔍 Trying tag formats:', tagFormats);
-        
-        let cardNumberProducts = [];
-        
-        // FIXED: Search for "Pokemon Single" not "Pokemon Singles"
-        try {
-          console.log('🔍 Searching for "Pokemon Single" product type...');
-          
-          // Try both singular and plural to be safe
-          const productTypes = ['Pokemon Single', 'Pokemon Singles'];
-          
-          for (const productType of productTypes) {
-            const singlesUrl = `https://${shopifyStore}.myshopify.com/admin/api/2023-10/products.json?limit=250&published_status=any&product_type=${encodeURIComponent(productType)}`;
-            
-            console.log(`🔍 Trying product type: "${productType}"`);
-            
-            const singlesResponse = await fetch(singlesUrl, {
-              headers: {
-                'X-Shopify-Access-Token': shopifyToken,
-                'Content-Type': 'application/json'
-              }
-            });
-            
-            if (singlesResponse.ok) {
-              const singlesData = await singlesResponse.json();
-              const allSingles = singlesData.products || [];
-              console.log(`📦 Found ${allSingles.length} products with type "${productType}"`);
-              
-              if (allSingles.length > 0) {
-                // Filter for the specific card number
-                const matchingSingles = allSingles.filter(product => {
-                  const searchText = [
-                    product.title,
-                    product.tags,
-                    ...(product.variants?.map(v => v.sku) || [])
-                  ].join(' ').toLowerCase();
-                  
-                  return tagFormats.some(format => 
-                    searchText.includes(format.toLowerCase())
-                  );
-                });
-                
-                if (matchingSingles.length > 0) {
-                  cardNumberProducts = matchingSingles;
-                  console.log(`✅ Found ${matchingSingles.length} matching singles for card ${cardNumber}`);
-                  break; // Found matches, exit loop
-                } else {
-                  // Use all singles if no specific match but only if we don't have any yet
-                  if (cardNumberProducts.length === 0) {
-                    cardNumberProducts = allSingles.slice(0, 50);
-                    console.log(`⚠️ No exact match, using ${cardNumberProducts.length} Pokemon singles`);
-                  }
-                }
-              }
-            }
-            
-            // If we found products, break out of productTypes loop
-            if (cardNumberProducts.length > 0) break;
-          }
-        } catch (error) {
-          console.log(`❌ Singles search error: ${error.message}`);
-        }
-        
-        // Second try: Search with card number using tag search
-        if (cardNumberProducts.length === 0) {
-          console.log('🔄 Trying tag-based search...');
-          
-          for (const tagFormat of tagFormats) {
-            console.log(`🏷️ Searching by tag: "${tagFormat}"`);
-            
-            try {
-              // Use tag search instead of general query
-              const searchUrl = `https://${shopifyStore}.myshopify.com/admin/api/2023-10/products.json?limit=50&published_status=any&query=tag:${encodeURIComponent(tagFormat)}`;
-              
-              const response = await fetch(searchUrl, {
-                headers: {
-                  'X-Shopify-Access-Token': shopifyToken,
-                  'Content-Type': 'application/json'
-                }
-              });
-              
-              if (response.ok) {
-                const data = await response.json();
-                const foundProducts = data.products || [];
-                
-                console.log(`📦 Found ${foundProducts.length} products with tag "${tagFormat}"`);
-                
-                // Filter OUT sealed products
-                const singlesOnly = foundProducts.filter(p => {
-                  const productType = (p.product_type || '').toLowerCase();
-                  const title = (p.title || '').toLowerCase();
-                  
-                  // Exclude sealed products
-                  const isSealed = 
-                    productType.includes('sealed') || 
-                    productType.includes('booster') ||
-                    title.includes('booster') || 
-                    title.includes('pack') || 
-                    title.includes('box');
-                  
-                  return !isSealed;
-                });
-                
-                console.log(`📦 After filtering: ${singlesOnly.length} are singles`);
-                
-                if (singlesOnly.length > 0) {
-                  cardNumberProducts = singlesOnly;
-                  console.log(`✅ Found singles for tag "${tagFormat}"`);
-                  break;
-                }
-              }
-            } catch (error) {
-              console.log(`❌ Tag search error for "${tagFormat}": ${error.message}`);
-            }
-          }
-        }
-        
-        // Third try: Search by title if we extracted a Pokemon name
-        if (cardNumberProducts.length === 0) {
-          console.log('🔄 Trying title-based search...');
-          
-          // Extract Pokemon name from OCR text
-          const lines = extractedText.split('\n').map(l => l.trim());
-          const pokemonName = lines.find(line => 
-            line.length > 3 && 
-            line.length < 20 &&
-            !line.match(/^\d+/) && 
-            !line.toLowerCase().includes('hp') &&
-            !line.toLowerCase().includes('pokemon')
-          );
-          
-          if (pokemonName) {
-            console.log(`🔍 Searching by Pokemon name: "${pokemonName}"`);
-            
-            const titleSearch = await fetch(
-              `https://${shopifyStore}.myshopify.com/admin/api/2023-10/products.json?limit=50&published_status=any&query=title:${encodeURIComponent(pokemonName)}`,
-              {
-                headers: {
-                  'X-Shopify-Access-Token': shopifyToken,
-                  'Content-Type': 'application/json'
-                }
-              }
-            );
-            
-            if (titleSearch.ok) {
-              const titleData = await titleSearch.json();
-              const titleProducts = titleData.products || [];
-              console.log(`📦 Found ${titleProducts.length} products by title`);
-              
-              // Filter for singles only
-              const singlesOnly = titleProducts.filter(p => {
-                const productType = (p.product_type || '').toLowerCase();
-                return productType.includes('single') && !productType.includes('sealed');
-              });
-              
-              if (singlesOnly.length > 0) {
-                cardNumberProducts = singlesOnly;
-                console.log(`✅ Found ${singlesOnly.length} singles by title`);
-              }
-            }
-          }
-        }
-        
-        if (cardNumberProducts.length > 0) {
-          products = cardNumberProducts;
-          console.log(`🎯 Final: Using ${cardNumberProducts.length} Pokemon singles for matching`);
-        } else {
-          console.log('❌ No Pokemon singles found!');
-          console.log('💡 Debug info:');
-          console.log('   - Extracted text:', extractedText);
-          console.log('   - Card number:', cardNumber);
-          console.log('   - Tag formats tried:', tagFormats);
-        }
-      } else {
-        console.log('❌ No card number detected in OCR text');
-        console.log('Extracted text:', extractedText);
-      }
-    } else {
-      console.log('❌ No Pokemon detected in extracted text');
-      console.log('Extracted text:', extractedText);
-    }
+    const result = await matchCard(imageFile.data, extractedText, ocr, matchOptions, { backData: backFile?.data });
+    const { cardName, ocrFields, searchResult, visualMatches, matches } = result;
+    const optionCount = searchResult.allOptions?.length || 0;
 
-    // Match products based on extracted text
-    const matches = findProductMatches(products, extractedText, {
-      threshold: parseFloat(match_threshold),
-      maxResults: parseInt(max_results)
-    });
-
-    console.log(`✅ Found ${matches.length} final matches`);
+    console.log(`✅ Found ${matches.length} final matches (${visualMatches.length} visually similar products)`);
 
+    const { card_query, ...card } = cardResponse(result, ocr);
     const response = {
       success: true,
-      matches: matches,
-      total_products_searched: products.length,
+      ...card,
+      allOptions: searchResult.allOptions || [],
+      total_products_searched: optionCount,
+      ...storeInfo,
       processing_time: Date.now() - startTime,
-      shopify_connection: 'direct-rest-api',
-      shop_name: shopInfo?.name || 'Unknown',
-      store_domain: shopInfo?.domain || shopifyStore + '.myshopify.com',
-      extracted_text: extractedText,
       ocr_source: extracted_text ? 'frontend' : 'backend',
       debug_info: {  // Added for mobile debugging
-        card_number_detected: extractedText.match(/[0O]{0,3}(\d{1,3})[\/\-\s]*(\d{2,3})/) ? true : false,
+        card_number_detected: !!(ocrFields.setNumber.value || detectCardNumber(extractedText)),
+        ocr_skew_degrees: ocr?.skew ?? null,
+        ocr_time: ocr?.durationMs ?? null,
+        card_query,
         search_type: search_type,
-        products_found: products.length,
+        products_found: optionCount,
+        visual_matches: visualMatches.length,
+        edition_time: result.edition.signals?.durationMs ?? null,
         matches_returned: matches.length
       },
-      image_info: {
-        filename: imageFile.filename,
-        size: imageFile.data.length,
-        type: imageFile.mimetype
-      }
+      image_info: imageInfo
     };
 
     console.log('=== RESPONSE SUMMARY ===');
     console.log('Matches found:', matches.length);
-    console.log('Products searched:', products.length);
+    console.log('Search method:', response.searchMethod);
     console.log('OCR source:', response.ocr_source);
     console.log('Extracted text:', extractedText.substring(0, 100));
 
@@ -431,195 +296,235 @@ export default async function handler(req, res) {
   }
 }
 
-// Parse multipart form data
-async function parseFormDataNative(req) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    
-    req.on('data', (chunk) => {
-      chunks.push(chunk);
-    });
-    
-    req.on('end', () => {
-      try {
-        const buffer = Buffer.concat(chunks);
-        const contentType = req.headers['content-type'];
-        
-        if (!contentType || !contentType.includes('multipart/form-data')) {
-          throw new Error('Content-Type must be multipart/form-data');
-        }
-        
-        const boundaryMatch = contentType.match(/boundary=(.+)$/);
-        if (!boundaryMatch) {
-          throw new Error('No boundary found in Content-Type');
-        }
-        
-        const boundary = '--' + boundaryMatch[1];
-        const parts = buffer.toString().split(boundary);
-        
-        const fields = {};
-        const files = {};
-        
-        for (let part of parts) {
-          if (part.trim() === '' || part.trim() === '--') continue;
-          
-          const headerEnd = part.indexOf('\r\n\r\n');
-          if (headerEnd === -1) continue;
-          
-          const headers = part.substring(0, headerEnd);
-          const body = part.substring(headerEnd + 4);
-          
-          const dispositionMatch = headers.match(/Content-Disposition:\s*form-data;\s*name="([^"]+)"(?:;\s*filename="([^"]+)")?/);
-          if (!dispositionMatch) continue;
-          
-          const fieldName = dispositionMatch[1];
-          const filename = dispositionMatch[2];
-          
-          if (filename) {
-            const contentTypeMatch = headers.match(/Content-Type:\s*([^\r\n]+)/);
-            const mimetype = contentTypeMatch ? contentTypeMatch[1] : 'application/octet-stream';
-            
-            const cleanBody = body.replace(/\r?\n--$/, '');
-            const fileData = Buffer.from(cleanBody, 'binary');
-            
-            files[fieldName] = {
-              filename: filename,
-              data: fileData,
-              size: fileData.length,
-              mimetype: mimetype
-            };
-          } else {
-            fields[fieldName] = body.trim().replace(/\r?\n--$/, '');
-          }
-        }
-        
-        resolve({ fields, files });
-        
-      } catch (parseError) {
-        reject(new Error(`Form parsing failed: ${parseError.message}`));
-      }
-    });
-    
-    req.on('error', (error) => {
-      reject(new Error(`Request error: ${error.message}`));
-    });
-  });
-}
-
-// Backend OCR fallback
-async function extractTextFromImage(imageFile) {
+// Backend OCR fallback. A photo that can't be read still gets a response, with no matches
+// and the reason in ocr_error.
+async function extractTextFromImage(imageFile, { deadline = null } = {}) {
   console.log('=== OCR PROCESSING (Backend Fallback) ===');
-  console.log('⚠️ Backend OCR should not be used when frontend OCR is available');
   console.log('Image file size:', imageFile.size);
   console.log('Image type:', imageFile.mimetype);
-  
-  return '';
+
+  try {
+    const ocr = await recognizeCard(imageFile.data, { deadline });
+    console.log(`✅ Backend OCR done in ${ocr.durationMs}ms (confidence ${ocr.confidence})`);
+    return ocr;
+  } catch (ocrError) {
+    console.error('❌ Backend OCR failed:', ocrError.message);
+    return { text: '', confidence: null, fields: null, error: ocrError.message };
+  }
 }
 
-// Find matching products with SINGLES prioritization
-function findProductMatches(products, extractedText, options = {}) {
-  const { threshold = 0.3, maxResults = 5 } = options;  // Lowered threshold to 0.3
-  
-  console.log('=== MATCHING DEBUG ===');
-  console.log('Extracted text:', extractedText);
-  console.log('Search threshold:', threshold);
-  console.log('Total products to search:', products.length);
-  
-  const searchTerms = extractedText.toLowerCase().split(/\s+/).filter(term => term.length > 1);
-  console.log('Search terms:', searchTerms);
-  
-  const scoredProducts = products.map(product => {
-    let score = 0;
-    
-    const searchableFields = [
-      product.title || '',
-      product.vendor || '',
-      product.product_type || '',
-      ...(product.tags || []),
-      ...(product.variants?.map(v => v.title || '') || []),
-      ...(product.variants?.map(v => v.sku || '') || [])
-    ];
-    
-    const productText = searchableFields.join(' ').toLowerCase();
-    const productType = (product.product_type || '').toLowerCase();
-    const title = (product.title || '').toLowerCase();
-    
-    // BOOST score for singles
-    if (productType.includes('single') && !productType.includes('sealed')) {
-      score += 0.5;
-    }
-    
-    // PENALTY for sealed products
-    if (productType.includes('sealed') || productType.includes('booster') || 
-        title.includes('pack') || title.includes('box') || title.includes('booster')) {
-      score -= 0.5;
-    }
-    
-    searchTerms.forEach(term => {
-      if (productText.includes(' ' + term + ' ') || productText.startsWith(term + ' ') || productText.endsWith(' ' + term)) {
-        score += 0.8;
-      }
-      
-      if (productText.includes(term)) {
-        score += 0.4;
-      }
-      
-      if (title.includes(term)) {
-        score += 0.6;
-      }
-      
-      const productSKUs = product.variants?.map(v => v.sku?.toLowerCase()) || [];
-      if (productSKUs.some(sku => sku === term || sku?.includes(term) || term.includes(sku))) {
-        score += 1.0;
-      }
-      
-      if (term.match(/\d+[\/\-]?\d+/)) {
-        const cardNumberInProduct = [title, ...productSKUs, ...(product.variants?.map(v => v.title?.toLowerCase()) || [])];
-        if (cardNumberInProduct.some(field => field?.includes(term))) {
-          score += 1.2;
-        }
-      }
-      
-      if (product.vendor?.toLowerCase().includes(term)) {
-        score += 0.3;
-      }
+// Card number from OCR text ("025/198", OCR'd "O25/198"), as "025/198"
+function detectCardNumber(text) {
+  const match = (text || '').match(/([0O]{0,2}\d{1,3})\s*[\/\-]\s*(\d{2,3})/);
+  return match ? `${match[1].replace(/O/g, '0')}/${match[2]}` : null;
+}
+
+// The card name to search for: the card's name and number from the parsed OCR fields or the
+// text's lines, or the card number the frontend already picked out ("031182" -> "031/182")
+function buildCardQuery(extractedText, { searchType, cardNumber, fields = null }) {
+  const lines = (extractedText || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const nameLine = fields?.name?.value || lines.find(line =>
+    line.length > 3 &&
+    line.length < 20 &&
+    !/^\d/.test(line) &&
+    !/\bhp\b/i.test(line) &&
+    !/pok[eé]mon/i.test(line)
+  );
+
+  const parsedNumber = fields?.setNumber?.value && fields?.setTotal?.value
+    ? `${fields.setNumber.value}/${fields.setTotal.value}`
+    : null;
+  const number = searchType === 'pokemon_card' && cardNumber
+    ? cardNumber.replace(/^(\d{3})(\d{3})$/, '$1/$2')
+    : parsedNumber || detectCardNumber(extractedText);
+
+  if (nameLine || number) {
+    return [nameLine, number].filter(Boolean).join(' ');
+  }
+  return lines.filter(line => line.length > 2).join(' ').slice(0, 100);
+}
+
+// Cards found in a multi-card photo. A photo that can't be analysed comes back with no cards
+// and the reason in `error`; the caller then treats the whole photo as one card.
+async function detectCardsInPhoto(imageFile) {
+  const started = Date.now();
+  try {
+    const detection = await detectCards(imageFile.data);
+    console.log(`🃏 Detected ${detection.cards.length} cards in ${Date.now() - started}ms`);
+    return { ...detection, durationMs: Date.now() - started };
+  } catch (detectError) {
+    console.error('❌ Card detection failed:', detectError.message);
+    return { width: null, height: null, detected: 0, cards: [], error: detectError.message, durationMs: Date.now() - started };
+  }
+}
+
+// OCR text (and fields) of one card to ranked matches: the card search pipeline, blended with
+// how much the card looks like each product's image. options.deadline cuts the search short.
+async function matchCard(imageData, extractedText, ocr, options, { backData = null } = {}) {
+  const { shopify, catalog, searchType, cardNumber, threshold, maxResults, deadline = null } = options;
+  const edition = await readCardEdition(imageData, backData, options.game);
+  // A photographed back tells the game when the form didn't, once its template is traced
+  const back = edition.signals?.back;
+  const game = options.game || (back?.traced ? back.game : null);
+  const ocrFields = ocr?.fields || parseCardFields({ raw: { text: extractedText, words: null } });
+
+  const cardName = buildCardQuery(extractedText, { searchType, cardNumber, fields: ocrFields });
+  console.log(`🔍 Card query from OCR: "${cardName}"`);
+
+  let searchResult = { found: false };
+  if (cardName) {
+    // Loaded once per request, on the first card with text
+    options.aliases = options.aliases || await loadSearchAliases(shopify.request);
+    // With an index every product is searched there first; Shopify is paged only without one
+    searchResult = await createCardSearch(shopify.request, { catalog, aliases: options.aliases, pageLiveSearches: !catalog, deadline })
+      .searchCard({ cardName, game });
+  }
+
+  const visualMatches = await findVisualMatches(imageData);
+  const ranked = rankMatchCandidates(searchResult, cardName, { visualMatches, catalog });
+  // The photo looks more like another product than the one the text search picked
+  const visualDisagrees = searchResult.found && ranked.length > 0 &&
+    !isPipelinePick({ sku: ranked[0].sku, product_id: ranked[0].productId }, searchResult);
+  const candidates = applyEditionSignals(ranked, edition.signals);
+  // The edition signals picked another printing: they are read off a photo, and printings
+  // differ hugely in price, so staff confirm it
+  const printingChanged = ranked.length > 0 && candidates[0].sku !== ranked[0].sku;
+  const matches = buildMatches(candidates, searchResult, { threshold, maxResults });
+
+  return {
+    cardName,
+    extractedText,
+    ocrFields,
+    searchResult,
+    visualMatches,
+    edition,
+    matches,
+    game: searchResult.game || matches[0]?.game || game,
+    printingChanged,
+    timedOut: !!(ocr?.timedOut || searchResult.timedOut),
+    needsConfirmation: searchResult.needsConfirmation || visualDisagrees || printingChanged ||
+      (!searchResult.found && matches.length > 0)
+  };
+}
+
+// The per-card part of a response
+function cardResponse(result, ocr) {
+  const { searchResult, matches, ocrFields } = result;
+  return {
+    matches,
+    searchMethod: searchResult.found ? searchResult.searchMethod : matches.length ? 'visual' : 'none',
+    game: result.game,
+    confidence: searchResult.confidence || null,
+    needsConfirmation: result.needsConfirmation,
+    printing_changed: result.printingChanged,
+    extracted_text: result.extractedText,
+    ocr_confidence: ocr?.confidence ?? null,
+    ocr_fields: {
+      name: ocrFields.name,
+      hp: ocrFields.hp,
+      set_number: ocrFields.setNumber,
+      set_total: ocrFields.setTotal
+    },
+    ...(ocr?.error ? { ocr_error: ocr.error } : {}),
+    ...(result.timedOut ? { timed_out: true } : {}),
+    edition_signals: editionResponse(result.edition.signals),
+    ...(result.edition.error ? { edition_error: result.edition.error } : {}),
+    card_query: result.cardName
+  };
+}
+
+function editionResponse(signals) {
+  if (!signals) return null;
+  return {
+    stamps: signals.symbols.filter(symbol => symbol.kind === 'stamp'),
+    set_symbols: signals.symbols.filter(symbol => symbol.kind === 'set'),
+    holo: { pattern: signals.holo.pattern, confidence: signals.holo.confidence },
+    shadow: { present: signals.shadow.present, confidence: signals.shadow.confidence },
+    back: signals.back
+  };
+}
+
+// Edition stamp, set symbol, holo pattern and back of the photographed card. An unreadable
+// photo leaves the signals out rather than failing the match.
+async function readCardEdition(imageData, backData, game) {
+  try {
+    const signals = await readEditionSignals(imageData, { backData, game });
+    const present = signals.symbols.filter(symbol => symbol.present).map(symbol => symbol.label);
+    console.log(`🏷️ Edition signals: ${present.join(', ') || 'no symbols'}, ${signals.holo.pattern}${signals.back ? `, ${signals.back.label}` : ''}`);
+    return { signals, error: null };
+  } catch (editionError) {
+    console.error('❌ Edition signals failed:', editionError.message);
+    return { signals: null, error: editionError.message };
+  }
+}
+
+// Products whose catalog image looks like the photo, from the image hash index. Empty when
+// there is no index yet or the photo can't be hashed.
+async function findVisualMatches(imageData) {
+  const imageIndex = await loadImageIndex();
+  if (!imageIndex || imageIndex.size === 0) return [];
+
+  try {
+    const matches = imageIndex.nearest(await hashImage(imageData));
+    console.log('🖼️ Visually nearest:', matches.slice(0, 3).map(match => `${match.productId} (${match.visualScore})`).join(', '));
+    return matches;
+  } catch (hashError) {
+    console.error('❌ Image hashing failed:', hashError.message);
+    return [];
+  }
+}
+
+// Text candidates, blended with the visual scores when the photo resembles catalog images.
+// Without visual matches the pipeline's order stands.
+function rankMatchCandidates(searchResult, cardName, { visualMatches, catalog }) {
+  const textCandidates = searchResult.found ? rankCandidates(searchResult, cardName) : [];
+  if (visualMatches.length === 0) {
+    return textCandidates.map(candidate => ({
+      ...candidate,
+      textScore: candidate.score,
+      visualScore: null,
+      matchReason: 'text'
+    }));
+  }
+  return blendCandidates({ textCandidates, visualMatches, catalog, cardName: searchResult.found ? cardName : '' });
+}
+
+function isPipelinePick(match, searchResult) {
+  return match.sku === searchResult.variant.sku && match.product_id === searchResult.product.id;
+}
+
+// Legacy match list for the scanner: the best candidate first, then the others above the
+// threshold. `confidence` here is the blended score (the fuzzy-match score when nothing was
+// matched visually); text_score and visual_score are its parts.
+function buildMatches(candidates, searchResult, { threshold = 0.3, maxResults = 5 } = {}) {
+  const [best, ...others] = candidates;
+  if (!best) return [];
+
+  return [best, ...others.filter(candidate => candidate.score >= threshold)]
+    .slice(0, maxResults)
+    .map(candidate => {
+      const match = {
+        name: candidate.productTitle,
+        title: candidate.productTitle,
+        sku: candidate.sku,
+        variant_sku: candidate.sku,
+        variant_title: candidate.variantTitle,
+        price: candidate.price.toFixed(2),
+        product_id: candidate.productId,
+        variant_id: candidate.variantId,
+        inventory_quantity: candidate.inventory || 0,
+        image_url: candidate.image,
+        confidence: candidate.score,
+        text_score: candidate.textScore,
+        visual_score: candidate.visualScore,
+        product_type: candidate.productType,
+        game: candidate.game,
+        match_reason: candidate.matchReason,
+        variant_signals: candidate.variantSignals || []
+      };
+      match.search_method = searchResult.found && isPipelinePick(match, searchResult)
+        ? searchResult.searchMethod
+        : candidate.matchReason === 'visual' ? 'visual' : 'alternative';
+      return match;
     });
-    
-    score = score / searchTerms.length;
-    
-    return {
-      product,
-      score: Math.min(score, 1.0)
-    };
-  })
-  .sort((a, b) => b.score - a.score);
-  
-  console.log('Top 5 scored products:');
-  scoredProducts.slice(0, 5).forEach((item, i) => {
-    console.log(`${i + 1}. "${item.product.title}" | Type: ${item.product.product_type} | Score: ${item.score.toFixed(3)}`);
-  });
-  
-  const qualifyingProducts = scoredProducts.filter(item => item.score >= threshold);
-  const finalResults = qualifyingProducts.slice(0, maxResults);
-  
-  console.log(`Qualifying products (score >= ${threshold}): ${qualifyingProducts.length}`);
-  console.log(`Returning top ${finalResults.length} results`);
-  
-  return finalResults.map(({ product, score }) => ({
-    name: product.title,
-    title: product.title,
-    sku: product.variants?.[0]?.sku || `PROD-${product.id}`,
-    variant_sku: product.variants?.[0]?.sku || `PROD-${product.id}`,
-    variant_title: product.variants?.[0]?.title || 'Default',
-    price: product.variants?.[0]?.price || '0.00',
-    compare_at_price: product.variants?.[0]?.compare_at_price || null,
-    product_id: product.id,
-    variant_id: product.variants?.[0]?.id,
-    inventory_quantity: product.variants?.[0]?.inventory_quantity || 0,
-    image_url: product.images?.[0]?.src || null,
-    confidence: score,
-    vendor: product.vendor,
-    product_type: product.product_type,
-    match_reason: 'text_similarity'
-  }));
 }
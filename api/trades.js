@@ -0,0 +1,164 @@
+// api/trades.js
+// Trade ledger API: list committed buybacks (filter by date, employee, customer, game), fetch a
+// single trade for reprinting receipts or handling refunds, and void a trade
+
+const { requireAdmin } = require('../lib/admin-auth');
+const { isValidTradeId, getTrade, listTrades } = require('../lib/trade-ledger');
+const { claimTradeVoid, voidTrade } = require('../lib/trade-void');
+const { GAME_SLUGS, normalizeGame } = require('../lib/games');
+const { makeShopifyRequest, sendShopifyError } = require('../lib/shopify-client');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  console.log('=== TRADE LEDGER API ===');
+  console.log('Query:', req.query);
+
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!process.env.SHOPIFY_DOMAIN || !process.env.SHOPIFY_ACCESS_TOKEN) {
+      return res.status(500).json({
+        error: 'Server configuration error',
+        details: 'Missing Shopify credentials'
+      });
+    }
+
+    // Ledger entries include customer details and gift card codes
+    if (!requireAdmin(req, res)) return;
+
+    if (req.method === 'POST') {
+      return await handleTradeAction(req.body || {}, res);
+    }
+
+    const { tradeId } = req.query || {};
+    if (tradeId) {
+      return await handleGetTrade(tradeId, res);
+    }
+    return await handleListTrades(req.query || {}, res);
+  } catch (err) {
+    console.error('💥 TRADE LEDGER ERROR:', err);
+    if (sendShopifyError(res, err)) return;
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+async function handleGetTrade(tradeId, res) {
+  if (!isValidTradeId(tradeId)) {
+    return res.status(400).json({ error: 'Invalid trade ID' });
+  }
+
+  const trade = await getTrade(makeShopifyRequest, tradeId);
+  if (!trade) {
+    return res.status(404).json({ error: 'Trade not found', tradeId });
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: trade
+  });
+}
+
+async function handleListTrades(query, res) {
+  const { from, to, employee, customer, status, payoutMethod } = query;
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ error: `Invalid ${name} date`, details: value });
+    }
+  }
+
+  const limit = Math.min(parseInt(query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+
+  const game = query.game ? normalizeGame(query.game) : null;
+  if (query.game && !game) {
+    return res.status(400).json({ error: 'Invalid game', details: `Use one of: ${GAME_SLUGS.join(', ')}` });
+  }
+
+  const trades = await listTrades(makeShopifyRequest, { from, to, employee, customer, status, payoutMethod, game });
+
+  return res.status(200).json({
+    success: true,
+    total: trades.length,
+    limit,
+    offset,
+    data: trades.slice(offset, offset + limit)
+  });
+}
+
+async function handleTradeAction(body, res) {
+  const { action } = body;
+
+  if (action === 'void') {
+    return await handleVoidTrade(body, res);
+  }
+
+  return res.status(400).json({
+    error: 'Invalid action',
+    allowed: ['void']
+  });
+}
+
+// TRADE_MANAGERS (comma-separated names), when set, limits who may void trades
+function isAllowedManager(managerName) {
+  const managers = (process.env.TRADE_MANAGERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return managers.length === 0 || managers.includes(managerName.toLowerCase());
+}
+
+async function handleVoidTrade(body, res) {
+  const { tradeId } = body;
+  const reason = (body.reason || '').toString().trim();
+  const managerName = (body.managerName || '').toString().trim();
+
+  if (!isValidTradeId(tradeId)) {
+    return res.status(400).json({ error: 'Invalid trade ID' });
+  }
+  if (!reason || !managerName) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['reason', 'managerName']
+    });
+  }
+  if (!isAllowedManager(managerName)) {
+    return res.status(403).json({ error: 'Not authorized to void trades', details: managerName });
+  }
+
+  // Claimed before anything is reversed, so a second void of the same trade is refused
+  const { trade, status, ...refusal } = await claimTradeVoid(makeShopifyRequest, tradeId, managerName);
+  if (!trade) {
+    return res.status(status).json({ ...refusal, tradeId });
+  }
+
+  const { trade: voidedTrade, fullyReversed, steps } = await voidTrade(makeShopifyRequest, trade, { reason, managerName });
+  console.log(`${fullyReversed ? '✅' : '⚠️'} Trade ${tradeId} ${voidedTrade.status}`);
+
+  // 207: the void is recorded but some reversals failed and need a retry or manual fix
+  return res.status(fullyReversed ? 200 : 207).json({
+    success: fullyReversed,
+    tradeId,
+    status: voidedTrade.status,
+    steps,
+    data: voidedTrade
+  });
+}
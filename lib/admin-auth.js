@@ -0,0 +1,65 @@
+// lib/admin-auth.js
+// Guard for admin-only API actions. Requests must send "Authorization: Bearer <token>" matching
+// TRADE_ADMIN_TOKEN. Without the token configured every admin action is refused (503), so a
+// deployment that forgot it isn't left open.
+//
+// Counter-only actions (requireStaff) also accept TRADE_STAFF_TOKEN, the token counter
+// browsers hold, and are refused the same way when neither token is configured.
+
+const crypto = require('crypto');
+
+function adminTokenConfigured() {
+  return !!process.env.TRADE_ADMIN_TOKEN;
+}
+
+function bearerToken(req) {
+  const header = req.headers?.authorization || req.headers?.Authorization || '';
+  return header.replace(/^Bearer\s+/i, '').trim();
+}
+
+function tokenMatches(token, expected) {
+  if (!expected) return false;
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function isAdminRequest(req) {
+  return tokenMatches(bearerToken(req), process.env.TRADE_ADMIN_TOKEN);
+}
+
+function isStaffRequest(req) {
+  return isAdminRequest(req) || tokenMatches(bearerToken(req), process.env.TRADE_STAFF_TOKEN);
+}
+
+// Sends a 503 (no token configured) or 401 and returns false when the request isn't authorized
+function requireAdmin(req, res) {
+  if (!adminTokenConfigured()) {
+    res.status(503).json({ error: 'Admin access not configured', details: 'Set TRADE_ADMIN_TOKEN to enable admin actions' });
+    return false;
+  }
+  if (isAdminRequest(req)) return true;
+
+  res.status(401).json({ error: 'Unauthorized', details: 'A valid admin token is required' });
+  return false;
+}
+
+// requireAdmin for actions staff at the counter may also take
+function requireStaff(req, res) {
+  if (!adminTokenConfigured() && !process.env.TRADE_STAFF_TOKEN) {
+    res.status(503).json({ error: 'Staff access not configured', details: 'Set TRADE_STAFF_TOKEN to enable counter actions' });
+    return false;
+  }
+  if (isStaffRequest(req)) return true;
+
+  res.status(401).json({ error: 'Unauthorized', details: 'A valid staff or admin token is required' });
+  return false;
+}
+
+module.exports = {
+  adminTokenConfigured,
+  isAdminRequest,
+  isStaffRequest,
+  requireAdmin,
+  requireStaff
+};
@@ -0,0 +1,402 @@
+// lib/card-detect.js
+// Finds the cards in a photo of several (a binder page, a spread on the table) and crops each
+// one upright and flat, for shopify-image-match's multi-card mode.
+//
+// Detection works on a small grayscale copy: pixels that differ from the background (the
+// median of the photo's border) form a mask, a morphological opening cuts the thin bridges
+// between neighbouring cards, holes are filled, and each connected blob that is card-shaped
+// (a quadrilateral it mostly fills, with a card's aspect ratio) is kept. A blob's quad comes
+// from its minimum-area rectangle, each corner snapped to the nearest blob outline point so
+// a photo taken at an angle gives the true, perspective-distorted corners.
+//
+// Cards need some contrast with what they lie on: white-bordered cards on a white table
+// merge into the background. Sideways cards come out portrait, turned a quarter turn
+// anticlockwise; OCR and the image hashes cope with the rest.
+
+let sharp;
+
+// Longest side of the copy detection works on
+const ANALYSIS_SIZE = 480;
+// Longest side of the photo the crops are cut from
+const MAX_SOURCE_SIZE = 2400;
+// Crops are 63x88mm cards at 10 pixels per millimetre
+const CROP_SIZE = { width: 630, height: 880 };
+const MAX_CARDS = 12;
+
+const MIN_CONTRAST = 24;
+const MIN_AREA_FRACTION = 0.004;
+const MAX_AREA_FRACTION = 0.98;
+// A card blob fills most of its quad; clutter and merged cards don't
+const MIN_FILL = 0.85;
+// Short side over long side: cards are 0.716, slabs about 0.57; room for perspective
+const MIN_ASPECT = 0.55;
+const MAX_ASPECT = 0.85;
+
+// ---------- Mask ----------
+
+function median(values) {
+  const sorted = Float64Array.from(values).sort();
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+}
+
+function borderPixels(pixels, width, height) {
+  const ring = Math.max(2, Math.round(Math.min(width, height) * 0.02));
+  const values = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x < ring || y < ring || x >= width - ring || y >= height - ring) values.push(pixels[y * width + x]);
+    }
+  }
+  return values;
+}
+
+// 3x3 erosion (keep = every neighbour set) or dilation (keep = any neighbour set)
+function morph(mask, width, height, erode) {
+  const out = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let hit = erode ? 1 : 0;
+      for (let dy = -1; dy <= 1 && hit === (erode ? 1 : 0); dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          const value = nx >= 0 && ny >= 0 && nx < width && ny < height ? mask[ny * width + nx] : 0;
+          if (erode ? !value : value) {
+            hit = erode ? 0 : 1;
+            break;
+          }
+        }
+      }
+      out[y * width + x] = hit;
+    }
+  }
+  return out;
+}
+
+// Set every unset pixel the image border can't reach through unset pixels
+function fillHoles(mask, width, height) {
+  const outside = new Uint8Array(mask.length);
+  const stack = [];
+  const visit = (i) => {
+    if (!mask[i] && !outside[i]) {
+      outside[i] = 1;
+      stack.push(i);
+    }
+  };
+
+  for (let x = 0; x < width; x++) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+  while (stack.length) {
+    const i = stack.pop();
+    const x = i % width;
+    if (x > 0) visit(i - 1);
+    if (x < width - 1) visit(i + 1);
+    if (i >= width) visit(i - width);
+    if (i < mask.length - width) visit(i + width);
+  }
+
+  return outside.map(value => 1 - value);
+}
+
+/**
+ * Foreground mask of 8-bit gray pixels: what differs from the background, opened and with
+ * its holes filled.
+ */
+function foregroundMask(pixels, width, height) {
+  const border = borderPixels(pixels, width, height);
+  const background = median(border);
+  const spread = median(border.map(value => Math.abs(value - background)));
+  const contrast = Math.max(MIN_CONTRAST, 3 * spread);
+
+  let mask = new Uint8Array(width * height);
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = Math.abs(pixels[i] - background) > contrast ? 1 : 0;
+  }
+  mask = morph(morph(mask, width, height, true), width, height, false);
+  return fillHoles(mask, width, height);
+}
+
+// ---------- Blobs and quads ----------
+
+// Connected blobs (4-connectivity) with their pixel count and outline points
+function findBlobs(mask, width, height) {
+  const labels = new Int32Array(mask.length);
+  const blobs = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+
+    const blob = { area: 0, outline: [] };
+    labels[start] = blobs.length + 1;
+    const stack = [start];
+    while (stack.length) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      blob.area++;
+
+      const neighbours = [
+        x > 0 ? i - 1 : -1,
+        x < width - 1 ? i + 1 : -1,
+        y > 0 ? i - width : -1,
+        y < height - 1 ? i + width : -1
+      ];
+      let edge = false;
+      neighbours.forEach(n => {
+        if (n < 0 || !mask[n]) {
+          edge = true;
+        } else if (!labels[n]) {
+          labels[n] = blobs.length + 1;
+          stack.push(n);
+        }
+      });
+      if (edge) blob.outline.push([x, y]);
+    }
+    blobs.push(blob);
+  }
+
+  return blobs;
+}
+
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+function polygonArea(points) {
+  let sum = 0;
+  points.forEach((point, i) => {
+    const next = points[(i + 1) % points.length];
+    sum += point[0] * next[1] - next[0] * point[1];
+  });
+  return Math.abs(sum) / 2;
+}
+
+// Corners of the smallest rectangle around the points, clockwise (y down)
+function minAreaRectangle(points) {
+  let best = null;
+  for (let degrees = 0; degrees < 90; degrees++) {
+    const angle = degrees * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    let uMin = Infinity, uMax = -Infinity, vMin = Infinity, vMax = -Infinity;
+    points.forEach(([x, y]) => {
+      const u = x * cos + y * sin;
+      const v = -x * sin + y * cos;
+      if (u < uMin) uMin = u;
+      if (u > uMax) uMax = u;
+      if (v < vMin) vMin = v;
+      if (v > vMax) vMax = v;
+    });
+    const area = (uMax - uMin) * (vMax - vMin);
+    if (!best || area < best.area) best = { area, cos, sin, uMin, uMax, vMin, vMax };
+  }
+
+  const { cos, sin, uMin, uMax, vMin, vMax } = best;
+  return [[uMin, vMin], [uMax, vMin], [uMax, vMax], [uMin, vMax]]
+    .map(([u, v]) => [u * cos - v * sin, u * sin + v * cos]);
+}
+
+// Clockwise corners starting top-left, with the top edge a short side
+function orderCorners(corners) {
+  const start = corners.reduce((best, corner, i) =>
+    corner[0] + corner[1] < corners[best][0] + corners[best][1] ? i : best, 0);
+  let ordered = [...corners.slice(start), ...corners.slice(0, start)];
+  if (distance(ordered[0], ordered[1]) > distance(ordered[1], ordered[2])) {
+    ordered = [...ordered.slice(1), ordered[0]];
+  }
+  return ordered;
+}
+
+/**
+ * Card quads in 8-bit gray pixels, in reading order (rows top to bottom, then left to right).
+ * @returns {Array<{ corners: Array<[number, number]>, fill: number, aspect: number }>}
+ *   corners clockwise from the card's top-left
+ */
+function findCardQuads(pixels, width, height) {
+  const imageArea = width * height;
+  const quads = findBlobs(foregroundMask(pixels, width, height), width, height)
+    .filter(blob => blob.area >= MIN_AREA_FRACTION * imageArea && blob.area <= MAX_AREA_FRACTION * imageArea)
+    .map(blob => {
+      const corners = orderCorners(minAreaRectangle(blob.outline).map(corner =>
+        blob.outline.reduce((nearest, point) => (distance(point, corner) < distance(nearest, corner) ? point : nearest))
+      ));
+      const quadArea = polygonArea(corners);
+      const sideA = (distance(corners[0], corners[1]) + distance(corners[2], corners[3])) / 2;
+      const sideB = (distance(corners[1], corners[2]) + distance(corners[3], corners[0])) / 2;
+      return {
+        corners,
+        fill: quadArea ? Math.min(1, blob.area / quadArea) : 0,
+        aspect: Math.min(sideA, sideB) / Math.max(sideA, sideB)
+      };
+    })
+    .filter(quad => quad.fill >= MIN_FILL && quad.aspect >= MIN_ASPECT && quad.aspect <= MAX_ASPECT);
+
+  return readingOrder(quads);
+}
+
+function readingOrder(quads) {
+  const centre = (quad) => [
+    quad.corners.reduce((sum, [x]) => sum + x, 0) / 4,
+    quad.corners.reduce((sum, [, y]) => sum + y, 0) / 4
+  ];
+  const rows = [];
+  quads
+    .map(quad => ({ quad, centre: centre(quad), height: distance(quad.corners[1], quad.corners[2]) }))
+    .sort((a, b) => a.centre[1] - b.centre[1])
+    .forEach(item => {
+      const row = rows.find(r => Math.abs(r.y - item.centre[1]) < item.height / 2);
+      if (row) row.items.push(item);
+      else rows.push({ y: item.centre[1], items: [item] });
+    });
+  return rows.flatMap(row => row.items.sort((a, b) => a.centre[0] - b.centre[0]).map(item => item.quad));
+}
+
+// ---------- Perspective correction ----------
+
+/**
+ * Homography taking (u, v) in a width x height rectangle to the quad's corners (clockwise
+ * from top-left), as the 8 coefficients of
+ * x = (h0 u + h1 v + h2) / (h6 u + h7 v + 1), y = (h3 u + h4 v + h5) / (h6 u + h7 v + 1).
+ */
+function perspectiveTransform(corners, width, height) {
+  const targets = [[0, 0], [width, 0], [width, height], [0, height]];
+  const rows = [];
+  targets.forEach(([u, v], i) => {
+    const [x, y] = corners[i];
+    rows.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+    rows.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    if (Math.abs(rows[col][col]) < 1e-12) throw new Error('Degenerate card quad');
+
+    for (let row = 0; row < 8; row++) {
+      if (row === col) continue;
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k < 9; k++) rows[row][k] -= factor * rows[col][k];
+    }
+  }
+  return rows.map((row, i) => row[8] / row[i]);
+}
+
+/**
+ * The quad's contents warped into an outWidth x outHeight rectangle (bilinear sampling).
+ * @param {Buffer} data raw pixels, `channels` bytes each, row by row
+ * @returns {Buffer} raw pixels with the same channels
+ */
+function warpQuad(data, width, height, channels, corners, outWidth, outHeight) {
+  const h = perspectiveTransform(corners, outWidth, outHeight);
+  const out = Buffer.alloc(outWidth * outHeight * channels);
+
+  for (let v = 0; v < outHeight; v++) {
+    for (let u = 0; u < outWidth; u++) {
+      const cu = u + 0.5;
+      const cv = v + 0.5;
+      const w = h[6] * cu + h[7] * cv + 1;
+      const x = Math.min(width - 1, Math.max(0, (h[0] * cu + h[1] * cv + h[2]) / w - 0.5));
+      const y = Math.min(height - 1, Math.max(0, (h[3] * cu + h[4] * cv + h[5]) / w - 0.5));
+      const x0 = Math.floor(x);
+      const y0 = Math.floor(y);
+      const x1 = Math.min(width - 1, x0 + 1);
+      const y1 = Math.min(height - 1, y0 + 1);
+      const fx = x - x0;
+      const fy = y - y0;
+
+      for (let c = 0; c < channels; c++) {
+        const top = data[(y0 * width + x0) * channels + c] * (1 - fx) + data[(y0 * width + x1) * channels + c] * fx;
+        const bottom = data[(y1 * width + x0) * channels + c] * (1 - fx) + data[(y1 * width + x1) * channels + c] * fx;
+        out[(v * outWidth + u) * channels + c] = Math.round(top * (1 - fy) + bottom * fy);
+      }
+    }
+  }
+
+  return out;
+}
+
+// ---------- Photos ----------
+
+/**
+ * The cards in a photo, each cropped upright as a JPEG, in reading order. Empty when no
+ * card-shaped region stands out (a close-up of a single card, for one). Only the first
+ * maxCards are cropped; `detected` counts them all.
+ * @returns {Promise<{ width: number, height: number, detected: number, cards: Array<{ boundingBox: { x, y, width, height }, corners: Array<[number, number]>, image: Buffer }> }>}
+ *   width/height and all coordinates in pixels of the photo as displayed (EXIF rotation applied)
+ */
+async function detectCards(imageData, { maxCards = MAX_CARDS } = {}) {
+  // Dynamic import: only multi-card requests need it
+  if (!sharp) sharp = require('sharp');
+
+  const metadata = await sharp(imageData).metadata();
+  const sideways = (metadata.orientation || 1) >= 5;
+  const width = sideways ? metadata.height : metadata.width;
+  const height = sideways ? metadata.width : metadata.height;
+
+  const analysis = await sharp(imageData)
+    .rotate()
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const found = findCardQuads(analysis.data, analysis.info.width, analysis.info.height);
+  const quads = found.slice(0, maxCards);
+  if (quads.length === 0) return { width, height, detected: 0, cards: [] };
+
+  const source = await sharp(imageData)
+    .rotate()
+    .resize(MAX_SOURCE_SIZE, MAX_SOURCE_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { channels } = source.info;
+  const toSource = source.info.width / analysis.info.width;
+  const toPhoto = width / analysis.info.width;
+
+  const cards = [];
+  for (const quad of quads) {
+    const crop = warpQuad(
+      source.data, source.info.width, source.info.height, channels,
+      quad.corners.map(([x, y]) => [x * toSource, y * toSource]),
+      CROP_SIZE.width, CROP_SIZE.height
+    );
+    const corners = quad.corners.map(([x, y]) => [Math.round(x * toPhoto), Math.round(y * toPhoto)]);
+    const xs = corners.map(([x]) => x);
+    const ys = corners.map(([, y]) => y);
+    const left = Math.max(0, Math.min(...xs));
+    const top = Math.max(0, Math.min(...ys));
+
+    cards.push({
+      boundingBox: {
+        x: left,
+        y: top,
+        width: Math.min(width, Math.max(...xs)) - left,
+        height: Math.min(height, Math.max(...ys)) - top
+      },
+      corners,
+      image: await sharp(crop, { raw: { width: CROP_SIZE.width, height: CROP_SIZE.height, channels } })
+        .jpeg({ quality: 90 })
+        .toBuffer()
+    });
+  }
+
+  return { width, height, detected: found.length, cards };
+}
+
+module.exports = {
+  CROP_SIZE,
+  MAX_CARDS,
+  foregroundMask,
+  findCardQuads,
+  perspectiveTransform,
+  warpQuad,
+  detectCards
+};
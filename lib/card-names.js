@@ -0,0 +1,70 @@
+// lib/card-names.js
+// Character names the fuzzy matcher (lib/fuzzy-match.js) corrects typos against
+// ("Charzard" -> "Charizard") and weights above the other words of a card name.
+// Not exhaustive: the chase cards and characters that come through the counter.
+
+const POKEMON_NAMES = [
+  // Kanto
+  'Bulbasaur', 'Ivysaur', 'Venusaur', 'Charmander', 'Charmeleon', 'Charizard', 'Squirtle',
+  'Wartortle', 'Blastoise', 'Caterpie', 'Metapod', 'Butterfree', 'Weedle', 'Kakuna', 'Beedrill',
+  'Pidgey', 'Pidgeotto', 'Pidgeot', 'Rattata', 'Raticate', 'Spearow', 'Fearow', 'Ekans', 'Arbok',
+  'Pikachu', 'Raichu', 'Sandshrew', 'Sandslash', 'Nidoran', 'Nidorina', 'Nidoqueen', 'Nidorino',
+  'Nidoking', 'Clefairy', 'Clefable', 'Vulpix', 'Ninetales', 'Jigglypuff', 'Wigglytuff', 'Zubat',
+  'Golbat', 'Oddish', 'Gloom', 'Vileplume', 'Paras', 'Parasect', 'Venonat', 'Venomoth', 'Diglett',
+  'Dugtrio', 'Meowth', 'Persian', 'Psyduck', 'Golduck', 'Mankey', 'Primeape', 'Growlithe',
+  'Arcanine', 'Poliwag', 'Poliwhirl', 'Poliwrath', 'Abra', 'Kadabra', 'Alakazam', 'Machop',
+  'Machoke', 'Machamp', 'Bellsprout', 'Weepinbell', 'Victreebel', 'Tentacool', 'Tentacruel',
+  'Geodude', 'Graveler', 'Golem', 'Ponyta', 'Rapidash', 'Slowpoke', 'Slowbro', 'Magnemite',
+  'Magneton', "Farfetch'd", 'Doduo', 'Dodrio', 'Seel', 'Dewgong', 'Grimer', 'Muk', 'Shellder',
+  'Cloyster', 'Gastly', 'Haunter', 'Gengar', 'Onix', 'Drowzee', 'Hypno', 'Krabby', 'Kingler',
+  'Voltorb', 'Electrode', 'Exeggcute', 'Exeggutor', 'Cubone', 'Marowak', 'Hitmonlee',
+  'Hitmonchan', 'Lickitung', 'Koffing', 'Weezing', 'Rhyhorn', 'Rhydon', 'Chansey', 'Tangela',
+  'Kangaskhan', 'Horsea', 'Seadra', 'Goldeen', 'Seaking', 'Staryu', 'Starmie', 'Mr. Mime',
+  'Scyther', 'Jynx', 'Electabuzz', 'Magmar', 'Pinsir', 'Tauros', 'Magikarp', 'Gyarados', 'Lapras',
+  'Ditto', 'Eevee', 'Vaporeon', 'Jolteon', 'Flareon', 'Porygon', 'Omanyte', 'Omastar', 'Kabuto',
+  'Kabutops', 'Aerodactyl', 'Snorlax', 'Articuno', 'Zapdos', 'Moltres', 'Dratini', 'Dragonair',
+  'Dragonite', 'Mewtwo', 'Mew',
+  // Later generations
+  'Typhlosion', 'Feraligatr', 'Meganium', 'Ampharos', 'Espeon', 'Umbreon', 'Scizor', 'Heracross',
+  'Tyranitar', 'Lugia', 'Ho-Oh', 'Celebi', 'Suicune', 'Entei', 'Raikou', 'Blaziken', 'Sceptile',
+  'Swampert', 'Gardevoir', 'Absol', 'Salamence', 'Metagross', 'Latias', 'Latios', 'Kyogre',
+  'Groudon', 'Rayquaza', 'Jirachi', 'Deoxys', 'Flygon', 'Infernape', 'Lucario', 'Garchomp',
+  'Dialga', 'Palkia', 'Giratina', 'Darkrai', 'Arceus', 'Leafeon', 'Glaceon', 'Zoroark',
+  'Reshiram', 'Zekrom', 'Kyurem', 'Greninja', 'Sylveon', 'Xerneas', 'Yveltal', 'Mimikyu',
+  'Decidueye', 'Solgaleo', 'Lunala', 'Necrozma', 'Zacian', 'Zamazenta', 'Eternatus', 'Cinderace',
+  'Inteleon', 'Rillaboom', 'Dragapult', 'Toxtricity', 'Calyrex', 'Koraidon', 'Miraidon',
+  'Meowscarada', 'Skeledirge', 'Quaquaval', 'Tinkaton', 'Ceruledge', 'Armarouge', 'Terapagos',
+  'Ogerpon', 'Pecharunt', 'Iron Valiant', 'Roaring Moon', 'Gholdengo', 'Palafin', 'Kingambit'
+];
+
+const ONE_PIECE_NAMES = [
+  'Monkey.D.Luffy', 'Roronoa Zoro', 'Nami', 'Usopp', 'Sanji', 'Tony Tony.Chopper', 'Nico Robin',
+  'Franky', 'Brook', 'Jinbe', 'Portgas.D.Ace', 'Sabo', 'Shanks', 'Trafalgar Law', 'Eustass Kid',
+  'Killer', 'Boa Hancock', 'Yamato', 'Kaido', 'Charlotte Linlin', 'Charlotte Katakuri',
+  'Charlotte Pudding', 'Marshall.D.Teach', 'Edward.Newgate', 'Donquixote Doflamingo',
+  'Donquixote Rosinante', 'Crocodile', 'Enel', 'Rob Lucci', 'Kuzan', 'Borsalino', 'Sakazuki',
+  'Monkey.D.Garp', 'Monkey.D.Dragon', 'Dracule Mihawk', 'Buggy', 'Uta', 'Nefeltari Vivi',
+  'Perona', 'Bartolomeo', 'Kouzuki Oden', 'Kouzuki Hiyori', 'Kouzuki Momonosuke', 'Koby',
+  'Smoker', 'Tashigi', 'Sengoku', 'Gol.D.Roger', 'Silvers Rayleigh', 'Queen', 'King', 'Ulti',
+  'Jewelry Bonney', 'Capone Bege', 'Basil Hawkins', 'X.Drake', 'Scratchmen Apoo', 'Caesar Clown',
+  'Vegapunk', 'Bartholomew Kuma', 'Emporio Ivankov', 'Magellan', 'Gecko Moria', 'Rebecca',
+  'Viola', 'Kyros', 'Cavendish', 'Shirahoshi', 'Vinsmoke Reiju', 'Vinsmoke Ichiji',
+  'Vinsmoke Niji', 'Vinsmoke Yonji', 'Vinsmoke Judge', 'Arlong', 'Carrot', 'Kinemon', 'Otama',
+  'Kalgara', 'Hody Jones', 'Wapol', 'Vergo', 'Monet', 'Bellamy', 'Kaya', 'Zeff', 'Alvida',
+  'Helmeppo', 'Lucy', 'Sugar', 'Izo', 'Marco', 'Catarina Devon', 'Stussy', 'Kalifa', 'Kaku'
+];
+
+// Lowercased, accent-free words of every name, at least four letters long
+function nameTokens(names) {
+  return names
+    .flatMap(name => name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/[^a-z0-9]+/))
+    .filter(token => token.length >= 4);
+}
+
+const NAME_TOKENS = new Set([...nameTokens(POKEMON_NAMES), ...nameTokens(ONE_PIECE_NAMES)]);
+
+module.exports = {
+  POKEMON_NAMES,
+  ONE_PIECE_NAMES,
+  NAME_TOKENS
+};
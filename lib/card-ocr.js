@@ -0,0 +1,381 @@
+// lib/card-ocr.js
+// Server-side OCR for card photos, fully offline: tesseract.js reading the English model
+// bundled in @tesseract.js-data/eng (or TESSERACT_LANG_PATH), with sharp for pre-processing.
+// shopify-image-match uses it when the browser didn't send its own OCR text.
+//
+// Pre-processing: grayscale, trim the background around the card, scale to a fixed width,
+// deskew (projection-profile angle search), then an Otsu threshold. The whole card gives the
+// raw text; crops of the name bar and the two bottom corners (the collector number sits in
+// one of them, depending on the era) give the fields.
+//
+// Field confidence is tesseract's confidence (0-1) in the words the value was read from,
+// halved when the value only turned up in the whole-card text or fails a sanity check
+// (HP that isn't a multiple of 10). Text from the browser parses the same way, with null
+// confidences.
+
+const os = require('os');
+const path = require('path');
+
+let sharp, Tesseract;
+let workerPromise = null;
+// One recognition at a time: the worker's page-segmentation mode is set per region
+let recognitionQueue = Promise.resolve();
+
+// Card width the regions and the deskew search work at
+const WORK_WIDTH = 1000;
+const MAX_SKEW_DEGREES = 10;
+const SKEW_STEP_DEGREES = 0.5;
+// Skew below this isn't worth the interpolation blur of a rotation
+const MIN_SKEW_CORRECTION_DEGREES = 0.5;
+// Short side over long side of a trimmed card, as in lib/edition-signals.js
+const CARD_ASPECT = { min: 0.62, max: 0.8 };
+
+// Fractions of a portrait card; psm is tesseract's page segmentation mode
+const CARD_REGIONS = {
+  nameBar: { left: 0.03, top: 0.02, width: 0.94, height: 0.09, psm: '7', scale: 1 },
+  numberLeft: { left: 0, top: 0.87, width: 0.5, height: 0.13, psm: '11', scale: 2 },
+  numberRight: { left: 0.5, top: 0.87, width: 0.5, height: 0.13, psm: '11', scale: 2 }
+};
+
+const FALLBACK_PENALTY = 0.5;
+
+// Dynamic imports: only requests without browser OCR pay for loading them
+function loadDependencies() {
+  if (!sharp) sharp = require('sharp');
+  if (!Tesseract) Tesseract = require('tesseract.js');
+}
+
+function getLangPath() {
+  if (process.env.TESSERACT_LANG_PATH) return process.env.TESSERACT_LANG_PATH;
+  // Same layout tesseract.js downloads from by default, read from node_modules instead
+  return path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+}
+
+// One worker per instance, reused across requests
+function getWorker() {
+  if (!workerPromise) {
+    loadDependencies();
+    workerPromise = Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+      langPath: getLangPath(),
+      cachePath: os.tmpdir(),
+      cacheMethod: 'none',
+      gzip: true
+    }).catch(err => {
+      workerPromise = null;
+      throw err;
+    });
+  }
+  return workerPromise;
+}
+
+// Stop the worker so the process can exit (tests, a server shutting down); the next
+// recognition starts a new one
+async function terminateWorker() {
+  const pending = workerPromise;
+  workerPromise = null;
+  if (pending) await (await pending).terminate();
+}
+
+// ---------- Pre-processing ----------
+
+/**
+ * Otsu's threshold for 8-bit gray pixels: the cut that best separates ink from card, as the
+ * last gray level counted as ink.
+ */
+function otsuThreshold(pixels) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < pixels.length; i++) histogram[pixels[i]]++;
+
+  const total = pixels.length;
+  let sumAll = 0;
+  for (let value = 0; value < 256; value++) sumAll += value * histogram[value];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = { threshold: 128, variance: -1 };
+
+  for (let value = 0; value < 256; value++) {
+    weightBackground += histogram[value];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += value * histogram[value];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > best.variance) best = { threshold: value, variance };
+  }
+
+  return best.threshold;
+}
+
+/**
+ * The angle text lines run at, in degrees (positive: sloping down to the right). Tries each
+ * angle and keeps the one whose row projection of dark pixels is sharpest.
+ * @param {Uint8Array|Buffer} pixels 8-bit gray, one byte per pixel, row by row
+ */
+function estimateSkew(pixels, width, height, threshold = otsuThreshold(pixels)) {
+  const dark = [];
+  // Every other pixel is plenty to find the lines
+  for (let y = 0; y < height; y += 2) {
+    for (let x = 0; x < width; x += 2) {
+      if (pixels[y * width + x] <= threshold) dark.push(x, y);
+    }
+  }
+  if (dark.length === 0) return 0;
+
+  let best = { angle: 0, score: -1 };
+  for (let angle = -MAX_SKEW_DEGREES; angle <= MAX_SKEW_DEGREES + 1e-9; angle += SKEW_STEP_DEGREES) {
+    const slope = Math.tan(angle * Math.PI / 180);
+    const offset = Math.ceil(Math.abs(slope) * width);
+    const rows = new Float64Array(height + 2 * offset);
+    for (let i = 0; i < dark.length; i += 2) {
+      rows[Math.round(dark[i + 1] - dark[i] * slope) + offset]++;
+    }
+
+    let score = 0;
+    for (let i = 0; i < rows.length; i++) score += rows[i] * rows[i];
+    // Prefer the smaller correction on a tie
+    if (score > best.score || (score === best.score && Math.abs(angle) < Math.abs(best.angle))) {
+      best = { angle: Math.round(angle * 10) / 10, score };
+    }
+  }
+
+  return best.angle;
+}
+
+function isCardShaped(width, height) {
+  const aspect = Math.min(width, height) / Math.max(width, height);
+  return aspect >= CARD_ASPECT.min && aspect <= CARD_ASPECT.max;
+}
+
+/**
+ * Grayscale, trimmed, fixed-width, deskewed and thresholded card image.
+ * @returns {Promise<{ image: Buffer, width: number, height: number, skew: number, threshold: number }>}
+ */
+async function preprocessCard(imageData) {
+  loadDependencies();
+
+  let base = sharp(imageData).rotate().grayscale();
+  try {
+    // A uniform background around the card goes. On a photo that is all card the trim eats
+    // into the card itself (a plain border, a pale art box) and leaves another shape, so it is
+    // only kept when what's left is card-shaped.
+    const { data, info } = await base.clone().trim({ threshold: 30 }).toBuffer({ resolveWithObject: true });
+    if (isCardShaped(info.width, info.height)) base = sharp(data);
+  } catch (err) {
+    console.log('⚠️ Could not trim card background:', err.message);
+  }
+
+  const { data, info } = await base
+    .resize({ width: WORK_WIDTH })
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const threshold = otsuThreshold(data);
+  const skew = estimateSkew(data, info.width, info.height, threshold);
+
+  let pipeline = sharp(data, { raw: { width: info.width, height: info.height, channels: 1 } });
+  if (Math.abs(skew) >= MIN_SKEW_CORRECTION_DEGREES) {
+    pipeline = pipeline.rotate(-skew, { background: '#ffffff' });
+  }
+
+  const { data: image, info: out } = await pipeline
+    // sharp blackens what is below its threshold
+    .threshold(threshold + 1)
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  return { image, width: out.width, height: out.height, skew, threshold };
+}
+
+async function cropRegion(card, region) {
+  const left = Math.round(region.left * card.width);
+  const top = Math.round(region.top * card.height);
+  const width = Math.min(Math.round(region.width * card.width), card.width - left);
+  const height = Math.min(Math.round(region.height * card.height), card.height - top);
+
+  let crop = sharp(card.image).extract({ left, top, width, height });
+  if (region.scale > 1) {
+    crop = crop.resize({ width: width * region.scale });
+  }
+  return crop.png().toBuffer();
+}
+
+// ---------- Field parsing ----------
+
+const HP_PATTERN = /\b(?:HP|PV|KP)\s*([0-9O]{2,3})\b|\b([0-9O]{2,3})\s*(?:HP|PV|KP)\b/i;
+const NUMBER_PATTERN = /\b([0-9OoIl]{1,3})\s*\/\s*([0-9OoIl]{2,3})\b/;
+const NAME_NOISE = [
+  /\b(?:HP|PV|KP)\s*[0-9O]{2,3}\b.*$/i,
+  /\b[0-9O]{2,3}\s*(?:HP|PV|KP)\b.*$/i,
+  /\b(?:BASIC|STAGE\s*[12I]|RESTORED|TRAINER|SUPPORTER|ITEM|STADIUM)\b/gi,
+  /\bEvolves from\b.*$/i
+];
+
+const toDigits = (text) => text.replace(/[Oo]/g, '0').replace(/[Il]/g, '1');
+const clean = (text) => (text || '').toLowerCase().replace(/[^a-z0-9\/]/g, '');
+
+// Mean confidence (0-1) of the recognized words that make up `value`; null without word data
+function wordConfidence(words, value) {
+  if (!words) return null;
+
+  const wanted = (value || '').split(/\s+/).map(clean).filter(Boolean);
+  const used = words.filter(word => {
+    const text = clean(word.text);
+    return text && wanted.some(part => part.includes(text) || text.includes(part));
+  });
+  if (used.length === 0) return null;
+
+  const mean = used.reduce((sum, word) => sum + word.confidence, 0) / used.length;
+  return Math.round(mean) / 100;
+}
+
+function field(value, source, { region = true, plausible = true } = {}) {
+  if (value === null || value === undefined || value === '') return { value: null, confidence: null };
+
+  let confidence = wordConfidence(source.words, source.matched ?? String(value));
+  if (confidence !== null && (!region || !plausible)) {
+    confidence = Math.round(confidence * FALLBACK_PENALTY * 100) / 100;
+  }
+  return { value, confidence };
+}
+
+function nameFrom(text) {
+  const line = (text || '').split('\n').map(l => l.trim()).find(l => /[A-Za-z]{3}/.test(l));
+  if (!line) return null;
+
+  const name = NAME_NOISE
+    .reduce((rest, pattern) => rest.replace(pattern, ' '), line)
+    .replace(/[^A-Za-z0-9'’.\-\s\u00C0-\u017F]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return name.length >= 3 ? name : null;
+}
+
+// A name line from the whole card: the same rules as the scanner's query builder
+function nameFromRawText(text) {
+  const line = (text || '').split('\n').map(l => l.trim()).find(l =>
+    l.length > 3 && l.length < 30 && !/^\d/.test(l) && !/pok[eé]mon/i.test(l)
+  );
+  return nameFrom(line);
+}
+
+/**
+ * Card fields from OCR output. Each source is { text, words } where words are tesseract's
+ * ({ text, confidence 0-100 }) or null for text without confidences.
+ * @param {{ raw: object, nameBar?: object, numberLeft?: object, numberRight?: object }} sources
+ * @returns {{ name, hp, setNumber, setTotal }} each { value, confidence }
+ */
+function parseCardFields({ raw, nameBar = null, numberLeft = null, numberRight = null }) {
+  const whole = raw || { text: '', words: null };
+
+  // The name bar's read, unless the whole card's (penalized as usual) is the surer one
+  const regionName = nameBar && nameFrom(nameBar.text);
+  const barName = regionName ? field(regionName, nameBar) : { value: null, confidence: null };
+  const wholeName = field(nameFromRawText(whole.text), whole, { region: false });
+  const wholeIsSurer = wholeName.confidence !== null && (barName.confidence ?? -1) < wholeName.confidence;
+  const name = barName.value && !wholeIsSurer ? barName : wholeName;
+
+  let hp = { value: null, confidence: null };
+  for (const [source, region] of [[nameBar, true], [whole, false]]) {
+    const match = source?.text?.match(HP_PATTERN);
+    if (!match) continue;
+    const value = parseInt(toDigits(match[1] || match[2]), 10);
+    hp = field(value, { ...source, matched: match[0] }, { region, plausible: value % 10 === 0 && value <= 400 });
+    break;
+  }
+
+  let setNumber = { value: null, confidence: null };
+  let setTotal = { value: null, confidence: null };
+  for (const [source, region] of [[numberLeft, true], [numberRight, true], [whole, false]]) {
+    const match = source?.text?.match(NUMBER_PATTERN);
+    if (!match) continue;
+    const withMatch = { ...source, matched: match[0] };
+    setNumber = field(toDigits(match[1]), withMatch, { region });
+    setTotal = field(toDigits(match[2]), withMatch, { region });
+    break;
+  }
+
+  return { name, hp, setNumber, setTotal };
+}
+
+// ---------- Recognition ----------
+
+function exclusive(task) {
+  const run = recognitionQueue.then(task, task);
+  recognitionQueue = run.catch(() => {});
+  return run;
+}
+
+async function recognize(worker, image, psm) {
+  await worker.setParameters({ tessedit_pageseg_mode: psm });
+  const { data } = await worker.recognize(image);
+  return {
+    text: data.text || '',
+    confidence: data.confidence,
+    words: (data.words || []).map(word => ({ text: word.text, confidence: word.confidence }))
+  };
+}
+
+/**
+ * OCR a card photo.
+ * @param {Buffer} imageData the uploaded image file
+ * @param {{ deadline?: number|null }} options - deadline: epoch ms after which no further
+ *   region is read; what was read by then is returned, with timedOut set
+ * @returns {Promise<{ text: string, confidence: number|null, fields: object, skew: number|null, durationMs: number, timedOut: boolean }>}
+ *   text is the whole card's raw text; confidence is tesseract's for it (0-1)
+ */
+async function recognizeCard(imageData, { deadline = null } = {}) {
+  const startTime = Date.now();
+  const timeUp = () => deadline !== null && Date.now() >= deadline;
+  if (timeUp()) {
+    return { text: '', confidence: null, fields: parseCardFields({ raw: null }), skew: null, durationMs: 0, timedOut: true };
+  }
+
+  const worker = await getWorker();
+  const card = await preprocessCard(imageData);
+  console.log(`🖼️ Card pre-processed: ${card.width}x${card.height}, skew ${card.skew}°, threshold ${card.threshold}`);
+
+  const regionImages = {};
+  for (const [name, region] of Object.entries(CARD_REGIONS)) {
+    regionImages[name] = await cropRegion(card, region);
+  }
+
+  return exclusive(async () => {
+    // The whole card first, then the regions, for as long as the deadline allows
+    const raw = timeUp() ? null : await recognize(worker, card.image, '3');
+    const regions = {};
+    for (const [name, region] of Object.entries(CARD_REGIONS)) {
+      if (!raw || timeUp()) break;
+      regions[name] = await recognize(worker, regionImages[name], region.psm);
+    }
+    const timedOut = Object.keys(regions).length < Object.keys(CARD_REGIONS).length;
+    if (timedOut) console.warn(`⏱️ OCR stopped at the deadline after ${Object.keys(regions).length} regions`);
+
+    const fields = parseCardFields({ raw, ...regions });
+    console.log('🔤 OCR fields:', fields);
+
+    return {
+      text: (raw?.text || '').trim(),
+      confidence: Number.isFinite(raw?.confidence) ? Math.round(raw.confidence) / 100 : null,
+      fields,
+      skew: card.skew,
+      durationMs: Date.now() - startTime,
+      timedOut
+    };
+  });
+}
+
+module.exports = {
+  CARD_REGIONS,
+  isCardShaped,
+  otsuThreshold,
+  estimateSkew,
+  preprocessCard,
+  parseCardFields,
+  recognizeCard,
+  terminateWorker
+};
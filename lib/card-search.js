@@ -0,0 +1,792 @@
+// lib/card-search.js
+// Card resolution shared by the counter (buybackstep4), the customer portal
+// (customer-submissions) and photo matching (shopify-image-match), so a card matches the same
+// way everywhere. A pipeline of strategies runs in order and the first match wins:
+//   exact SKU (staff-confirmed) -> learned alias -> normalized set-number tag -> fulltext ->
+//   exact title / SKU -> fuzzy
+// A learned alias is a query staff once resolved by picking an option (lib/learned-aliases.js).
+// Graded cards try a graded listing first and fall back to the raw card.
+// With a catalog index (lib/catalog-index.js) the pipeline runs against the index first and
+// against Shopify only when the index finds nothing.
+//
+// Every found result has the same shape: product { title, id }, variant { title, sku, price,
+// inventory_item_id, product_id }, searchMethod, confidence ('high' | 'medium' | 'low' |
+// 'uncertain'), alternativeCount, allOptions, needsConfirmation, image, tags, productType, game,
+// productVariants. Titles are scored by lib/fuzzy-match.js; a pick scoring below its 'low'
+// threshold is still returned, but as 'uncertain' and needing confirmation.
+// A card's game (lib/games.js) keeps other games' products out of its options.
+
+const {
+  parseCardGrading,
+  gradeLabel,
+  gradedTagCandidates,
+  matchesGradedListing,
+  isGradedListing
+} = require('./grading');
+const {
+  MATCH_THRESHOLDS,
+  rankMatches,
+  bestMatch,
+  confidenceFor,
+  spellingCorrections,
+  correctSpelling
+} = require('./fuzzy-match');
+const { findSetCodes, canonicalSetCode } = require('./set-codes');
+const { gameForProduct, gameForCard } = require('./games');
+const { findLearnedAlias, isTrustedAlias } = require('./learned-aliases');
+const { ShopifyGraphQLError } = require('./shopify-client');
+
+// SKUs per OR'd productVariants query
+const SKU_BATCH_SIZE = 50;
+// Live product searches: products in an unpaged search, and per page when paging. Paging
+// stops after LIVE_MAX_PAGES: a name that broad needs the catalog index to narrow it
+const LIVE_RESULTS = 20;
+const LIVE_PAGE_SIZE = 50;
+const LIVE_MAX_PAGES = 4;
+
+const NOT_FOUND = { found: false };
+// The search ran out of time before finding anything (the deadline option)
+const TIMED_OUT = { found: false, timedOut: true };
+
+const PRODUCT_FIELDS = `
+  id
+  title
+  tags
+  productType
+  featuredImage {
+    url
+  }
+  variants(first: 5) {
+    edges {
+      node {
+        id
+        title
+        sku
+        price
+        inventoryQuantity
+        inventoryItem {
+          id
+        }
+      }
+    }
+  }
+`;
+
+const EXACT_SKU_VARIANT_FIELDS = `
+  id
+  title
+  sku
+  price
+  inventoryQuantity
+  image {
+    url
+  }
+  inventoryItem {
+    id
+  }
+  product {
+    id
+    title
+    tags
+    productType
+    featuredImage {
+      url
+    }
+    variants(first: 10) {
+      edges {
+        node {
+          id
+          title
+          sku
+          price
+          inventoryQuantity
+          inventoryItem {
+            id
+          }
+        }
+      }
+    }
+  }
+`;
+
+// ---------- Name normalization ----------
+
+// "138/131" -> "138131" for tag searches
+function normalizeSearchTerm(term) {
+  if (!term) return '';
+  return term.replace(/[\/\-\s]/g, '');
+}
+
+// A name that is just a set code, as its canonical tag from lib/set-codes.js:
+// "EB3-26" -> "EB03026", "LOB-EN001" -> "LOBEN001". Anything else comes back unchanged.
+function normalizeCardNumber(cardName) {
+  if (!cardName) return cardName;
+  return canonicalSetCode(cardName) || cardName;
+}
+
+// Tags the store might use for this card: set codes, "199/165" and "199165", bare numbers,
+// and the whole name squashed together
+function extractPotentialTags(cardName) {
+  if (!cardName) return [];
+
+  // Set codes anywhere in the name: "Luffy OP09-001", "Dark Magician SDK-001"
+  const tags = findSetCodes(cardName).map(code => code.tag);
+
+  const numberPattern = /(\d+)[\/\-](\d+)/g;
+  let match;
+  while ((match = numberPattern.exec(cardName)) !== null) {
+    tags.push(match[0]);
+    tags.push(match[1] + match[2]);
+  }
+
+  tags.push(...(cardName.match(/\b\d{3,6}\b/g) || []));
+  tags.push(normalizeSearchTerm(cardName));
+
+  return [...new Set(tags)].filter(tag => tag && tag.length >= 2);
+}
+
+// Free text (a typed or OCR'd card name) as quoted search words, so parentheses, field
+// prefixes, OR/NOT and quotes in it are searched for rather than read as query syntax
+function quoteSearchWords(text) {
+  return text.split(/\s+/)
+    .filter(Boolean)
+    .map(word => `"${word.replace(/["\\]/g, '\\$&')}"`)
+    .join(' ');
+}
+
+function normalizeForComparison(text) {
+  if (!text) return '';
+
+  return text
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Options best-first, each with its fuzzy-match score
+function rankOptions(searchName, options) {
+  return rankMatches(searchName, options);
+}
+
+// The best option with its score and confidence; option is null when there are none
+function findBestVariantMatch(searchName, options) {
+  const { option, score, confidence } = bestMatch(searchName, options);
+  return { option, score, confidence };
+}
+
+// ---------- Option / result shapes ----------
+
+const numericInventoryItemId = (id) => id ? id.toString().replace('gid://shopify/InventoryItem/', '') : null;
+
+function optionFrom(product, variant) {
+  return {
+    productTitle: product.title,
+    variantTitle: variant.title,
+    sku: variant.sku,
+    price: parseFloat(variant.price || 0),
+    inventory: variant.inventoryQuantity,
+    inventoryItemId: numericInventoryItemId(variant.inventoryItem?.id),
+    fullTitle: variant.title !== 'Default Title' ? `${product.title} - ${variant.title}` : product.title,
+    productId: product.id,
+    variantId: variant.id,
+    image: variant.image?.url || product.featuredImage?.url || null,
+    tags: Array.isArray(product.tags) ? product.tags : [],
+    productType: product.productType || null,
+    game: gameForProduct({ productType: product.productType, tags: product.tags || [], title: product.title })
+  };
+}
+
+// GraphQL product edges -> one option per variant
+function flattenProductOptions(products) {
+  const allOptions = [];
+  products.forEach(({ node: product }) => {
+    (product.variants?.edges || []).forEach(({ node: variant }) => allOptions.push(optionFrom(product, variant)));
+  });
+  return allOptions;
+}
+
+// REST products -> the same option shape
+function flattenRestProducts(products) {
+  const allOptions = [];
+  products.forEach(product => {
+    const tags = typeof product.tags === 'string'
+      ? product.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      : product.tags || [];
+    (product.variants || []).forEach(variant => allOptions.push({
+      productTitle: product.title,
+      variantTitle: variant.title,
+      sku: variant.sku,
+      price: parseFloat(variant.price || 0),
+      inventory: variant.inventory_quantity,
+      inventoryItemId: variant.inventory_item_id ? variant.inventory_item_id.toString() : null,
+      fullTitle: variant.title !== 'Default Title' ? `${product.title} - ${variant.title}` : product.title,
+      productId: product.id,
+      variantId: variant.id,
+      image: product.image?.src || product.images?.[0]?.src || null,
+      tags,
+      productType: product.product_type || null,
+      game: gameForProduct({ productType: product.product_type, tags, title: product.title })
+    }));
+  });
+  return allOptions;
+}
+
+function getProductVariants(allOptions, productId) {
+  return allOptions
+    .filter(option => option.productId === productId)
+    .map(option => ({
+      title: option.variantTitle,
+      sku: option.sku,
+      price: option.price,
+      inventory_item_id: option.inventoryItemId,
+      product_id: option.productId
+    }));
+}
+
+function buildResult(option, { searchMethod, confidence, allOptions, needsConfirmation = false, ...extra }) {
+  return {
+    found: true,
+    product: { title: option.productTitle, id: option.productId },
+    variant: {
+      title: option.variantTitle,
+      sku: option.sku,
+      price: option.price,
+      inventory_item_id: option.inventoryItemId,
+      product_id: option.productId
+    },
+    searchMethod,
+    confidence,
+    alternativeCount: allOptions.length - 1,
+    allOptions,
+    needsConfirmation,
+    image: option.image || null,
+    tags: option.tags || [],
+    productType: option.productType || null,
+    game: option.game || null,
+    productVariants: getProductVariants(allOptions, option.productId),
+    ...extra
+  };
+}
+
+// Pick from a strategy's options: one option is certain unless its title plainly isn't the
+// card (below the 'low' threshold), otherwise the best title match, flagged for confirmation
+// unless its confidence is 'high'.
+// searchMethod becomes "<method>_single" / "_confident" / "_uncertain".
+function resolveOptions(options, cardName, method) {
+  if (options.length === 0) return NOT_FOUND;
+
+  const { option, score, confidence } = findBestVariantMatch(cardName, options);
+
+  if (options.length === 1) {
+    const matches = score >= MATCH_THRESHOLDS.low;
+    return buildResult(option, {
+      searchMethod: `${method}_${matches ? 'single' : 'uncertain'}`,
+      confidence: matches ? 'high' : 'uncertain',
+      allOptions: options,
+      needsConfirmation: !matches
+    });
+  }
+
+  const confident = confidence === 'high';
+  return buildResult(option, {
+    searchMethod: `${method}_${confident ? 'confident' : 'uncertain'}`,
+    confidence,
+    allOptions: options,
+    needsConfirmation: !confident
+  });
+}
+
+function exactSkuResult(variantNode) {
+  const product = variantNode.product;
+  const matched = optionFrom(product, variantNode);
+  const siblings = flattenProductOptions([{ node: product }]);
+  const allOptions = [matched, ...siblings.filter(option => option.variantId !== matched.variantId)];
+
+  return buildResult(matched, { searchMethod: 'exact_sku', confidence: 'high', allOptions });
+}
+
+// A found result's options as ranked candidates: the pipeline's pick first (with the result's
+// confidence), then the rest by fuzzy-match score. `score` is the match score for the query.
+function rankCandidates(result, query) {
+  const ranked = rankOptions(query, result.allOptions);
+  const pickedIndex = Math.max(0, ranked.findIndex(({ option }) =>
+    option.sku === result.variant.sku && option.productId === result.product.id
+  ));
+  const [picked] = ranked.splice(pickedIndex, 1);
+
+  return [
+    { ...picked.option, score: picked.score, confidence: result.confidence },
+    ...ranked.map(({ option, score }) => ({ ...option, score, confidence: confidenceFor(score) }))
+  ];
+}
+
+// ---------- Strategies ----------
+// Each takes (card, source, context) and resolves with a result or { found: false }. A source
+// (the catalog index or live Shopify) provides productOptions(query), exactTitleOptions(title),
+// titleWords(words) and getVariantBySku(sku); context holds the learned aliases.
+
+const exactSkuStrategy = {
+  name: 'exact_sku',
+  run: async (card, source) => (card.sku && card.searchMethod === 'exact_sku')
+    ? source.getVariantBySku(card.sku)
+    : NOT_FOUND
+};
+
+// The SKU staff picked the last time this exact query was ambiguous. Until the pick has been
+// confirmed more than once it is offered first but still needs confirming.
+const learnedAliasStrategy = {
+  name: 'learned_alias',
+  run: async (card, source, { aliases }) => {
+    const alias = findLearnedAlias(aliases, card.cardName, gameForCard(card));
+    if (!alias) return NOT_FOUND;
+
+    const result = await source.getVariantBySku(alias.sku);
+    if (!result.found) return NOT_FOUND;
+
+    const trusted = isTrustedAlias(alias);
+    return {
+      ...result,
+      searchMethod: 'learned_alias',
+      confidence: trusted ? 'high' : 'medium',
+      needsConfirmation: !trusted,
+      learnedAliasId: alias.id
+    };
+  }
+};
+
+const setNumberTagStrategy = {
+  name: 'tag',
+  run: async (card, source) => {
+    for (const tag of extractPotentialTags(card.cardName)) {
+      try {
+        const options = await source.productOptions(`tag:${normalizeSearchTerm(tag)}`);
+        const result = resolveOptions(options, card.cardName, 'tag');
+        if (result.found) return result;
+      } catch (error) {
+        console.log(`❌ Tag search failed for "${tag}":`, error.message);
+      }
+    }
+    return NOT_FOUND;
+  }
+};
+
+// Shopify's general search (title, tags, body, vendor...), then the title: field
+const fulltextStrategy = {
+  name: 'fulltext',
+  run: async (card, source) => {
+    if (!card.cardName) return NOT_FOUND;
+
+    const escaped = card.cardName.replace(/"/g, '\\"');
+    for (const query of [escaped, `title:${escaped}`]) {
+      const result = resolveOptions(await source.productOptions(query), card.cardName, 'fulltext');
+      if (result.found) return result;
+    }
+    return NOT_FOUND;
+  }
+};
+
+// Exact title match
+const titleStrategy = {
+  name: 'title',
+  run: async (card, source) => {
+    if (!card.cardName) return NOT_FOUND;
+
+    const options = await source.exactTitleOptions(card.cardName);
+    return options.length
+      ? buildResult(options[0], { searchMethod: 'title', confidence: 'high', allOptions: options })
+      : NOT_FOUND;
+  }
+};
+
+// Unconfirmed SKU (or a name that is really a SKU)
+const skuStrategy = {
+  name: 'sku',
+  run: async (card, source) => {
+    const sku = card.sku || card.cardName;
+    if (!sku) return NOT_FOUND;
+
+    const result = await source.getVariantBySku(sku);
+    return result.found ? { ...result, searchMethod: 'sku', confidence: card.sku ? 'high' : 'medium' } : NOT_FOUND;
+  }
+};
+
+// Any of the name's longer words, spelling-corrected against the name dictionaries
+// ("Charzard" -> "Charizard") unless the catalog has the word in a title. Nothing below the
+// 'low' threshold is offered, and the pick is never more than 'medium' and always needs
+// confirmation.
+const fuzzyStrategy = {
+  name: 'fuzzy',
+  run: async (card, source) => {
+    const suspects = spellingCorrections(card.cardName).map(({ word }) => word);
+    const knownWords = suspects.length ? await source.titleWords(suspects) : new Set();
+    const correctedName = correctSpelling(card.cardName, { knownWords });
+    const words = [...new Set(normalizeForComparison(correctedName).split(' '))]
+      .filter(word => word.length >= 3)
+      .sort((a, b) => b.length - a.length)
+      .slice(0, 3);
+    if (words.length === 0) return NOT_FOUND;
+
+    const options = await source.productOptions(words.join(' OR '));
+    const { option, score, confidence } = findBestVariantMatch(correctedName, options);
+    if (!option || score < MATCH_THRESHOLDS.low) return NOT_FOUND;
+
+    return buildResult(option, {
+      searchMethod: 'fuzzy',
+      confidence: confidence === 'high' ? 'medium' : confidence,
+      allOptions: options,
+      needsConfirmation: true
+    });
+  }
+};
+
+const DEFAULT_STRATEGIES = [
+  exactSkuStrategy,
+  learnedAliasStrategy,
+  setNumberTagStrategy,
+  fulltextStrategy,
+  titleStrategy,
+  skuStrategy,
+  fuzzyStrategy
+];
+
+// ---------- Service ----------
+
+/**
+ * Card search bound to one request's Shopify client. Query results are cached for the life
+ * of the instance, so create one per request.
+ * @param {Function} makeShopifyRequest
+ * @param {{ strategies?: Array<{ name: string, run: Function }>, catalog?: object|null, aliases?: object[], pageLiveSearches?: boolean, deadline?: number|null }} options
+ *   catalog: a loaded catalog index to search before Shopify
+ *   aliases: learned aliases (lib/learned-aliases.js loadSearchAliases)
+ *   pageLiveSearches: page Shopify product searches through up to LIVE_MAX_PAGES pages of
+ *     matches, not just the first LIVE_RESULTS (photo matching without a catalog index, where
+ *     a broad name may be all the card gives)
+ *   deadline: epoch ms after which no further strategy, source or page is tried; a search cut
+ *     short without a match comes back as { found: false, timedOut: true }
+ */
+function createCardSearch(makeShopifyRequest, { strategies = DEFAULT_STRATEGIES, catalog = null, aliases = [], pageLiveSearches = false, deadline = null } = {}) {
+  const queryCache = new Map();
+  const exactSkuResults = new Map();
+  const timeUp = () => deadline !== null && Date.now() >= deadline;
+
+  // Throws ShopifyGraphQLError on top-level errors (a bad query, access denied) rather than
+  // letting them read as no results
+  async function graphql(query, variables = {}) {
+    const response = await makeShopifyRequest('/graphql.json', {
+      method: 'POST',
+      body: JSON.stringify({ query, variables })
+    });
+    const json = await response.json();
+    if (json.errors?.length) {
+      throw new ShopifyGraphQLError(json.errors);
+    }
+    return json;
+  }
+
+  // Read-only queries shared across cards (e.g. the same tag for a whole binder page)
+  function cachedGraphQL(query, variables = {}) {
+    const cacheKey = JSON.stringify([query, variables]);
+    if (!queryCache.has(cacheKey)) {
+      const pending = graphql(query, variables).catch(err => {
+        queryCache.delete(cacheKey);
+        throw err;
+      });
+      queryCache.set(cacheKey, pending);
+    }
+    return queryCache.get(cacheKey);
+  }
+
+  // Product search in Shopify's query syntax, flattened to one option per variant. The first
+  // LIVE_RESULTS products, or with pageLiveSearches up to LIVE_MAX_PAGES pages of matches.
+  async function liveProductOptions(searchQuery) {
+    const edges = [];
+    let after = null;
+    let pages = 0;
+    do {
+      const json = await cachedGraphQL(`query cardSearch($query: String!, $first: Int!, $after: String) {
+        products(first: $first, after: $after, query: $query) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          edges {
+            node {
+              ${PRODUCT_FIELDS}
+            }
+          }
+        }
+      }`, { query: searchQuery, first: pageLiveSearches ? LIVE_PAGE_SIZE : LIVE_RESULTS, after });
+      const products = json?.data?.products;
+      edges.push(...(products?.edges || []));
+      after = pageLiveSearches && products?.pageInfo?.hasNextPage ? products.pageInfo.endCursor : null;
+      if (after && (++pages >= LIVE_MAX_PAGES || timeUp())) {
+        console.warn(`⚠️ "${searchQuery}" matches more than ${edges.length} products, searching only those`);
+        after = null;
+      }
+    } while (after);
+
+    return flattenProductOptions(edges);
+  }
+
+  // Which of these lowercase words some product title has: a one-product query each
+  async function liveTitleWords(words) {
+    const found = await Promise.all(words.map(async word => {
+      const json = await cachedGraphQL(`query titleWord($query: String!) {
+        products(first: 1, query: $query) {
+          edges {
+            node {
+              id
+            }
+          }
+        }
+      }`, { query: `title:${word}` });
+      return json?.data?.products?.edges?.length ? word : null;
+    }));
+    return new Set(found.filter(Boolean));
+  }
+
+  // REST exact title match: the first product's variants
+  async function liveExactTitleOptions(title) {
+    const response = await makeShopifyRequest(`/products.json?title=${encodeURIComponent(title)}`);
+    if (!response.ok) return [];
+
+    const data = await response.json();
+    return flattenRestProducts((data.products || []).slice(0, 1));
+  }
+
+  // One OR'd productVariants query for up to SKU_BATCH_SIZE SKUs
+  async function lookupSkuBatch(batch) {
+    const query = `query exactSkus($query: String!, $first: Int!) {
+      productVariants(first: $first, query: $query) {
+        edges {
+          node {
+            ${EXACT_SKU_VARIANT_FIELDS}
+          }
+        }
+      }
+    }`;
+    const searchQuery = batch.map(sku => `sku:"${sku.replace(/"/g, '\\"')}"`).join(' OR ');
+
+    const json = await graphql(query, { query: searchQuery, first: batch.length * 2 });
+    const variants = (json?.data?.productVariants?.edges || []).map(edge => edge.node);
+    console.log(`🎯 Batched SKU lookup: ${variants.length} variants for ${batch.length} SKUs`);
+
+    batch.forEach(sku => {
+      const variant = variants.find(v => v.sku === sku);
+      exactSkuResults.set(sku, variant ? exactSkuResult(variant) : NOT_FOUND);
+    });
+  }
+
+  // Resolve every confirmed SKU of a trade: from the catalog index where it has them, the
+  // rest with OR'd productVariants queries. A batch that fails is left for each card's own
+  // lookup.
+  async function prefetchExactSkus(skus) {
+    const uniqueSkus = [];
+    [...new Set(skus.filter(Boolean))].filter(sku => !exactSkuResults.has(sku)).forEach(sku => {
+      const indexed = catalog?.variantBySku(sku);
+      if (indexed) {
+        exactSkuResults.set(sku, exactSkuResult(indexed));
+      } else {
+        uniqueSkus.push(sku);
+      }
+    });
+
+    for (let i = 0; i < uniqueSkus.length; i += SKU_BATCH_SIZE) {
+      const batch = uniqueSkus.slice(i, i + SKU_BATCH_SIZE);
+      try {
+        await lookupSkuBatch(batch);
+      } catch (error) {
+        console.log(`❌ Batched SKU lookup failed for ${batch.length} SKUs:`, error.message);
+      }
+    }
+  }
+
+  async function getVariantBySku(sku) {
+    if (!exactSkuResults.has(sku)) {
+      await lookupSkuBatch([sku]);
+    }
+    return exactSkuResults.get(sku);
+  }
+
+  const liveSource = {
+    name: 'shopify',
+    productOptions: liveProductOptions,
+    exactTitleOptions: liveExactTitleOptions,
+    titleWords: liveTitleWords,
+    getVariantBySku
+  };
+
+  // The index answers without touching Shopify; a query it can't answer counts as a miss
+  const catalogSource = catalog && {
+    name: 'catalog',
+    productOptions: async (searchQuery) => flattenProductOptions(catalog.query(searchQuery) || []),
+    exactTitleOptions: async (title) => {
+      const edges = (catalog.query(`title:"${title.replace(/"/g, '\\"')}"`) || [])
+        .filter(({ node }) => node.title.toLowerCase() === title.toLowerCase());
+      return flattenProductOptions(edges.slice(0, 1));
+    },
+    titleWords: async (words) => new Set(words.filter(word => catalog.hasTitleWord(word))),
+    getVariantBySku: async (sku) => {
+      // A trade's SKUs were prefetched, live where the index didn't have them
+      if (exactSkuResults.has(sku)) return exactSkuResults.get(sku);
+      const node = catalog.variantBySku(sku);
+      return node ? exactSkuResult(node) : NOT_FOUND;
+    }
+  };
+
+  // Index first, then Shopify only when the index found nothing
+  const sources = catalogSource ? [catalogSource, liveSource] : [liveSource];
+
+  // Graded slab listings: tagged "PSA10" / "PSA 10", or with company and grade in the title
+  async function searchGradedListing(card, grading, source) {
+    const label = gradeLabel(grading);
+    const tagClause = gradedTagCandidates(grading).map(tag => `tag:"${tag}"`).join(' OR ');
+    const name = quoteSearchWords(card.cardName);
+    const searchQueries = [
+      `(${tagClause}) AND ${name}`,
+      `${name} ${quoteSearchWords(`${grading.company} ${grading.grade}`)}`
+    ];
+
+    let options = [];
+    for (const searchQuery of searchQueries) {
+      options = (await source.productOptions(searchQuery)).filter(option => matchesGradedListing(option, grading));
+      console.log(`🔍 Graded query "${searchQuery}" found ${options.length} ${label} listings (${source.name})`);
+      if (options.length > 0) break;
+    }
+    if (options.length === 0) return NOT_FOUND;
+
+    const { confidence, option } = findBestVariantMatch(`${card.cardName} ${label}`, options);
+    const confident = options.length === 1 || confidence === 'high';
+    return buildResult(option, {
+      searchMethod: 'graded_listing',
+      confidence: confident ? 'high' : 'medium',
+      allOptions: options,
+      needsConfirmation: !confident,
+      gradedListing: true
+    });
+  }
+
+  // A raw-card match for a slab must not be another grade's slab listing
+  function preferRawListing(result, cardName) {
+    if (!result.found || !isGradedListing({ productTitle: result.product.title })) {
+      return result;
+    }
+
+    const rawOptions = (result.allOptions || []).filter(option => !isGradedListing(option));
+    if (rawOptions.length === 0) {
+      console.log(`❌ Only other graded listings found for ${cardName}, no raw price to scale`);
+      return NOT_FOUND;
+    }
+
+    const { option } = findBestVariantMatch(cardName, rawOptions);
+    return {
+      ...buildResult(option, {
+        searchMethod: result.searchMethod,
+        confidence: result.confidence,
+        allOptions: result.allOptions,
+        needsConfirmation: true
+      }),
+      alternativeCount: result.alternativeCount
+    };
+  }
+
+  async function runStrategies(card, source) {
+    for (const strategy of strategies) {
+      if (timeUp()) {
+        console.log(`⏱️ Search for "${card.cardName}" stopped at the deadline before ${strategy.name} (${source.name})`);
+        return TIMED_OUT;
+      }
+      try {
+        const result = await strategy.run(card, source, { aliases });
+        if (result.found) {
+          console.log(`✅ ${card.cardName || card.sku}: ${result.product.title} via ${result.searchMethod} (${result.confidence}, ${source.name})`);
+          return result;
+        }
+      } catch (error) {
+        console.log(`❌ ${strategy.name} search failed for "${card.cardName}" (${source.name}):`, error.message);
+      }
+    }
+    return NOT_FOUND;
+  }
+
+  // Sources limited to the card's game. Products with no recognizable game stay in, since
+  // plenty of store titles don't say.
+  function sourcesFor(card) {
+    const game = gameForCard(card);
+    if (!game) return sources;
+
+    const inGame = (options) => options.filter(option => !option.game || option.game === game);
+    return sources.map(source => ({
+      ...source,
+      productOptions: async (searchQuery) => inGame(await source.productOptions(searchQuery)),
+      exactTitleOptions: async (title) => inGame(await source.exactTitleOptions(title))
+    }));
+  }
+
+  // A found result's game is the card's own when it has one, else its product's
+  function withCardGame(result, card) {
+    return result.found ? { ...result, game: gameForCard(card) || result.game } : result;
+  }
+
+  async function searchRawCard(card) {
+    for (const source of sourcesFor(card)) {
+      const result = await runStrategies(card, source);
+      if (result.found) return withCardGame(result, card);
+      if (result.timedOut) return result;
+    }
+
+    console.log(`❌ No matches found for: ${card.cardName}`);
+    return NOT_FOUND;
+  }
+
+  async function searchGraded(card, grading) {
+    for (const source of sourcesFor(card)) {
+      if (timeUp()) return TIMED_OUT;
+      try {
+        const result = await searchGradedListing(card, grading, source);
+        if (result.found) return withCardGame(result, card);
+      } catch (error) {
+        console.log(`❌ Graded listing search failed for "${card.cardName}" (${source.name}):`, error.message);
+      }
+    }
+    return NOT_FOUND;
+  }
+
+  // Graded cards try graded listings first, then fall back to the raw card (priced with the
+  // grade multiplier); everything else goes straight down the strategy pipeline
+  async function searchCard(card) {
+    const { grading } = parseCardGrading(card);
+    if (!grading) {
+      return searchRawCard(card);
+    }
+
+    const gradedResult = await searchGraded(card, grading);
+    if (gradedResult.found || gradedResult.timedOut) return gradedResult;
+
+    console.log(`↩️ No ${gradeLabel(grading)} listing for ${card.cardName}, using the raw card price`);
+    return withCardGame(preferRawListing(await searchRawCard(card), card.cardName), card);
+  }
+
+  return {
+    prefetchExactSkus,
+    getVariantBySku,
+    searchCard,
+    searchRawCard
+  };
+}
+
+module.exports = {
+  DEFAULT_STRATEGIES,
+  LIVE_MAX_PAGES,
+  createCardSearch,
+  normalizeSearchTerm,
+  normalizeCardNumber,
+  extractPotentialTags,
+  normalizeForComparison,
+  rankOptions,
+  rankCandidates,
+  findBestVariantMatch,
+  flattenProductOptions,
+  flattenRestProducts
+};
@@ -0,0 +1,127 @@
+// lib/card-symbols.js
+// The symbol library lib/edition-signals.js matches card photos against: edition stamps, set
+// symbols and card backs, each a grayscale SVG template drawn with paths only (no fonts, so it
+// renders the same on any host).
+//
+// Entries:
+//   kind      'stamp' | 'set' | 'back'
+//   region    where on a portrait card to look, as fractions of its width and height
+//             (stamps and set symbols; a back is compared whole)
+//   size      the template's width as a fraction of the card's width
+//   threshold normalized cross-correlation (-1..1) from which the symbol counts as present
+//   variants  words in a product or variant title that mean this printing
+//   absentVariants  words that mean the printing without it (1st Edition's Unlimited),
+//             favoured when the symbol is clearly absent
+//   traced    whether the SVG is traced from a scan of the printed symbol
+//   game      (backs) the game a matched back identifies
+//
+// The templates below are hand-drawn stand-ins, not traces (traced: false), and haven't been
+// checked against real card photos. Their scores are reported as hints but never pick a
+// printing; a symbol only counts, present or absent, once its template is traced. To trace
+// one: vectorize the symbol from a flat scan of a card, keep paths only, crop the viewBox to
+// the symbol with a little of the card around it, set traced, and add a photo of a card with
+// it to the tests. The backs only tell the game apart.
+// The Base Set shadow isn't a symbol and is read separately (lib/edition-signals.js).
+
+const SYMBOL_LIBRARY = [
+  {
+    id: 'first-edition',
+    kind: 'stamp',
+    label: '1st Edition',
+    games: ['pokemon'],
+    // Wizards-era stamp: left edge, just below the art box
+    region: { left: 0.03, top: 0.47, width: 0.32, height: 0.18 },
+    size: 0.085,
+    threshold: 0.7,
+    variants: /\b(?:1st|first)[\s-]*ed(?:ition)?\b/i,
+    absentVariants: /\b(?:unlimited|shadowless)\b/i,
+    traced: false,
+    svg: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 44 44">
+      <rect width="44" height="44" fill="#ddd"/>
+      <circle cx="22" cy="22" r="18" fill="#111"/>
+      <path d="M19 12 H25 V32 H21 V17 L17 18.5 Z" fill="#fff"/>
+      <path d="M30 9 A16 16 0 0 1 30 35" stroke="#fff" stroke-width="2.5" stroke-dasharray="2 1.5" fill="none"/>
+    </svg>`
+  },
+  {
+    id: 'team-rocket',
+    kind: 'set',
+    label: 'Team Rocket',
+    games: ['pokemon'],
+    // Wizards-era set symbol: right edge, just below the art box
+    region: { left: 0.68, top: 0.47, width: 0.29, height: 0.18 },
+    size: 0.07,
+    threshold: 0.7,
+    variants: /\bteam rocket\b/i,
+    traced: false,
+    svg: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 40 40">
+      <rect width="40" height="40" fill="#ddd"/>
+      <path fill-rule="evenodd" fill="#111" d="M10 6 H24 Q32 6 32 14 Q32 21 25 22 L33 34 H26 L19 23 H16 V34 H10 Z M16 11 V18 H23 Q26 18 26 14.5 Q26 11 23 11 Z"/>
+    </svg>`
+  },
+  {
+    id: 'staff-stamp',
+    kind: 'stamp',
+    label: 'Staff',
+    games: ['pokemon'],
+    // Promo stamps sit in the lower right of the art box
+    region: { left: 0.4, top: 0.28, width: 0.56, height: 0.24 },
+    size: 0.2,
+    threshold: 0.7,
+    variants: /\bstaff\b/i,
+    traced: false,
+    svg: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 44 16">
+      <rect width="44" height="16" fill="#ddd"/>
+      <path fill="#111" d="M3 3h6v2h-6zM3 3h2v5h-2zM3 7h6v2h-6zM7 7h2v6h-2zM3 11h6v2h-6zM11 3h6v2h-6zM13 3h2v10h-2zM19 3h6v2h-6zM19 3h2v10h-2zM23 3h2v10h-2zM19 7h6v2h-6zM27 3h6v2h-6zM27 3h2v10h-2zM27 7h5v2h-5zM35 3h6v2h-6zM35 3h2v10h-2zM35 7h5v2h-5z"/>
+    </svg>`
+  },
+  {
+    id: 'prerelease-stamp',
+    kind: 'stamp',
+    label: 'Prerelease',
+    games: ['pokemon'],
+    region: { left: 0.3, top: 0.28, width: 0.66, height: 0.24 },
+    size: 0.36,
+    threshold: 0.7,
+    variants: /\bpre[\s-]*release\b/i,
+    traced: false,
+    svg: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 84 16">
+      <rect width="84" height="16" fill="#ddd"/>
+      <path fill="#111" d="M3 3h6v2h-6zM3 3h2v10h-2zM7 3h2v6h-2zM3 7h6v2h-6zM11 3h6v2h-6zM11 3h2v10h-2zM15 3h2v5h-2zM11 7h6v2h-6zM14 9h2v2h-2zM15 10h2v3h-2zM19 3h6v2h-6zM19 3h2v10h-2zM19 7h5v2h-5zM19 11h6v2h-6zM27 3h6v2h-6zM27 3h2v10h-2zM31 3h2v5h-2zM27 7h6v2h-6zM30 9h2v2h-2zM31 10h2v3h-2zM35 3h6v2h-6zM35 3h2v10h-2zM35 7h5v2h-5zM35 11h6v2h-6zM43 3h2v10h-2zM43 11h6v2h-6zM51 3h6v2h-6zM51 3h2v10h-2zM51 7h5v2h-5zM51 11h6v2h-6zM59 3h6v2h-6zM59 3h2v10h-2zM63 3h2v10h-2zM59 7h6v2h-6zM67 3h6v2h-6zM67 3h2v5h-2zM67 7h6v2h-6zM71 7h2v6h-2zM67 11h6v2h-6zM75 3h6v2h-6zM75 3h2v10h-2zM75 7h5v2h-5zM75 11h6v2h-6z"/>
+    </svg>`
+  },
+  {
+    id: 'pokemon-back',
+    kind: 'back',
+    label: 'Pokémon card back',
+    game: 'pokemon',
+    threshold: 0.5,
+    traced: false,
+    svg: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 63 88">
+      <rect width="63" height="88" fill="#1f3f8f"/>
+      <ellipse cx="31.5" cy="44" rx="26" ry="30" fill="#4a78c8"/>
+      <path d="M16.5 44 A15 15 0 0 1 46.5 44 Z" fill="#d22"/>
+      <path d="M16.5 44 A15 15 0 0 0 46.5 44 Z" fill="#eee"/>
+      <rect x="16.5" y="42.5" width="30" height="3" fill="#111"/>
+      <circle cx="31.5" cy="44" r="4.5" fill="#eee" stroke="#111" stroke-width="2"/>
+    </svg>`
+  },
+  {
+    id: 'magic-back',
+    kind: 'back',
+    label: 'Magic: The Gathering card back',
+    game: 'magic',
+    threshold: 0.5,
+    traced: false,
+    svg: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 63 88">
+      <rect width="63" height="88" fill="#111"/>
+      <rect x="3" y="3" width="57" height="82" rx="3" fill="#5a4130"/>
+      <ellipse cx="31.5" cy="44" rx="21" ry="29" fill="#3b2a1e"/>
+      <ellipse cx="31.5" cy="44" rx="18" ry="26" fill="#8a6a40"/>
+    </svg>`
+  }
+];
+
+module.exports = {
+  SYMBOL_LIBRARY
+};
@@ -0,0 +1,545 @@
+// lib/catalog-index.js
+// Local copy of the Shopify catalog for card search, so a lookup doesn't have to fan out
+// several live queries. Built from a full paginated products.json export, refreshed
+// incrementally by updated_at (syncCatalog) and kept current by product webhooks, which are
+// stored as updates (recordCatalogUpdate) applied over the index until the next sync folds
+// them in. Only active products are searchable; drafts and archived products stay in the
+// index so an older webhook can't bring them back.
+//
+// Kept by lib/index-storage.js: a Vercel Blob object on Vercel, shared by every instance, else
+// a JSON file at CATALOG_INDEX_PATH (default: the OS temp dir). An index older than
+// CATALOG_MAX_AGE_HOURS isn't used and search goes to Shopify.
+//
+// In memory it keeps inverted indexes over normalized title words, set codes ("OP09001"),
+// card numbers ("199165"), tags and SKUs, and answers the subset of Shopify's search syntax
+// the card search pipeline sends: bare terms, tag:/title:/sku:/product_type:, quotes,
+// AND/OR and parentheses. Anything else returns null so the caller asks Shopify instead.
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { normalizeForComparison, normalizeCardNumber } = require('./card-search');
+const { findSetCodes } = require('./set-codes');
+const { indexStorage } = require('./index-storage');
+
+const CATALOG_INDEX_VERSION = 2;
+const CATALOG_INDEX_NAME = 'catalog-index.json';
+const DEFAULT_MAX_AGE_HOURS = 24;
+// A full export every week drops products deleted while no webhook was listening
+const FULL_SYNC_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+// Incremental syncs re-read a little before the last sync so clock skew can't drop edits
+const SYNC_OVERLAP_MS = 5 * 60 * 1000;
+const EXPORT_PAGE_SIZE = 250;
+const EXPORT_FIELDS = 'id,title,product_type,tags,status,updated_at,image,images,variants';
+
+const CARD_NUMBER_PATTERN = /(\d+)\s*\/\s*(\d+)/g;
+
+const gid = (type, id) => `gid://shopify/${type}/${id}`;
+const productNumber = (productId) => Number(productId.toString().replace('gid://shopify/Product/', ''));
+const isActive = (record) => record.status === 'active';
+const compactKey = (value) => value.toString().toLowerCase().replace(/[\/\-\s]/g, '');
+
+function getCatalogIndexPath() {
+  return process.env.CATALOG_INDEX_PATH || path.join(os.tmpdir(), 'trade-in-catalog-index.json');
+}
+
+function getMaxAgeMs() {
+  const hours = parseFloat(process.env.CATALOG_MAX_AGE_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_MAX_AGE_HOURS) * 60 * 60 * 1000;
+}
+
+// ---------- Records ----------
+
+// Compact record from a REST product (export page or webhook payload)
+function catalogRecord(product) {
+  const tags = typeof product.tags === 'string'
+    ? product.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+    : product.tags || [];
+  const imageById = new Map((product.images || []).map(image => [Number(image.id), image.src]));
+
+  return {
+    id: Number(product.id),
+    title: product.title || '',
+    productType: product.product_type || null,
+    status: product.status || 'active',
+    tags,
+    image: product.image?.src || product.images?.[0]?.src || null,
+    updatedAt: product.updated_at || null,
+    variants: (product.variants || []).map(variant => ({
+      id: Number(variant.id),
+      title: variant.title,
+      sku: variant.sku || null,
+      price: variant.price,
+      inventoryQuantity: variant.inventory_quantity ?? null,
+      inventoryItemId: variant.inventory_item_id ? variant.inventory_item_id.toString() : null,
+      // A variant's own picture (a reverse holo, a stamped print), when it has one
+      image: (variant.image_id && imageById.get(Number(variant.image_id))) || null
+    }))
+  };
+}
+
+// Inverted-index keys for a record
+function recordKeys(record) {
+  const keys = {
+    words: new Set(normalizeForComparison(record.title).split(' ').filter(Boolean)),
+    setCodes: new Set(),
+    cardNumbers: new Set(),
+    tags: new Set(record.tags.map(tag => tag.toLowerCase())),
+    skus: new Set(record.variants.map(variant => variant.sku).filter(Boolean).map(sku => sku.toLowerCase()))
+  };
+
+  findSetCodes(record.title).forEach(code => keys.setCodes.add(code.tag.toLowerCase()));
+  for (const match of record.title.matchAll(CARD_NUMBER_PATTERN)) {
+    keys.cardNumbers.add(`${match[1]}${match[2]}`);
+  }
+  return keys;
+}
+
+// Same shape as a GraphQL products edge node, so card search flattens both the same way
+function graphqlProductNode(record) {
+  const productId = gid('Product', record.id);
+  return {
+    id: productId,
+    title: record.title,
+    tags: record.tags,
+    productType: record.productType,
+    featuredImage: record.image ? { url: record.image } : null,
+    variants: {
+      edges: record.variants.map(variant => ({ node: graphqlVariantNode(record, variant) }))
+    }
+  };
+}
+
+function graphqlVariantNode(record, variant) {
+  return {
+    id: gid('ProductVariant', variant.id),
+    title: variant.title,
+    sku: variant.sku,
+    price: variant.price,
+    inventoryQuantity: variant.inventoryQuantity,
+    image: variant.image ? { url: variant.image } : null,
+    inventoryItem: variant.inventoryItemId ? { id: gid('InventoryItem', variant.inventoryItemId) } : null,
+    product: { id: gid('Product', record.id), title: record.title }
+  };
+}
+
+// ---------- Query syntax ----------
+
+class UnsupportedQueryError extends Error {}
+
+function tokenize(query) {
+  return query.match(/\(|\)|[\w_]+:"(?:[^"\\]|\\.)*"|"(?:[^"\\]|\\.)*"|[^\s()]+/g) || [];
+}
+
+// expr := and ('OR' and)* ; and := atom (['AND'] atom)* ; atom := '(' expr ')' | term
+function parseQuery(query) {
+  const tokens = tokenize(query);
+  let pos = 0;
+
+  function parseExpr() {
+    const children = [parseAnd()];
+    while (tokens[pos] === 'OR') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { op: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (pos < tokens.length && tokens[pos] !== ')' && tokens[pos] !== 'OR') {
+      if (tokens[pos] === 'AND') {
+        pos++;
+        continue;
+      }
+      children.push(parseAtom());
+    }
+    return { op: 'and', children };
+  }
+
+  function parseAtom() {
+    const token = tokens[pos++];
+    if (token === '(') {
+      const inner = parseExpr();
+      if (tokens[pos] !== ')') throw new UnsupportedQueryError('Unbalanced parentheses');
+      pos++;
+      return inner;
+    }
+    if (token === 'NOT' || token.startsWith('-')) {
+      throw new UnsupportedQueryError('Negation is not indexed');
+    }
+
+    const unquote = (value) => value.replace(/^"(.*)"$/, '$1').replace(/\\"/g, '"');
+    const fieldMatch = token.match(/^([\w_]+):(.+)$/);
+    return fieldMatch
+      ? { op: 'term', field: fieldMatch[1].toLowerCase(), value: unquote(fieldMatch[2]) }
+      : { op: 'term', field: null, value: unquote(token) };
+  }
+
+  const tree = parseExpr();
+  if (pos < tokens.length) throw new UnsupportedQueryError('Unexpected token');
+  return tree;
+}
+
+// ---------- Index ----------
+
+/**
+ * In-memory catalog index. `data` is a saved index file's contents.
+ */
+function createCatalogIndex(data = {}) {
+  const records = new Map();
+  const inverted = {
+    words: new Map(),
+    setCodes: new Map(),
+    cardNumbers: new Map(),
+    tags: new Map(),
+    skus: new Map()
+  };
+  const keysById = new Map();
+
+  function addRecord(record) {
+    const existing = records.get(record.id);
+    if (existing?.updatedAt && record.updatedAt && Date.parse(existing.updatedAt) > Date.parse(record.updatedAt)) {
+      return false;
+    }
+
+    index.remove(record.id);
+    records.set(record.id, record);
+
+    const keys = isActive(record) ? recordKeys(record) : {};
+    keysById.set(record.id, keys);
+    Object.entries(keys).forEach(([kind, values]) => values.forEach(value => {
+      if (!inverted[kind].has(value)) inverted[kind].set(value, new Set());
+      inverted[kind].get(value).add(record.id);
+    }));
+    return true;
+  }
+
+  const index = {
+    syncedAt: data.syncedAt || null,
+    fullSyncAt: data.fullSyncAt || null,
+
+    get size() {
+      return records.size;
+    },
+
+    isFresh(maxAgeMs = getMaxAgeMs()) {
+      return !!index.syncedAt && Date.now() - Date.parse(index.syncedAt) <= maxAgeMs;
+    },
+
+    // Add or replace a product from a REST payload. An older payload than the one indexed
+    // (webhooks can arrive out of order) is ignored.
+    upsert(product) {
+      return addRecord(catalogRecord(product));
+    },
+
+    remove(productId) {
+      const id = productNumber(productId);
+      const keys = keysById.get(id);
+      if (!keys) return false;
+
+      Object.entries(keys).forEach(([kind, values]) => values.forEach(value => {
+        const ids = inverted[kind].get(value);
+        ids.delete(id);
+        if (ids.size === 0) inverted[kind].delete(value);
+      }));
+      keysById.delete(id);
+      records.delete(id);
+      return true;
+    },
+
+    // Apply an update stored by recordCatalogUpdate
+    apply(update) {
+      return update.record ? addRecord(update.record) : index.remove(update.deleted);
+    },
+
+    /**
+     * Every active product matching a Shopify search query, as GraphQL-style edges ordered by
+     * id. Not truncated: card search ranks the options by title, so a cut here would drop the
+     * best ones.
+     * @returns {Array<{ node: object }>|null} null when the query uses syntax the index can't answer
+     */
+    query(searchQuery) {
+      let tree;
+      try {
+        tree = parseQuery(searchQuery);
+      } catch (err) {
+        if (err instanceof UnsupportedQueryError) return null;
+        throw err;
+      }
+
+      let ids;
+      try {
+        ids = evaluate(tree);
+      } catch (err) {
+        if (err instanceof UnsupportedQueryError) return null;
+        throw err;
+      }
+
+      return [...ids]
+        .sort((a, b) => a - b)
+        .map(id => ({ node: graphqlProductNode(records.get(id)) }));
+    },
+
+    // Whether some product title has this word (normalized, lowercase)
+    hasTitleWord(word) {
+      return inverted.words.has(word);
+    },
+
+    // GraphQL-style variant node (with its product) for an exact SKU, or null
+    variantBySku(sku) {
+      const wanted = sku.toLowerCase();
+      for (const id of inverted.skus.get(wanted) || []) {
+        const record = records.get(id);
+        const variant = record.variants.find(v => v.sku && v.sku.toLowerCase() === wanted);
+        if (variant) {
+          return { ...graphqlVariantNode(record, variant), product: graphqlProductNode(record) };
+        }
+      }
+      return null;
+    },
+
+    // GraphQL-style product node for an active product id (numeric or gid), or null
+    productById(productId) {
+      const record = records.get(productNumber(productId));
+      return record && isActive(record) ? graphqlProductNode(record) : null;
+    },
+
+    // Every active product image, and every variant image that differs from its product's,
+    // for the image hash index
+    imageSources() {
+      return [...records.values()].filter(isActive).flatMap(record => [
+        ...(record.image ? [{ productId: record.id, variantId: null, image: record.image }] : []),
+        ...record.variants
+          .filter(variant => variant.image && variant.image !== record.image)
+          .map(variant => ({ productId: record.id, variantId: variant.id, image: variant.image }))
+      ]);
+    },
+
+    toJSON() {
+      return {
+        version: CATALOG_INDEX_VERSION,
+        syncedAt: index.syncedAt,
+        fullSyncAt: index.fullSyncAt,
+        products: [...records.values()]
+      };
+    }
+  };
+
+  const allIds = () => new Set([...records.values()].filter(isActive).map(r => r.id));
+  const lookup = (kind, key) => inverted[kind].get(key) || new Set();
+  const intersect = (sets) => sets.reduce((acc, set) => new Set([...acc].filter(id => set.has(id))));
+  const union = (sets) => new Set(sets.flatMap(set => [...set]));
+
+  // Products whose title has every word of the value
+  function titleWords(value) {
+    const words = normalizeForComparison(value).split(' ').filter(Boolean);
+    return words.length ? intersect(words.map(word => lookup('words', word))) : new Set();
+  }
+
+  function matchTerm({ field, value }) {
+    const lower = value.toLowerCase();
+    switch (field) {
+      case 'tag':
+        return lookup('tags', lower);
+      case 'sku':
+        return lookup('skus', lower);
+      case 'title':
+        return titleWords(value);
+      case 'product_type':
+        return new Set([...records.values()]
+          .filter(r => isActive(r) && (r.productType || '').toLowerCase() === lower)
+          .map(r => r.id));
+      case null:
+        return union([
+          titleWords(value),
+          lookup('tags', lower),
+          lookup('skus', lower),
+          lookup('cardNumbers', compactKey(value)),
+          lookup('setCodes', normalizeCardNumber(value).toLowerCase()),
+          lookup('setCodes', compactKey(value))
+        ]);
+      default:
+        throw new UnsupportedQueryError(`Field ${field} is not indexed`);
+    }
+  }
+
+  function evaluate(node) {
+    if (node.op === 'term') return matchTerm(node);
+    const sets = node.children.map(evaluate);
+    if (node.op === 'or') return union(sets);
+    return sets.length ? intersect(sets) : allIds();
+  }
+
+  (data.products || []).forEach(addRecord);
+
+  return index;
+}
+
+// ---------- Storage ----------
+
+// Per loaded index: that index with the stored updates applied, { names, data, index }. Neither
+// index is changed in place; a change builds a new one, so a failed save leaves them as they were.
+const withUpdates = new WeakMap();
+
+const catalogStorage = () => indexStorage(CATALOG_INDEX_NAME, getCatalogIndexPath());
+
+// The stored index with its updates applied, and those updates: { index, updates }
+async function readCatalogIndex(storage) {
+  const index = await storage.load(data => {
+    if (data.version !== CATALOG_INDEX_VERSION) {
+      console.log(`⚠️ Catalog index at ${storage.key} is version ${data.version}, expected ${CATALOG_INDEX_VERSION}`);
+      return null;
+    }
+    return createCatalogIndex(data);
+  });
+  if (!index) return null;
+
+  const updates = await storage.updates();
+  if (updates.length === 0) return { index, updates };
+
+  const names = updates.map(update => update.name).join(',');
+  let updated = withUpdates.get(index);
+  if (updated?.names !== names) {
+    // Updates never change once stored, so only new ones are downloaded
+    const known = updated?.data || new Map();
+    const data = new Map(await Promise.all(updates.map(async update =>
+      [update.name, known.get(update.name) || await update.read()])));
+
+    // Shopify never updates a deleted product, so deletions go last: an update webhook
+    // delivered after the deletion can't bring the product back
+    const stored = updates.map(update => data.get(update.name)).filter(Boolean);
+    const updatedIndex = createCatalogIndex(index.toJSON());
+    [...stored.filter(update => update.record), ...stored.filter(update => !update.record)]
+      .forEach(update => updatedIndex.apply(update));
+    updated = { names, data, index: updatedIndex };
+    withUpdates.set(index, updated);
+  }
+  return { index: updated.index, updates };
+}
+
+/**
+ * The saved catalog index with the product updates stored since, or null when there is none,
+ * it can't be read or it is stale.
+ * @param {{ allowStale?: boolean }} options
+ */
+async function loadCatalogIndex({ allowStale = false } = {}) {
+  const storage = catalogStorage();
+  if (!storage) return null;
+
+  let stored;
+  try {
+    stored = await readCatalogIndex(storage);
+  } catch (err) {
+    console.error('❌ Failed to load catalog index:', err.message);
+    return null;
+  }
+  if (!stored) return null;
+
+  if (!allowStale && !stored.index.isFresh()) {
+    console.log(`⚠️ Catalog index last synced ${stored.index.syncedAt}, searching Shopify instead`);
+    return null;
+  }
+  return stored.index;
+}
+
+async function saveCatalogIndex(index) {
+  const storage = catalogStorage();
+  if (!storage) {
+    throw new Error('No shared storage for the catalog index; connect a Vercel Blob store');
+  }
+
+  await storage.save(index);
+}
+
+/**
+ * Store a product webhook as an update to the saved index, without rewriting the index.
+ * @param {'upsert'|'delete'} change
+ * @param {object} product REST product payload (just { id } for a deletion)
+ * @returns {Promise<boolean>} false when there is no index to update yet
+ */
+async function recordCatalogUpdate(change, product) {
+  const storage = catalogStorage();
+  if (!storage || await storage.version() === null) return false;
+
+  const update = change === 'delete'
+    ? { deleted: productNumber(product.id) }
+    : { record: catalogRecord(product) };
+  // Ordered by arrival; the random part keeps two webhooks in one millisecond apart
+  const name = `${String(Date.now()).padStart(15, '0')}-${productNumber(product.id)}-${crypto.randomBytes(4).toString('hex')}`;
+  await storage.addUpdate(name, update);
+  return true;
+}
+
+// ---------- Sync ----------
+
+/**
+ * Refresh the index from Shopify: a full export when asked, when there is no index yet or
+ * when the last full export is over a week old, otherwise only products updated since the
+ * last sync. Pages through products.json by since_id.
+ * @returns {Promise<{ mode: string, fetched: number, products: number, syncedAt: string }>}
+ */
+async function syncCatalog(makeShopifyRequest, { full = false, pageSize = EXPORT_PAGE_SIZE } = {}) {
+  const storage = catalogStorage();
+  if (!storage) {
+    throw new Error('No shared storage for the catalog index; connect a Vercel Blob store');
+  }
+
+  // Updates stored before the export starts are in what it fetches (a full export) or are
+  // folded into the saved index (an incremental one), so they are removed once it is saved.
+  // Later ones stay for loads to apply.
+  let stored = null;
+  try {
+    stored = await readCatalogIndex(storage);
+  } catch (err) {
+    console.error('❌ Failed to load catalog index, exporting every product:', err.message);
+  }
+  const existing = stored?.index;
+  const fullSync = full || !existing?.fullSyncAt ||
+    Date.now() - Date.parse(existing.fullSyncAt) > FULL_SYNC_INTERVAL_MS;
+
+  const index = fullSync ? createCatalogIndex() : createCatalogIndex(existing.toJSON());
+  const startedAt = new Date().toISOString();
+  const updatedSince = fullSync ? null : new Date(Date.parse(existing.syncedAt) - SYNC_OVERLAP_MS).toISOString();
+
+  console.log(`📚 Catalog ${fullSync ? 'full' : 'incremental'} sync started${updatedSince ? ` (updated since ${updatedSince})` : ''}`);
+
+  let sinceId = 0;
+  let fetched = 0;
+  for (;;) {
+    const params = new URLSearchParams({ limit: String(pageSize), since_id: String(sinceId), fields: EXPORT_FIELDS });
+    if (updatedSince) params.set('updated_at_min', updatedSince);
+
+    const response = await makeShopifyRequest(`/products.json?${params}`);
+    if (!response.ok) {
+      throw new Error(`Failed to export products: ${response.status}`);
+    }
+
+    const { products = [] } = await response.json();
+    products.forEach(product => index.upsert(product));
+    fetched += products.length;
+
+    if (products.length < pageSize) break;
+    sinceId = products[products.length - 1].id;
+  }
+
+  index.syncedAt = startedAt;
+  if (fullSync) index.fullSyncAt = startedAt;
+  await saveCatalogIndex(index);
+  if (stored?.updates.length) {
+    await storage.removeUpdates(stored.updates);
+  }
+
+  console.log(`✅ Catalog synced: ${fetched} products fetched, ${index.size} indexed`);
+  return { mode: fullSync ? 'full' : 'incremental', fetched, products: index.size, syncedAt: startedAt };
+}
+
+module.exports = {
+  CATALOG_INDEX_VERSION,
+  getCatalogIndexPath,
+  createCatalogIndex,
+  loadCatalogIndex,
+  saveCatalogIndex,
+  recordCatalogUpdate,
+  syncCatalog
+};
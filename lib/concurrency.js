@@ -0,0 +1,26 @@
+// lib/concurrency.js
+// Run async work over a list with a cap on how many run at once
+
+/**
+ * Map items through an async function, at most `limit` at a time.
+ * Results come back in input order; the first rejection rejects the whole call.
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,74 @@
+// lib/conditions.js
+// Card condition helpers: recognise per-condition Shopify variants ("Lightly Played",
+// "NM - Foil", ...) so pricing can use the variant's own price instead of a multiplier.
+
+const CONDITION_CODES = ['NM', 'LP', 'MP', 'HP', 'DMG'];
+
+const CONDITION_NAMES = {
+  NM: 'Near Mint',
+  LP: 'Lightly Played',
+  MP: 'Moderately Played',
+  HP: 'Heavily Played',
+  DMG: 'Damaged'
+};
+
+const CONDITION_PATTERNS = [
+  ['NM', /\b(near[\s-]*mint|nm)\b/i],
+  ['LP', /\b(lightly[\s-]*played|lp)\b/i],
+  ['MP', /\b(moderately[\s-]*played|mp)\b/i],
+  ['HP', /\b(heavily[\s-]*played|hp)\b/i],
+  ['DMG', /\b(damaged|dmg)\b/i]
+];
+
+function normalizeCondition(condition) {
+  const code = (condition || 'NM').toString().trim().toUpperCase();
+  return CONDITION_CODES.includes(code) ? code : code || 'NM';
+}
+
+// Condition code named in a variant title, or null for "Default Title"-style variants
+function detectConditionFromTitle(title) {
+  if (!title) return null;
+
+  const match = CONDITION_PATTERNS.find(([, pattern]) => pattern.test(title));
+  return match ? match[0] : null;
+}
+
+// Variant title with the condition removed, e.g. "Lightly Played - Foil" -> "foil"
+function stripCondition(title) {
+  let stripped = (title || '').toLowerCase();
+  CONDITION_PATTERNS.forEach(([, pattern]) => {
+    stripped = stripped.replace(new RegExp(pattern.source, 'gi'), ' ');
+  });
+  return stripped.replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Find the sibling variant that represents a given condition. When a reference title is
+ * given, variants with the same finish (e.g. "Foil") are preferred over other finishes.
+ * @param {Array<{ title: string }>} variants - All variants of the matched product
+ * @returns {object|null}
+ */
+function findConditionVariant(variants, condition, referenceTitle = null) {
+  if (!Array.isArray(variants) || variants.length === 0) return null;
+
+  const wanted = normalizeCondition(condition);
+  const candidates = variants.filter(v => detectConditionFromTitle(v.title) === wanted);
+  if (candidates.length === 0) return null;
+
+  if (referenceTitle) {
+    const finish = stripCondition(referenceTitle);
+    const sameFinish = candidates.find(v => stripCondition(v.title) === finish);
+    if (sameFinish) return sameFinish;
+  }
+
+  return candidates[0];
+}
+
+module.exports = {
+  CONDITION_CODES,
+  CONDITION_NAMES,
+  normalizeCondition,
+  detectConditionFromTitle,
+  stripCondition,
+  findConditionVariant
+};
@@ -0,0 +1,422 @@
+// lib/edition-signals.js
+// Hints about the printing that the name line can't give: the edition and promo stamps, the
+// set symbol, the holo pattern and the Base Set art box shadow on the front, and (from an
+// optional second photo of the back) the game. The back only ever says which game the card
+// is from, never the printing.
+//
+// Stamps and symbols are found by template matching: each symbol of lib/card-symbols.js is
+// rendered to grayscale and slid over its region of the flattened card at a few scales,
+// scored by normalized cross-correlation. Only a template traced from the real artwork can
+// move the ranking (see lib/card-symbols.js); the library has none yet, so stamp and symbol
+// scores are reported for staff to look at and nothing more. The holo pattern is a heuristic
+// that only nudges the order of one card's printings: foil shows as bright, saturated,
+// high-contrast specks, in the art box for holos and outside it for reverse holos. The shadow
+// Unlimited Base Set prints have down the art box's right edge (Shadowless ones don't) is a
+// strip a few pixels wide that a slightly tilted photo misses, so it is reported only.
+//
+// shopify-image-match asks staff to confirm whenever the signals change which printing
+// comes first.
+
+const { SYMBOL_LIBRARY } = require('./card-symbols');
+const { normalizeForComparison } = require('./card-search');
+
+let sharp;
+
+// Card size the front is analysed at, and the back compared at
+const WORK_SIZE = { width: 252, height: 352 };
+const BACK_SIZE = { width: 63, height: 88 };
+const TEMPLATE_SCALES = [0.8, 1, 1.25];
+// Short side over long side of a trimmed card (0.716, with room for a tilted photo)
+const CARD_ASPECT = { min: 0.62, max: 0.8 };
+
+// A stamp scoring below this is clearly absent; between it and the symbol's threshold, unsure
+const ABSENT_SCORE = 0.5;
+// Score adjustments, scaled by how sure the signal is
+const PRESENT_WEIGHT = 0.15;
+const ABSENT_WEIGHT = 0.08;
+const HOLO_WEIGHT = 0.05;
+const MAX_ADJUSTMENT = 0.2;
+
+// Holo specks: saturation and brightness (0-1) and contrast with the neighbours (0-255)
+const SPARKLE = { saturation: 0.35, brightness: 0.55, contrast: 24 };
+const ART_BOX = { left: 0.1, top: 0.12, width: 0.8, height: 0.36 };
+const TEXT_BOX = { left: 0.08, top: 0.62, width: 0.84, height: 0.26 };
+const MIN_SPARKLE = 0.04;
+
+// Base Set art box shadow: x of the strip just right of the art box and of the frame beyond
+// it (fractions of the card's width, each ART_SHADOW.strip wide), down the art box's height
+const ART_SHADOW = { shadow: 0.912, frame: 0.935, strip: 0.015, top: 0.14, bottom: 0.46 };
+// Gray levels the strip is darker than the frame when there's a shadow
+const SHADOW_CONTRAST = 30;
+
+const HOLO_VARIANTS = {
+  reverse_holo: /\breverse[\s-]*holo\b/i,
+  non_holo: /\bnon[\s-]*holo\b/i,
+  holo: /\bholo(?:foil|graphic)?\b/i
+};
+const HOLO_LABELS = { holo: 'Holo', reverse_holo: 'Reverse Holo', none: 'Non-Holo' };
+
+// Title words that name a printing rather than the card, dropped to group a card's printings
+const PRINTING_WORDS = /\b(?:(?:1st|first)[\s-]*ed(?:ition)?|unlimited|shadowless|reverse[\s-]*holo|non[\s-]*holo|holo(?:foil|graphic)?)\b/gi;
+
+// ---------- Template matching ----------
+
+/**
+ * Best normalized cross-correlation of a template within a region of 8-bit gray pixels.
+ * @param {{ left: number, top: number, width: number, height: number }} region in pixels
+ * @returns {{ score: number, x: number, y: number }} score from -1 to 1, at the template's top-left
+ */
+function matchTemplate(pixels, width, height, template, templateWidth, templateHeight, region = { left: 0, top: 0, width, height }) {
+  const n = templateWidth * templateHeight;
+  let templateMean = 0;
+  for (let i = 0; i < n; i++) templateMean += template[i];
+  templateMean /= n;
+
+  const deviations = new Float64Array(n);
+  let templateNorm = 0;
+  for (let i = 0; i < n; i++) {
+    deviations[i] = template[i] - templateMean;
+    templateNorm += deviations[i] * deviations[i];
+  }
+  templateNorm = Math.sqrt(templateNorm);
+
+  const best = { score: 0, x: 0, y: 0 };
+  if (templateNorm === 0) return best;
+
+  // Integral images of the pixels and their squares, for each window's variance
+  const stride = width + 1;
+  const sums = new Float64Array(stride * (height + 1));
+  const squares = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    let rowSquares = 0;
+    for (let x = 0; x < width; x++) {
+      const value = pixels[y * width + x];
+      rowSum += value;
+      rowSquares += value * value;
+      sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+      squares[(y + 1) * stride + x + 1] = squares[y * stride + x + 1] + rowSquares;
+    }
+  }
+  const windowTotal = (table, x, y) =>
+    table[(y + templateHeight) * stride + x + templateWidth] - table[y * stride + x + templateWidth] -
+    table[(y + templateHeight) * stride + x] + table[y * stride + x];
+
+  const left = Math.max(0, Math.round(region.left));
+  const top = Math.max(0, Math.round(region.top));
+  const right = Math.min(width, Math.round(region.left + region.width)) - templateWidth;
+  const bottom = Math.min(height, Math.round(region.top + region.height)) - templateHeight;
+
+  for (let y = top; y <= bottom; y++) {
+    for (let x = left; x <= right; x++) {
+      const sum = windowTotal(sums, x, y);
+      const variance = windowTotal(squares, x, y) - sum * sum / n;
+      if (variance <= 1e-6) continue;
+
+      let dot = 0;
+      for (let ty = 0; ty < templateHeight; ty++) {
+        const row = (y + ty) * width + x;
+        const templateRow = ty * templateWidth;
+        for (let tx = 0; tx < templateWidth; tx++) dot += pixels[row + tx] * deviations[templateRow + tx];
+      }
+      const score = dot / (Math.sqrt(variance) * templateNorm);
+      if (score > best.score) Object.assign(best, { score, x, y });
+    }
+  }
+
+  best.score = Math.round(best.score * 1000) / 1000;
+  return best;
+}
+
+// ---------- Holo pattern ----------
+
+function sparkleShare(rgb, width, height, box) {
+  const x0 = Math.round(box.left * width);
+  const y0 = Math.round(box.top * height);
+  const x1 = Math.round((box.left + box.width) * width);
+  const y1 = Math.round((box.top + box.height) * height);
+  const gray = (x, y) => {
+    const i = (y * width + x) * 3;
+    return 0.299 * rgb[i] + 0.587 * rgb[i + 1] + 0.114 * rgb[i + 2];
+  };
+
+  let specks = 0;
+  let total = 0;
+  for (let y = Math.max(1, y0); y < Math.min(height - 1, y1); y++) {
+    for (let x = Math.max(1, x0); x < Math.min(width - 1, x1); x++) {
+      total++;
+      const i = (y * width + x) * 3;
+      const max = Math.max(rgb[i], rgb[i + 1], rgb[i + 2]);
+      const min = Math.min(rgb[i], rgb[i + 1], rgb[i + 2]);
+      if (max / 255 < SPARKLE.brightness || (max - min) / max < SPARKLE.saturation) continue;
+
+      const neighbours = (gray(x - 1, y) + gray(x + 1, y) + gray(x, y - 1) + gray(x, y + 1)) / 4;
+      if (Math.abs(gray(x, y) - neighbours) >= SPARKLE.contrast) specks++;
+    }
+  }
+  return total ? specks / total : 0;
+}
+
+/**
+ * Holo pattern of a flattened portrait card (RGB, row by row).
+ * @returns {{ pattern: 'holo'|'reverse_holo'|'none', confidence: number, art: number, text: number }}
+ *   art/text: share of foil-like specks in the art box and the text box
+ */
+function holoPattern(rgb, width, height) {
+  const art = sparkleShare(rgb, width, height, ART_BOX);
+  const text = sparkleShare(rgb, width, height, TEXT_BOX);
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  let pattern = 'none';
+  let confidence = round(Math.max(0, 1 - Math.max(art, text) / MIN_SPARKLE));
+  if (art >= MIN_SPARKLE && art >= 2 * text) {
+    pattern = 'holo';
+    confidence = round(Math.min(1, art / (text + 0.01) / 6));
+  } else if (text >= MIN_SPARKLE && text >= 1.2 * art) {
+    pattern = 'reverse_holo';
+    confidence = round(Math.min(1, text / (art + 0.01) / 3));
+  }
+  return { pattern, confidence, art: round(art), text: round(text) };
+}
+
+// ---------- Art box shadow ----------
+
+function stripMean(gray, width, height, left) {
+  const x0 = Math.round(left * width);
+  const x1 = Math.max(x0 + 1, Math.round((left + ART_SHADOW.strip) * width));
+  const y0 = Math.round(ART_SHADOW.top * height);
+  const y1 = Math.round(ART_SHADOW.bottom * height);
+  let sum = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) sum += gray[y * width + x];
+  }
+  return sum / ((x1 - x0) * (y1 - y0));
+}
+
+/**
+ * Whether a flattened portrait card (gray, row by row) shows the Base Set art box shadow.
+ * @returns {{ present: boolean, confidence: number, contrast: number }} contrast: how much
+ *   darker (0-255) the strip beside the art box is than the frame
+ */
+function artBoxShadow(gray, width, height) {
+  const contrast = Math.round(stripMean(gray, width, height, ART_SHADOW.frame) - stripMean(gray, width, height, ART_SHADOW.shadow));
+  const present = contrast >= SHADOW_CONTRAST;
+  const confidence = present
+    ? Math.min(1, contrast / (2 * SHADOW_CONTRAST))
+    : Math.max(0, 1 - Math.abs(contrast) / SHADOW_CONTRAST);
+  return { present, confidence: Math.round(confidence * 1000) / 1000, contrast };
+}
+
+// ---------- Photos ----------
+
+// Templates rendered per symbol and size, reused across requests
+const templateCache = new Map();
+
+async function renderTemplate(symbol, width, height) {
+  const key = `${symbol.id}@${width}x${height}`;
+  if (!templateCache.has(key)) {
+    const pixels = await sharp(Buffer.from(symbol.svg))
+      .resize(width, height, { fit: 'fill' })
+      .flatten({ background: '#ffffff' })
+      .grayscale()
+      .extractChannel(0)
+      .raw()
+      .toBuffer();
+    templateCache.set(key, pixels);
+  }
+  return templateCache.get(key);
+}
+
+// The card resized to `size`, as RGB and gray. Like the OCR, it expects the photo framed on
+// the card (or a crop from lib/card-detect.js) and only trims a uniform background. A trim
+// that leaves something other than a card's shape ate into the card (a back's plain border)
+// and is undone.
+async function normalizeCard(imageData, size) {
+  let image = await sharp(imageData).rotate().removeAlpha().toBuffer();
+  try {
+    const { data, info } = await sharp(image).trim({ threshold: 30 }).toBuffer({ resolveWithObject: true });
+    const aspect = Math.min(info.width, info.height) / Math.max(info.width, info.height);
+    if (aspect >= CARD_ASPECT.min && aspect <= CARD_ASPECT.max) image = data;
+  } catch (err) {
+    // Nothing uniform to trim
+  }
+
+  const rgb = await sharp(image).resize(size.width, size.height, { fit: 'fill' }).removeAlpha().raw().toBuffer();
+  const gray = new Uint8Array(size.width * size.height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = Math.round(0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2]);
+  }
+  return { rgb, gray, ...size };
+}
+
+async function matchSymbol(card, symbol) {
+  const region = {
+    left: symbol.region.left * card.width,
+    top: symbol.region.top * card.height,
+    width: symbol.region.width * card.width,
+    height: symbol.region.height * card.height
+  };
+
+  let best = { score: 0 };
+  for (const scale of TEMPLATE_SCALES) {
+    const templateWidth = Math.max(4, Math.round(symbol.size * card.width * scale));
+    const [, , viewWidth, viewHeight] = symbol.svg.match(/viewBox="([\d.\s-]+)"/)[1].trim().split(/\s+/).map(Number);
+    const templateHeight = Math.max(4, Math.round(templateWidth * viewHeight / viewWidth));
+    const template = await renderTemplate(symbol, templateWidth, templateHeight);
+    const match = matchTemplate(card.gray, card.width, card.height, template, templateWidth, templateHeight, region);
+    if (match.score > best.score) best = match;
+  }
+  return best.score;
+}
+
+/**
+ * Edition signals from a card's front, and its back when there's a second photo.
+ * @param {Buffer} frontData image file of the front
+ * @param {{ backData?: Buffer|null, game?: string|null }} options game limits the symbols tried
+ *   (the back's game when not given and its template is traced)
+ * @returns {Promise<{ symbols: Array<{ id, kind, label, score, present, traced }>, holo: object, shadow: object, back: { game, label, score, traced }|null, durationMs: number }>}
+ */
+async function readEditionSignals(frontData, { backData = null, game = null } = {}) {
+  // Dynamic import: only photo matching needs it
+  if (!sharp) sharp = require('sharp');
+  const started = Date.now();
+
+  let back = null;
+  if (backData) {
+    const backCard = await normalizeCard(backData, BACK_SIZE);
+    for (const symbol of SYMBOL_LIBRARY.filter(s => s.kind === 'back')) {
+      const template = await renderTemplate(symbol, BACK_SIZE.width, BACK_SIZE.height);
+      const { score } = matchTemplate(backCard.gray, BACK_SIZE.width, BACK_SIZE.height, template, BACK_SIZE.width, BACK_SIZE.height);
+      if (score >= symbol.threshold && (!back || score > back.score)) {
+        back = { game: symbol.game, label: symbol.label, score, traced: !!symbol.traced };
+      }
+    }
+  }
+
+  const cardGame = game || (back?.traced ? back.game : null);
+  const front = await normalizeCard(frontData, WORK_SIZE);
+  const symbols = [];
+  for (const symbol of SYMBOL_LIBRARY.filter(s => s.kind !== 'back' && (!cardGame || s.games.includes(cardGame)))) {
+    const score = await matchSymbol(front, symbol);
+    symbols.push({ id: symbol.id, kind: symbol.kind, label: symbol.label, score, present: score >= symbol.threshold, traced: !!symbol.traced });
+  }
+
+  return {
+    symbols,
+    holo: holoPattern(front.rgb, front.width, front.height),
+    shadow: artBoxShadow(front.gray, front.width, front.height),
+    back,
+    durationMs: Date.now() - started
+  };
+}
+
+// ---------- Picking the printing ----------
+
+function holoKind(text) {
+  if (HOLO_VARIANTS.reverse_holo.test(text)) return 'reverse_holo';
+  if (HOLO_VARIANTS.non_holo.test(text)) return 'none';
+  if (HOLO_VARIANTS.holo.test(text)) return 'holo';
+  return null;
+}
+
+/**
+ * How much the signals favour (positive) or rule against (negative) a candidate's printing.
+ * @returns {{ adjustment: number, reasons: string[] }} reasons: the signals it agrees with
+ */
+function editionAdjustment(option, signals) {
+  const text = `${option.productTitle || ''} ${option.variantTitle || ''}`;
+  let adjustment = 0;
+  const reasons = [];
+
+  signals.symbols.forEach(found => {
+    const symbol = SYMBOL_LIBRARY.find(s => s.id === found.id);
+    // A stand-in template's score says as much about the drawing as about the card
+    if (!symbol || !found.traced) return;
+    const named = symbol.variants.test(text);
+
+    if (found.present) {
+      if (named) {
+        adjustment += PRESENT_WEIGHT * found.score;
+        reasons.push(symbol.label);
+      } else if (symbol.absentVariants?.test(text)) {
+        // Titles naming neither printing (cards never printed with the stamp) are left alone
+        adjustment -= PRESENT_WEIGHT * found.score / 2;
+      }
+    } else if (symbol.kind === 'stamp' && found.score < ABSENT_SCORE) {
+      if (named) {
+        adjustment -= ABSENT_WEIGHT;
+      } else if (symbol.absentVariants?.test(text)) {
+        adjustment += ABSENT_WEIGHT;
+        reasons.push(`No ${symbol.label} stamp`);
+      }
+    }
+  });
+
+  const listed = holoKind(text);
+  if (signals.holo && listed && signals.holo.confidence > 0) {
+    if (listed === signals.holo.pattern) {
+      adjustment += HOLO_WEIGHT * signals.holo.confidence;
+      reasons.push(HOLO_LABELS[listed]);
+    } else {
+      adjustment -= HOLO_WEIGHT * signals.holo.confidence;
+    }
+  }
+
+  return {
+    adjustment: Math.round(Math.max(-MAX_ADJUSTMENT, Math.min(MAX_ADJUSTMENT, adjustment)) * 1000) / 1000,
+    reasons
+  };
+}
+
+// The card a title names, without the printing
+function cardKey(option) {
+  return normalizeForComparison((option.productTitle || '').replace(PRINTING_WORDS, ' '));
+}
+
+/**
+ * Candidates with the edition signals applied: each gets `editionAdjustment` (added to its
+ * score) and `variantSignals`, and the printings of each card are reordered among the places
+ * they held. Other candidates keep their place, so the ranking across cards is unchanged.
+ */
+function applyEditionSignals(candidates, signals) {
+  if (!signals) return candidates;
+
+  const adjusted = candidates.map(candidate => {
+    const { adjustment, reasons } = editionAdjustment(candidate, signals);
+    return {
+      ...candidate,
+      score: Math.round(Math.max(0, Math.min(1, candidate.score + adjustment)) * 1000) / 1000,
+      editionAdjustment: adjustment,
+      variantSignals: reasons
+    };
+  });
+
+  const groups = new Map();
+  adjusted.forEach((candidate, index) => {
+    const key = cardKey(candidate);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+
+  const result = [...adjusted];
+  groups.forEach(positions => {
+    const members = positions
+      .map(position => adjusted[position])
+      // Stable: equal adjustments keep their order
+      .map((candidate, order) => ({ candidate, order }))
+      .sort((a, b) => b.candidate.editionAdjustment - a.candidate.editionAdjustment || a.order - b.order);
+    positions.forEach((position, i) => {
+      result[position] = members[i].candidate;
+    });
+  });
+  return result;
+}
+
+module.exports = {
+  matchTemplate,
+  holoPattern,
+  artBoxShadow,
+  readEditionSignals,
+  editionAdjustment,
+  applyEditionSignals
+};
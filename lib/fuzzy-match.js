@@ -0,0 +1,286 @@
+// lib/fuzzy-match.js
+// Typo-tolerant scoring of a searched card name against product titles.
+//
+// Both sides are tokenized the same way: card numbers ("025/198" = "25/198" = "025198"),
+// set codes from lib/set-codes.js ("OP09-001" = "OP9 1"), variant attributes with their synonyms (VMAX / V-MAX,
+// "Alt Art" / "Alternate Art" / "SIR", "Full Art" / "FA"...), character names from
+// lib/card-names.js, and other words. Each query token finds its best title token (words
+// within one or two edits count, scaled by the edit distance) and the score is the weighted
+// share of the query that was found, minus a penalty for attributes only the title has
+// ("Pikachu" shouldn't be a sure match for "Pikachu VMAX").
+//
+// Scores map to confidence at fixed thresholds, checked against the corpus in
+// test/fuzzy-match.test.js: the right card scores >= 0.85 ('high') unless the query leaves
+// out a word or the title has attributes the query doesn't, a wrong card < 0.4 ('uncertain'). A runner-up from another product
+// within AMBIGUITY_MARGIN drops the confidence one level.
+
+const { NAME_TOKENS } = require('./card-names');
+const { scanSetCodes } = require('./set-codes');
+
+const MATCH_THRESHOLDS = {
+  high: 0.85,
+  medium: 0.6,
+  low: 0.4
+};
+const AMBIGUITY_MARGIN = 0.05;
+
+const TOKEN_WEIGHTS = {
+  number: 3,
+  setCode: 3,
+  name: 2,
+  attribute: 1.5,
+  word: 1
+};
+// Per attribute the title has and the query doesn't
+const TITLE_ATTRIBUTE_PENALTY = 0.2;
+
+const CARD_NUMBER_PATTERN = /(\d+)\s*\/\s*(\d+)/g;
+
+// Applied to lowercased text before splitting into words
+const SYNONYMS = [
+  [/\bv[\s-]?max\b/g, ' vmax '],
+  [/\bv[\s-]?star\b/g, ' vstar '],
+  [/\b(?:alt(?:ernate)?[\s-]?art|special illustration rare|sir)\b/g, ' altart '],
+  [/\b(?:full[\s-]?art|fa)\b/g, ' fullart '],
+  [/\b(?:rainbow(?:[\s-]?rare)?|hyper[\s-]?rare|hr)\b/g, ' rainbow ']
+];
+
+const ATTRIBUTES = new Set(['ex', 'gx', 'v', 'vmax', 'vstar', 'altart', 'fullart', 'rainbow']);
+const STOPWORDS = new Set(['the', 'of', 'and', 'card', 'single', 'default', 'title']);
+
+const stripAccents = (text) => (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+const normalizeText = (text) => stripAccents(text).toLowerCase();
+
+// Card number with the spellings it may be written in
+function cardNumberToken(number, total) {
+  const forms = new Set([
+    `${Number(number)}/${Number(total)}`,
+    `${number}${total}`,
+    `${Number(number)}${total}`,
+    `${number.padStart(3, '0')}${total}`
+  ]);
+  return { kind: 'number', value: `${Number(number)}/${Number(total)}`, forms };
+}
+
+/**
+ * Tokens of a card name or product title.
+ * @returns {Array<{ kind: string, value: string, forms?: Set<string> }>}
+ */
+function tokenizeCardName(text) {
+  // Set codes before lowercasing: some games' codes are only recognized in capitals
+  const { codes, rest: withoutCodes } = scanSetCodes(stripAccents(text));
+  const tokens = codes.map(code => ({ kind: 'setCode', value: code.tag.toLowerCase() }));
+  let rest = withoutCodes.toLowerCase();
+
+  rest = rest.replace(CARD_NUMBER_PATTERN, (match, number, total) => {
+    tokens.push(cardNumberToken(number, total));
+    return ' ';
+  });
+  SYNONYMS.forEach(([pattern, replacement]) => {
+    rest = rest.replace(pattern, replacement);
+  });
+
+  rest.split(/[^a-z0-9]+/).forEach(word => {
+    if (!word || STOPWORDS.has(word)) return;
+    if (ATTRIBUTES.has(word)) {
+      tokens.push({ kind: 'attribute', value: word });
+    } else if (/^\d{5,6}$/.test(word)) {
+      // A card number typed without its slash ("199165")
+      tokens.push({ kind: 'number', value: word, forms: new Set([word]) });
+    } else if (word.length >= 2) {
+      tokens.push({ kind: NAME_TOKENS.has(word) ? 'name' : 'word', value: word });
+    }
+  });
+
+  const seen = new Set();
+  return tokens.filter(token => {
+    const key = `${token.kind}:${token.value}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Edits tolerated for a word of this length
+function allowedEdits(length) {
+  if (length >= 8) return 2;
+  return length >= 4 ? 1 : 0;
+}
+
+const isWordKind = (kind) => kind === 'word' || kind === 'name';
+
+function tokenSimilarity(queryToken, titleToken) {
+  if (queryToken.kind === 'number' || titleToken.kind === 'number') {
+    if (queryToken.kind !== titleToken.kind) return 0;
+    return [...queryToken.forms].some(form => titleToken.forms.has(form)) ? 1 : 0;
+  }
+  if (queryToken.value === titleToken.value) {
+    return queryToken.kind === titleToken.kind || (isWordKind(queryToken.kind) && isWordKind(titleToken.kind)) ? 1 : 0;
+  }
+  if (!isWordKind(queryToken.kind) || !isWordKind(titleToken.kind) || /\d/.test(queryToken.value + titleToken.value)) {
+    return 0;
+  }
+
+  const longest = Math.max(queryToken.value.length, titleToken.value.length);
+  const distance = editDistance(queryToken.value, titleToken.value);
+  return distance <= allowedEdits(Math.min(queryToken.value.length, titleToken.value.length))
+    ? 1 - distance / longest
+    : 0;
+}
+
+function scoreTokens(queryTokens, titleTokens) {
+  if (queryTokens.length === 0) return 0;
+
+  let found = 0;
+  let total = 0;
+  queryTokens.forEach(queryToken => {
+    const weight = TOKEN_WEIGHTS[queryToken.kind];
+    total += weight;
+    found += weight * Math.max(0, ...titleTokens.map(titleToken => tokenSimilarity(queryToken, titleToken)));
+  });
+
+  const queryAttributes = new Set(queryTokens.filter(t => t.kind === 'attribute').map(t => t.value));
+  const extraAttributes = titleTokens.filter(t => t.kind === 'attribute' && !queryAttributes.has(t.value)).length;
+
+  const score = found / total - extraAttributes * TITLE_ATTRIBUTE_PENALTY;
+  return Math.round(Math.min(1, Math.max(0, score)) * 1000) / 1000;
+}
+
+/**
+ * How well a product title matches a searched card name, from 0 to 1.
+ */
+function scoreMatch(query, title) {
+  return scoreTokens(tokenizeCardName(query), tokenizeCardName(title));
+}
+
+/**
+ * Options best-first by score against their full title (product + variant). Equal scores
+ * keep the options' order.
+ * @returns {Array<{ option: object, score: number }>}
+ */
+function rankMatches(query, options) {
+  const queryTokens = tokenizeCardName(query);
+  return options
+    .map(option => ({ option, score: scoreTokens(queryTokens, tokenizeCardName(option.fullTitle || option.productTitle)) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Confidence for a score. A runner-up score from a different product within
+ * AMBIGUITY_MARGIN lowers it one level.
+ * @returns {'high'|'medium'|'low'|'uncertain'}
+ */
+function confidenceFor(score, runnerUpScore = null) {
+  const levels = ['uncertain', 'low', 'medium', 'high'];
+  let level = 0;
+  if (score >= MATCH_THRESHOLDS.high) level = 3;
+  else if (score >= MATCH_THRESHOLDS.medium) level = 2;
+  else if (score >= MATCH_THRESHOLDS.low) level = 1;
+
+  if (level > 0 && runnerUpScore !== null && score - runnerUpScore < AMBIGUITY_MARGIN) {
+    level -= 1;
+  }
+  return levels[level];
+}
+
+/**
+ * The best-scoring option and how sure that is. Never falls back to the first option: with
+ * nothing to choose from `option` is null, and a weak best match comes back 'uncertain'.
+ * @returns {{ option: object|null, score: number, confidence: string, runnerUpScore: number|null }}
+ */
+function bestMatch(query, options) {
+  const ranked = rankMatches(query, options);
+  if (ranked.length === 0) {
+    return { option: null, score: 0, confidence: 'uncertain', runnerUpScore: null };
+  }
+
+  const [best] = ranked;
+  const runnerUp = ranked.find(({ option }) => option.productId !== best.option.productId);
+  const runnerUpScore = runnerUp ? runnerUp.score : null;
+  return { option: best.option, score: best.score, confidence: confidenceFor(best.score, runnerUpScore), runnerUpScore };
+}
+
+// The one character name closest to a lowercase word, or null when the word is a name or an
+// attribute already, or no name is close enough, or two are equally close
+function closestName(normalized) {
+  if (NAME_TOKENS.has(normalized) || ATTRIBUTES.has(normalized)) return null;
+
+  const allowed = allowedEdits(normalized.length);
+  let best = null;
+  let bestDistance = Infinity;
+  let tied = false;
+  NAME_TOKENS.forEach(name => {
+    if (Math.abs(name.length - normalized.length) > allowed) return;
+    const distance = editDistance(normalized, name);
+    if (distance < bestDistance) {
+      best = name;
+      bestDistance = distance;
+      tied = false;
+    } else if (distance === bestDistance) {
+      tied = true;
+    }
+  });
+
+  return best && bestDistance <= allowed && !tied ? best : null;
+}
+
+/**
+ * Words of five letters or more that look like misspelled character names, lowercase, with
+ * the name each would become: [{ word, correction }].
+ */
+function spellingCorrections(text) {
+  const corrections = new Map();
+  for (const [word] of (text || '').matchAll(/[A-Za-z\u00C0-\u017F]{5,}/g)) {
+    const normalized = normalizeText(word);
+    const correction = closestName(normalized);
+    if (correction) corrections.set(normalized, correction);
+  }
+  return [...corrections].map(([word, correction]) => ({ word, correction }));
+}
+
+/**
+ * Replace misspelled character names with the dictionary spelling ("Charzard ex" ->
+ * "Charizard ex"). Only words of five letters or more with a single closest name are changed,
+ * and never one in knownWords (lowercase): a word the catalog uses in its titles, like "Lucky"
+ * in Lucky Egg, is meant as written and isn't a misspelled "Lucy".
+ */
+function correctSpelling(text, { knownWords = new Set() } = {}) {
+  return (text || '').replace(/[A-Za-z\u00C0-\u017F]{5,}/g, word => {
+    const normalized = normalizeText(word);
+    const best = knownWords.has(normalized) ? null : closestName(normalized);
+    if (!best) return word;
+    return word[0] === word[0].toUpperCase() ? best[0].toUpperCase() + best.slice(1) : best;
+  });
+}
+
+module.exports = {
+  MATCH_THRESHOLDS,
+  AMBIGUITY_MARGIN,
+  tokenizeCardName,
+  editDistance,
+  scoreMatch,
+  rankMatches,
+  confidenceFor,
+  bestMatch,
+  spellingCorrections,
+  correctSpelling
+};
@@ -0,0 +1,166 @@
+// lib/games.js
+// The games the store buys, keyed by the slug used everywhere a card carries a `game`
+// (requests, search results, submissions, the trade ledger, pricing rules' `games` overrides).
+// Each game lists what identifies its products in Shopify (product types, and words in the
+// product type or tags) and the set names listing sites show. Set codes live in
+// lib/set-codes.js under the same slugs.
+//
+// A card's game is the one the caller gave, else the game of a set code in its name; a
+// product's game comes from its product type, tags, set code or set name.
+
+const { SET_CODE_REGISTRY, findSetCodes } = require('./set-codes');
+
+const GAMES = {
+  pokemon: {
+    aliases: ['pkm', 'ptcg', 'pokemon tcg'],
+    productTypes: ['Pokemon Single', 'Pokemon Sealed'],
+    keywords: ['pokemon'],
+    setNames: [
+      'Prismatic Evolutions', 'Surging Sparks', 'Stellar Crown', 'Shrouded Fable', 'Twilight Masquerade',
+      'Temporal Forces', 'Paldean Fates', 'Paradox Rift', '151', 'Obsidian Flames', 'Paldea Evolved',
+      'Scarlet & Violet', 'Crown Zenith', 'Silver Tempest', 'Lost Origin', 'Pokemon GO', 'Astral Radiance',
+      'Brilliant Stars', 'Fusion Strike', 'Celebrations', 'Evolving Skies', 'Chilling Reign', 'Battle Styles',
+      'Shining Fates', 'Vivid Voltage', 'Darkness Ablaze', 'Sword & Shield', 'Hidden Fates', 'Unified Minds',
+      'Team Up', 'Lost Thunder', 'Celestial Storm', 'Ultra Prism', 'Burning Shadows', 'Sun & Moon',
+      'Evolutions', 'XY', 'Base Set', 'Jungle', 'Fossil', 'Team Rocket', 'Neo Genesis'
+    ]
+  },
+  'one-piece': {
+    aliases: ['one piece', 'op', 'optcg', 'one piece card game'],
+    productTypes: ['One Piece Single', 'One Piece Sealed'],
+    keywords: ['one piece'],
+    setNames: [
+      'Romance Dawn', 'Paramount War', 'Pillars of Strength', 'Kingdoms of Intrigue', 'Awakening of the New Era',
+      'Wings of the Captain', '500 Years in the Future', 'Two Legends', 'Emperors in the New World',
+      'Royal Blood', 'Memorial Collection', 'Premium Booster'
+    ]
+  },
+  magic: {
+    aliases: ['mtg', 'magic the gathering', 'magic: the gathering'],
+    productTypes: ['Magic Single', 'MTG Single', 'Magic Sealed'],
+    keywords: ['magic', 'mtg'],
+    setNames: [
+      'Modern Horizons 3', 'Modern Horizons 2', 'The Lord of the Rings', 'Murders at Karlov Manor',
+      'Outlaws of Thunder Junction', 'Bloomburrow', 'Duskmourn', 'Foundations', 'Dominaria United',
+      "The Brothers' War", 'Phyrexia: All Will Be One', 'March of the Machine', 'Wilds of Eldraine',
+      'The Lost Caverns of Ixalan'
+    ]
+  },
+  yugioh: {
+    aliases: ['yu-gi-oh', 'yu-gi-oh!', 'ygo'],
+    productTypes: ['Yu-Gi-Oh Single', 'YuGiOh Single', 'Yu-Gi-Oh Sealed'],
+    keywords: ['yugioh', 'yu-gi-oh'],
+    setNames: [
+      'Legend of Blue Eyes White Dragon', 'Metal Raiders', "Pharaoh's Servant", 'Rarity Collection',
+      'Maze of Memories', 'Phantom Nightmare', 'Legacy of Destruction', 'Age of Overlord', '25th Anniversary'
+    ]
+  },
+  lorcana: {
+    aliases: ['disney lorcana'],
+    productTypes: ['Lorcana Single', 'Lorcana Sealed'],
+    keywords: ['lorcana'],
+    setNames: [
+      'The First Chapter', 'Rise of the Floodborn', 'Into the Inklands', "Ursula's Return", 'Shimmering Skies',
+      'Azurite Sea', "Archazia's Island", 'Reign of Jafar'
+    ]
+  },
+  'dragon-ball-super': {
+    aliases: ['dragon ball super', 'dragon ball', 'dbs', 'dbscg'],
+    productTypes: ['Dragon Ball Super Single', 'Dragon Ball Single'],
+    keywords: ['dragon ball'],
+    setNames: ['Fusion World', 'Zenkai Series', 'Awakened Pulse', 'Blazing Aura']
+  }
+};
+
+const GAME_SLUGS = Object.keys(GAMES);
+
+const simplify = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Set-name matchers per game, in registry order (the Collectr scraper runs these in the page)
+const SET_NAME_PATTERNS = GAME_SLUGS.map(game => ({
+  game,
+  pattern: new RegExp(`\\b(${GAMES[game].setNames.map(escapeRegExp).join('|')})\\b`, 'i')
+}));
+
+function displayName(game) {
+  return SET_CODE_REGISTRY.find(entry => entry.game === game)?.displayName || null;
+}
+
+/**
+ * A game slug from what a caller or a CSV column might say ("Pokémon", "MTG", "one piece").
+ * @returns {string|null} null when it isn't a game we know
+ */
+function normalizeGame(value) {
+  const wanted = simplify(value);
+  if (!wanted) return null;
+
+  return GAME_SLUGS.find(game =>
+    game === wanted ||
+    simplify(displayName(game)) === wanted ||
+    GAMES[game].aliases.includes(wanted)
+  ) || null;
+}
+
+function gameFromSetCodes(text) {
+  const [code] = findSetCodes(text);
+  return code ? code.game : null;
+}
+
+// The first set name listed for any game, e.g. { game: 'lorcana', setName: 'The First Chapter' }
+function findSetName(text) {
+  for (const { game, pattern } of SET_NAME_PATTERNS) {
+    const match = (text || '').match(pattern);
+    if (match) return { game, setName: match[1] };
+  }
+  return null;
+}
+
+/**
+ * The game a Shopify product belongs to: its product type, then words in the product type
+ * or tags, then a set code or set name in its title.
+ * @param {{ productType?: string|null, tags?: string[], title?: string }} product
+ */
+function gameForProduct({ productType, tags = [], title = '' } = {}) {
+  const type = simplify(productType);
+  const byType = GAME_SLUGS.find(game => GAMES[game].productTypes.some(t => simplify(t) === type));
+  if (byType) return byType;
+
+  // Whole words, so a "Dark Magician" tag isn't Magic
+  const labels = [type, ...tags.map(simplify)].join(' | ');
+  const byKeyword = GAME_SLUGS.find(game =>
+    GAMES[game].keywords.some(keyword => new RegExp(`\\b${escapeRegExp(keyword)}\\b`).test(labels))
+  );
+  if (byKeyword) return byKeyword;
+
+  return gameFromSetCodes(title) || findSetName(title)?.game || null;
+}
+
+/**
+ * The game of a card in a request: `card.game` when it names a known game, else the game
+ * of a set code in the card name.
+ */
+function gameForCard(card = {}) {
+  return normalizeGame(card.game) || gameFromSetCodes(card.cardName) || null;
+}
+
+// Distinct games of a list of cards (for index entries and report filters)
+function gamesIn(cards = []) {
+  return [...new Set(cards.map(card => card.game).filter(Boolean))].sort();
+}
+
+module.exports = {
+  GAMES,
+  GAME_SLUGS,
+  SET_NAME_PATTERNS,
+  displayName,
+  normalizeGame,
+  findSetName,
+  gameForProduct,
+  gameForCard,
+  gamesIn
+};
@@ -0,0 +1,148 @@
+// lib/grading.js
+// Graded slab support (PSA / BGS / CGC): card field normalisation, graded-listing
+// recognition, and the registry of certificate numbers we've already bought.
+
+const { getShopMetafield, setShopMetafield } = require('./shop-metafields');
+
+const GRADING_COMPANIES = {
+  PSA: { name: 'PSA', aliases: ['PSA'] },
+  BGS: { name: 'Beckett', aliases: ['BGS', 'BECKETT'] },
+  CGC: { name: 'CGC', aliases: ['CGC'] }
+};
+
+const GRADED_CERTS_KEY = 'graded_certs';
+
+function normalizeCompany(company) {
+  if (!company) return null;
+  const wanted = company.toString().trim().toUpperCase();
+  return Object.keys(GRADING_COMPANIES).find(code => GRADING_COMPANIES[code].aliases.includes(wanted)) || null;
+}
+
+/**
+ * Read the optional grading fields off a request card.
+ * @returns {{ grading: { company, grade, certNumber }|null, error: string|null }}
+ */
+function parseCardGrading(card) {
+  const { gradingCompany, grade, certNumber } = card || {};
+
+  if (!gradingCompany && (grade === undefined || grade === null || grade === '') && !certNumber) {
+    return { grading: null, error: null };
+  }
+
+  const company = normalizeCompany(gradingCompany);
+  if (!company) {
+    return { grading: null, error: `Unsupported grading company "${gradingCompany}" (expected ${Object.keys(GRADING_COMPANIES).join(', ')})` };
+  }
+
+  const numericGrade = parseFloat(grade);
+  if (isNaN(numericGrade) || numericGrade < 1 || numericGrade > 10 || (numericGrade * 2) % 1 !== 0) {
+    return { grading: null, error: `Invalid grade "${grade}" for ${company} (expected 1-10 in half steps)` };
+  }
+
+  const cert = certNumber ? certNumber.toString().replace(/\s+/g, '') : null;
+  if (cert && !/^[A-Za-z0-9-]{4,20}$/.test(cert)) {
+    return { grading: null, error: `Invalid certificate number "${certNumber}"` };
+  }
+
+  return { grading: { company, grade: numericGrade, certNumber: cert }, error: null };
+}
+
+function gradeLabel(grading) {
+  return `${grading.company} ${grading.grade}`;
+}
+
+// Tags a graded listing may carry, e.g. "PSA10", "PSA 10", "PSA-10", "BGS9.5"
+function gradedTagCandidates(grading) {
+  const grade = grading.grade.toString();
+  return GRADING_COMPANIES[grading.company].aliases.flatMap(alias => [
+    `${alias}${grade}`,
+    `${alias} ${grade}`,
+    `${alias}-${grade}`
+  ]);
+}
+
+// Whether a product title/tag set describes a slab of this company and grade
+function matchesGradedListing(option, grading) {
+  const grade = grading.grade.toString().replace('.', '\\.');
+  const aliases = GRADING_COMPANIES[grading.company].aliases.join('|');
+  const pattern = new RegExp(`\\b(${aliases})[\\s\\-]*${grade}(?![\\d.])`, 'i');
+
+  const tags = Array.isArray(option.tags) ? option.tags : (option.tags || '').split(',');
+  return pattern.test(option.fullTitle || option.productTitle || option.title || '') ||
+    tags.some(tag => pattern.test(tag.trim()));
+}
+
+// Raw (ungraded) listings, so a fallback search never picks another grade's slab
+function isGradedListing(option) {
+  const aliases = Object.values(GRADING_COMPANIES).flatMap(c => c.aliases).join('|');
+  const pattern = new RegExp(`\\b(${aliases})[\\s\\-]*\\d`, 'i');
+  return pattern.test(option.fullTitle || option.productTitle || option.title || '');
+}
+
+function certKey(company, certNumber) {
+  return `${company}:${certNumber}`.toUpperCase();
+}
+
+async function loadGradedCerts(makeShopifyRequest) {
+  const { id, value } = await getShopMetafield(makeShopifyRequest, GRADED_CERTS_KEY, []);
+  return { metafieldId: id, certs: Array.isArray(value) ? value : [] };
+}
+
+/**
+ * Cert numbers in this request that were already bought, or appear twice in the request.
+ * @param {Array<{ company, certNumber }>} gradings
+ * @param {Array} registry - Previously recorded certs
+ */
+function findDuplicateCerts(gradings, registry = []) {
+  const known = new Map(registry.map(entry => [certKey(entry.company, entry.certNumber), entry]));
+  const seen = new Set();
+  const duplicates = [];
+
+  gradings.forEach(grading => {
+    if (!grading?.certNumber) return;
+    const key = certKey(grading.company, grading.certNumber);
+
+    if (known.has(key)) {
+      duplicates.push({ ...grading, reason: 'already_purchased', previousTrade: known.get(key) });
+    } else if (seen.has(key)) {
+      duplicates.push({ ...grading, reason: 'duplicate_in_request' });
+    }
+    seen.add(key);
+  });
+
+  return duplicates;
+}
+
+async function recordGradedCerts(makeShopifyRequest, entries) {
+  if (entries.length === 0) return;
+
+  const { metafieldId, certs } = await loadGradedCerts(makeShopifyRequest);
+  certs.unshift(...entries);
+  await setShopMetafield(makeShopifyRequest, GRADED_CERTS_KEY, certs, metafieldId);
+  console.log(`✅ Recorded ${entries.length} graded cert(s)`);
+}
+
+// Forget the certs bought in a trade (after a void), so the slabs can be traded in again
+async function releaseGradedCerts(makeShopifyRequest, tradeId) {
+  const { metafieldId, certs } = await loadGradedCerts(makeShopifyRequest);
+  const remaining = certs.filter(entry => entry.tradeId !== tradeId);
+  if (remaining.length === certs.length) return 0;
+
+  await setShopMetafield(makeShopifyRequest, GRADED_CERTS_KEY, remaining, metafieldId);
+  return certs.length - remaining.length;
+}
+
+module.exports = {
+  GRADING_COMPANIES,
+  normalizeCompany,
+  parseCardGrading,
+  gradeLabel,
+  gradedTagCandidates,
+  matchesGradedListing,
+  isGradedListing,
+  certKey,
+  loadGradedCerts,
+  findDuplicateCerts,
+  recordGradedCerts,
+  releaseGradedCerts
+};
@@ -0,0 +1,80 @@
+// lib/graphql-throttle.js
+// Client-side view of Shopify's GraphQL leaky bucket. Every response reports
+// extensions.cost.throttleStatus; requests wait until the bucket has refilled enough for
+// their expected cost instead of running into THROTTLED errors.
+
+const DEFAULT_BUCKET = {
+  maximumAvailable: 1000,
+  currentlyAvailable: 1000,
+  restoreRate: 50
+};
+
+const DEFAULT_QUERY_COST = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createGraphQLThrottle(options = {}) {
+  const bucket = { ...DEFAULT_BUCKET, updatedAt: Date.now() };
+  let expectedCost = options.defaultCost || DEFAULT_QUERY_COST;
+
+  // Points per second; a response reporting no restore rate would otherwise wait forever
+  function restoreRate() {
+    return bucket.restoreRate > 0 ? bucket.restoreRate : DEFAULT_BUCKET.restoreRate;
+  }
+
+  // Points available now, counting what has leaked back in since the last update
+  function available() {
+    const elapsedSeconds = (Date.now() - bucket.updatedAt) / 1000;
+    return Math.min(bucket.maximumAvailable, bucket.currentlyAvailable + elapsedSeconds * restoreRate());
+  }
+
+  // Wait until a query of the expected cost fits, then reserve its points
+  async function acquire() {
+    const cost = Math.min(expectedCost, bucket.maximumAvailable);
+    let points = available();
+
+    while (points < cost) {
+      const waitMs = Math.ceil(((cost - points) / restoreRate()) * 1000);
+      console.log(`⏳ GraphQL bucket low (${Math.floor(points)}/${bucket.maximumAvailable}), waiting ${waitMs}ms`);
+      await sleep(waitMs);
+      points = available();
+    }
+
+    bucket.currentlyAvailable = points - cost;
+    bucket.updatedAt = Date.now();
+  }
+
+  // Sync with the server's numbers from a response's extensions.cost
+  function update(cost) {
+    const status = cost?.throttleStatus;
+    if (!status) return;
+
+    bucket.maximumAvailable = status.maximumAvailable;
+    bucket.currentlyAvailable = status.currentlyAvailable;
+    bucket.restoreRate = status.restoreRate;
+    bucket.updatedAt = Date.now();
+
+    if (cost.requestedQueryCost) {
+      expectedCost = cost.requestedQueryCost;
+    }
+  }
+
+  function isThrottled(body) {
+    return Array.isArray(body?.errors) && body.errors.some(error => error.extensions?.code === 'THROTTLED');
+  }
+
+  // After a THROTTLED error: wait for the bucket to refill enough for the failed query
+  async function backoff(cost) {
+    update(cost);
+    const needed = cost?.requestedQueryCost || expectedCost;
+    const waitMs = Math.max(1000, Math.ceil(((needed - available()) / restoreRate()) * 1000));
+    console.log(`⏳ GraphQL throttled, retrying in ${waitMs}ms`);
+    await sleep(waitMs);
+  }
+
+  return { acquire, update, isThrottled, backoff, available };
+}
+
+module.exports = {
+  createGraphQLThrottle
+};
@@ -0,0 +1,140 @@
+// lib/idempotency.js
+// Idempotency keys for trade commits. The first response for a key is stored in its own shop
+// metafield and replayed for retries, so a double-click can't adjust inventory or pay twice.
+// The claim is a compare-and-set write, so of two requests racing for a key only one proceeds.
+
+const crypto = require('crypto');
+const { setShopMetafield, readShopMetafield, compareAndSetShopMetafield } = require('./shop-metafields');
+
+const MAX_KEY_LENGTH = 255;
+
+// A "pending" record older than this belongs to a crashed request and may be taken over
+const PENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Error codes for the conflicts, so a client can tell "still running, retry with this key"
+// from a stored final answer that happens to be a 409 too
+const IN_PROGRESS = 'IDEMPOTENCY_IN_PROGRESS';
+const KEY_REUSED = 'IDEMPOTENCY_KEY_REUSED';
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Read the key from the Idempotency-Key header or the idempotencyKey body field.
+ * @returns {{ key: string|null, error: string|null }}
+ */
+function getIdempotencyKey(req) {
+  const headerKey = req.headers?.['idempotency-key'];
+  const raw = headerKey !== undefined ? headerKey : req.body?.idempotencyKey;
+
+  if (raw === undefined || raw === null || raw === '') {
+    return { key: null, error: null };
+  }
+
+  const key = raw.toString().trim();
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return { key: null, error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` };
+  }
+
+  return { key, error: null };
+}
+
+// Metafield keys are limited to 64 characters, so store under a hash of the client key
+function idempotencyMetafieldKey(key) {
+  return `idem_${sha256(key).slice(0, 40)}`;
+}
+
+// Fingerprint of the request body, so a key reused for a different trade is rejected
+function hashRequestBody(body) {
+  const { idempotencyKey, ...rest } = body || {};
+  return sha256(JSON.stringify(rest));
+}
+
+/**
+ * Claim a key before committing. Returns one of:
+ *   { action: 'proceed', metafieldId }         - first use (or a stale pending claim), go ahead
+ *   { action: 'replay', statusCode, response } - already completed, send the stored response
+ *   { action: 'conflict', status, code, error } - in progress (409 IDEMPOTENCY_IN_PROGRESS), or
+ *                                                reused with a different body (422 IDEMPOTENCY_KEY_REUSED)
+ */
+async function claimIdempotencyKey(makeShopifyRequest, key, requestHash) {
+  const metafieldKey = idempotencyMetafieldKey(key);
+  const current = await readShopMetafield(makeShopifyRequest, metafieldKey, null);
+  const record = current.value;
+
+  // A released key never committed anything and is free again
+  if (record && record.status !== 'released') {
+    if (record.requestHash !== requestHash) {
+      return { action: 'conflict', status: 422, code: KEY_REUSED, error: 'Idempotency-Key was already used for a different request' };
+    }
+
+    if (record.status === 'completed') {
+      return { action: 'replay', statusCode: record.statusCode, response: record.response };
+    }
+
+    const pendingAge = Date.now() - new Date(record.createdAt).getTime();
+    if (pendingAge < PENDING_TIMEOUT_MS) {
+      return { action: 'conflict', status: 409, code: IN_PROGRESS, error: 'A request with this Idempotency-Key is still being processed' };
+    }
+
+    console.warn(`⚠️ Taking over stale idempotency claim ${metafieldKey}`);
+  }
+
+  // Only lands if the metafield is still what was read above (or still missing), so a request
+  // that read the same free key a moment after us gets the in-progress conflict instead
+  const metafieldId = await compareAndSetShopMetafield(makeShopifyRequest, metafieldKey, {
+    status: 'pending',
+    requestHash,
+    createdAt: new Date().toISOString()
+  }, current);
+
+  if (!metafieldId) {
+    return { action: 'conflict', status: 409, code: IN_PROGRESS, error: 'A request with this Idempotency-Key is still being processed' };
+  }
+
+  return { action: 'proceed', metafieldId };
+}
+
+// Stored copy of a response: drops per-card search alternatives and debug info,
+// which are only useful at the counter and would bloat the metafield
+function compactResponse(response) {
+  if (!response || !Array.isArray(response.results)) return response;
+
+  const { debug, ...rest } = response;
+  return {
+    ...rest,
+    results: response.results.map(({ allOptions, ...result }) => result)
+  };
+}
+
+// Store the committed response so retries replay it
+async function completeIdempotencyKey(makeShopifyRequest, key, claim, requestHash, statusCode, response) {
+  await setShopMetafield(makeShopifyRequest, idempotencyMetafieldKey(key), {
+    status: 'completed',
+    requestHash,
+    statusCode,
+    response: compactResponse(response),
+    completedAt: new Date().toISOString()
+  }, claim.metafieldId);
+}
+
+// Give up a claim without storing a response, for a failure that changed nothing in Shopify
+// and may succeed on a retry (rate limited): the retry with the same key runs the commit
+async function releaseIdempotencyKey(makeShopifyRequest, key, claim) {
+  await setShopMetafield(makeShopifyRequest, idempotencyMetafieldKey(key), {
+    status: 'released',
+    releasedAt: new Date().toISOString()
+  }, claim.metafieldId);
+}
+
+module.exports = {
+  IN_PROGRESS,
+  KEY_REUSED,
+  getIdempotencyKey,
+  idempotencyMetafieldKey,
+  hashRequestBody,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+};
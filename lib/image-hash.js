@@ -0,0 +1,115 @@
+// lib/image-hash.js
+// Perceptual hashes for telling card images apart: a difference hash (dHash, brightness
+// gradients on a 9x8 thumbnail) and a DCT hash (pHash, low frequencies of a 32x32
+// thumbnail). Both are 64 bits, kept as 16 hex characters. Near-identical images differ in a
+// few bits; unrelated ones in about half.
+//
+// Images are trimmed of a uniform border first, so a photo with background and a product
+// scan on white hash the card itself.
+
+let sharp;
+
+const HASH_BITS = 64;
+const DHASH_SIZE = { width: 9, height: 8 };
+const PHASH_SIZE = 32;
+const PHASH_LOW_FREQUENCIES = 8;
+
+const POPCOUNT = Array.from({ length: 16 }, (_, n) => (n & 1) + ((n >> 1) & 1) + ((n >> 2) & 1) + ((n >> 3) & 1));
+
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+/**
+ * dHash from 9x8 gray pixels (row by row): each bit says whether a pixel is brighter than
+ * its right-hand neighbour.
+ */
+function dHashFromPixels(pixels) {
+  const bits = [];
+  for (let y = 0; y < DHASH_SIZE.height; y++) {
+    for (let x = 0; x < DHASH_SIZE.width - 1; x++) {
+      const offset = y * DHASH_SIZE.width + x;
+      bits.push(pixels[offset] > pixels[offset + 1] ? 1 : 0);
+    }
+  }
+  return bitsToHex(bits);
+}
+
+/**
+ * pHash from 32x32 gray pixels: the 8x8 lowest DCT frequencies, each bit saying whether the
+ * coefficient is above their median (the DC term is left out of the median).
+ */
+function pHashFromPixels(pixels) {
+  const n = PHASH_SIZE;
+  const cosines = Array.from({ length: PHASH_LOW_FREQUENCIES }, (_, u) =>
+    Array.from({ length: n }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * n)))
+  );
+
+  const coefficients = [];
+  for (let v = 0; v < PHASH_LOW_FREQUENCIES; v++) {
+    for (let u = 0; u < PHASH_LOW_FREQUENCIES; u++) {
+      let sum = 0;
+      for (let y = 0; y < n; y++) {
+        const rowCos = cosines[v][y];
+        for (let x = 0; x < n; x++) {
+          sum += pixels[y * n + x] * cosines[u][x] * rowCos;
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  return bitsToHex(coefficients.map(c => (c > median ? 1 : 0)));
+}
+
+// Bits that differ between two hex hashes of the same length
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += POPCOUNT[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+}
+
+/**
+ * Both hashes of an image file.
+ * @returns {Promise<{ dHash: string, pHash: string }>}
+ */
+async function hashImage(imageData) {
+  // Dynamic import: only hashing needs it
+  if (!sharp) sharp = require('sharp');
+
+  let image = await sharp(imageData).rotate().grayscale().toBuffer();
+  try {
+    image = await sharp(image).trim({ threshold: 30 }).toBuffer();
+  } catch (err) {
+    // Nothing uniform to trim
+  }
+
+  const thumbnail = (width, height) => sharp(image)
+    .resize(width, height, { fit: 'fill' })
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+
+  return {
+    dHash: dHashFromPixels(await thumbnail(DHASH_SIZE.width, DHASH_SIZE.height)),
+    pHash: pHashFromPixels(await thumbnail(PHASH_SIZE, PHASH_SIZE))
+  };
+}
+
+module.exports = {
+  HASH_BITS,
+  DHASH_SIZE,
+  PHASH_SIZE,
+  dHashFromPixels,
+  pHashFromPixels,
+  hammingDistance,
+  hashImage
+};
@@ -0,0 +1,313 @@
+// lib/image-index.js
+// Perceptual hashes (lib/image-hash.js) of every catalog product image, and of each variant
+// image that differs from its product's, so a card photo can be compared with the store's own
+// images: alt arts and reverse holos share a name but not a picture, and a product can keep a
+// stamped or reverse holo print as a variant with its own image. Built offline from the catalog
+// index (refreshImageIndex, run from /api/catalog/images) and refreshed incrementally: only
+// images whose URL changed are downloaded again, and those gone from the catalog are dropped.
+//
+// Kept where the catalog index is (lib/index-storage.js): a Vercel Blob shared by every
+// instance, or a JSON file at IMAGE_INDEX_PATH (default: the OS temp dir) off Vercel. Lookups
+// compare against every hash; a few thousand images take milliseconds.
+//
+// A visual score is 0 for images no more alike than unrelated ones (about half the bits
+// agree) and 1 for identical hashes. blendCandidates mixes it with the text score.
+
+const os = require('os');
+const path = require('path');
+const { HASH_BITS, hammingDistance, hashImage } = require('./image-hash');
+const { flattenProductOptions } = require('./card-search');
+const { MATCH_THRESHOLDS, scoreMatch } = require('./fuzzy-match');
+const { mapWithConcurrency } = require('./concurrency');
+const { indexStorage } = require('./index-storage');
+
+const IMAGE_INDEX_VERSION = 2;
+const IMAGE_INDEX_NAME = 'image-index.json';
+// Images hashed per refresh, so one run fits in a function's time limit
+const DEFAULT_MAX_IMAGES = 200;
+const IMAGE_FETCH_CONCURRENCY = 4;
+const IMAGE_FETCH_TIMEOUT_MS = 10000;
+// Shopify's CDN resizes on request; hashes only need a thumbnail
+const HASH_IMAGE_WIDTH = 256;
+
+const UNRELATED_SIMILARITY = 0.5;
+// Visual score from which the photo counts as showing that product's image
+const VISUAL_MATCH_SCORE = 0.6;
+const NEAREST_LIMIT = 10;
+const TEXT_WEIGHT = 0.6;
+const VISUAL_WEIGHT = 0.4;
+// Stand-in visual score for a candidate whose product has no hash yet
+const UNKNOWN_VISUAL_SCORE = 0.5;
+
+// Numeric id from a numeric id or a gid (gid://shopify/Product/1, gid://shopify/ProductVariant/2)
+const numericId = (id) => Number(id.toString().replace(/^gid:\/\/shopify\/\w+\//, ''));
+// "productId" for a product image, "productId:variantId" for a variant's own image
+const entryKey = ({ productId, variantId = null }) => (variantId
+  ? `${numericId(productId)}:${numericId(variantId)}`
+  : String(numericId(productId)));
+
+function getImageIndexPath() {
+  return process.env.IMAGE_INDEX_PATH || path.join(os.tmpdir(), 'trade-in-image-index.json');
+}
+
+function visualScore(hashes, entry) {
+  const distance = hammingDistance(hashes.dHash, entry.dHash) + hammingDistance(hashes.pHash, entry.pHash);
+  const similarity = 1 - distance / (2 * HASH_BITS);
+  return Math.round(Math.max(0, (similarity - UNRELATED_SIMILARITY) / (1 - UNRELATED_SIMILARITY)) * 1000) / 1000;
+}
+
+/**
+ * In-memory image index. `data` is a saved index's contents. Entries are per image source,
+ * { productId, variantId } with variantId null for the product image: { image, dHash, pHash,
+ * hashedAt }, or { image, error, hashedAt } for an image that couldn't be hashed (retried when
+ * its URL changes).
+ */
+function createImageIndex(data = {}) {
+  const entries = new Map(Object.entries(data.entries || {}));
+
+  const index = {
+    refreshedAt: data.refreshedAt || null,
+
+    get size() {
+      return entries.size;
+    },
+
+    get(source) {
+      return entries.get(entryKey(source)) || null;
+    },
+
+    set(source, entry) {
+      entries.set(entryKey(source), entry);
+    },
+
+    remove(source) {
+      return entries.delete(entryKey(source));
+    },
+
+    // Every indexed image source: [{ productId, variantId }]
+    sources() {
+      return [...entries.keys()].map(key => {
+        const [productId, variantId = null] = key.split(':').map(Number);
+        return { productId, variantId };
+      });
+    },
+
+    /**
+     * Products with an image that looks most like the hashed photo, best first. visualScore is
+     * the product's best image; productScore is its product image's (null without one) and
+     * variantScores those of variants with their own image, by numeric variant id.
+     * @returns {Array<{ productId: number, visualScore: number, productScore: number|null, variantScores: object }>}
+     */
+    nearest(hashes, { limit = NEAREST_LIMIT, minScore = 0 } = {}) {
+      const byProduct = new Map();
+      index.sources().forEach(source => {
+        const entry = index.get(source);
+        if (!entry.dHash || !entry.pHash) return;
+
+        if (!byProduct.has(source.productId)) {
+          byProduct.set(source.productId, { productId: source.productId, visualScore: 0, productScore: null, variantScores: {} });
+        }
+        const match = byProduct.get(source.productId);
+        const score = visualScore(hashes, entry);
+        if (source.variantId) match.variantScores[source.variantId] = score;
+        else match.productScore = score;
+        match.visualScore = Math.max(match.visualScore, score);
+      });
+
+      return [...byProduct.values()]
+        .filter(match => match.visualScore >= minScore)
+        .sort((a, b) => b.visualScore - a.visualScore)
+        .slice(0, limit);
+    },
+
+    toJSON() {
+      return {
+        version: IMAGE_INDEX_VERSION,
+        refreshedAt: index.refreshedAt,
+        entries: Object.fromEntries(entries)
+      };
+    }
+  };
+
+  return index;
+}
+
+// ---------- Storage ----------
+
+const imageStorage = () => indexStorage(IMAGE_INDEX_NAME, getImageIndexPath());
+
+/**
+ * The saved image index, or null when there is none or it can't be read.
+ */
+async function loadImageIndex() {
+  const storage = imageStorage();
+  if (!storage) return null;
+
+  try {
+    return await storage.load(data => {
+      if (data.version !== IMAGE_INDEX_VERSION) {
+        console.log(`⚠️ Image index at ${storage.key} is version ${data.version}, expected ${IMAGE_INDEX_VERSION}`);
+        return null;
+      }
+      return createImageIndex(data);
+    });
+  } catch (err) {
+    console.error('❌ Failed to load image index:', err.message);
+    return null;
+  }
+}
+
+async function saveImageIndex(index) {
+  const storage = imageStorage();
+  if (!storage) {
+    throw new Error('No shared storage for the image index; connect a Vercel Blob store');
+  }
+
+  await storage.save(index);
+}
+
+// ---------- Refresh ----------
+
+function hashingUrl(src) {
+  try {
+    const url = new URL(src);
+    if (url.hostname === 'cdn.shopify.com') url.searchParams.set('width', String(HASH_IMAGE_WIDTH));
+    return url.toString();
+  } catch (err) {
+    return src;
+  }
+}
+
+async function downloadImage(src) {
+  const response = await fetch(hashingUrl(src), { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Image download failed: ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Bring the image index in line with the catalog index: hash product and variant images that
+ * are new or changed (at most maxImages per run), drop those no longer in the catalog.
+ * @param {object} catalog a loaded catalog index
+ * @param {{ full?: boolean, maxImages?: number, fetchImage?: Function, hash?: Function }} options
+ *   full: start from an empty index; fetchImage/hash: injectable for tests
+ * @returns {Promise<{ hashed: number, failed: number, removed: number, remaining: number, images: number, refreshedAt: string }>}
+ */
+async function refreshImageIndex(catalog, {
+  full = false,
+  maxImages = DEFAULT_MAX_IMAGES,
+  fetchImage = downloadImage,
+  hash = hashImage
+} = {}) {
+  const index = (!full && await loadImageIndex()) || createImageIndex();
+  const sources = catalog.imageSources();
+  const inCatalog = new Set(sources.map(entryKey));
+
+  let removed = 0;
+  index.sources().filter(source => !inCatalog.has(entryKey(source))).forEach(source => {
+    index.remove(source);
+    removed++;
+  });
+
+  const stale = sources.filter(source => index.get(source)?.image !== source.image);
+  const batch = stale.slice(0, maxImages);
+  console.log(`🖼️ Image index: ${stale.length} images to hash, ${batch.length} this run`);
+
+  let failed = 0;
+  await mapWithConcurrency(batch, IMAGE_FETCH_CONCURRENCY, async (source) => {
+    const hashedAt = new Date().toISOString();
+    try {
+      const hashes = await hash(await fetchImage(source.image));
+      index.set(source, { image: source.image, ...hashes, hashedAt });
+    } catch (err) {
+      failed++;
+      console.log(`❌ Could not hash image ${entryKey(source)}:`, err.message);
+      index.set(source, { image: source.image, error: err.message, hashedAt });
+    }
+  });
+
+  index.refreshedAt = new Date().toISOString();
+  await saveImageIndex(index);
+
+  console.log(`✅ Image index refreshed: ${batch.length - failed} hashed, ${failed} failed, ${removed} removed`);
+  return {
+    hashed: batch.length - failed,
+    failed,
+    removed,
+    remaining: stale.length - batch.length,
+    images: index.size,
+    refreshedAt: index.refreshedAt
+  };
+}
+
+// ---------- Blending ----------
+
+function blend(textScore, visual, hasText) {
+  if (!hasText) {
+    return { score: visual ?? 0, matchReason: 'visual' };
+  }
+
+  const score = TEXT_WEIGHT * textScore + VISUAL_WEIGHT * (visual ?? UNKNOWN_VISUAL_SCORE);
+  const looksAlike = visual !== null && visual >= VISUAL_MATCH_SCORE;
+  const readsAlike = textScore >= MATCH_THRESHOLDS.low;
+  const matchReason = looksAlike && readsAlike ? 'combined' : looksAlike ? 'visual' : 'text';
+  return { score: Math.round(score * 1000) / 1000, matchReason };
+}
+
+// A variant with its own image is judged by it, any other by its product's image. Matches
+// given as just { productId, visualScore } count as the product image's.
+function candidateVisualScore(match, variantId) {
+  if (!match) return null;
+  const own = variantId ? match.variantScores?.[numericId(variantId)] : undefined;
+  if (own !== undefined) return own;
+  return match.productScore === undefined ? match.visualScore : match.productScore;
+}
+
+/**
+ * Text candidates (rankCandidates output, each with its text `score`) and visually nearest
+ * products as one list, best blended score first. Products only found visually come in
+ * with their catalog variants, text-scored against the card name when there is one (without
+ * a card name, only variants at VISUAL_MATCH_SCORE or above).
+ * @returns {Array<object>} options with textScore, visualScore (null when unknown), score and
+ *   matchReason ('visual' | 'text' | 'combined')
+ */
+function blendCandidates({ textCandidates = [], visualMatches = [], catalog = null, cardName = '' }) {
+  const visualByProduct = new Map(visualMatches.map(match => [numericId(match.productId), match]));
+  const hasText = !!cardName;
+  const visualFor = (candidate) => candidateVisualScore(visualByProduct.get(numericId(candidate.productId)), candidate.variantId);
+
+  const seen = new Set(textCandidates.map(candidate => numericId(candidate.productId)));
+  const visualOnly = visualMatches
+    .filter(match => !seen.has(numericId(match.productId)))
+    .flatMap(match => {
+      const node = catalog?.productById(match.productId);
+      return node ? flattenProductOptions([{ node }]) : [];
+    })
+    // With nothing read from the card, only a convincing likeness is worth offering
+    .filter(option => hasText || (visualFor(option) ?? 0) >= VISUAL_MATCH_SCORE)
+    .map(option => ({ ...option, score: hasText ? scoreMatch(cardName, option.fullTitle) : 0 }));
+
+  return [...textCandidates, ...visualOnly]
+    .map(candidate => {
+      const visual = visualFor(candidate);
+      return {
+        ...candidate,
+        textScore: candidate.score,
+        visualScore: visual,
+        ...blend(candidate.score, visual, hasText)
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.textScore - a.textScore);
+}
+
+module.exports = {
+  IMAGE_INDEX_VERSION,
+  VISUAL_MATCH_SCORE,
+  getImageIndexPath,
+  createImageIndex,
+  loadImageIndex,
+  saveImageIndex,
+  refreshImageIndex,
+  blendCandidates
+};
@@ -0,0 +1,265 @@
+// lib/index-storage.js
+// Where the catalog and image indexes are kept. Serverless instances don't share a disk, so on
+// Vercel an index is a Vercel Blob object (BLOB_READ_WRITE_TOKEN, added when a Blob store is
+// connected to the project) that every instance reads. Anywhere else (vercel dev, tests, a
+// single server) it is a JSON file.
+//
+// On Vercel without a Blob store there is nowhere shared to keep an index, so there is none:
+// search asks Shopify and the sync endpoints answer 503 until a store is connected.
+//
+// Blobs are public, the only access Vercel Blob offers, at a fixed pathname. They hold what the
+// storefront shows anyway (titles, tags, SKUs, prices, stock) and image hashes.
+//
+// Vercel Blob has no conditional write, so two instances rewriting one index would lose each
+// other's changes. Small changes between rebuilds (a product webhook) are instead stored as
+// updates: one object each, under the index's name with ".updates/" in place of ".json",
+// never overwritten. Readers apply them over the index; the next rebuild folds them in and
+// removes them.
+
+const fs = require('fs');
+const path = require('path');
+const { put, head, list, del, BlobNotFoundError } = require('@vercel/blob');
+
+const BLOB_PREFIX = 'trade-in/';
+// How often an instance asks Vercel Blob whether an index was rewritten
+const BLOB_CHECK_INTERVAL_MS = 30 * 1000;
+
+// Per blob pathname: { url, uploadedAt, checkedAt } from the last head() or put(), and per
+// updates prefix: { updates, checkedAt } from the last list()
+const blobState = new Map();
+
+// Per storage key: { version, index }, the index this instance last loaded or saved there,
+// reused until the stored copy changes
+const loadedIndexes = new Map();
+
+// Forget what this instance knows about stored indexes, as a fresh instance would
+function clearIndexStorageCache() {
+  blobState.clear();
+  loadedIndexes.clear();
+}
+
+function indexStorageBackend() {
+  if (process.env.BLOB_READ_WRITE_TOKEN) return 'blob';
+  return process.env.VERCEL ? null : 'file';
+}
+
+function indexStorageAvailable() {
+  return indexStorageBackend() !== null;
+}
+
+const updatesPath = (indexPath) => `${indexPath.replace(/\.json$/, '')}.updates/`;
+
+/**
+ * Storage for one index, or null when there is nowhere shared to keep it.
+ * @param {string} name blob name, e.g. "catalog-index.json"
+ * @param {string} filePath where the file backend keeps it
+ * @returns {{ key: string, version(): Promise<string|null>, read(): Promise<object>, write(data: object): Promise<string>,
+ *   load(build: Function): Promise<object|null>, save(index: object): Promise<string>,
+ *   addUpdate(name: string, data: object): Promise<void>, updates(): Promise<Array<{ name: string, read(): Promise<object> }>>,
+ *   removeUpdates(updates: Array<object>): Promise<void> }|null}
+ *   version() changes whenever the index is rewritten and is null when there is no index yet.
+ *   load() is read() through build(data), which returns the index or null to refuse the data,
+ *   and returns the index last loaded or saved by this instance while the version is unchanged.
+ *   updates() lists the stored updates ordered by name; names must be unique per update. An
+ *   update's read() resolves null once a rebuild has removed it.
+ */
+function indexStorage(name, filePath) {
+  const backend = indexStorageBackend();
+  if (backend === 'blob') return withLoadedIndex(blobStorage(`${BLOB_PREFIX}${name}`));
+  if (backend === 'file') return withLoadedIndex(fileStorage(filePath));
+  return null;
+}
+
+function withLoadedIndex(storage) {
+  return {
+    ...storage,
+
+    async load(build) {
+      const version = await storage.version();
+      if (version === null) return null;
+
+      const loaded = loadedIndexes.get(storage.key);
+      if (loaded && loaded.version === version) return loaded.index;
+
+      const index = build(await storage.read());
+      if (index) loadedIndexes.set(storage.key, { version, index });
+      return index;
+    },
+
+    // Remembered only once written, so a failed save leaves the loaded index in use
+    async save(index) {
+      const version = await storage.write(index);
+      loadedIndexes.set(storage.key, { version, index });
+      return version;
+    }
+  };
+}
+
+function fileStorage(filePath) {
+  const updatesDir = updatesPath(filePath);
+
+  return {
+    key: `file:${filePath}`,
+
+    async version() {
+      try {
+        return String((await fs.promises.stat(filePath)).mtimeMs);
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async read() {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    },
+
+    // Via a temp file so a reader never sees half an index
+    async write(data) {
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(data));
+      await fs.promises.rename(tempPath, filePath);
+      return String((await fs.promises.stat(filePath)).mtimeMs);
+    },
+
+    async addUpdate(name, data) {
+      const tempPath = `${updatesDir}.${name}.${process.pid}.tmp`;
+      await fs.promises.mkdir(updatesDir, { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(data));
+      await fs.promises.rename(tempPath, path.join(updatesDir, `${name}.json`));
+    },
+
+    async updates() {
+      let files;
+      try {
+        files = await fs.promises.readdir(updatesDir);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      return files
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => ({
+          name: file.replace(/\.json$/, ''),
+          read: async () => {
+            try {
+              return JSON.parse(await fs.promises.readFile(path.join(updatesDir, file), 'utf8'));
+            } catch (err) {
+              if (err.code === 'ENOENT') return null;
+              throw err;
+            }
+          }
+        }));
+    },
+
+    async removeUpdates(updates) {
+      await Promise.all(updates.map(update =>
+        fs.promises.unlink(path.join(updatesDir, `${update.name}.json`)).catch(err => {
+          if (err.code !== 'ENOENT') throw err;
+        })));
+    }
+  };
+}
+
+function blobStorage(pathname) {
+  const updatesPrefix = updatesPath(pathname);
+
+  async function refresh() {
+    try {
+      const { url, uploadedAt } = await head(pathname);
+      blobState.set(pathname, { url, uploadedAt: uploadedAt.getTime(), checkedAt: Date.now() });
+    } catch (err) {
+      if (!(err instanceof BlobNotFoundError)) throw err;
+      blobState.set(pathname, { url: null, uploadedAt: null, checkedAt: Date.now() });
+    }
+    return blobState.get(pathname);
+  }
+
+  async function current() {
+    const state = blobState.get(pathname);
+    return state && Date.now() - state.checkedAt < BLOB_CHECK_INTERVAL_MS ? state : refresh();
+  }
+
+  return {
+    key: `blob:${pathname}`,
+
+    async version() {
+      const { uploadedAt } = await current();
+      return uploadedAt === null ? null : String(uploadedAt);
+    },
+
+    // The upload time in the URL gets past CDN copies of the previous upload
+    async read() {
+      const { url, uploadedAt } = await current();
+      const response = await fetch(`${url}?v=${uploadedAt}`);
+      if (!response.ok) {
+        throw new Error(`Failed to download ${pathname}: ${response.status}`);
+      }
+      return response.json();
+    },
+
+    async write(data) {
+      await put(pathname, JSON.stringify(data), {
+        access: 'public',
+        addRandomSuffix: false,
+        allowOverwrite: true,
+        contentType: 'application/json'
+      });
+      return String((await refresh()).uploadedAt);
+    },
+
+    async addUpdate(name, data) {
+      await put(`${updatesPrefix}${name}.json`, JSON.stringify(data), {
+        access: 'public',
+        addRandomSuffix: false,
+        contentType: 'application/json'
+      });
+      blobState.delete(updatesPrefix);
+    },
+
+    // Updates are never overwritten, so their URLs need no cache-busting
+    async updates() {
+      const state = blobState.get(updatesPrefix);
+      if (state && Date.now() - state.checkedAt < BLOB_CHECK_INTERVAL_MS) return state.updates;
+
+      const blobs = [];
+      let cursor;
+      do {
+        const page = await list({ prefix: updatesPrefix, cursor });
+        blobs.push(...page.blobs);
+        cursor = page.hasMore ? page.cursor : null;
+      } while (cursor);
+
+      const updates = blobs
+        .map(blob => ({
+          name: blob.pathname.slice(updatesPrefix.length).replace(/\.json$/, ''),
+          url: blob.url,
+          read: async () => {
+            const response = await fetch(blob.url);
+            if (response.status === 404) return null;
+            if (!response.ok) {
+              throw new Error(`Failed to download ${blob.pathname}: ${response.status}`);
+            }
+            return response.json();
+          }
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      blobState.set(updatesPrefix, { updates, checkedAt: Date.now() });
+      return updates;
+    },
+
+    async removeUpdates(updates) {
+      if (updates.length) await del(updates.map(update => update.url));
+      blobState.delete(updatesPrefix);
+    }
+  };
+}
+
+module.exports = {
+  clearIndexStorageCache,
+  indexStorageBackend,
+  indexStorageAvailable,
+  indexStorage
+};
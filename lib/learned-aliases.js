@@ -0,0 +1,186 @@
+// lib/learned-aliases.js
+// Query -> SKU choices staff confirmed at the counter. When a search is ambiguous and staff
+// pick one of the options, the query as typed is remembered against that SKU, and the next
+// search for the same query resolves straight to it (the 'learned_alias' strategy in
+// lib/card-search.js) once it has been confirmed MIN_CONFIRMATIONS times; before that the
+// learned option is offered first but still needs confirming. Stored in the shop metafield
+// trade_in_system.learned_aliases, which search reads through a short per-instance cache.
+//
+// Queries match after normalization only: "Umbreon VMAX 215" and "umbreon vmax  215" are the
+// same alias, "Umbreon 215" is not.
+
+const { getShopMetafield, setShopMetafield } = require('./shop-metafields');
+
+const ALIASES_KEY = 'learned_aliases';
+// Least recently confirmed aliases are dropped past this, to stay well inside the metafield size limit
+const MAX_LEARNED_ALIASES = 2000;
+const MIN_QUERY_LENGTH = 2;
+// One pick can be a misclick; an alias resolves without confirmation after this many
+const MIN_CONFIRMATIONS = 2;
+// How long an instance reuses the aliases it read for search
+const SEARCH_CACHE_TTL_MS = 30 * 1000;
+
+let searchCache = null;
+
+function aliasKey(query) {
+  return String(query || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function generateAliasId() {
+  const random = Math.random().toString(36).substr(2, 6).toUpperCase();
+  return `LA-${Date.now().toString(36).toUpperCase()}-${random}`;
+}
+
+async function loadLearnedAliases(makeShopifyRequest) {
+  const { id, value } = await getShopMetafield(makeShopifyRequest, ALIASES_KEY, []);
+  return { metafieldId: id, aliases: Array.isArray(value) ? value : [] };
+}
+
+async function saveLearnedAliases(makeShopifyRequest, aliases, metafieldId) {
+  const saved = await setShopMetafield(makeShopifyRequest, ALIASES_KEY, aliases, metafieldId);
+  searchCache = { aliases, loadedAt: Date.now() };
+  return saved;
+}
+
+/**
+ * The aliases card search should use, from the metafield. Each instance reuses what it read for
+ * SEARCH_CACHE_TTL_MS, so another instance's change shows up within that. A metafield hiccup
+ * means no aliases rather than a failed search.
+ */
+async function loadSearchAliases(makeShopifyRequest) {
+  if (searchCache && Date.now() - searchCache.loadedAt < SEARCH_CACHE_TTL_MS) {
+    return searchCache.aliases;
+  }
+
+  try {
+    const { aliases } = await loadLearnedAliases(makeShopifyRequest);
+    searchCache = { aliases, loadedAt: Date.now() };
+    return aliases;
+  } catch (err) {
+    console.error('⚠️ Failed to load learned aliases, searching without them:', err.message);
+    return [];
+  }
+}
+
+function clearSearchAliasCache() {
+  searchCache = null;
+}
+
+// Whether an alias has been confirmed often enough to skip confirmation
+function isTrustedAlias(alias) {
+  return (alias?.confirmations || 0) >= MIN_CONFIRMATIONS;
+}
+
+/**
+ * The alias learned for a card name, skipping one learned for a different game.
+ * @returns {object|null}
+ */
+function findLearnedAlias(aliases, cardName, game = null) {
+  const key = aliasKey(cardName);
+  if (!key) return null;
+
+  return (aliases || []).find(alias => alias.key === key && (!game || !alias.game || alias.game === game)) || null;
+}
+
+// ========== ALIAS MUTATIONS ==========
+// Each returns { error } or { alias } and mutates the passed aliases array in place.
+// `variant` is the confirmed SKU's product: { sku, title, game }.
+
+function validateQuery(query) {
+  if (typeof query !== 'string' || aliasKey(query).length < MIN_QUERY_LENGTH) {
+    return `query must be at least ${MIN_QUERY_LENGTH} characters`;
+  }
+  return null;
+}
+
+// A pick at the counter: confirms the query's alias again, or (re)points it at the picked SKU
+function recordConfirmation(aliases, { query, variant, confirmedBy = null }) {
+  const queryError = validateQuery(query);
+  if (queryError) return { error: queryError };
+
+  const now = new Date().toISOString();
+  const key = aliasKey(query);
+  let alias = aliases.find(a => a.key === key);
+
+  if (alias && alias.sku === variant.sku) {
+    alias.confirmations += 1;
+  } else if (alias) {
+    Object.assign(alias, { previousSku: alias.sku, sku: variant.sku, confirmations: 1 });
+  } else {
+    alias = { id: generateAliasId(), key, sku: variant.sku, confirmations: 1, createdAt: now };
+    aliases.unshift(alias);
+  }
+
+  Object.assign(alias, {
+    query: query.trim(),
+    title: variant.title,
+    game: variant.game || null,
+    lastConfirmedAt: now,
+    lastConfirmedBy: confirmedBy
+  });
+
+  trimAliases(aliases);
+  return { alias };
+}
+
+// An admin correction: a new query spelling and/or SKU
+function updateAlias(aliases, aliasId, { query, variant = null, updatedBy = null }) {
+  const alias = aliases.find(a => a.id === aliasId);
+  if (!alias) return { error: 'Learned alias not found', status: 404 };
+
+  if (query !== undefined) {
+    const queryError = validateQuery(query);
+    if (queryError) return { error: queryError };
+
+    const key = aliasKey(query);
+    if (aliases.some(a => a.key === key && a.id !== aliasId)) {
+      return { error: `Another alias already covers "${query.trim()}"`, status: 409 };
+    }
+    Object.assign(alias, { query: query.trim(), key });
+  }
+
+  if (variant && variant.sku !== alias.sku) {
+    Object.assign(alias, { previousSku: alias.sku, sku: variant.sku, title: variant.title, game: variant.game || null });
+  }
+
+  Object.assign(alias, { updatedAt: new Date().toISOString(), updatedBy });
+  return { alias };
+}
+
+function removeAlias(aliases, aliasId) {
+  const index = aliases.findIndex(a => a.id === aliasId);
+  if (index === -1) return { error: 'Learned alias not found', status: 404 };
+
+  const [alias] = aliases.splice(index, 1);
+  return { alias };
+}
+
+function trimAliases(aliases) {
+  if (aliases.length <= MAX_LEARNED_ALIASES) return;
+
+  const keep = new Set([...aliases]
+    .sort((a, b) => (Date.parse(b.lastConfirmedAt) || 0) - (Date.parse(a.lastConfirmedAt) || 0))
+    .slice(0, MAX_LEARNED_ALIASES));
+  const kept = aliases.filter(alias => keep.has(alias));
+  aliases.splice(0, aliases.length, ...kept);
+}
+
+module.exports = {
+  MAX_LEARNED_ALIASES,
+  MIN_CONFIRMATIONS,
+  aliasKey,
+  loadLearnedAliases,
+  saveLearnedAliases,
+  loadSearchAliases,
+  clearSearchAliasCache,
+  isTrustedAlias,
+  findLearnedAlias,
+  recordConfirmation,
+  updateAlias,
+  removeAlias
+};
@@ -0,0 +1,143 @@
+// lib/locations.js
+// Which Shopify location a trade-in's inventory goes to. An explicit locationId / location
+// name wins; otherwise the kiosk or employee default from the routing config, then the
+// configured default, then (as before) the first location Shopify lists.
+
+const { getShopMetafield, setShopMetafield } = require('./shop-metafields');
+
+const ROUTING_KEY = 'location_routing';
+
+const EMPTY_ROUTING = {
+  defaultLocation: null,
+  employees: {},
+  kiosks: {}
+};
+
+async function loadLocations(makeShopifyRequest) {
+  const response = await makeShopifyRequest('/locations.json');
+  if (!response.ok) {
+    throw new Error(`Failed to load locations: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return (data.locations || []).filter(location => location.active !== false);
+}
+
+async function loadLocationRouting(makeShopifyRequest) {
+  const { id, value } = await getShopMetafield(makeShopifyRequest, ROUTING_KEY, EMPTY_ROUTING);
+  return { metafieldId: id, routing: { ...EMPTY_ROUTING, ...(value || {}) } };
+}
+
+async function saveLocationRouting(makeShopifyRequest, routing, metafieldId) {
+  return setShopMetafield(makeShopifyRequest, ROUTING_KEY, routing, metafieldId);
+}
+
+// Match a location by numeric/gid ID or by name (case-insensitive)
+function findLocation(locations, reference) {
+  if (reference === undefined || reference === null || reference === '') return null;
+
+  const wanted = reference.toString().replace('gid://shopify/Location/', '').trim();
+  return locations.find(location => location.id.toString() === wanted) ||
+    locations.find(location => (location.name || '').toLowerCase() === wanted.toLowerCase()) ||
+    null;
+}
+
+function findMapped(map, key) {
+  if (!map || !key) return undefined;
+  const wanted = key.toString().toLowerCase();
+  const match = Object.keys(map).find(name => name.toLowerCase() === wanted);
+  return match ? map[match] : undefined;
+}
+
+/**
+ * Pick the location for a trade.
+ * @param {Array} locations - Active Shopify locations
+ * @param {{ locationId, locationName, kioskId, employeeName }} request
+ * @param {object} routing - { defaultLocation, employees: { name: ref }, kiosks: { id: ref } }
+ * @returns {{ location: object|null, source: string|null, error: string|null }}
+ */
+function resolveTradeLocation(locations, request = {}, routing = EMPTY_ROUTING) {
+  const explicit = request.locationId || request.locationName;
+  if (explicit) {
+    const location = findLocation(locations, explicit);
+    return location
+      ? { location, source: request.locationId ? 'request_id' : 'request_name', error: null }
+      : { location: null, source: null, error: `Unknown or inactive location "${explicit}"` };
+  }
+
+  const candidates = [
+    ['kiosk', findMapped(routing.kiosks, request.kioskId)],
+    ['employee', findMapped(routing.employees, request.employeeName)],
+    ['default', routing.defaultLocation]
+  ];
+
+  for (const [source, reference] of candidates) {
+    if (reference === undefined || reference === null || reference === '') continue;
+
+    const location = findLocation(locations, reference);
+    if (location) return { location, source, error: null };
+    console.warn(`⚠️ ${source} location "${reference}" is not an active location, skipping`);
+  }
+
+  return locations[0]
+    ? { location: locations[0], source: 'first_location', error: null }
+    : { location: null, source: null, error: 'No active locations found' };
+}
+
+/**
+ * Check routing config references against the shop's locations.
+ * @returns {string[]} problems, empty when valid
+ */
+function validateLocationRouting(routing, locations) {
+  const errors = [];
+  const check = (reference, path) => {
+    if (reference === undefined || reference === null || reference === '') return;
+    if (!findLocation(locations, reference)) errors.push(`${path}: unknown location "${reference}"`);
+  };
+
+  check(routing.defaultLocation, 'defaultLocation');
+  ['employees', 'kiosks'].forEach(group => {
+    if (routing[group] !== undefined && (typeof routing[group] !== 'object' || Array.isArray(routing[group]))) {
+      errors.push(`${group} must be an object`);
+      return;
+    }
+    Object.entries(routing[group] || {}).forEach(([name, reference]) => check(reference, `${group}.${name}`));
+  });
+
+  return errors;
+}
+
+/**
+ * Which of these inventory items are stocked (have an inventory level) at the location.
+ * @returns {Promise<Set<string>>} stocked inventory item IDs
+ */
+async function getStockedInventoryItems(makeShopifyRequest, inventoryItemIds, locationId) {
+  const stocked = new Set();
+  const ids = [...new Set(inventoryItemIds.filter(Boolean).map(id => id.toString()))];
+
+  // inventory_levels accepts up to 50 item IDs per call
+  for (let i = 0; i < ids.length; i += 50) {
+    const batch = ids.slice(i, i + 50);
+    const response = await makeShopifyRequest(
+      `/inventory_levels.json?inventory_item_ids=${batch.join(',')}&location_ids=${locationId}&limit=250`
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to load inventory levels: ${response.status}`);
+    }
+
+    const data = await response.json();
+    (data.inventory_levels || []).forEach(level => stocked.add(level.inventory_item_id.toString()));
+  }
+
+  return stocked;
+}
+
+module.exports = {
+  loadLocations,
+  loadLocationRouting,
+  saveLocationRouting,
+  findLocation,
+  resolveTradeLocation,
+  validateLocationRouting,
+  getStockedInventoryItems
+};
@@ -0,0 +1,183 @@
+// lib/multipart.js
+// Streaming multipart/form-data parsing for image uploads (multiparty). File parts are
+// buffered as they stream in and the upload is cut off as soon as a cap is passed, so an
+// oversized photo is never read to the end. Every file must be an image: the declared
+// Content-Type has to be an image type (or application/octet-stream) and the first bytes
+// have to be a JPEG, PNG, WebP or HEIC/HEIF signature; the reported mimetype is the sniffed one.
+//
+// Failures are UploadErrors carrying the HTTP status to answer with: 413 over a size cap,
+// 415 not multipart or not an allowed image, 400 anything else malformed.
+// The hosting platform may cap request bodies below these limits.
+
+const multiparty = require('multiparty');
+
+const MB = 1024 * 1024;
+const DEFAULT_LIMITS = {
+  maxFileSize: 10 * MB,
+  maxTotalFileSize: 20 * MB,
+  maxFiles: 4,
+  maxFieldsSize: 64 * 1024,
+  maxFields: 50
+};
+
+// Brands in an ISO-BMFF 'ftyp' box that mean HEIC/HEIF
+const HEIC_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis']);
+const HEIF_BRANDS = new Set(['mif1', 'msf1']);
+
+class UploadError extends Error {
+  constructor(message, { status = 400, code = null, details = null } = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const ascii = (data, start, end) => data.subarray(start, end).toString('latin1');
+
+/**
+ * The image type a file's first bytes identify, or null.
+ * @returns {'image/jpeg'|'image/png'|'image/webp'|'image/heic'|'image/heif'|null}
+ */
+function sniffImageType(data) {
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+  if (data.length >= 8 && data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (data.length >= 12 && ascii(data, 0, 4) === 'RIFF' && ascii(data, 8, 12) === 'WEBP') return 'image/webp';
+  if (data.length >= 12 && ascii(data, 4, 8) === 'ftyp') {
+    const brand = ascii(data, 8, 12);
+    if (HEIC_BRANDS.has(brand)) return 'image/heic';
+    if (HEIF_BRANDS.has(brand)) return 'image/heif';
+  }
+  return null;
+}
+
+function acceptableDeclaredType(mimetype) {
+  return !mimetype || mimetype === 'application/octet-stream' || /^image\//.test(mimetype);
+}
+
+function formatSize(bytes) {
+  return `${Math.round(bytes / MB * 10) / 10} MB`;
+}
+
+/**
+ * Read a multipart/form-data request.
+ * @param {import('http').IncomingMessage} req a request whose body hasn't been read
+ * @param {{ fileFields?: string[], limits?: object }} options
+ *   fileFields: the only field names files may come in under (any when omitted);
+ *   limits: overrides for DEFAULT_LIMITS
+ * @returns {Promise<{ fields: Object<string, string>, files: Object<string, { filename: string, data: Buffer, size: number, mimetype: string, declaredMimetype: string|null }> }>}
+ * @throws {UploadError}
+ */
+function parseMultipartForm(req, { fileFields = null, limits = {} } = {}) {
+  const { maxFileSize, maxTotalFileSize, maxFiles, maxFieldsSize, maxFields } = { ...DEFAULT_LIMITS, ...limits };
+
+  return new Promise((resolve, reject) => {
+    const declaredLength = parseInt(req.headers['content-length'], 10);
+    if (declaredLength > maxTotalFileSize + maxFieldsSize) {
+      req.resume();
+      reject(new UploadError(`Upload too large (${formatSize(declaredLength)}); the limit is ${formatSize(maxTotalFileSize)}`, {
+        status: 413,
+        code: 'UPLOAD_TOO_LARGE'
+      }));
+      return;
+    }
+
+    const form = new multiparty.Form({ maxFieldsSize, maxFields });
+    const fields = {};
+    const files = {};
+    let fileCount = 0;
+    let totalFileSize = 0;
+
+    const fail = (err) => form.handleError(err);
+
+    form.on('field', (name, value) => {
+      if (!(name in fields)) fields[name] = value;
+    });
+
+    form.on('part', (part) => {
+      // multiparty re-emits a failure on the part being read
+      part.on('error', fail);
+      const declaredMimetype = part.headers['content-type'] || null;
+
+      // A file input left empty still sends a part, with no filename and no data
+      if (!part.filename) {
+        part.resume();
+        return;
+      }
+      if (fileFields && !fileFields.includes(part.name)) {
+        return fail(new UploadError(`Unexpected file field "${part.name}"`, {
+          code: 'UNEXPECTED_FILE',
+          details: `Files are accepted as: ${fileFields.join(', ')}`
+        }));
+      }
+      if (files[part.name]) {
+        return fail(new UploadError(`More than one file in "${part.name}"`, { code: 'UNEXPECTED_FILE' }));
+      }
+      if (++fileCount > maxFiles) {
+        return fail(new UploadError(`Too many files; the limit is ${maxFiles}`, { status: 413, code: 'TOO_MANY_FILES' }));
+      }
+      if (!acceptableDeclaredType(declaredMimetype)) {
+        return fail(new UploadError(`Unsupported file type ${declaredMimetype}`, {
+          status: 415,
+          code: 'UNSUPPORTED_MEDIA_TYPE',
+          details: 'Upload a JPEG, PNG, WebP or HEIC image'
+        }));
+      }
+
+      const chunks = [];
+      let size = 0;
+      part.on('data', (chunk) => {
+        size += chunk.length;
+        totalFileSize += chunk.length;
+        if (size > maxFileSize) {
+          fail(new UploadError(`"${part.filename}" is too large; the limit is ${formatSize(maxFileSize)} per file`, {
+            status: 413,
+            code: 'FILE_TOO_LARGE'
+          }));
+        } else if (totalFileSize > maxTotalFileSize) {
+          fail(new UploadError(`Upload too large; the limit is ${formatSize(maxTotalFileSize)} in total`, {
+            status: 413,
+            code: 'UPLOAD_TOO_LARGE'
+          }));
+        } else {
+          chunks.push(chunk);
+        }
+      });
+      part.on('end', () => {
+        const data = Buffer.concat(chunks);
+        const mimetype = sniffImageType(data);
+        if (!mimetype) {
+          return fail(new UploadError(`"${part.filename}" is not a JPEG, PNG, WebP or HEIC image`, {
+            status: 415,
+            code: 'UNSUPPORTED_MEDIA_TYPE'
+          }));
+        }
+        files[part.name] = { filename: part.filename, data, size: data.length, mimetype, declaredMimetype };
+      });
+    });
+
+    form.on('error', (err) => {
+      // Stop parsing and let the rest of the body drain
+      req.unpipe(form);
+      req.resume();
+      reject(err instanceof UploadError
+        ? err
+        : new UploadError(err.message, {
+            status: [413, 415].includes(err.statusCode) ? err.statusCode : 400,
+            code: err.statusCode === 415 ? 'UNSUPPORTED_MEDIA_TYPE' : err.statusCode === 413 ? 'UPLOAD_TOO_LARGE' : 'MALFORMED_UPLOAD'
+          }));
+    });
+
+    form.on('close', () => resolve({ fields, files }));
+
+    form.parse(req);
+  });
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  UploadError,
+  sniffImageType,
+  parseMultipartForm
+};
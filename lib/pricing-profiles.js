@@ -0,0 +1,204 @@
+// lib/pricing-profiles.js
+// Named, versioned pricing profiles ("Weekend Bonus +10%", "Holiday One Piece push", ...)
+// layered on top of the base pricing rules. Profiles live in the shop metafield
+// trade_in_system.pricing_profiles; versions are append-only so an old payout can always
+// be explained by the profile ID + version recorded on the trade.
+
+const { DEFAULT_PRICING_RULES, applyRulesOverride, validateRulesOverride } = require('./pricing-rules');
+const { getShopMetafield, setShopMetafield } = require('./shop-metafields');
+
+const PROFILES_KEY = 'pricing_profiles';
+
+// Used whenever no profile is in effect
+const STANDARD_PROFILE = {
+  id: 'standard',
+  name: 'Standard',
+  version: DEFAULT_PRICING_RULES.version
+};
+
+function generateProfileId() {
+  const random = Math.random().toString(36).substr(2, 6).toUpperCase();
+  return `PP-${Date.now().toString(36).toUpperCase()}-${random}`;
+}
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+function getCurrentVersion(profile) {
+  return profile.versions.find(v => v.version === profile.currentVersion) || profile.versions[profile.versions.length - 1];
+}
+
+function isProfileInEffect(profile, now) {
+  if (!profile.enabled) return false;
+  const time = now.getTime();
+  if (profile.startsAt && new Date(profile.startsAt).getTime() > time) return false;
+  if (profile.endsAt && new Date(profile.endsAt).getTime() <= time) return false;
+  return true;
+}
+
+/**
+ * Pick the profile that applies at `now`: among enabled profiles whose date window
+ * contains `now`, the one that started most recently wins (ties go to the latest activation).
+ */
+function selectActiveProfile(profiles, now = new Date()) {
+  const candidates = (profiles || []).filter(p => isProfileInEffect(p, now));
+  if (candidates.length === 0) return null;
+
+  candidates.sort((a, b) => {
+    const startDiff = new Date(b.startsAt || 0).getTime() - new Date(a.startsAt || 0).getTime();
+    if (startDiff !== 0) return startDiff;
+    return new Date(b.activatedAt || 0).getTime() - new Date(a.activatedAt || 0).getTime();
+  });
+
+  return candidates[0];
+}
+
+// Full rule set and profile reference for a (possibly null) profile
+function buildActivePricing(profile) {
+  if (!profile) {
+    return { rules: DEFAULT_PRICING_RULES, profile: { ...STANDARD_PROFILE } };
+  }
+
+  const current = getCurrentVersion(profile);
+  return {
+    rules: applyRulesOverride(DEFAULT_PRICING_RULES, current.rules),
+    profile: { id: profile.id, name: profile.name, version: current.version }
+  };
+}
+
+async function loadPricingProfiles(makeShopifyRequest) {
+  const { id, value } = await getShopMetafield(makeShopifyRequest, PROFILES_KEY, []);
+  return { metafieldId: id, profiles: Array.isArray(value) ? value : [] };
+}
+
+async function savePricingProfiles(makeShopifyRequest, profiles, metafieldId) {
+  return setShopMetafield(makeShopifyRequest, PROFILES_KEY, profiles, metafieldId);
+}
+
+/**
+ * Resolve the pricing in effect right now. Falls back to the Standard rules if the
+ * profiles can't be loaded, so a metafield hiccup never blocks a trade.
+ */
+async function getActivePricing(makeShopifyRequest, now = new Date()) {
+  try {
+    const { profiles } = await loadPricingProfiles(makeShopifyRequest);
+    return buildActivePricing(selectActiveProfile(profiles, now));
+  } catch (err) {
+    console.error('⚠️ Failed to load pricing profiles, using Standard rules:', err.message);
+    return buildActivePricing(null);
+  }
+}
+
+function validateProfileDates(startsAt, endsAt) {
+  if (startsAt === undefined) return 'startsAt is not a valid date';
+  if (endsAt === undefined) return 'endsAt is not a valid date';
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) return 'endsAt must be after startsAt';
+  return null;
+}
+
+// ========== PROFILE MUTATIONS ==========
+// Each returns { error } or { profile } and mutates the passed profiles array in place.
+
+function createProfile(profiles, { name, startsAt, endsAt, rules = {}, note = null, createdBy = null }) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { error: 'Profile name is required' };
+  }
+
+  const start = parseDate(startsAt);
+  const end = parseDate(endsAt);
+  const dateError = validateProfileDates(start, end);
+  if (dateError) return { error: dateError };
+
+  const ruleErrors = validateRulesOverride(rules);
+  if (ruleErrors.length > 0) return { error: 'Invalid pricing rules', details: ruleErrors };
+
+  const now = new Date().toISOString();
+  const profile = {
+    id: generateProfileId(),
+    name: name.trim(),
+    startsAt: start,
+    endsAt: end,
+    enabled: false,
+    activatedAt: null,
+    createdAt: now,
+    createdBy,
+    currentVersion: 1,
+    versions: [{ version: 1, rules, note, createdAt: now, createdBy }]
+  };
+
+  profiles.unshift(profile);
+  return { profile };
+}
+
+// Editing a profile never rewrites history: new rules become a new version
+function updateProfile(profiles, profileId, { name, startsAt, endsAt, rules, note = null, updatedBy = null }) {
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile) return { error: 'Pricing profile not found', status: 404 };
+
+  const start = startsAt !== undefined ? parseDate(startsAt) : profile.startsAt;
+  const end = endsAt !== undefined ? parseDate(endsAt) : profile.endsAt;
+  const dateError = validateProfileDates(start, end);
+  if (dateError) return { error: dateError };
+
+  if (rules !== undefined) {
+    const ruleErrors = validateRulesOverride(rules);
+    if (ruleErrors.length > 0) return { error: 'Invalid pricing rules', details: ruleErrors };
+  }
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'Profile name cannot be empty' };
+    profile.name = name.trim();
+  }
+  profile.startsAt = start;
+  profile.endsAt = end;
+
+  if (rules !== undefined) {
+    appendVersion(profile, rules, note, updatedBy);
+  }
+
+  return { profile };
+}
+
+function appendVersion(profile, rules, note, createdBy) {
+  const version = Math.max(...profile.versions.map(v => v.version)) + 1;
+  profile.versions.push({ version, rules, note, createdAt: new Date().toISOString(), createdBy });
+  profile.currentVersion = version;
+  return version;
+}
+
+function setProfileEnabled(profiles, profileId, enabled) {
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile) return { error: 'Pricing profile not found', status: 404 };
+
+  profile.enabled = enabled;
+  if (enabled) profile.activatedAt = new Date().toISOString();
+  return { profile };
+}
+
+// Roll back by republishing an older version's rules as a new version
+function rollbackProfile(profiles, profileId, version, { note = null, updatedBy = null } = {}) {
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile) return { error: 'Pricing profile not found', status: 404 };
+
+  const target = profile.versions.find(v => v.version === parseInt(version));
+  if (!target) return { error: `Version ${version} not found for this profile`, status: 404 };
+
+  appendVersion(profile, target.rules, note || `Rollback to version ${target.version}`, updatedBy);
+  return { profile };
+}
+
+module.exports = {
+  STANDARD_PROFILE,
+  selectActiveProfile,
+  buildActivePricing,
+  getActivePricing,
+  loadPricingProfiles,
+  savePricingProfiles,
+  createProfile,
+  updateProfile,
+  setProfileEnabled,
+  rollbackProfile
+};
@@ -0,0 +1,356 @@
+// lib/pricing-rules.js
+// Declarative trade-in pricing rules shared by every endpoint and the customer portal.
+// The portal fetches these same rules from /api/pricing-rules, so keep the shape JSON-safe,
+// and runs this file itself (/api/pricing-rules?format=js), so keep it free of requires and
+// Node-only APIs.
+
+// Tier tables are checked top-down; the first tier whose `min` the market price reaches wins.
+// A tier either pays a `rate` of the market price or a `flat` amount.
+const DEFAULT_PRICING_RULES = {
+  version: 3,
+  currency: 'CAD',
+
+  // Which tier table the default payout (and the customer quote) is based on
+  payoutTier: 'suggested',
+
+  tiers: {
+    suggested: [
+      { min: 50.00, rate: 0.75 },
+      { min: 25.00, rate: 0.50 },
+      { min: 15.01, rate: 0.35 },
+      { min: 8.00, rate: 0.40 },
+      { min: 5.00, rate: 0.35 },
+      { min: 3.01, rate: 0.25 },
+      { min: 2.00, flat: 0.10 },
+      { min: 0.01, flat: 0.01 }
+    ],
+    maximum: [
+      { min: 50.00, rate: 0.75 },
+      { min: 25.00, rate: 0.70 },
+      { min: 15.01, rate: 0.65 },
+      { min: 8.00, rate: 0.50 },
+      { min: 5.00, rate: 0.35 },
+      { min: 3.01, rate: 0.25 },
+      { min: 2.00, flat: 0.50 },
+      { min: 0.01, flat: 0.01 }
+    ]
+  },
+
+  // Multiplier applied to the tier value when the product has no variant for the card's
+  // condition; 0 means the condition is not accepted
+  conditionMultipliers: {
+    NM: 1,
+    LP: 0.90,
+    MP: 0.60,
+    HP: 0.35,
+    DMG: 0.15
+  },
+
+  // Multiplier applied per payout method (cash and credit currently pay the same)
+  payoutMethods: {
+    'store-credit': 1,
+    'gift-card': 1,
+    'cash': 1
+  },
+
+  // Graded slabs with no graded listing in the catalog are priced at the raw card's price
+  // times a grade multiplier. Checked top-down per company; the first `minGrade` reached wins.
+  gradeMultipliers: {
+    PSA: [
+      { minGrade: 10, multiplier: 3.00 },
+      { minGrade: 9, multiplier: 1.50 },
+      { minGrade: 8, multiplier: 1.15 },
+      { minGrade: 1, multiplier: 0.90 }
+    ],
+    BGS: [
+      { minGrade: 10, multiplier: 4.00 },
+      { minGrade: 9.5, multiplier: 2.00 },
+      { minGrade: 9, multiplier: 1.30 },
+      { minGrade: 8, multiplier: 1.05 },
+      { minGrade: 1, multiplier: 0.85 }
+    ],
+    CGC: [
+      { minGrade: 10, multiplier: 2.25 },
+      { minGrade: 9.5, multiplier: 1.40 },
+      { minGrade: 9, multiplier: 1.10 },
+      { minGrade: 1, multiplier: 0.85 }
+    ]
+  },
+
+  // Flat bonus applied on top of everything else (pricing profiles use this for "+10%" promos)
+  bonusMultiplier: 1,
+
+  // Per-game overrides, keyed by game slug. Each entry may replace `tiers.suggested`,
+  // `tiers.maximum`, or individual `conditionMultipliers` / `payoutMethods` entries.
+  games: {},
+
+  // Per-product-type overrides (Shopify product_type, matched case-insensitively).
+  // Applied after the game override, so the more specific product type wins.
+  productTypes: {}
+};
+
+function roundMoney(value) {
+  return parseFloat((Number(value) || 0).toFixed(2));
+}
+
+// Merge a partial override on top of a full rule set
+function mergeRuleOverride(rules, override) {
+  if (!override) return rules;
+
+  return {
+    ...rules,
+    tiers: { ...rules.tiers, ...(override.tiers || {}) },
+    conditionMultipliers: { ...rules.conditionMultipliers, ...(override.conditionMultipliers || {}) },
+    payoutMethods: { ...rules.payoutMethods, ...(override.payoutMethods || {}) },
+    bonusMultiplier: override.bonusMultiplier !== undefined ? override.bonusMultiplier : rules.bonusMultiplier
+  };
+}
+
+// Layer a pricing profile's rules on top of the base rules. Unlike a game/product-type
+// override, a profile can also add or replace whole game and product-type entries.
+function applyRulesOverride(rules, override) {
+  if (!override) return rules;
+
+  return {
+    ...mergeRuleOverride(rules, override),
+    payoutTier: override.payoutTier || rules.payoutTier,
+    gradeMultipliers: { ...rules.gradeMultipliers, ...(override.gradeMultipliers || {}) },
+    games: { ...rules.games, ...(override.games || {}) },
+    productTypes: { ...rules.productTypes, ...(override.productTypes || {}) }
+  };
+}
+
+function validateTierTable(tiers, path, errors) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    errors.push(`${path} must be a non-empty array`);
+    return;
+  }
+
+  tiers.forEach((tier, i) => {
+    if (typeof tier.min !== 'number' || tier.min < 0) {
+      errors.push(`${path}[${i}].min must be a non-negative number`);
+    }
+    const hasRate = typeof tier.rate === 'number' && tier.rate >= 0;
+    const hasFlat = typeof tier.flat === 'number' && tier.flat >= 0;
+    if (hasRate === hasFlat) {
+      errors.push(`${path}[${i}] must have exactly one of rate or flat`);
+    }
+  });
+}
+
+function validateMultipliers(map, path, errors) {
+  if (map === undefined) return;
+  if (!map || typeof map !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  Object.entries(map).forEach(([key, value]) => {
+    if (typeof value !== 'number' || value < 0) {
+      errors.push(`${path}.${key} must be a non-negative number`);
+    }
+  });
+}
+
+function validateGradeMultipliers(map, path, errors) {
+  if (map === undefined) return;
+  if (!map || typeof map !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  Object.entries(map).forEach(([company, table]) => {
+    if (!Array.isArray(table) || table.length === 0) {
+      errors.push(`${path}.${company} must be a non-empty array`);
+      return;
+    }
+    table.forEach((entry, i) => {
+      if (typeof entry.minGrade !== 'number' || entry.minGrade < 0 || entry.minGrade > 10) {
+        errors.push(`${path}.${company}[${i}].minGrade must be a number from 0 to 10`);
+      }
+      if (typeof entry.multiplier !== 'number' || entry.multiplier < 0) {
+        errors.push(`${path}.${company}[${i}].multiplier must be a non-negative number`);
+      }
+    });
+  });
+}
+
+function validateOverride(override, path, errors) {
+  if (!override || typeof override !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (override.tiers) {
+    ['suggested', 'maximum'].forEach(name => {
+      if (override.tiers[name] !== undefined) validateTierTable(override.tiers[name], `${path}.tiers.${name}`, errors);
+    });
+  }
+  validateMultipliers(override.conditionMultipliers, `${path}.conditionMultipliers`, errors);
+  validateMultipliers(override.payoutMethods, `${path}.payoutMethods`, errors);
+  if (override.bonusMultiplier !== undefined && (typeof override.bonusMultiplier !== 'number' || override.bonusMultiplier < 0)) {
+    errors.push(`${path}.bonusMultiplier must be a non-negative number`);
+  }
+}
+
+/**
+ * Validate a partial rule set (as stored on a pricing profile).
+ * @returns {string[]} list of problems, empty when valid
+ */
+function validateRulesOverride(override) {
+  const errors = [];
+  validateOverride(override, 'rules', errors);
+  if (errors.length > 0) return errors;
+
+  if (override.payoutTier !== undefined && !['suggested', 'maximum'].includes(override.payoutTier)) {
+    errors.push('rules.payoutTier must be "suggested" or "maximum"');
+  }
+  validateGradeMultipliers(override.gradeMultipliers, 'rules.gradeMultipliers', errors);
+  Object.entries(override.games || {}).forEach(([game, entry]) => validateOverride(entry, `rules.games.${game}`, errors));
+  Object.entries(override.productTypes || {}).forEach(([type, entry]) => validateOverride(entry, `rules.productTypes.${type}`, errors));
+
+  return errors;
+}
+
+function findProductTypeOverride(rules, productType) {
+  if (!productType || !rules.productTypes) return null;
+
+  const wanted = productType.toLowerCase();
+  const key = Object.keys(rules.productTypes).find(type => type.toLowerCase() === wanted);
+  return key ? rules.productTypes[key] : null;
+}
+
+// Resolve the effective rules for a card: base rules, then game, then product type
+function resolvePricingRules(context = {}, rules = DEFAULT_PRICING_RULES) {
+  let effective = rules;
+
+  if (context.game && rules.games) {
+    effective = mergeRuleOverride(effective, rules.games[context.game]);
+  }
+
+  effective = mergeRuleOverride(effective, findProductTypeOverride(rules, context.productType));
+
+  return effective;
+}
+
+function applyTierTable(tiers, marketValue) {
+  const price = parseFloat(marketValue);
+  if (isNaN(price) || !Array.isArray(tiers)) return 0;
+
+  const tier = tiers.find(t => price >= t.min);
+  if (!tier) return 0;
+
+  if (tier.flat !== undefined) return roundMoney(tier.flat);
+  return roundMoney(price * tier.rate);
+}
+
+function getConditionMultiplier(condition, rules = DEFAULT_PRICING_RULES) {
+  const key = (condition || 'NM').toUpperCase();
+  const multiplier = rules.conditionMultipliers?.[key];
+
+  // Unknown conditions (e.g. a "Default Title" variant) are treated as NM
+  return multiplier === undefined ? 1 : multiplier;
+}
+
+// Multiplier over the raw price for a graded slab; null when the company has no table
+function getGradeMultiplier(grading, rules = DEFAULT_PRICING_RULES) {
+  const table = rules.gradeMultipliers?.[grading?.company];
+  if (!Array.isArray(table)) return null;
+
+  const entry = table.find(t => grading.grade >= t.minGrade);
+  return entry ? entry.multiplier : 0;
+}
+
+function getPayoutMethodMultiplier(payoutMethod, rules = DEFAULT_PRICING_RULES) {
+  const multiplier = rules.payoutMethods?.[payoutMethod];
+  return multiplier === undefined ? 1 : multiplier;
+}
+
+/**
+ * Calculate suggested and maximum trade values for one card.
+ *
+ * The condition is applied one of two ways: when the product has a variant for the
+ * card's condition, pass its price as `context.conditionPrice` and that price is tiered
+ * directly; otherwise the condition multiplier is applied to the base (NM) value.
+ *
+ * Graded slabs (`context.grading`) skip the condition step. A graded listing's price is
+ * tiered as-is (`context.gradedListing`); otherwise the raw price is scaled by the grade
+ * multiplier first.
+ *
+ * @param {number|string} marketValue - Base (NM / default variant / graded listing) retail price
+ * @param {object} context - { condition, conditionPrice, payoutMethod, game, productType, grading, gradedListing }
+ * @param {object} rules - Rule set to price against (defaults to DEFAULT_PRICING_RULES)
+ * @returns {{ suggestedTradeValue: number, maximumTradeValue: number, payoutTradeValue: number,
+ *   baseSuggestedTradeValue: number, baseMaximumTradeValue: number,
+ *   conditionMultiplier: number, conditionPriceSource: 'variant'|'multiplier'|'graded',
+ *   gradeMultiplier: number|null }}
+ */
+function calculateTradeValues(marketValue, context = {}, rules = DEFAULT_PRICING_RULES) {
+  const effective = resolvePricingRules(context, rules);
+  const rateMultiplier = getPayoutMethodMultiplier(context.payoutMethod, effective) *
+    (effective.bonusMultiplier === undefined ? 1 : effective.bonusMultiplier);
+
+  const baseSuggestedTradeValue = roundMoney(applyTierTable(effective.tiers.suggested, marketValue) * rateMultiplier);
+  const baseMaximumTradeValue = roundMoney(applyTierTable(effective.tiers.maximum, marketValue) * rateMultiplier);
+
+  if (context.grading) {
+    return calculateGradedTradeValues(marketValue, context, effective, rateMultiplier, {
+      baseSuggestedTradeValue,
+      baseMaximumTradeValue
+    });
+  }
+
+  const configuredMultiplier = getConditionMultiplier(context.condition, effective);
+  const useVariantPrice = context.conditionPrice !== undefined && context.conditionPrice !== null;
+
+  // A condition variant's price already reflects condition; only "not accepted" (0) still applies
+  const conditionMultiplier = useVariantPrice ? (configuredMultiplier > 0 ? 1 : 0) : configuredMultiplier;
+  const pricedValue = useVariantPrice ? context.conditionPrice : marketValue;
+
+  const suggestedTradeValue = roundMoney(applyTierTable(effective.tiers.suggested, pricedValue) * rateMultiplier * conditionMultiplier);
+  const maximumTradeValue = roundMoney(applyTierTable(effective.tiers.maximum, pricedValue) * rateMultiplier * conditionMultiplier);
+
+  return {
+    suggestedTradeValue,
+    maximumTradeValue,
+    payoutTradeValue: effective.payoutTier === 'maximum' ? maximumTradeValue : suggestedTradeValue,
+    baseSuggestedTradeValue,
+    baseMaximumTradeValue,
+    conditionMultiplier,
+    conditionPriceSource: useVariantPrice ? 'variant' : 'multiplier',
+    gradeMultiplier: null
+  };
+}
+
+function calculateGradedTradeValues(marketValue, context, effective, rateMultiplier, baseValues) {
+  const gradeMultiplier = context.gradedListing ? 1 : getGradeMultiplier(context.grading, effective);
+  const pricedValue = roundMoney((parseFloat(marketValue) || 0) * (gradeMultiplier === null ? 0 : gradeMultiplier));
+
+  const suggestedTradeValue = roundMoney(applyTierTable(effective.tiers.suggested, pricedValue) * rateMultiplier);
+  const maximumTradeValue = roundMoney(applyTierTable(effective.tiers.maximum, pricedValue) * rateMultiplier);
+
+  return {
+    suggestedTradeValue,
+    maximumTradeValue,
+    payoutTradeValue: effective.payoutTier === 'maximum' ? maximumTradeValue : suggestedTradeValue,
+    ...baseValues,
+    conditionMultiplier: 1,
+    conditionPriceSource: 'graded',
+    gradeMultiplier
+  };
+}
+
+function getPricingRules() {
+  return DEFAULT_PRICING_RULES;
+}
+
+module.exports = {
+  DEFAULT_PRICING_RULES,
+  getPricingRules,
+  resolvePricingRules,
+  applyRulesOverride,
+  validateRulesOverride,
+  applyTierTable,
+  getConditionMultiplier,
+  getGradeMultiplier,
+  getPayoutMethodMultiplier,
+  calculateTradeValues,
+  roundMoney
+};
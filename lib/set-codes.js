@@ -0,0 +1,128 @@
+// lib/set-codes.js
+// Set codes by game, and the canonical tag each one is stored under in Shopify
+// ("OP09-001" -> "OP09001", "LOB-EN001" -> "LOBEN001"). Every search path reads set codes
+// through here: tag search and normalizeCardNumber (lib/card-search.js), the catalog index,
+// and the fuzzy matcher's tokens.
+//
+// Each game lists its formats: a regex with named groups and the tag template they fill in.
+// "{set:2}" pads the group to two digits; a group the input didn't have is left out. Games
+// and formats are tried in order and a matched span is blanked for the ones after it, so the
+// specific formats come first (One Piece "OP09-001" would otherwise read as a Yu-Gi-Oh! code).
+
+const SET_CODE_REGISTRY = [
+  {
+    game: 'one-piece',
+    displayName: 'One Piece Card Game',
+    formats: [
+      // OP09-001, EB03-026, ST01-012, PRB01-001
+      { pattern: /\b(?<prefix>OP|EB|ST|PRB)\s*(?<set>\d{1,2})[\s\-]*(?<number>\d{1,3})\b/gi, tag: '{prefix}{set:2}{number:3}' }
+    ]
+  },
+  {
+    game: 'dragon-ball-super',
+    displayName: 'Dragon Ball Super Card Game',
+    formats: [
+      // Masters BT1-001, TB2-045, SD3-01, EX01-05; Fusion World FB01-001, FS02-10
+      { pattern: /\b(?<prefix>BT|TB|SD|EX|FB|FS)(?<set>\d{1,2})[\s\-]+(?<number>\d{2,3})\b/gi, tag: '{prefix}{set:2}{number:3}' }
+    ]
+  },
+  {
+    game: 'pokemon',
+    displayName: 'Pokémon TCG',
+    formats: [
+      // Trainer / Galarian galleries: TG05/TG30, GG35
+      { pattern: /\b(?<prefix>TG|GG)\s*(?<number>\d{1,2})(?:\s*\/\s*(?:TG|GG)\s*\d{1,2})?\b/gi, tag: '{prefix}{number:2}' },
+      // Black star promos: SVP 050, SVP EN 123, SWSH050 (not followed by a card number)
+      { pattern: /\b(?<prefix>SVP|SWSH)\s*(?:EN\s*)?-?\s*(?<number>\d{2,3})\b(?![\s\-]*\d)/gi, tag: '{prefix}{number:3}' },
+      { pattern: /\b(?<prefix>SM|XY|BW)\s*-?\s*(?<number>\d{2,3})\b(?![\s\-]*\d)/gi, tag: '{prefix}{number:2}' },
+      // Japanese sets: sv4a, s12a, sm12a, optionally with the card number (sv4a 190)
+      { pattern: /\b(?<prefix>SV|SM|S)(?<set>\d{1,2}[a-z])\b(?:[\s\-]+(?<number>\d{1,3}))?/gi, tag: '{prefix}{set}{number:3}' },
+      // English set + number: SV7-25, SWSH12 050
+      { pattern: /\b(?<prefix>SV|SM|XY|BW|SWSH)\s*(?<set>\d{1,2})[\s\-]*(?<number>\d{1,3})\b/gi, tag: '{prefix}{set:2}{number:3}' }
+    ]
+  },
+  {
+    game: 'lorcana',
+    displayName: 'Disney Lorcana',
+    formats: [
+      // Set abbreviation + card number: TFC 42/204, URR-001, SSK #12
+      {
+        pattern: /\b(?<prefix>TFC|ROF|ITI|URR|SSK|AZS|ARI|ROJ)\s*[#\-]?\s*(?<number>\d{1,3})(?:\s*\/\s*\d{1,3})?\b/gi,
+        tag: '{prefix}{number:3}'
+      }
+    ]
+  },
+  {
+    game: 'yugioh',
+    displayName: 'Yu-Gi-Oh!',
+    formats: [
+      // LOB-EN001, MP22-EN045, RA01-EN001, old unlimited prints SDK-001 / LOB-E001
+      {
+        pattern: /\b(?<prefix>[A-Z][A-Z0-9]{1,3})-(?<region>EN|JP|DE|FR|IT|SP|PT|KR|AE|E|G|F|I|S|P)?(?<number>\d{3})\b/gi,
+        tag: '{prefix}{region}{number}'
+      }
+    ]
+  },
+  {
+    game: 'magic',
+    displayName: 'Magic: The Gathering',
+    formats: [
+      // Set code + collector number need the "#" or the brackets to tell them from other
+      // words: MH3 #234, (LTR) 246, (DMU) #107a. Set codes are matched in capitals only.
+      { pattern: /\((?<prefix>(?=[A-Z0-9]*[A-Z])[A-Z0-9]{3,5})\)\s*#?\s*(?<number>\d{1,4}[a-z]?)\b/g, tag: '{prefix}{number}' },
+      { pattern: /\b(?<prefix>[A-Z][A-Z0-9]{2,4})\s*#\s*(?<number>\d{1,4}[a-z]?)\b/g, tag: '{prefix}{number}' }
+    ]
+  }
+];
+
+function fillTag(template, groups) {
+  return template
+    .replace(/\{(\w+)(?::(\d+))?\}/g, (placeholder, name, width) => {
+      const value = groups[name] || '';
+      return value && width ? value.padStart(Number(width), '0') : value;
+    })
+    .toUpperCase();
+}
+
+/**
+ * Every set code in the text, in reading order, plus the text with those codes blanked out.
+ * @returns {{ codes: Array<{ game: string, tag: string, text: string, index: number }>, rest: string }}
+ */
+function scanSetCodes(text) {
+  const codes = [];
+  let rest = text || '';
+
+  SET_CODE_REGISTRY.forEach(({ game, formats }) => {
+    formats.forEach(({ pattern, tag }) => {
+      rest = rest.replace(pattern, (...args) => {
+        const [match] = args;
+        const groups = args[args.length - 1];
+        const index = args[args.length - 3];
+        codes.push({ game, tag: fillTag(tag, groups), text: match, index });
+        return ' '.repeat(match.length);
+      });
+    });
+  });
+
+  return { codes: codes.sort((a, b) => a.index - b.index), rest };
+}
+
+function findSetCodes(text) {
+  return scanSetCodes(text).codes;
+}
+
+/**
+ * The canonical tag when the whole text is one set code ("eb3-26" -> "EB03026"), else null.
+ */
+function canonicalSetCode(text) {
+  const trimmed = (text || '').trim();
+  const { codes } = scanSetCodes(trimmed);
+  return codes.length === 1 && codes[0].text === trimmed ? codes[0].tag : null;
+}
+
+module.exports = {
+  SET_CODE_REGISTRY,
+  scanSetCodes,
+  findSetCodes,
+  canonicalSetCode
+};
@@ -0,0 +1,195 @@
+// lib/shop-metafields.js
+// Read/write JSON documents kept in shop-level metafields (namespace "trade_in_system" unless
+// another is given). Same storage the submission index uses; callers pass in their
+// makeShopifyRequest helper. readShopMetafield / compareAndSetShopMetafield are the
+// conflict-safe pair: the write only lands if nobody else wrote the metafield since the read.
+// updateShopMetafield wraps them for shared documents such as the trade and submission indexes.
+
+const NAMESPACE = 'trade_in_system';
+// Conflicting writes updateShopMetafield retries through before giving up
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const SHOP_METAFIELD_QUERY = `
+  query ShopMetafield($namespace: String!, $key: String!) {
+    shop {
+      id
+      metafield(namespace: $namespace, key: $key) {
+        id
+        value
+        compareDigest
+      }
+    }
+  }
+`;
+
+const METAFIELDS_SET_MUTATION = `
+  mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        id
+        compareDigest
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+const numericId = (id) => (id ? parseInt(id.toString().replace(/^gid:\/\/shopify\/\w+\//, ''), 10) : null);
+
+async function graphqlRequest(makeShopifyRequest, query, variables) {
+  const response = await makeShopifyRequest('/graphql.json', {
+    method: 'POST',
+    body: JSON.stringify({ query, variables })
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP Error ${response.status}: ${await response.text()}`);
+  }
+
+  const result = await response.json();
+  if (result.errors) {
+    throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+  }
+  return result.data;
+}
+
+/**
+ * Load a JSON shop metafield.
+ * @returns {Promise<{ id: number|null, value: any }>} id is null when the metafield doesn't exist yet
+ */
+async function getShopMetafield(makeShopifyRequest, key, fallbackValue = null, namespace = NAMESPACE) {
+  const response = await makeShopifyRequest(`/metafields.json?namespace=${namespace}&key=${encodeURIComponent(key)}`);
+
+  if (!response.ok) {
+    throw new Error(`Failed to load metafield ${key}: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const metafield = data.metafields?.[0];
+
+  if (!metafield) {
+    return { id: null, value: fallbackValue };
+  }
+
+  try {
+    return { id: metafield.id, value: JSON.parse(metafield.value) };
+  } catch (e) {
+    console.warn(`Failed to parse metafield ${key}, starting fresh`);
+    return { id: metafield.id, value: fallbackValue };
+  }
+}
+
+/**
+ * Create or replace a JSON shop metafield.
+ * @returns {Promise<number>} the metafield id
+ */
+async function setShopMetafield(makeShopifyRequest, key, value, metafieldId = null, namespace = NAMESPACE) {
+  const payload = {
+    metafield: {
+      namespace,
+      key,
+      value: JSON.stringify(value),
+      type: 'json'
+    }
+  };
+
+  const response = metafieldId
+    ? await makeShopifyRequest(`/metafields/${metafieldId}.json`, {
+        method: 'PUT',
+        body: JSON.stringify(payload)
+      })
+    : await makeShopifyRequest('/metafields.json', {
+        method: 'POST',
+        body: JSON.stringify(payload)
+      });
+
+  if (!response.ok) {
+    throw new Error(`Failed to save metafield ${key}: ${await response.text()}`);
+  }
+
+  const data = await response.json();
+  return data.metafield?.id || metafieldId;
+}
+
+/**
+ * Load a JSON shop metafield along with the digest a compare-and-set write needs.
+ * @returns {Promise<{ id: number|null, value: any, digest: string|null, ownerId: string }>}
+ *   id and digest are null when the metafield doesn't exist yet
+ */
+async function readShopMetafield(makeShopifyRequest, key, fallbackValue = null, namespace = NAMESPACE) {
+  const data = await graphqlRequest(makeShopifyRequest, SHOP_METAFIELD_QUERY, { namespace, key });
+  const ownerId = data.shop.id;
+  const metafield = data.shop.metafield;
+
+  if (!metafield) {
+    return { id: null, value: fallbackValue, digest: null, ownerId };
+  }
+
+  let value = fallbackValue;
+  try {
+    value = JSON.parse(metafield.value);
+  } catch (e) {
+    console.warn(`Failed to parse metafield ${key}, starting fresh`);
+  }
+  return { id: numericId(metafield.id), value, digest: metafield.compareDigest, ownerId };
+}
+
+/**
+ * Write a JSON shop metafield only if it is unchanged since `current` was read with
+ * readShopMetafield (a null digest means "only if it doesn't exist yet").
+ * @returns {Promise<number|null>} the metafield id, or null when another write got there first
+ */
+async function compareAndSetShopMetafield(makeShopifyRequest, key, value, current, namespace = NAMESPACE) {
+  const data = await graphqlRequest(makeShopifyRequest, METAFIELDS_SET_MUTATION, {
+    metafields: [{
+      ownerId: current.ownerId,
+      namespace,
+      key,
+      type: 'json',
+      value: JSON.stringify(value),
+      compareDigest: current.digest || null
+    }]
+  });
+
+  const payload = data.metafieldsSet;
+  if (payload.userErrors?.some(error => error.code === 'STALE_OBJECT')) {
+    return null;
+  }
+  if (payload.userErrors?.length > 0) {
+    throw new Error(`Failed to save metafield ${key}: ${payload.userErrors[0].message}`);
+  }
+  return numericId(payload.metafields[0].id);
+}
+
+/**
+ * Read-modify-write a JSON shop metafield without losing a write that lands in between:
+ * `update` gets the current value and returns the new one, and runs again on the fresh value
+ * when the compare-and-set finds the metafield changed. Returning undefined writes nothing.
+ * @returns {Promise<any>} the value now stored
+ */
+async function updateShopMetafield(makeShopifyRequest, key, update, { fallbackValue = null, namespace = NAMESPACE } = {}) {
+  for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+    const current = await readShopMetafield(makeShopifyRequest, key, fallbackValue, namespace);
+    const value = update(current.value);
+    if (value === undefined) return current.value;
+
+    if (await compareAndSetShopMetafield(makeShopifyRequest, key, value, current, namespace) !== null) {
+      return value;
+    }
+    console.log(`🔁 Metafield ${namespace}.${key} changed while updating it, retrying (${attempt}/${MAX_UPDATE_ATTEMPTS})`);
+  }
+  throw new Error(`Failed to save metafield ${key}: still changing after ${MAX_UPDATE_ATTEMPTS} attempts`);
+}
+
+module.exports = {
+  NAMESPACE,
+  getShopMetafield,
+  setShopMetafield,
+  readShopMetafield,
+  compareAndSetShopMetafield,
+  updateShopMetafield
+};
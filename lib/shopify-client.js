@@ -0,0 +1,272 @@
+// lib/shopify-client.js
+// Shared Shopify Admin API client used by every endpoint. Endpoints are paths under the
+// versioned Admin API root ('/products.json', '/graphql.json'); the version comes from
+// SHOPIFY_API_VERSION. 429s are retried after Retry-After, GraphQL requests are paced by
+// extensions.cost.throttleStatus and retried on THROTTLED, and 5xx / network failures are
+// retried with backoff and jitter when the request is safe to repeat.
+// SHOPIFY_API_BASE_URL points every client somewhere other than https://<domain> (the local
+// mock Admin API in test/mock-shopify).
+
+const { createGraphQLThrottle } = require('./graphql-throttle');
+
+const DEFAULT_API_VERSION = '2024-10';
+const DEFAULT_MAX_RETRIES = 4;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+const USER_AGENT = 'Trade-in-System/1.0';
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+class ShopifyError extends Error {
+  constructor(message, { status = null, code = null, details = null } = {}) {
+    super(message);
+    this.name = 'ShopifyError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Non-2xx response that wasn't (or stopped being) worth retrying
+class ShopifyHttpError extends ShopifyError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ShopifyHttpError';
+  }
+}
+
+// 429 or GraphQL THROTTLED that outlasted every retry
+class ShopifyRateLimitError extends ShopifyError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, { status: 429, code: 'THROTTLED', ...options });
+    this.name = 'ShopifyRateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// GraphQL request that came back 200 with a top-level errors array
+class ShopifyGraphQLError extends ShopifyError {
+  constructor(errors) {
+    super(`GraphQL errors: ${errors.map(error => error.message).join('; ')}`, {
+      code: errors[0]?.extensions?.code || null,
+      details: errors
+    });
+    this.name = 'ShopifyGraphQLError';
+  }
+}
+
+// fetch itself failed (DNS, reset connection, timeout)
+class ShopifyNetworkError extends ShopifyError {
+  constructor(message, cause) {
+    super(message, { code: 'NETWORK_ERROR' });
+    this.name = 'ShopifyNetworkError';
+    this.cause = cause;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function getApiVersion() {
+  return process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION;
+}
+
+// Exponential backoff with jitter: somewhere between half and all of the capped delay
+function backoffDelay(attempt) {
+  const capped = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+  return Math.round(capped / 2 + Math.random() * capped / 2);
+}
+
+function retryAfterMs(response) {
+  const header = response.headers.get('retry-after');
+  const seconds = header ? parseFloat(header) : NaN;
+  return Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : null;
+}
+
+function isGraphQLMutation(body) {
+  try {
+    return /^\s*mutation\b/.test(JSON.parse(body).query || '');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Create a client for one shop.
+ * @param {{ domain?, accessToken?, apiVersion?, baseUrl?, maxRetries?, headers? }} options - domain,
+ *   accessToken and baseUrl default to SHOPIFY_DOMAIN / SHOPIFY_ACCESS_TOKEN / SHOPIFY_API_BASE_URL
+ */
+function createShopifyClient(options = {}) {
+  const domain = options.domain || process.env.SHOPIFY_DOMAIN;
+  const accessToken = options.accessToken || process.env.SHOPIFY_ACCESS_TOKEN;
+  const apiVersion = options.apiVersion || getApiVersion();
+  const baseUrl = (options.baseUrl || process.env.SHOPIFY_API_BASE_URL || `https://${domain}`).replace(/\/+$/, '');
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const throttle = createGraphQLThrottle();
+
+  function adminUrl(endpoint) {
+    return `${baseUrl}/admin/api/${apiVersion}${endpoint.startsWith('/') ? endpoint : `/${endpoint}`}`;
+  }
+
+  /**
+   * fetch-compatible request: resolves with the Response (ok or not) once retries are done.
+   * Throws ShopifyRateLimitError / ShopifyNetworkError when those outlast the retries.
+   */
+  async function request(endpoint, requestOptions = {}) {
+    const method = (requestOptions.method || 'GET').toUpperCase();
+    const isGraphQL = endpoint.split('?')[0] === '/graphql.json';
+    // Only 429 / THROTTLED are guaranteed not to have run; anything else is retried only
+    // when repeating it can't create a second gift card, customer, adjustment...
+    const retrySafe = isGraphQL ? !isGraphQLMutation(requestOptions.body) : IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 0; ; attempt++) {
+      const canRetry = attempt < maxRetries;
+      if (isGraphQL) await throttle.acquire();
+
+      let response;
+      try {
+        response = await fetch(adminUrl(endpoint), {
+          ...requestOptions,
+          headers: {
+            'X-Shopify-Access-Token': accessToken,
+            'Content-Type': 'application/json',
+            'User-Agent': USER_AGENT,
+            ...options.headers,
+            ...requestOptions.headers
+          }
+        });
+      } catch (err) {
+        if (retrySafe && canRetry) {
+          const delay = backoffDelay(attempt);
+          console.warn(`⚠️ Shopify ${method} ${endpoint} failed (${err.message}), retrying in ${delay}ms`);
+          await sleep(delay);
+          continue;
+        }
+        throw new ShopifyNetworkError(`Shopify ${method} ${endpoint} failed: ${err.message}`, err);
+      }
+
+      if (response.status === 429) {
+        const waitMs = retryAfterMs(response) ?? backoffDelay(attempt);
+        if (!canRetry) {
+          throw new ShopifyRateLimitError(`Shopify rate limit exceeded for ${method} ${endpoint}`, { retryAfterMs: waitMs });
+        }
+        console.warn(`⏳ Shopify 429 on ${method} ${endpoint}, retrying in ${waitMs}ms`);
+        await sleep(waitMs);
+        continue;
+      }
+
+      if (response.status >= 500 && retrySafe && canRetry) {
+        const delay = backoffDelay(attempt);
+        console.warn(`⚠️ Shopify ${response.status} on ${method} ${endpoint}, retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      if (isGraphQL && response.ok) {
+        const body = await response.clone().json().catch(() => null);
+        if (throttle.isThrottled(body)) {
+          if (!canRetry) {
+            throw new ShopifyRateLimitError('Shopify GraphQL query cost limit exceeded', { details: body.extensions?.cost });
+          }
+          await throttle.backoff(body.extensions?.cost);
+          continue;
+        }
+        throttle.update(body?.extensions?.cost);
+      }
+
+      return response;
+    }
+  }
+
+  // REST call that resolves with the parsed body and throws ShopifyHttpError on failure
+  async function rest(endpoint, requestOptions = {}) {
+    const response = await request(endpoint, requestOptions);
+    if (!response.ok) {
+      const text = await response.text();
+      throw new ShopifyHttpError(`Shopify ${response.status} on ${endpoint}: ${text}`, { status: response.status, details: text });
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  // GraphQL call that resolves with `data` and throws ShopifyGraphQLError on top-level errors
+  async function graphql(query, variables = {}) {
+    const result = await rest('/graphql.json', {
+      method: 'POST',
+      body: JSON.stringify({ query, variables })
+    });
+    if (result.errors?.length) {
+      throw new ShopifyGraphQLError(result.errors);
+    }
+    return result.data;
+  }
+
+  return { domain, apiVersion, adminUrl, request, rest, graphql };
+}
+
+// One client per shop/token/version, so a warm function instance keeps its throttle state
+const clients = new Map();
+
+function getShopifyClient(options = {}) {
+  const key = [
+    options.domain || process.env.SHOPIFY_DOMAIN,
+    options.accessToken || process.env.SHOPIFY_ACCESS_TOKEN,
+    options.apiVersion || getApiVersion(),
+    options.baseUrl || process.env.SHOPIFY_API_BASE_URL || ''
+  ].join('|');
+
+  if (!clients.has(key)) {
+    clients.set(key, createShopifyClient(options));
+  }
+  return clients.get(key);
+}
+
+// Drop-in for the per-handler makeShopifyRequest helpers, against the configured shop
+const makeShopifyRequest = (endpoint, options = {}) => getShopifyClient().request(endpoint, options);
+
+/**
+ * Map a Shopify client error to the HTTP response a handler should send.
+ * @returns {{ status: number, retryAfterSeconds: number|null, body: object }|null} null for other errors
+ */
+function shopifyErrorResponse(err) {
+  if (err instanceof ShopifyRateLimitError) {
+    return {
+      status: 503,
+      retryAfterSeconds: Math.max(1, Math.ceil((err.retryAfterMs || 2000) / 1000)),
+      body: { error: 'Shopify is busy', details: 'Shopify rate limit reached, please try again in a moment', retryable: true }
+    };
+  }
+  if (err instanceof ShopifyError) {
+    return {
+      status: 502,
+      retryAfterSeconds: null,
+      body: { error: 'Shopify request failed', details: err.message, retryable: err instanceof ShopifyNetworkError }
+    };
+  }
+  return null;
+}
+
+// Send the mapped response for a Shopify client error; false when err is something else
+function sendShopifyError(res, err) {
+  const mapped = shopifyErrorResponse(err);
+  if (!mapped) return false;
+
+  if (mapped.retryAfterSeconds) {
+    res.setHeader('Retry-After', mapped.retryAfterSeconds);
+  }
+  res.status(mapped.status).json({ ...mapped.body, timestamp: new Date().toISOString() });
+  return true;
+}
+
+module.exports = {
+  DEFAULT_API_VERSION,
+  ShopifyError,
+  ShopifyHttpError,
+  ShopifyRateLimitError,
+  ShopifyGraphQLError,
+  ShopifyNetworkError,
+  getApiVersion,
+  createShopifyClient,
+  getShopifyClient,
+  makeShopifyRequest,
+  shopifyErrorResponse,
+  sendShopifyError
+};
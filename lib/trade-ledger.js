@@ -0,0 +1,134 @@
+// lib/trade-ledger.js
+// Durable record of every committed buyback. Each trade is stored in its own shop metafield
+// (namespace "trade_ledger", key = trade ID) and summarised in a shop-level index used for
+// listing and filtering, the same split the customer submissions use. The index is updated
+// with a compare-and-set, so trades recorded at the same time don't drop each other's entries.
+
+const { getShopMetafield, setShopMetafield, updateShopMetafield } = require('./shop-metafields');
+const { gamesIn } = require('./games');
+
+const LEDGER_NAMESPACE = 'trade_ledger';
+const LEDGER_INDEX_KEY = 'trade_ledger_index';
+const MAX_INDEX_ENTRIES = 1000;
+
+const TRADE_ID_PATTERN = /^BB-\d{4}-[A-Z0-9]{6}$/;
+
+function generateTradeId() {
+  const prefix = 'BB';
+  const year = new Date().getFullYear();
+  const random = Math.random().toString(36).substr(2, 6).toUpperCase().padEnd(6, '0');
+  return `${prefix}-${year}-${random}`;
+}
+
+function isValidTradeId(tradeId) {
+  return TRADE_ID_PATTERN.test(tradeId || '');
+}
+
+// Index entry: just enough to list and filter without loading every trade
+function summarizeTrade(trade) {
+  return {
+    id: trade.id,
+    createdAt: trade.createdAt,
+    status: trade.status,
+    employeeName: trade.employeeName || null,
+    customerEmail: trade.customer?.email || trade.customerEmail || null,
+    customerName: trade.customer?.name || null,
+    payoutMethod: trade.payoutMethod,
+    finalPayout: trade.totals?.finalPayout || 0,
+    overrideUsed: !!trade.override?.used,
+    cardCount: (trade.cards || []).reduce((sum, card) => sum + (card.quantity || 1), 0),
+    games: gamesIn(trade.cards || []),
+    // Products whose inventory this trade moved; a void checks these before removing tags
+    productIds: [...new Set((trade.cards || []).filter(card => card.inventoryUpdated && card.productId).map(card => card.productId))],
+    voidedAt: trade.void?.voidedAt || null
+  };
+}
+
+async function loadLedgerIndex(makeShopifyRequest) {
+  const { id, value } = await getShopMetafield(makeShopifyRequest, LEDGER_INDEX_KEY, []);
+  return { metafieldId: id, index: Array.isArray(value) ? value : [] };
+}
+
+async function saveIndexEntry(makeShopifyRequest, trade) {
+  const summary = summarizeTrade(trade);
+
+  await updateShopMetafield(makeShopifyRequest, LEDGER_INDEX_KEY, (current) => {
+    const index = Array.isArray(current) ? [...current] : [];
+    const existing = index.findIndex(entry => entry.id === trade.id);
+    if (existing >= 0) {
+      index[existing] = summary;
+    } else {
+      index.unshift(summary);
+    }
+
+    // Older trades drop out of the list view but stay retrievable by ID
+    return index.slice(0, MAX_INDEX_ENTRIES);
+  }, { fallbackValue: [] });
+}
+
+/**
+ * Write a trade to the ledger (creates or replaces it) and refresh its index entry.
+ * @param {object} trade - Full ledger entry; `trade.id` from generateTradeId()
+ */
+async function recordTrade(makeShopifyRequest, trade) {
+  const { id: metafieldId } = await getShopMetafield(makeShopifyRequest, trade.id, null, LEDGER_NAMESPACE);
+  await setShopMetafield(makeShopifyRequest, trade.id, trade, metafieldId, LEDGER_NAMESPACE);
+  await saveIndexEntry(makeShopifyRequest, trade);
+
+  console.log(`📒 Trade ${trade.id} recorded in ledger (${trade.status})`);
+  return trade;
+}
+
+async function getTrade(makeShopifyRequest, tradeId) {
+  const { value } = await getShopMetafield(makeShopifyRequest, tradeId, null, LEDGER_NAMESPACE);
+  return value;
+}
+
+/**
+ * Filter index entries. Dates are inclusive ISO dates/timestamps; employee and customer
+ * match case-insensitively on part of the name (customer also matches the email); game
+ * keeps trades with at least one card of that game.
+ */
+function filterTrades(index, filters = {}) {
+  const { from, to, employee, customer, status, payoutMethod, game } = filters;
+  const fromTime = from ? new Date(from).getTime() : null;
+  // A bare date ("2024-05-31") for `to` means the whole day
+  const toTime = to
+    ? new Date(to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 - 1 : 0)
+    : null;
+  const employeeQuery = employee ? employee.toLowerCase() : null;
+  const customerQuery = customer ? customer.toLowerCase() : null;
+
+  return index.filter(entry => {
+    const createdAt = new Date(entry.createdAt).getTime();
+    if (fromTime !== null && createdAt < fromTime) return false;
+    if (toTime !== null && createdAt > toTime) return false;
+    if (status && entry.status !== status) return false;
+    if (payoutMethod && entry.payoutMethod !== payoutMethod) return false;
+    if (game && !(entry.games || []).includes(game)) return false;
+    if (employeeQuery && !(entry.employeeName || '').toLowerCase().includes(employeeQuery)) return false;
+    if (customerQuery) {
+      const haystack = `${entry.customerEmail || ''} ${entry.customerName || ''}`.toLowerCase();
+      if (!haystack.includes(customerQuery)) return false;
+    }
+    return true;
+  });
+}
+
+async function listTrades(makeShopifyRequest, filters = {}) {
+  const { index } = await loadLedgerIndex(makeShopifyRequest);
+  return filterTrades(index, filters);
+}
+
+module.exports = {
+  LEDGER_NAMESPACE,
+  generateTradeId,
+  isValidTradeId,
+  summarizeTrade,
+  recordTrade,
+  saveIndexEntry,
+  getTrade,
+  loadLedgerIndex,
+  filterTrades,
+  listTrades
+};
@@ -0,0 +1,139 @@
+// lib/trade-reversal.js
+// Shopify operations that undo part of a committed trade: used by the commit saga to roll
+// back a half-finished trade and by trade voids. Each helper throws when Shopify refuses.
+
+const JUST_TRADED_TAG = 'justtraded';
+
+function numericId(id, type) {
+  return id.toString().replace(`gid://shopify/${type}/`, '');
+}
+
+// Relative inventory change (negative to take stock back out)
+async function adjustInventoryLevel(makeShopifyRequest, { locationId, inventoryItemId, adjustment }) {
+  const response = await makeShopifyRequest('/inventory_levels/adjust.json', {
+    method: 'POST',
+    body: JSON.stringify({
+      location_id: parseInt(locationId),
+      inventory_item_id: parseInt(inventoryItemId),
+      available_adjustment: parseInt(adjustment)
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Inventory adjustment failed: ${await response.text()}`);
+  }
+
+  const data = await response.json();
+  return data.inventory_level;
+}
+
+async function removeProductTag(makeShopifyRequest, productId, tag = JUST_TRADED_TAG) {
+  const id = numericId(productId, 'Product');
+
+  const getRes = await makeShopifyRequest(`/products/${id}.json`);
+  if (!getRes.ok) {
+    throw new Error(`Failed to load product ${id}: ${await getRes.text()}`);
+  }
+
+  const productData = await getRes.json();
+  const tags = (productData.product.tags || '').split(',').map(t => t.trim()).filter(t => t);
+  if (!tags.includes(tag)) return false;
+
+  const updateRes = await makeShopifyRequest(`/products/${id}.json`, {
+    method: 'PUT',
+    body: JSON.stringify({
+      product: {
+        id,
+        tags: tags.filter(t => t !== tag).join(', ')
+      }
+    })
+  });
+
+  if (!updateRes.ok) {
+    throw new Error(`Failed to remove tag from product ${id}: ${await updateRes.text()}`);
+  }
+  return true;
+}
+
+async function disableGiftCard(makeShopifyRequest, giftCardId) {
+  const id = numericId(giftCardId, 'GiftCard');
+  const response = await makeShopifyRequest(`/gift_cards/${id}/disable.json`, {
+    method: 'POST',
+    body: JSON.stringify({ gift_card: { id } })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to disable gift card ${id}: ${await response.text()}`);
+  }
+
+  const data = await response.json();
+  return data.gift_card;
+}
+
+/**
+ * Take store credit back out of a customer's store credit account.
+ * @param {string} accountId - StoreCreditAccount gid from the original credit transaction
+ */
+async function debitStoreCredit(makeShopifyRequest, accountId, amount, currencyCode = 'CAD') {
+  const mutation = `
+    mutation StoreCreditAccountDebit($id: ID!, $debitInput: StoreCreditAccountDebitInput!) {
+      storeCreditAccountDebit(id: $id, debitInput: $debitInput) {
+        storeCreditAccountTransaction {
+          id
+          amount {
+            amount
+            currencyCode
+          }
+          createdAt
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const response = await makeShopifyRequest('/graphql.json', {
+    method: 'POST',
+    body: JSON.stringify({
+      query: mutation,
+      variables: {
+        id: accountId,
+        debitInput: {
+          debitAmount: {
+            amount: parseFloat(amount).toFixed(2),
+            currencyCode
+          }
+        }
+      }
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP Error ${response.status}: ${await response.text()}`);
+  }
+
+  const result = await response.json();
+  if (result.errors) {
+    throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+  }
+
+  const payload = result.data?.storeCreditAccountDebit;
+  if (payload?.userErrors?.length > 0) {
+    throw new Error(`Store credit debit error: ${payload.userErrors[0].message}`);
+  }
+  if (!payload?.storeCreditAccountTransaction) {
+    throw new Error('Store credit debit was not created');
+  }
+
+  return payload.storeCreditAccountTransaction;
+}
+
+module.exports = {
+  JUST_TRADED_TAG,
+  adjustInventoryLevel,
+  removeProductTag,
+  disableGiftCard,
+  debitStoreCredit
+};
@@ -0,0 +1,62 @@
+// lib/trade-saga.js
+// Records each side effect of a trade commit (inventory adjust, tag, payout) together with
+// how to undo it, so a failure part-way through can roll the earlier steps back.
+
+/**
+ * Create a saga for one trade commit.
+ * @returns {{ record: Function, completedSteps: Function, compensate: Function }}
+ */
+function createTradeSaga() {
+  const steps = [];
+
+  // `compensate` is an async function that undoes the step and throws if it can't
+  function record(step, compensate) {
+    steps.push({
+      step: { ...step, completedAt: new Date().toISOString() },
+      compensate
+    });
+  }
+
+  function completedSteps() {
+    return steps.map(entry => entry.step);
+  }
+
+  /**
+   * Undo every recorded step, newest first. Keeps going when one compensation fails so as
+   * much as possible is rolled back; the report lists what still needs fixing by hand.
+   */
+  async function compensate(reason) {
+    console.log(`↩️ Rolling back ${steps.length} trade step(s): ${reason}`);
+
+    const report = {
+      reason,
+      rolledBack: true,
+      compensated: 0,
+      failed: 0,
+      steps: []
+    };
+
+    for (const { step, compensate: undo } of [...steps].reverse()) {
+      try {
+        await undo();
+        report.compensated++;
+        report.steps.push({ ...step, status: 'compensated' });
+        console.log(`  ✅ Reversed ${step.type}: ${step.cardName || step.reference || ''}`);
+      } catch (err) {
+        report.rolledBack = false;
+        report.failed++;
+        report.steps.push({ ...step, status: 'compensation_failed', error: err.message });
+        console.error(`  ❌ Could not reverse ${step.type}: ${step.cardName || step.reference || ''}`, err.message);
+      }
+    }
+
+    steps.length = 0;
+    return report;
+  }
+
+  return { record, completedSteps, compensate };
+}
+
+module.exports = {
+  createTradeSaga
+};
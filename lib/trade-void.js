@@ -0,0 +1,225 @@
+// lib/trade-void.js
+// Void a committed trade: take the added inventory back out, cancel the payout, drop the
+// "justtraded" tag where no other recent trade needs it, and mark the ledger entry voided.
+//
+// A void first claims the trade (status "voiding"), so a double-clicked or retried void can't
+// reverse anything twice, and saves its progress after every step, so a void that dies
+// part-way is picked up where it stopped.
+
+const { recordTrade, saveIndexEntry, loadLedgerIndex, LEDGER_NAMESPACE } = require('./trade-ledger');
+const { getShopMetafield, setShopMetafield, readShopMetafield, compareAndSetShopMetafield } = require('./shop-metafields');
+const { releaseGradedCerts } = require('./grading');
+const {
+  adjustInventoryLevel,
+  removeProductTag,
+  disableGiftCard,
+  debitStoreCredit
+} = require('./trade-reversal');
+
+// Another trade within this window keeps a product's "justtraded" tag in place
+const JUST_TRADED_WINDOW_DAYS = 14;
+
+// A "voiding" claim older than this belongs to a void that died and may be taken over
+const VOID_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+const VOID_IN_PROGRESS = 'VOID_IN_PROGRESS';
+
+// Inventory steps are per cart row: two rows of the same variant are two steps
+function stepKey(step) {
+  return step.row !== undefined ? `${step.type}:row${step.row}` : `${step.type}:${step.reference}`;
+}
+
+/**
+ * Claim a trade for voiding before anything is reversed. The claim is a compare-and-set
+ * against the ledger entry as read here: of two voids that both found the trade voidable,
+ * the second write is refused because the entry changed under it, and that void backs off.
+ * @returns {Promise<{ trade: object }|{ status: number, error: string, code?: string, voidedAt?: string }>}
+ */
+async function claimTradeVoid(makeShopifyRequest, tradeId, managerName, now = new Date()) {
+  const current = await readShopMetafield(makeShopifyRequest, tradeId, null, LEDGER_NAMESPACE);
+  const trade = current.value;
+  if (!trade) {
+    return { status: 404, error: 'Trade not found' };
+  }
+  if (trade.status === 'voided') {
+    return { status: 409, error: 'Trade is already voided', voidedAt: trade.void?.voidedAt };
+  }
+
+  const inProgress = { status: 409, code: VOID_IN_PROGRESS, error: 'Trade is already being voided' };
+  if (trade.status === 'voiding') {
+    const claimAge = now.getTime() - new Date(trade.voidClaim?.claimedAt || 0).getTime();
+    if (claimAge < VOID_CLAIM_TIMEOUT_MS) return inProgress;
+    console.warn(`⚠️ Taking over stale void claim on ${tradeId}`);
+  } else if (trade.status !== 'completed' && trade.status !== 'void_incomplete') {
+    return { status: 409, error: `Trade cannot be voided (status: ${trade.status})` };
+  }
+
+  const claimed = {
+    ...trade,
+    status: 'voiding',
+    voidClaim: { claimedAt: now.toISOString(), managerName }
+  };
+  if (!await compareAndSetShopMetafield(makeShopifyRequest, tradeId, claimed, current, LEDGER_NAMESPACE)) {
+    return inProgress;
+  }
+  await saveIndexEntry(makeShopifyRequest, claimed);
+
+  return { trade: claimed };
+}
+
+// Products another completed trade touched within the window before `now`
+function recentlyTradedProducts(index, excludeTradeId, now = new Date()) {
+  const since = now.getTime() - JUST_TRADED_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const products = new Set();
+
+  index
+    .filter(entry => entry.id !== excludeTradeId && entry.status === 'completed')
+    .filter(entry => new Date(entry.createdAt).getTime() >= since)
+    .forEach(entry => (entry.productIds || []).forEach(id => products.add(id)));
+
+  return products;
+}
+
+/**
+ * Reverse a trade and record the void on its ledger entry. Steps that succeeded on an
+ * earlier, incomplete attempt are not repeated, so a failed void can simply be retried.
+ *
+ * @param {object} trade - Ledger entry claimed with claimTradeVoid()
+ * @param {{ reason: string, managerName: string }} details
+ * @returns {Promise<{ trade: object, fullyReversed: boolean, steps: Array }>}
+ */
+async function voidTrade(makeShopifyRequest, trade, { reason, managerName }) {
+  const previousSteps = trade.void?.steps || [];
+  const previouslyReversed = previousSteps.filter(s => s.status === 'reversed');
+  const alreadyReversed = new Set(previouslyReversed.map(stepKey));
+  const steps = [];
+
+  // Reversed steps so far, this attempt's and earlier ones it hasn't reached yet
+  const { id: tradeMetafieldId } = await getShopMetafield(makeShopifyRequest, trade.id, null, LEDGER_NAMESPACE);
+  const saveProgress = () => {
+    const done = new Set(steps.map(stepKey));
+    return setShopMetafield(makeShopifyRequest, trade.id, {
+      ...trade,
+      void: {
+        ...trade.void,
+        steps: [...steps, ...previouslyReversed.filter(step => !done.has(stepKey(step)))]
+      }
+    }, tradeMetafieldId, LEDGER_NAMESPACE);
+  };
+
+  const runStep = async (step, reverse) => {
+    if (alreadyReversed.has(stepKey(step))) {
+      steps.push({ ...step, status: 'reversed', previously: true });
+      return;
+    }
+
+    try {
+      const result = await reverse();
+      steps.push({ ...step, status: 'reversed', ...(result || {}) });
+      console.log(`  ✅ Voided ${step.type}: ${step.reference}`);
+      await saveProgress().catch(err => console.error('  ⚠️ Could not save void progress:', err.message));
+    } catch (err) {
+      steps.push({ ...step, status: 'failed', error: err.message });
+      console.error(`  ❌ Could not void ${step.type}: ${step.reference}`, err.message);
+    }
+  };
+
+  console.log(`🚫 Voiding trade ${trade.id} (${reason}) by ${managerName}`);
+
+  // 1. Inventory the trade added
+  for (const [row, card] of (trade.cards || []).entries()) {
+    if (!card.inventoryUpdated || !card.inventoryItemId) continue;
+
+    const locationId = card.locationId || trade.locationId;
+    await runStep({
+      type: 'inventory_adjust',
+      row,
+      reference: card.inventoryItemId,
+      cardName: card.cardName,
+      sku: card.sku,
+      locationId,
+      quantity: -card.quantity
+    }, () => adjustInventoryLevel(makeShopifyRequest, {
+      locationId,
+      inventoryItemId: card.inventoryItemId,
+      adjustment: -card.quantity
+    }).then(level => ({ availableAfter: level?.available ?? null })));
+  }
+
+  // 2. The payout
+  const payout = trade.payout || {};
+  if (payout.method === 'gift-card' && payout.giftCardId) {
+    await runStep({
+      type: 'gift_card_disable',
+      reference: payout.giftCardId,
+      amount: payout.amount
+    }, () => disableGiftCard(makeShopifyRequest, payout.giftCardId)
+      .then(giftCard => ({ balanceAtVoid: giftCard?.balance ?? null })));
+  } else if (payout.method === 'store-credit' && payout.storeCreditAccountId && payout.amount > 0) {
+    await runStep({
+      type: 'store_credit_debit',
+      reference: payout.storeCreditTransactionId,
+      accountId: payout.storeCreditAccountId,
+      amount: payout.amount
+    }, () => debitStoreCredit(makeShopifyRequest, payout.storeCreditAccountId, payout.amount)
+      .then(transaction => ({ debitTransactionId: transaction.id })));
+  } else if (payout.method === 'cash' && payout.amount > 0) {
+    steps.push({
+      type: 'cash_return',
+      reference: trade.id,
+      amount: payout.amount,
+      status: 'manual',
+      note: 'Cash payouts must be collected back at the counter'
+    });
+  }
+
+  // 3. "justtraded" tags, unless another recent trade touched the same product
+  const { index } = await loadLedgerIndex(makeShopifyRequest);
+  const stillTraded = recentlyTradedProducts(index, trade.id);
+  const productIds = [...new Set((trade.cards || [])
+    .filter(card => card.inventoryUpdated && card.productId)
+    .map(card => card.productId))];
+
+  for (const productId of productIds) {
+    if (stillTraded.has(productId)) {
+      steps.push({ type: 'tag_remove', reference: productId, status: 'kept', note: 'Product has other recent trades' });
+      continue;
+    }
+    await runStep({ type: 'tag_remove', reference: productId }, () =>
+      removeProductTag(makeShopifyRequest, productId).then(removed => ({ removed })));
+  }
+
+  // 4. Graded certs from this trade can be bought again
+  await runStep({ type: 'graded_certs_release', reference: trade.id }, () =>
+    releaseGradedCerts(makeShopifyRequest, trade.id).then(released => ({ released })));
+
+  const fullyReversed = steps.every(step => step.status !== 'failed');
+  const voidedAt = new Date().toISOString();
+
+  const { voidClaim, ...claimedTrade } = trade;
+  const voidedTrade = {
+    ...claimedTrade,
+    status: fullyReversed ? 'voided' : 'void_incomplete',
+    void: {
+      voidedAt,
+      reason,
+      managerName,
+      fullyReversed,
+      steps,
+      attempts: [
+        ...(trade.void?.attempts || []),
+        { at: voidedAt, managerName, reason, fullyReversed }
+      ]
+    }
+  };
+
+  await recordTrade(makeShopifyRequest, voidedTrade);
+  return { trade: voidedTrade, fullyReversed, steps };
+}
+
+module.exports = {
+  JUST_TRADED_WINDOW_DAYS,
+  VOID_IN_PROGRESS,
+  claimTradeVoid,
+  recentlyTradedProducts,
+  voidTrade
+};
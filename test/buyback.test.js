@@ -0,0 +1,332 @@
+// test/buyback.test.js
+// /api/buybackstep4 end to end against the mock Admin API: estimates, commits with each
+// payout method, override validation, rollback, idempotent retries and location stocking.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockShopify, invoke, shopMetafield, inventoryLevel } = require('./helpers');
+
+const handler = require('../api/buybackstep4');
+const { claimIdempotencyKey, hashRequestBody } = require('../lib/idempotency');
+const { makeShopifyRequest } = require('../lib/shopify-client');
+
+const ctx = useMockShopify({ before, after, beforeEach });
+
+const MAIN_STORE = 71001;
+const CHARIZARD_NM_ITEM = 5001;
+const PIKACHU_ITEM = 5003;
+
+const CARDS = [
+  { cardName: 'Charizard ex 199/165', quantity: 1, condition: 'NM' },
+  { cardName: 'Pikachu 025/198', quantity: 2, condition: 'NM' }
+];
+
+const commit = (body, headers = {}) => invoke(handler, { body: { employeeName: 'Sam', cards: CARDS, ...body }, headers });
+const estimate = (body) => invoke(handler, { query: { estimate: 'true' }, body: { employeeName: 'Sam', cards: CARDS, ...body } });
+const requestsTo = (method, path) => ctx.mock.requests.filter(r => r.method === method && r.path === path);
+
+describe('estimate mode', () => {
+  it('prices every card without touching inventory, payouts or the ledger', async () => {
+    const res = await estimate({
+      payoutMethod: 'cash',
+      cards: [...CARDS, { cardName: 'Card That Does Not Exist', quantity: 1 }]
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.estimate, true);
+    assert.equal(res.body.tradeId, null);
+    assert.equal(res.body.results.length, 3);
+
+    const [charizard, pikachu, missing] = res.body.results;
+    assert.equal(charizard.match, 'Charizard ex - 199/165 - Scarlet & Violet 151');
+    assert.equal(charizard.sku, 'SV151-199-NM');
+    assert.equal(charizard.retailPrice, 120);
+    assert.equal(charizard.game, 'pokemon');
+    assert.equal(pikachu.sku, 'SVI-025');
+    assert.equal(missing.match, null);
+    assert.equal(missing.searchMethod, 'none');
+
+    const expectedSuggested = res.body.results.reduce((sum, r) => sum + r.suggestedTradeValue * r.quantity, 0);
+    assert.equal(res.body.suggestedTotal, expectedSuggested.toFixed(2));
+
+    assert.equal(requestsTo('POST', '/inventory_levels/adjust.json').length, 0);
+    assert.equal(ctx.mock.state.giftCards.length, 0);
+    assert.equal(shopMetafield(ctx.mock, 'trade_in_system', 'trade_ledger_index'), undefined);
+  });
+
+  it('prices a slab from its graded listing', async () => {
+    const res = await estimate({
+      payoutMethod: 'cash',
+      cards: [{ cardName: 'Charizard ex 199/165', quantity: 1, gradingCompany: 'PSA', grade: '10', certNumber: '81234567' }]
+    });
+
+    assert.equal(res.statusCode, 200);
+    const [slab] = res.body.results;
+    assert.equal(slab.searchMethod, 'graded_listing');
+    assert.equal(slab.sku, 'SV151-199-PSA10');
+    assert.equal(slab.gradedListing, true);
+  });
+});
+
+describe('commit mode', () => {
+  it('adds inventory, tags the products and records the trade for a cash payout', async () => {
+    const res = await commit({ payoutMethod: 'cash' });
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body.tradeId, /^BB-\d{4}-[A-Z0-9]{6}$/);
+    assert.equal(res.body.ledgerRecorded, true);
+    assert.equal(res.body.location.id, MAIN_STORE);
+    assert.ok(res.body.results.every(r => r.inventoryUpdated));
+
+    assert.equal(inventoryLevel(ctx.mock, CHARIZARD_NM_ITEM, MAIN_STORE), 3);
+    assert.equal(inventoryLevel(ctx.mock, PIKACHU_ITEM, MAIN_STORE), 14);
+    assert.ok(ctx.mock.state.products.find(p => p.id === 8001).tags.includes('justtraded'));
+
+    const trade = shopMetafield(ctx.mock, 'trade_ledger', res.body.tradeId);
+    assert.equal(trade.status, 'completed');
+    assert.equal(trade.payout.method, 'cash');
+    assert.equal(trade.totals.finalPayout, parseFloat(res.body.finalPayout));
+    assert.equal(ctx.mock.state.giftCards.length, 0);
+  });
+
+  it('issues a gift card for the payout', async () => {
+    const res = await commit({ payoutMethod: 'gift-card' });
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.giftCardCode);
+    assert.equal(ctx.mock.state.giftCards.length, 1);
+
+    const [giftCard] = ctx.mock.state.giftCards;
+    assert.equal(giftCard.id, res.body.giftCardId);
+    assert.equal(giftCard.initial_value, res.body.finalPayout);
+    assert.match(giftCard.note, new RegExp(res.body.tradeId));
+  });
+
+  it('credits an existing customer with store credit', async () => {
+    const res = await commit({ payoutMethod: 'store-credit', customerEmail: 'regular@example.com' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.customer.id, 6001);
+    assert.ok(res.body.storeCreditTransaction.id);
+
+    const [account] = ctx.mock.state.storeCreditAccounts;
+    assert.equal(account.customerId, 6001);
+    assert.equal(account.balance.toFixed(2), res.body.finalPayout);
+  });
+
+  it('creates the customer when store credit goes to a new email', async () => {
+    const res = await commit({ payoutMethod: 'store-credit', customerEmail: 'new.trader@example.com' });
+
+    assert.equal(res.statusCode, 200);
+    const created = ctx.mock.state.customers.find(c => c.email === 'new.trader@example.com');
+    assert.ok(created);
+    assert.equal(ctx.mock.state.storeCreditAccounts[0].customerId, created.id);
+  });
+
+  it('requires a customer email for store credit', async () => {
+    const res = await commit({ payoutMethod: 'store-credit' });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(requestsTo('POST', '/inventory_levels/adjust.json').length, 0);
+  });
+
+  it('rolls back inventory and tags when the gift card fails', async () => {
+    ctx.mock.failNext('POST', '/gift_cards.json', 422, { errors: { initial_value: ['is invalid'] } });
+
+    const res = await commit({ payoutMethod: 'gift-card' });
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.rollback.rolledBack, true);
+    assert.equal(inventoryLevel(ctx.mock, CHARIZARD_NM_ITEM, MAIN_STORE), 2);
+    assert.equal(inventoryLevel(ctx.mock, PIKACHU_ITEM, MAIN_STORE), 12);
+    assert.ok(!ctx.mock.state.products.find(p => p.id === 8001).tags.includes('justtraded'));
+    assert.equal(shopMetafield(ctx.mock, 'trade_ledger', res.body.tradeId).status, 'failed');
+  });
+
+  it('refuses cards that are not stocked at the trade location', async () => {
+    const res = await commit({
+      payoutMethod: 'cash',
+      cards: [...CARDS, { cardName: 'Mewtwo 150/165', quantity: 1 }]
+    });
+
+    assert.equal(res.statusCode, 409);
+    assert.deepEqual(res.body.unstocked.map(card => card.sku), ['SV151-150']);
+    assert.equal(requestsTo('POST', '/inventory_levels/adjust.json').length, 0);
+  });
+
+  it('stocks inventory at an explicitly chosen location', async () => {
+    const res = await commit({
+      payoutMethod: 'cash',
+      locationId: '71002',
+      cards: [{ cardName: 'Mewtwo 150/165', quantity: 1 }]
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.location.name, 'Warehouse');
+    assert.equal(inventoryLevel(ctx.mock, 5006, 71002), 4);
+  });
+
+  it('remembers only the certs of slabs it bought', async () => {
+    const slab = (cardName, certNumber) => ({ cardName, quantity: 1, gradingCompany: 'PSA', grade: '10', certNumber });
+    const first = await commit({
+      payoutMethod: 'cash',
+      cards: [slab('Charizard ex 199/165', '81234567'), slab('Card That Does Not Exist', '70000001')]
+    });
+
+    assert.equal(first.statusCode, 200);
+    assert.deepEqual(shopMetafield(ctx.mock, 'trade_in_system', 'graded_certs').map(cert => cert.certNumber), ['81234567']);
+
+    // The unmatched slab comes back, correctly named this time
+    const second = await commit({ payoutMethod: 'cash', cards: [slab('Charizard ex 199/165', '70000001')] });
+    assert.equal(second.statusCode, 200);
+
+    const again = await commit({ payoutMethod: 'cash', cards: [slab('Charizard ex 199/165', '81234567')] });
+    assert.equal(again.statusCode, 409);
+  });
+
+  it('replays a retried commit instead of paying out twice', async () => {
+    const headers = { 'idempotency-key': 'kiosk-1-retry-test' };
+    const first = await commit({ payoutMethod: 'gift-card' }, headers);
+    const retry = await commit({ payoutMethod: 'gift-card' }, headers);
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(retry.statusCode, 200);
+    assert.equal(retry.headers['idempotent-replayed'], 'true');
+    assert.equal(retry.body.tradeId, first.body.tradeId);
+    assert.equal(ctx.mock.state.giftCards.length, 1);
+    assert.equal(inventoryLevel(ctx.mock, CHARIZARD_NM_ITEM, MAIN_STORE), 3);
+  });
+
+  it('lets only one of two simultaneous commits with the same key through', async () => {
+    const headers = { 'idempotency-key': 'kiosk-1-double-click' };
+    const responses = await Promise.all([
+      commit({ payoutMethod: 'gift-card' }, headers),
+      commit({ payoutMethod: 'gift-card' }, headers)
+    ]);
+
+    assert.deepEqual(responses.map(res => res.statusCode).sort(), [200, 409]);
+    assert.equal(responses.find(res => res.statusCode === 409).body.code, 'IDEMPOTENCY_IN_PROGRESS');
+    assert.equal(ctx.mock.state.giftCards.length, 1);
+    assert.equal(requestsTo('POST', '/inventory_levels/adjust.json').length, 2);
+    assert.equal(inventoryLevel(ctx.mock, CHARIZARD_NM_ITEM, MAIN_STORE), 3);
+  });
+
+  it('tells a commit still running apart from a stored 409', async () => {
+    const body = { employeeName: 'Sam', cards: CARDS, payoutMethod: 'cash' };
+    await claimIdempotencyKey(makeShopifyRequest, 'kiosk-1-running', hashRequestBody(body));
+    const running = await commit({ payoutMethod: 'cash' }, { 'idempotency-key': 'kiosk-1-running' });
+    assert.equal(running.statusCode, 409);
+    assert.equal(running.body.code, 'IDEMPOTENCY_IN_PROGRESS');
+
+    const headers = { 'idempotency-key': 'kiosk-1-unstocked' };
+    const cards = [{ cardName: 'Mewtwo 150/165', quantity: 1 }];
+    await commit({ payoutMethod: 'cash', cards }, headers);
+    const replayed = await commit({ payoutMethod: 'cash', cards }, headers);
+    assert.equal(replayed.statusCode, 409);
+    assert.equal(replayed.headers['idempotent-replayed'], 'true');
+    assert.equal(replayed.body.code, undefined);
+  });
+
+  it('lets a rate-limited commit be retried with the same key', async () => {
+    // Shopify keeps answering 429 past the client's retries
+    for (let i = 0; i < 5; i++) ctx.mock.failNext('GET', '/locations.json', 429, { errors: 'Exceeded 2 calls per second' });
+    const headers = { 'idempotency-key': 'kiosk-1-busy' };
+
+    const busy = await commit({ payoutMethod: 'cash' }, headers);
+    assert.equal(busy.statusCode, 503);
+    assert.ok(busy.headers['retry-after']);
+
+    const retry = await commit({ payoutMethod: 'cash' }, headers);
+    assert.equal(retry.statusCode, 200);
+    assert.equal(retry.headers['idempotent-replayed'], undefined);
+    assert.equal(inventoryLevel(ctx.mock, CHARIZARD_NM_ITEM, MAIN_STORE), 3);
+  });
+});
+
+describe('rollback', () => {
+  // Queue a failure for `then` as soon as a `when` request arrives, so a step that runs
+  // after it (a compensation) fails while the same call earlier in the commit goes through
+  const failAfter = (when, then) => {
+    const push = ctx.mock.requests.push;
+    ctx.mock.requests.push = function (request) {
+      if (request.method === when.method && request.path === when.path) {
+        ctx.mock.requests.push = push;
+        ctx.mock.failNext(then.method, then.path, then.status);
+      }
+      return push.apply(this, arguments);
+    };
+  };
+
+  it('reverses every step newest first and reports it in the response and the ledger', async () => {
+    ctx.mock.failNext('POST', '/gift_cards.json', 422, { errors: { initial_value: ['is invalid'] } });
+
+    const res = await commit({ payoutMethod: 'gift-card' });
+
+    const { rollback } = res.body;
+    assert.match(rollback.reason, /^Gift card failed/);
+    assert.deepEqual([rollback.compensated, rollback.failed], [rollback.steps.length, 0]);
+    assert.deepEqual(
+      rollback.steps.filter(step => step.type === 'inventory_adjust').map(step => step.cardName),
+      ['Pikachu 025/198', 'Charizard ex 199/165']
+    );
+    assert.ok(rollback.steps.every(step => step.status === 'compensated'));
+    assert.deepEqual(shopMetafield(ctx.mock, 'trade_ledger', res.body.tradeId).rollback, rollback);
+  });
+
+  it('rolls back inventory and tags when store credit fails', async () => {
+    ctx.mock.failNext('POST', '/customers.json', 422, { errors: { email: ['is invalid'] } });
+
+    const res = await commit({ payoutMethod: 'store-credit', customerEmail: 'new.trader@example.com' });
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.error, 'Store credit creation failed');
+    assert.equal(res.body.rollback.rolledBack, true);
+    assert.equal(inventoryLevel(ctx.mock, CHARIZARD_NM_ITEM, MAIN_STORE), 2);
+    assert.equal(inventoryLevel(ctx.mock, PIKACHU_ITEM, MAIN_STORE), 12);
+    assert.ok(!ctx.mock.state.products.find(p => p.id === 8001).tags.includes('justtraded'));
+    assert.equal(ctx.mock.state.storeCreditAccounts.length, 0);
+  });
+
+  it('keeps reversing after one step fails, and reports the step left to fix', async () => {
+    ctx.mock.failNext('POST', '/gift_cards.json', 422, { errors: { initial_value: ['is invalid'] } });
+    failAfter({ method: 'POST', path: '/gift_cards.json' }, { method: 'POST', path: '/inventory_levels/adjust.json', status: 500 });
+
+    const res = await commit({ payoutMethod: 'gift-card' });
+
+    const { rollback } = res.body;
+    assert.equal(rollback.rolledBack, false);
+    assert.equal(rollback.failed, 1);
+    const [failed] = rollback.steps.filter(step => step.status === 'compensation_failed');
+    assert.deepEqual([failed.type, failed.cardName], ['inventory_adjust', 'Pikachu 025/198']);
+    assert.ok(failed.error);
+
+    // The Pikachu stock stays in; everything older is still reversed
+    assert.equal(inventoryLevel(ctx.mock, PIKACHU_ITEM, MAIN_STORE), 14);
+    assert.equal(inventoryLevel(ctx.mock, CHARIZARD_NM_ITEM, MAIN_STORE), 2);
+    assert.ok(!ctx.mock.state.products.find(p => p.id === 8001).tags.includes('justtraded'));
+    assert.equal(shopMetafield(ctx.mock, 'trade_ledger', res.body.tradeId).rollback.rolledBack, false);
+  });
+});
+
+describe('override validation', () => {
+  for (const [label, overrideTotal] of [['negative', -5], ['not a number', 'lots'], ['over the $13,500 limit', 13500.01]]) {
+    it(`rejects an override that is ${label} before touching Shopify`, async () => {
+      const res = await commit({ payoutMethod: 'cash', overrideTotal });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(ctx.mock.requests.length, 0);
+    });
+  }
+
+  it('pays the override amount instead of the calculated payout', async () => {
+    const res = await commit({ payoutMethod: 'gift-card', overrideTotal: '42.50' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.overrideUsed, true);
+    assert.equal(res.body.finalPayout, '42.50');
+    assert.equal(ctx.mock.state.giftCards[0].initial_value, '42.50');
+
+    const trade = shopMetafield(ctx.mock, 'trade_ledger', res.body.tradeId);
+    assert.deepEqual(trade.override, { used: true, amount: 42.5 });
+  });
+});
@@ -0,0 +1,126 @@
+// test/card-detect.test.js
+// Finding and flattening cards in synthetic photos: a binder page, a tilted card, a card
+// shot at an angle, clutter that isn't card-shaped, and a page with more cards than are cropped.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const sharp = require('sharp');
+const { CROP_SIZE, findCardQuads, perspectiveTransform, warpQuad, detectCards } = require('../lib/card-detect');
+
+function canvas(width, height, background) {
+  return { width, height, pixels: new Uint8Array(width * height).fill(background) };
+}
+
+// Fill a convex polygon given clockwise (y down)
+function fillPolygon(image, points, value) {
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const inside = points.every((a, i) => {
+        const b = points[(i + 1) % points.length];
+        return (b[0] - a[0]) * (y + 0.5 - a[1]) - (b[1] - a[1]) * (x + 0.5 - a[0]) >= 0;
+      });
+      if (inside) image.pixels[y * image.width + x] = value;
+    }
+  }
+}
+
+const rectangle = (x, y, width, height) => [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+const near = (actual, expected, tolerance = 3) =>
+  actual.every((point, i) => Math.hypot(point[0] - expected[i][0], point[1] - expected[i][1]) <= tolerance);
+
+// A 3x3 binder page and where its cards are
+function binderPage() {
+  const page = canvas(400, 480, 40);
+  const expected = [];
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      const card = rectangle(20 + col * 125, 20 + row * 150, 100, 140);
+      fillPolygon(page, card, 200);
+      // Artwork as dark as the binder mustn't split or hollow out the card
+      fillPolygon(page, rectangle(card[0][0] + 10, card[0][1] + 10, 80, 50), 45);
+      expected.push(card);
+    }
+  }
+  return { page, expected };
+}
+
+describe('card detection', () => {
+  it('finds every card of a binder page in reading order', () => {
+    const { page, expected } = binderPage();
+
+    const quads = findCardQuads(page.pixels, page.width, page.height);
+    assert.equal(quads.length, 9);
+    quads.forEach((quad, i) => {
+      assert.ok(near(quad.corners, expected[i]), `card ${i}: ${JSON.stringify(quad.corners)}`);
+      assert.ok(Math.abs(quad.aspect - 100 / 140) < 0.02);
+    });
+  });
+
+  it('follows tilted and sideways cards and ignores clutter', () => {
+    const table = canvas(320, 320, 30);
+    const angle = 25 * Math.PI / 180;
+    const tilted = [[-40, -56], [40, -56], [40, 56], [-40, 56]].map(([x, y]) => [
+      100 + x * Math.cos(angle) - y * Math.sin(angle),
+      100 + x * Math.sin(angle) + y * Math.cos(angle)
+    ]);
+    fillPolygon(table, tilted, 220);
+    // A sideways card and a dice-sized square
+    fillPolygon(table, rectangle(170, 220, 112, 80), 220);
+    fillPolygon(table, rectangle(250, 40, 30, 30), 220);
+
+    const quads = findCardQuads(table.pixels, table.width, table.height);
+    assert.equal(quads.length, 2);
+    assert.ok(near(quads[0].corners, tilted));
+    // Portrait: the top edge is the sideways card's right-hand side
+    assert.ok(near(quads[1].corners, [[282, 220], [282, 300], [170, 300], [170, 220]]));
+  });
+
+  it('finds nothing in an empty or close-up photo', () => {
+    assert.deepEqual(findCardQuads(canvas(100, 100, 128).pixels, 100, 100), []);
+  });
+});
+
+describe('perspective correction', () => {
+  it('maps the crop rectangle onto the quad', () => {
+    const corners = [[10, 20], [90, 10], [110, 130], [0, 120]];
+    const h = perspectiveTransform(corners, 63, 88);
+    const apply = ([u, v]) => {
+      const w = h[6] * u + h[7] * v + 1;
+      return [(h[0] * u + h[1] * v + h[2]) / w, (h[3] * u + h[4] * v + h[5]) / w];
+    };
+    assert.ok(near([[0, 0], [63, 0], [63, 88], [0, 88]].map(apply), corners, 1e-6));
+  });
+
+  it('flattens a card photographed at an angle', () => {
+    const photo = canvas(200, 200, 0);
+    const card = [[40, 30], [150, 50], [160, 180], [30, 170]];
+    fillPolygon(photo, card, 100);
+    // Top half of the card brighter, so orientation survives the warp
+    fillPolygon(photo, [[40, 30], [150, 50], [155, 115], [35, 100]], 250);
+
+    const crop = warpQuad(photo.pixels, photo.width, photo.height, 1, card, 20, 28);
+    assert.equal(crop.length, 20 * 28);
+    assert.ok(crop[2 * 20 + 10] > 200);
+    assert.ok(Math.abs(crop[25 * 20 + 10] - 100) < 5);
+    // Nothing from outside the card
+    assert.ok(crop.every(value => value >= 90));
+  });
+});
+
+describe('photos', () => {
+  it('crops only the first cards of a crowded photo and counts them all', async () => {
+    const { page } = binderPage();
+    const photo = await sharp(Buffer.from(page.pixels), { raw: { width: page.width, height: page.height, channels: 1 } })
+      .png()
+      .toBuffer();
+
+    const detection = await detectCards(photo, { maxCards: 4 });
+    assert.equal(detection.detected, 9);
+    assert.equal(detection.cards.length, 4);
+    // Reading order: the fourth card starts the second row
+    assert.deepEqual([detection.cards[3].boundingBox.x, detection.cards[3].boundingBox.y], [20, 170]);
+    const { width, height } = await sharp(detection.cards[0].image).metadata();
+    assert.deepEqual([width, height], [CROP_SIZE.width, CROP_SIZE.height]);
+  });
+});
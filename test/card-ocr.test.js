@@ -0,0 +1,104 @@
+// test/card-ocr.test.js
+// lib/card-ocr.js pre-processing maths and field parsing. Recognition itself needs tesseract.js
+// and sharp, so these run on synthetic pixels and canned OCR output.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isCardShaped, otsuThreshold, estimateSkew, parseCardFields, recognizeCard } = require('../lib/card-ocr');
+
+// Light card with dark dashed text lines sloping at `degrees`
+function textLines(degrees, width = 400, height = 300) {
+  const pixels = new Uint8Array(width * height).fill(230);
+  const slope = Math.tan(degrees * Math.PI / 180);
+  for (let line = 40; line < height - 40; line += 30) {
+    for (let x = 20; x < width - 20; x++) {
+      if ((x >> 3) % 3 === 0) continue;
+      const y = Math.round(line + (x - width / 2) * slope);
+      for (let t = 0; t < 4; t++) {
+        if (y + t >= 0 && y + t < height) pixels[(y + t) * width + x] = 30;
+      }
+    }
+  }
+  return { pixels, width, height };
+}
+
+const words = (...entries) => entries.map(([text, confidence]) => ({ text, confidence }));
+
+describe('card OCR', () => {
+  it('separates ink from card with an Otsu threshold', () => {
+    const { pixels } = textLines(0);
+    const threshold = otsuThreshold(pixels);
+    assert.ok(threshold >= 30 && threshold < 230, String(threshold));
+  });
+
+  it('measures how far the text is tilted', () => {
+    for (const degrees of [-6, -2.5, 0, 3, 8]) {
+      const { pixels, width, height } = textLines(degrees);
+      assert.ok(Math.abs(estimateSkew(pixels, width, height) - degrees) <= 0.5, `${degrees}°`);
+    }
+    assert.equal(estimateSkew(new Uint8Array(100).fill(255), 10, 10), 0);
+  });
+
+  it('reads the fields from the name bar and number corner', () => {
+    const fields = parseCardFields({
+      raw: { text: 'STAGE 2\nCharizard ex HP 330\n199/165', words: words(['Charizard', 80], ['199/165', 85]) },
+      nameBar: { text: 'STAGE 2 Charizard ex HP330', words: words(['STAGE', 90], ['2', 90], ['Charizard', 88], ['ex', 70], ['HP330', 80]) },
+      numberLeft: { text: 'OBF EN\n199/165 *', words: words(['OBF', 60], ['199/165', 92]) },
+      numberRight: { text: '', words: [] }
+    });
+
+    assert.deepEqual(fields, {
+      name: { value: 'Charizard ex', confidence: 0.79 },
+      hp: { value: 330, confidence: 0.8 },
+      setNumber: { value: '199', confidence: 0.92 },
+      setTotal: { value: '165', confidence: 0.92 }
+    });
+  });
+
+  it('trusts values only found in the whole-card text less', () => {
+    const fields = parseCardFields({
+      raw: { text: 'Pikachu\nHP 65\n025/198', words: words(['Pikachu', 90], ['HP', 80], ['65', 80], ['025/198', 90]) },
+      nameBar: { text: '', words: [] }
+    });
+
+    assert.deepEqual(fields.name, { value: 'Pikachu', confidence: 0.45 });
+    assert.deepEqual(fields.hp, { value: 65, confidence: 0.4 });
+    assert.deepEqual(fields.setNumber, { value: '025', confidence: 0.45 });
+  });
+
+  it('takes the whole-card name when the name bar read is less sure', () => {
+    const fields = parseCardFields({
+      raw: { text: 'Gardevoir ex\nHP 310\n086/091', words: words(['Gardevoir', 96], ['ex', 94]) },
+      nameBar: { text: 'Gardev0ir ex', words: words(['Gardev0ir', 30], ['ex', 40]) }
+    });
+
+    assert.deepEqual(fields.name, { value: 'Gardevoir ex', confidence: 0.48 });
+  });
+
+  it('keeps a background trim only when it leaves a card shape', () => {
+    // A card (63 x 88 mm) upright or sideways, a tilted one, then a name bar or art box that
+    // a trim of an all-card photo left behind
+    assert.ok(isCardShaped(630, 880));
+    assert.ok(isCardShaped(880, 630));
+    assert.ok(isCardShaped(700, 900));
+    assert.ok(!isCardShaped(600, 120));
+    assert.ok(!isCardShaped(560, 560));
+  });
+
+  it('fixes letters OCR reads in place of digits', () => {
+    const fields = parseCardFields({ raw: { text: 'Mewtwo HP 12O\nl5O/165', words: null } });
+
+    assert.deepEqual(fields.hp, { value: 120, confidence: null });
+    assert.deepEqual([fields.setNumber.value, fields.setTotal.value], ['150', '165']);
+    assert.equal(fields.name.value, 'Mewtwo');
+  });
+
+  it('reads nothing once the deadline has passed', async () => {
+    const ocr = await recognizeCard(Buffer.alloc(0), { deadline: Date.now() - 1 });
+
+    assert.equal(ocr.timedOut, true);
+    assert.equal(ocr.text, '');
+    assert.equal(ocr.fields.name.value, null);
+  });
+});
@@ -0,0 +1,266 @@
+// test/card-search.test.js
+// lib/card-search.js against the mock Admin API: each pipeline stage and the result shape
+// every endpoint relies on.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockShopify } = require('./helpers');
+
+const { makeShopifyRequest, ShopifyGraphQLError } = require('../lib/shopify-client');
+const { LIVE_MAX_PAGES, createCardSearch, extractPotentialTags, normalizeCardNumber } = require('../lib/card-search');
+const { syncCatalog, loadCatalogIndex } = require('../lib/catalog-index');
+
+const ctx = useMockShopify({ before, after, beforeEach });
+
+const search = (card) => createCardSearch(makeShopifyRequest).searchCard(card);
+
+function assertResultShape(result) {
+  assert.equal(result.found, true);
+  assert.ok(['high', 'medium', 'low'].includes(result.confidence));
+  assert.ok(Array.isArray(result.allOptions) && result.allOptions.length > 0);
+  assert.equal(result.alternativeCount, result.allOptions.length - 1);
+  assert.equal(typeof result.needsConfirmation, 'boolean');
+  assert.ok(result.variant.inventory_item_id);
+}
+
+describe('card search pipeline', () => {
+  it('uses a staff-confirmed SKU first', async () => {
+    const result = await search({ cardName: 'anything', sku: 'SV151-199-NM', searchMethod: 'exact_sku' });
+
+    assertResultShape(result);
+    assert.equal(result.searchMethod, 'exact_sku');
+    assert.equal(result.variant.sku, 'SV151-199-NM');
+    assert.deepEqual(result.productVariants.map(v => v.sku).sort(), result.allOptions.map(o => o.sku).sort());
+  });
+
+  it('finds a card by its normalized set-number tag', async () => {
+    const result = await search({ cardName: 'OP09-001' });
+
+    assertResultShape(result);
+    assert.equal(result.searchMethod, 'tag_single');
+    assert.equal(result.confidence, 'high');
+    assert.equal(result.needsConfirmation, false);
+  });
+
+  it('falls back to a fulltext name search', async () => {
+    const result = await search({ cardName: 'Mewtwo' });
+
+    assertResultShape(result);
+    assert.match(result.searchMethod, /^fulltext_/);
+    assert.match(result.product.title, /Mewtwo/);
+  });
+
+  it('offers a fuzzy match for a name with extra words, flagged for confirmation', async () => {
+    const result = await search({ cardName: 'Pikachu promo holo' });
+
+    assertResultShape(result);
+    assert.equal(result.searchMethod, 'fuzzy');
+    assert.notEqual(result.confidence, 'high');
+    assert.equal(result.needsConfirmation, true);
+    assert.match(result.product.title, /Pikachu/);
+  });
+
+  it('corrects a misspelled character name', async () => {
+    const result = await search({ cardName: 'Charzard ex' });
+
+    assertResultShape(result);
+    assert.equal(result.searchMethod, 'fuzzy');
+    assert.equal(result.needsConfirmation, true);
+    assert.match(result.product.title, /^Charizard ex - 199\/165 - Scarlet/);
+  });
+
+  it('leaves words the catalog uses in its titles alone', async () => {
+    ctx.mock.state.products.push({
+      id: 8300,
+      title: 'Lucky Egg - 191/198 - Scarlet & Violet',
+      product_type: 'Pokemon Single',
+      tags: ['pokemon', 'sv01'],
+      variants: [{ id: 8301, title: 'Default Title', sku: 'SVI-191', price: '0.50', inventory_item_id: 8302, inventory_quantity: 4 }]
+    });
+
+    // "Lucky" is one edit from Lucy; "Eggs" keeps the fulltext search from finding it first
+    const live = await search({ cardName: 'Lucky Eggs' });
+    assert.equal(live.searchMethod, 'fuzzy');
+    assert.equal(live.variant.sku, 'SVI-191');
+
+    await syncCatalog(makeShopifyRequest);
+    const indexed = await createCardSearch(makeShopifyRequest, { catalog: await loadCatalogIndex() }).searchCard({ cardName: 'Lucky Eggs' });
+    assert.equal(indexed.variant.sku, 'SVI-191');
+  });
+
+  it('flags a set-number match whose title names another card as uncertain', async () => {
+    const result = await search({ cardName: 'Roronoa Zoro Leader Parallel OP09-001' });
+
+    assert.equal(result.found, true);
+    assert.equal(result.searchMethod, 'tag_uncertain');
+    assert.equal(result.confidence, 'uncertain');
+    assert.equal(result.needsConfirmation, true);
+    assert.equal(result.variant.sku, 'OP09-001');
+  });
+
+  it('pages through a broad search only when asked, up to LIVE_MAX_PAGES', async () => {
+    for (let n = 1; n <= 300; n++) {
+      ctx.mock.state.products.push({
+        id: 8100 + n,
+        title: `Charizard ex - ${String(n).padStart(3, '0')}/400 - Promo`,
+        product_type: 'Pokemon Single',
+        tags: ['pokemon', 'promo'],
+        variants: [{ id: 9100 + n, title: 'Default Title', sku: `PROMO-${n}`, price: '5.00', inventory_item_id: 5100 + n, inventory_quantity: 1 }]
+      });
+    }
+    const pages = () => ctx.mock.requests
+      .filter(request => request.path === '/graphql.json' && request.body.variables?.query === 'Charizard ex')
+      .map(request => request.body.variables.after);
+
+    // Typeahead and the counter: one page
+    const first = await search({ cardName: 'Charizard ex' });
+    assert.equal(new Set(first.allOptions.map(option => option.productId)).size, 20);
+    assert.deepEqual(pages(), [null]);
+
+    ctx.mock.requests.length = 0;
+    const result = await createCardSearch(makeShopifyRequest, { pageLiveSearches: true }).searchCard({ cardName: 'Charizard ex' });
+
+    assertResultShape(result);
+    assert.match(result.searchMethod, /^fulltext_/);
+    // 300 promos and the two fixture Charizards, but no more than LIVE_MAX_PAGES pages of 50
+    assert.equal(pages().length, LIVE_MAX_PAGES);
+    assert.equal(new Set(result.allOptions.map(option => option.productId)).size, LIVE_MAX_PAGES * 50);
+  });
+
+  it('reports cards it cannot find', async () => {
+    assert.deepEqual(await search({ cardName: 'Card That Does Not Exist' }), { found: false });
+  });
+
+  it('runs custom strategies in order', async () => {
+    const calls = [];
+    const strategies = ['first', 'second'].map(name => ({
+      name,
+      run: async () => {
+        calls.push(name);
+        return { found: false };
+      }
+    }));
+
+    const result = await createCardSearch(makeShopifyRequest, { strategies }).searchCard({ cardName: 'Pikachu' });
+
+    assert.deepEqual(calls, ['first', 'second']);
+    assert.equal(result.found, false);
+  });
+
+  it('stops trying strategies once the deadline passes', async () => {
+    const calls = [];
+    const strategies = ['slow', 'late'].map(name => ({
+      name,
+      run: async () => {
+        calls.push(name);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        return { found: false };
+      }
+    }));
+
+    const result = await createCardSearch(makeShopifyRequest, { strategies, deadline: Date.now() + 10 })
+      .searchCard({ cardName: 'Pikachu' });
+
+    assert.deepEqual(calls, ['slow']);
+    assert.deepEqual(result, { found: false, timedOut: true });
+  });
+});
+
+describe('batched lookups', () => {
+  const graphqlRequests = () => ctx.mock.requests.filter(r => r.path === '/graphql.json');
+
+  it('resolves every confirmed SKU with one OR\'d productVariants query', async () => {
+    const cardSearch = createCardSearch(makeShopifyRequest);
+    const skus = ['SV151-199-NM', 'SVI-025', 'OP09-001', 'SV151-199-NM', 'NO-SUCH-SKU'];
+
+    await cardSearch.prefetchExactSkus(skus);
+
+    assert.equal(graphqlRequests().length, 1);
+    const [{ body }] = graphqlRequests();
+    assert.match(body.query, /productVariants\(/);
+    assert.equal(body.variables.query, 'sku:"SV151-199-NM" OR sku:"SVI-025" OR sku:"OP09-001" OR sku:"NO-SUCH-SKU"');
+
+    const results = await Promise.all(skus.map(sku => cardSearch.searchCard({ cardName: 'anything', sku, searchMethod: 'exact_sku' })));
+    assert.deepEqual(results.slice(0, 4).map(result => result.variant.sku), skus.slice(0, 4));
+    assert.notEqual(results[4].searchMethod, 'exact_sku');
+    // The unknown SKU was answered by the batch too; its card went on to the name strategies
+    assert.ok(graphqlRequests().slice(1).every(r => !/productVariants\(/.test(r.body.query)));
+  });
+
+  it('sends a tag search shared by several cards once', async () => {
+    const cardSearch = createCardSearch(makeShopifyRequest);
+
+    const results = await Promise.all(['OP09-001', 'OP09-001', 'op09-001'].map(cardName => cardSearch.searchCard({ cardName })));
+
+    assert.ok(results.every(result => result.variant.sku === 'OP09-001'));
+    const queries = graphqlRequests().map(r => JSON.stringify(r.body.variables));
+    assert.ok(queries.some(query => query.includes('tag:OP09001')));
+    assert.equal(new Set(queries).size, queries.length);
+  });
+});
+
+describe('graded listings', () => {
+  const graphqlQueries = () => ctx.mock.requests
+    .filter(r => r.path === '/graphql.json')
+    .map(r => r.body.variables?.query);
+
+  it('finds a slab by its grade tag and name', async () => {
+    const result = await search({ cardName: 'Charizard ex 199/165', gradingCompany: 'PSA', grade: '10' });
+
+    assert.equal(result.searchMethod, 'graded_listing');
+    assert.equal(result.variant.sku, 'SV151-199-PSA10');
+    assert.ok(graphqlQueries().includes('(tag:"PSA10" OR tag:"PSA 10" OR tag:"PSA-10") AND "Charizard" "ex" "199/165"'));
+  });
+
+  it('searches for query syntax in a card name rather than running it', async () => {
+    const result = await search({ cardName: 'Mewtwo) OR (Charizard', gradingCompany: 'PSA', grade: '10' });
+
+    assert.notEqual(result.searchMethod, 'graded_listing');
+    assert.ok(graphqlQueries().includes('(tag:"PSA10" OR tag:"PSA 10" OR tag:"PSA-10") AND "Mewtwo)" "OR" "(Charizard"'));
+  });
+});
+
+describe('GraphQL errors', () => {
+  const ERRORS = { errors: [{ message: 'Internal error. Looks like something went wrong on our end.' }] };
+
+  it('looks a SKU up again when the batched lookup answered with errors', async () => {
+    ctx.mock.failNext('POST', '/graphql.json', 200, ERRORS);
+    const cardSearch = createCardSearch(makeShopifyRequest);
+
+    await cardSearch.prefetchExactSkus(['SV151-199-NM']);
+    const result = await cardSearch.searchCard({ cardName: 'anything', sku: 'SV151-199-NM', searchMethod: 'exact_sku' });
+
+    assert.equal(result.searchMethod, 'exact_sku');
+    assert.equal(result.variant.sku, 'SV151-199-NM');
+  });
+
+  it('fails a strategy whose query answered with errors instead of finding nothing', async () => {
+    let failure = null;
+    const strategies = [{
+      name: 'live',
+      run: async (card, source) => {
+        ctx.mock.failNext('POST', '/graphql.json', 200, ERRORS);
+        await source.productOptions('Pikachu').catch(error => {
+          failure = error;
+          throw error;
+        });
+        return { found: false };
+      }
+    }];
+
+    const result = await createCardSearch(makeShopifyRequest, { strategies }).searchCard({ cardName: 'Pikachu' });
+
+    assert.ok(failure instanceof ShopifyGraphQLError);
+    assert.match(failure.message, /Internal error/);
+    assert.equal(result.found, false);
+  });
+});
+
+describe('set-number normalization', () => {
+  it('pads set codes and extracts number tags', () => {
+    assert.equal(normalizeCardNumber('EB3-26'), 'EB03026');
+    assert.equal(normalizeCardNumber('sv7 25'), 'SV07025');
+    assert.ok(extractPotentialTags('Luffy OP09-001').includes('OP09001'));
+    assert.ok(extractPotentialTags('Charizard ex 199/165').includes('199165'));
+  });
+});
@@ -0,0 +1,77 @@
+// test/cards-search.test.js
+// GET /api/cards/search against the mock Admin API: ranking, stock and game filters, paging
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockShopify, invoke } = require('./helpers');
+
+const handler = require('../api/cards/search');
+
+const ctx = useMockShopify({ before, after, beforeEach });
+
+const search = (query) => invoke(handler, { method: 'GET', query });
+
+describe('card search endpoint', () => {
+  it('returns ranked in-stock candidates with price, stock and confidence', async () => {
+    const res = await search({ q: 'Charizard ex 199/165' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.total, 2);
+    assert.deepEqual(res.body.candidates.map(c => c.sku), ['SV151-199-NM', 'SV151-199-LP']);
+
+    const [best] = res.body.candidates;
+    assert.equal(best.price, 120);
+    assert.equal(best.inventory, 2);
+    assert.equal(best.inStock, true);
+    assert.ok(best.tags.includes('199165'));
+    assert.equal(best.confidence, 'high');
+    assert.ok(ctx.mock.requests.every(request => request.method === 'GET' || request.path === '/graphql.json'));
+  });
+
+  it('marks candidates whose title names another card as uncertain', async () => {
+    const res = await search({ q: 'Blastoise Full Art 199/165', includeOutOfStock: 'true' });
+
+    assert.equal(res.body.needsConfirmation, true);
+    assert.deepEqual(res.body.candidates.map(c => [c.sku, c.confidence]), [['SV151-199-NM', 'uncertain'], ['SV151-199-LP', 'uncertain']]);
+  });
+
+  it('includes out-of-stock variants on request', async () => {
+    const inStock = await search({ q: 'Charizard' });
+    const all = await search({ q: 'Charizard', includeOutOfStock: 'true' });
+
+    assert.ok(!inStock.body.candidates.some(c => c.sku === 'SV151-199-PSA10'));
+    assert.ok(all.body.candidates.some(c => c.sku === 'SV151-199-PSA10' && !c.inStock));
+    assert.equal(all.body.total, inStock.body.total + 1);
+  });
+
+  it('pages through candidates', async () => {
+    const first = await search({ q: 'Charizard', includeOutOfStock: 'true', pageSize: '2' });
+    const second = await search({ q: 'Charizard', includeOutOfStock: 'true', pageSize: '2', page: '2' });
+
+    assert.equal(first.body.candidates.length, 2);
+    assert.equal(first.body.hasMore, true);
+    assert.equal(second.body.candidates.length, 1);
+    assert.equal(second.body.hasMore, false);
+  });
+
+  it('filters by game', async () => {
+    assert.equal((await search({ q: 'Charizard', game: 'pokemon' })).body.total, 2);
+    assert.equal((await search({ q: 'Charizard', game: 'one-piece' })).body.total, 0);
+  });
+
+  it('returns no candidates for an unknown card', async () => {
+    const res = await search({ q: 'Card That Does Not Exist' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.searchMethod, 'none');
+    assert.deepEqual(res.body.candidates, []);
+  });
+
+  it('validates the query before searching', async () => {
+    for (const query of [{}, { q: 'x' }, { q: 'Pikachu', game: 'chess' }, { q: 'Pikachu', pageSize: '500' }, { q: 'Pikachu', page: '0' }]) {
+      assert.equal((await search(query)).statusCode, 400);
+    }
+    assert.equal((await invoke(handler, { method: 'POST', body: { q: 'Pikachu' } })).statusCode, 405);
+    assert.equal(ctx.mock.requests.length, 0);
+  });
+});
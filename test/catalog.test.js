@@ -0,0 +1,364 @@
+// test/catalog.test.js
+// Local catalog index: export and incremental sync from the mock Admin API, product webhooks,
+// and card search answered from the index instead of live Shopify queries.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockShopify, invoke, invokeRaw, withEnv, withMockBlob } = require('./helpers');
+
+const { makeShopifyRequest } = require('../lib/shopify-client');
+const {
+  getCatalogIndexPath,
+  createCatalogIndex,
+  loadCatalogIndex,
+  saveCatalogIndex,
+  syncCatalog
+} = require('../lib/catalog-index');
+const syncHandler = require('../api/catalog/sync');
+const webhookHandler = require('../api/catalog/webhook');
+const searchHandler = require('../api/cards/search');
+const buyback = require('../api/buybackstep4');
+const { clearIndexStorageCache, indexStorage } = require('../lib/index-storage');
+
+const ctx = useMockShopify({ before, after, beforeEach });
+
+const productRequests = () => ctx.mock.requests.filter(r => r.path === '/products.json');
+// Search still reads the learned aliases from their metafield; everything else is the index's
+const catalogRequests = () => ctx.mock.requests.filter(r => r.path !== '/metafields.json');
+const search = (q) => invoke(searchHandler, { method: 'GET', query: { q, includeOutOfStock: 'true' } });
+
+const updatesDir = () => getCatalogIndexPath().replace(/\.json$/, '.updates');
+const storedUpdates = () => (fs.existsSync(updatesDir()) ? fs.readdirSync(updatesDir()) : []);
+
+function sendWebhook(topic, payload, secret = process.env.SHOPIFY_API_SECRET) {
+  const rawBody = JSON.stringify(payload);
+  const hmac = crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+  return invokeRaw(webhookHandler, rawBody, { 'x-shopify-topic': topic, 'x-shopify-hmac-sha256': hmac });
+}
+
+const ZORO = {
+  id: 8100,
+  title: 'Roronoa Zoro - OP01-025 - Romance Dawn',
+  product_type: 'One Piece Single',
+  tags: 'one piece, op01',
+  updated_at: '2030-01-01T00:00:00.000Z',
+  variants: [{ id: 9100, title: 'Default Title', sku: 'OP01-025', price: '12.00', inventory_item_id: 5100, inventory_quantity: 1 }]
+};
+
+describe('catalog sync', () => {
+  it('exports every product page by page', async () => {
+    const result = await syncCatalog(makeShopifyRequest, { pageSize: 2 });
+
+    assert.equal(result.mode, 'full');
+    assert.equal(result.fetched, 5);
+    assert.equal(result.products, 5);
+    assert.deepEqual(productRequests().map(r => r.query.since_id), ['0', '8002', '8004']);
+  });
+
+  it('leaves the loaded index alone when saving the sync fails', async () => {
+    await syncCatalog(makeShopifyRequest);
+    const loaded = await loadCatalogIndex();
+    const mewtwo = ctx.mock.state.products.find(p => p.id === 8005);
+    mewtwo.title = 'Mewtwo ex - 150/165 - Scarlet & Violet 151';
+    mewtwo.updated_at = new Date().toISOString();
+
+    // A directory where the file backend writes its temp file makes the write fail
+    const tempPath = `${getCatalogIndexPath()}.${process.pid}.tmp`;
+    fs.mkdirSync(tempPath);
+    try {
+      await assert.rejects(syncCatalog(makeShopifyRequest));
+    } finally {
+      fs.rmdirSync(tempPath);
+    }
+
+    assert.deepEqual(loaded.query('title:"Mewtwo ex"'), []);
+    assert.deepEqual((await loadCatalogIndex()).query('title:"Mewtwo ex"'), []);
+  });
+
+  it('only fetches products updated since the last sync', async () => {
+    await syncCatalog(makeShopifyRequest);
+    const mewtwo = ctx.mock.state.products.find(p => p.id === 8005);
+    mewtwo.title = 'Mewtwo ex - 150/165 - Scarlet & Violet 151';
+    mewtwo.updated_at = new Date().toISOString();
+
+    const res = await invoke(syncHandler, { admin: true, body: {} });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.mode, 'incremental');
+    assert.equal(res.body.fetched, 1);
+    assert.ok(productRequests().at(-1).query.updated_at_min);
+
+    const index = await loadCatalogIndex();
+    assert.equal(index.query('title:"Mewtwo ex"').length, 1);
+  });
+
+  it('reports the index status and only lets admins sync', async () => {
+    assert.equal((await invoke(syncHandler, { method: 'GET' })).body.indexed, false);
+    assert.equal((await invoke(syncHandler, { body: { full: true } })).statusCode, 401);
+
+    await invoke(syncHandler, { admin: true, body: { full: true } });
+    const status = await invoke(syncHandler, { method: 'GET' });
+
+    assert.equal(status.body.indexed, true);
+    assert.equal(status.body.fresh, true);
+    assert.equal(status.body.products, 5);
+  });
+
+  it('ignores an index older than the maximum age', async () => {
+    await saveCatalogIndex(createCatalogIndex({ syncedAt: '2020-01-01T00:00:00.000Z' }));
+
+    assert.equal(await loadCatalogIndex(), null);
+    assert.ok(await loadCatalogIndex({ allowStale: true }));
+  });
+});
+
+describe('search from the index', () => {
+  it('answers card searches without querying Shopify', async () => {
+    await syncCatalog(makeShopifyRequest);
+    ctx.mock.requests.length = 0;
+
+    const tagged = await search('OP09-001');
+    const named = await search('Charizard ex 199/165');
+
+    assert.equal(tagged.body.candidates[0].sku, 'OP09-001');
+    assert.equal(named.body.candidates[0].sku, 'SV151-199-NM');
+    assert.equal(catalogRequests().length, 0);
+  });
+
+  it('falls back to Shopify for cards the index does not have', async () => {
+    await syncCatalog(makeShopifyRequest);
+    ctx.mock.requests.length = 0;
+
+    const res = await search('Card That Does Not Exist');
+
+    assert.deepEqual(res.body.candidates, []);
+    assert.ok(ctx.mock.requests.some(r => r.path === '/graphql.json'));
+  });
+
+  it('returns every match for the search to rank, not the first few by id', async () => {
+    const promos = Array.from({ length: 30 }, (_, i) => ({
+      id: 9000 + i,
+      title: `Pikachu - SWSH${String(i + 1).padStart(3, '0')} - Black Star Promo`,
+      variants: [{ id: 9500 + i, title: 'Default Title', sku: `SWSH-${i + 1}`, price: '2.00' }]
+    }));
+    const index = createCatalogIndex({ syncedAt: new Date().toISOString() });
+    [...promos, { id: 9999, title: 'Pikachu Illustrator - Promo', variants: [{ id: 9998, sku: 'PIKA-ILLUS', price: '9999.00' }] }]
+      .forEach(product => index.upsert(product));
+    await saveCatalogIndex(index);
+
+    assert.equal(index.query('Pikachu').length, 31);
+    assert.equal((await search('Pikachu Illustrator')).body.candidates[0].sku, 'PIKA-ILLUS');
+  });
+
+  it('uses a prefetched SKU the index has not caught up with', async () => {
+    await syncCatalog(makeShopifyRequest);
+    // Listed after the sync, with a title the index would match to the 8001 Charizard
+    const charizard = ctx.mock.state.products.find(p => p.id === 8001);
+    ctx.mock.state.products.push({
+      ...structuredClone(charizard),
+      id: 8200,
+      title: 'Charizard ex - 199/165 - Scarlet & Violet 151 (Error Print)',
+      variants: [{ ...structuredClone(charizard.variants[0]), id: 8201, sku: 'SV151-199-ERR', price: '300.00', inventory_item_id: 8202 }]
+    });
+
+    const res = await invoke(buyback, {
+      query: { estimate: 'true' },
+      body: { employeeName: 'Sam', payoutMethod: 'cash', cards: [{ cardName: 'Charizard ex 199/165', sku: 'SV151-199-ERR', searchMethod: 'exact_sku', quantity: 1 }] }
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual([res.body.results[0].sku, res.body.results[0].searchMethod], ['SV151-199-ERR', 'exact_sku']);
+  });
+
+  it('answers only the query syntax it indexes', async () => {
+    await syncCatalog(makeShopifyRequest);
+    const index = await loadCatalogIndex();
+
+    assert.equal(index.query('(tag:"PSA10" OR tag:"PSA 10") AND Charizard').length, 1);
+    assert.equal(index.query('sku:SVI-025').length, 1);
+    assert.equal(index.query('vendor:Pokemon'), null);
+    assert.equal(index.query('Charizard NOT PSA'), null);
+  });
+});
+
+describe('product webhooks', () => {
+  it('adds, updates and removes products without rewriting the index', async () => {
+    await syncCatalog(makeShopifyRequest);
+    const savedAt = fs.statSync(getCatalogIndexPath()).mtimeMs;
+
+    assert.equal((await sendWebhook('products/create', ZORO)).body.recorded, true);
+    ctx.mock.requests.length = 0;
+    assert.equal((await search('OP01-025')).body.candidates[0].sku, 'OP01-025');
+    assert.equal(catalogRequests().length, 0);
+
+    // An older payload arriving late doesn't overwrite the newer one
+    await sendWebhook('products/update', { ...ZORO, title: 'Zoro (old)', updated_at: '2029-01-01T00:00:00.000Z' });
+    assert.equal((await loadCatalogIndex()).variantBySku('OP01-025').product.title, ZORO.title);
+
+    assert.equal((await sendWebhook('products/delete', { id: ZORO.id })).body.recorded, true);
+    // An update delivered after the deletion doesn't bring it back
+    await sendWebhook('products/update', { ...ZORO, updated_at: '2030-06-01T00:00:00.000Z' });
+    const index = await loadCatalogIndex();
+    assert.equal(index.variantBySku('OP01-025'), null);
+    assert.equal(index.size, 5);
+    assert.equal(storedUpdates().length, 4);
+    assert.equal(fs.statSync(getCatalogIndexPath()).mtimeMs, savedAt);
+  });
+
+  it('keeps every one of several webhooks handled at once', async () => {
+    await syncCatalog(makeShopifyRequest);
+    const products = [0, 1, 2].map(i => ({ ...ZORO, id: ZORO.id + i, variants: [{ ...ZORO.variants[0], id: 9100 + i, sku: `OP01-02${5 + i}` }] }));
+
+    await Promise.all(products.map(product => sendWebhook('products/create', product)));
+
+    const index = await loadCatalogIndex();
+    assert.equal(index.size, 8);
+    products.forEach(product => assert.ok(index.variantBySku(product.variants[0].sku)));
+  });
+
+  it('folds the stored updates into the index on the next sync', async () => {
+    await syncCatalog(makeShopifyRequest);
+    await sendWebhook('products/create', ZORO);
+    await sendWebhook('products/delete', { id: 8005 });
+    ctx.mock.state.products = ctx.mock.state.products.filter(p => p.id !== 8005);
+
+    const res = await invoke(syncHandler, { admin: true, body: {} });
+
+    assert.deepEqual([res.body.mode, res.body.products], ['incremental', 5]);
+    assert.deepEqual(storedUpdates(), []);
+    const saved = JSON.parse(fs.readFileSync(getCatalogIndexPath(), 'utf8'));
+    assert.deepEqual(saved.products.map(p => p.id).sort(), [8001, 8002, 8003, 8004, ZORO.id]);
+  });
+
+  it('leaves drafts and archived products out of searches', async () => {
+    await syncCatalog(makeShopifyRequest);
+    const draft = { ...ZORO, status: 'draft', image: { src: 'https://cdn.example/zoro.jpg' } };
+
+    await sendWebhook('products/create', draft);
+    let index = await loadCatalogIndex();
+    assert.equal(index.size, 6);
+    assert.deepEqual(index.query('OP01-025'), []);
+    assert.deepEqual(index.query('product_type:"One Piece Single"').map(e => e.node.id), ['gid://shopify/Product/8003']);
+    assert.equal(index.variantBySku('OP01-025'), null);
+    assert.equal(index.productById(ZORO.id), null);
+    assert.equal(index.hasTitleWord('roronoa'), false);
+    assert.ok(!index.imageSources().some(source => source.productId === ZORO.id));
+
+    await sendWebhook('products/update', { ...draft, status: 'active', updated_at: '2030-02-01T00:00:00.000Z' });
+    index = await loadCatalogIndex();
+    assert.equal(index.variantBySku('OP01-025').sku, 'OP01-025');
+    assert.equal(index.query('OP01-025').length, 1);
+  });
+
+  it('rejects payloads with a bad signature', async () => {
+    await syncCatalog(makeShopifyRequest);
+
+    const res = await sendWebhook('products/create', ZORO, 'wrong-secret');
+
+    assert.equal(res.statusCode, 401);
+    assert.equal((await loadCatalogIndex()).size, 5);
+  });
+
+  it('does nothing before the first sync', async () => {
+    const res = await sendWebhook('products/create', ZORO);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.recorded, false);
+    assert.deepEqual(storedUpdates(), []);
+    assert.equal(await loadCatalogIndex({ allowStale: true }), null);
+  });
+});
+
+describe('index storage', () => {
+  it('keeps no index on Vercel without a Blob store', async () => {
+    await withEnv({ VERCEL: '1', BLOB_READ_WRITE_TOKEN: undefined }, async () => {
+      const res = await invoke(syncHandler, { admin: true, body: { full: true } });
+      assert.equal(res.statusCode, 503);
+      assert.equal((await invoke(syncHandler, { method: 'GET' })).body.storage, null);
+
+      // Search still works, from Shopify
+      assert.equal((await search('OP09-001')).body.candidates[0].sku, 'OP09-001');
+    });
+  });
+
+  it('reuses a loaded or saved index until the stored copy changes', async () => {
+    const filePath = getCatalogIndexPath().replace(/\.json$/, '-storage-test.json');
+    const storage = indexStorage('storage-test.json', filePath);
+    const built = [];
+    const build = (data) => {
+      built.push(data.n);
+      return data.n > 0 ? { n: data.n } : null;
+    };
+
+    try {
+      assert.equal(await storage.load(build), null);
+
+      const saved = { n: 1 };
+      await storage.save(saved);
+      assert.equal(await storage.load(build), saved);
+
+      // Another instance rewrites it
+      fs.writeFileSync(filePath, JSON.stringify({ n: 2 }));
+      fs.utimesSync(filePath, new Date(), new Date(Date.now() + 5000));
+      const reloaded = await storage.load(build);
+      assert.deepEqual(reloaded, { n: 2 });
+      assert.equal(await indexStorage('storage-test.json', filePath).load(build), reloaded);
+
+      // Data the builder refuses is read again next time rather than kept
+      fs.writeFileSync(filePath, JSON.stringify({ n: 0 }));
+      fs.utimesSync(filePath, new Date(), new Date(Date.now() + 10000));
+      assert.equal(await storage.load(build), null);
+      assert.equal(await storage.load(build), null);
+      assert.deepEqual(built, [2, 0, 0]);
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  });
+
+  it('shares the index through Vercel Blob', async () => {
+    await withMockBlob(async (blob) => {
+      const res = await invoke(syncHandler, { admin: true, body: { full: true } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(JSON.parse(blob.blobs.get('trade-in/catalog-index.json').body).products.length, 5);
+
+      const status = await invoke(syncHandler, { method: 'GET' });
+      assert.deepEqual([status.body.storage, status.body.products], ['blob', 5]);
+
+      ctx.mock.requests.length = 0;
+      assert.equal((await search('OP09-001')).body.candidates[0].sku, 'OP09-001');
+      assert.equal(catalogRequests().length, 0);
+
+      // Another instance's sync adds Zoro; this one sees it once it checks again
+      const stored = blob.blobs.get('trade-in/catalog-index.json');
+      const data = JSON.parse(stored.body);
+      const withZoro = createCatalogIndex(data);
+      withZoro.upsert(ZORO);
+      blob.blobs.set('trade-in/catalog-index.json', { body: JSON.stringify(withZoro), uploadedAt: new Date(stored.uploadedAt.getTime() + 1000) });
+      assert.equal((await loadCatalogIndex()).size, 5);
+      clearIndexStorageCache();
+      assert.equal((await loadCatalogIndex()).size, 6);
+    });
+  });
+
+  it('keeps webhooks as update blobs until the next sync', async () => {
+    await withMockBlob(async (blob) => {
+      await invoke(syncHandler, { admin: true, body: { full: true } });
+      const index = blob.blobs.get('trade-in/catalog-index.json');
+
+      assert.equal((await sendWebhook('products/create', ZORO)).body.recorded, true);
+      const updates = [...blob.blobs.keys()].filter(name => name.startsWith('trade-in/catalog-index.updates/'));
+      assert.equal(updates.length, 1);
+      assert.equal(blob.blobs.get('trade-in/catalog-index.json'), index);
+
+      // A fresh instance applies it over the index it downloads
+      clearIndexStorageCache();
+      assert.equal((await loadCatalogIndex()).variantBySku('OP01-025').sku, 'OP01-025');
+
+      await invoke(syncHandler, { admin: true, body: {} });
+      assert.ok(!blob.blobs.has(updates[0]));
+      assert.equal(JSON.parse(blob.blobs.get('trade-in/catalog-index.json').body).products.length, 6);
+    });
+  });
+});
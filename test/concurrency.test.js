@@ -0,0 +1,66 @@
+// test/concurrency.test.js
+// lib/concurrency.js: results in input order however the work finishes, and never more than
+// the limit running at once.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mapWithConcurrency } = require('../lib/concurrency');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapWithConcurrency', () => {
+  it('returns results in input order when later items finish first', async () => {
+    const delays = [40, 5, 25, 0, 15, 10];
+    const finished = [];
+
+    const results = await mapWithConcurrency(delays, 3, async (delay, index) => {
+      await sleep(delay);
+      finished.push(index);
+      return `item ${index}`;
+    });
+
+    assert.deepEqual(results, delays.map((_, index) => `item ${index}`));
+    assert.notDeepEqual(finished, [0, 1, 2, 3, 4, 5]);
+  });
+
+  it('never runs more than the limit at once, and keeps that many busy', async () => {
+    let running = 0;
+    let peak = 0;
+
+    await mapWithConcurrency(Array.from({ length: 12 }, (_, i) => i), 4, async (i) => {
+      running++;
+      peak = Math.max(peak, running);
+      await sleep(i % 3 === 0 ? 10 : 2);
+      running--;
+    });
+
+    assert.equal(peak, 4);
+    assert.equal(running, 0);
+  });
+
+  it('runs one at a time for a limit below one and handles an empty list', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([1, 2, 3], 0, async (n) => {
+      peak = Math.max(peak, ++running);
+      await sleep(1);
+      running--;
+      return n * 2;
+    });
+
+    assert.deepEqual(results, [2, 4, 6]);
+    assert.equal(peak, 1);
+    assert.deepEqual(await mapWithConcurrency([], 5, async () => assert.fail('called')), []);
+  });
+
+  it('rejects with the first failure', async () => {
+    await assert.rejects(
+      mapWithConcurrency([1, 2, 3], 2, async (n) => {
+        if (n === 2) throw new Error('lookup 2 failed');
+        return n;
+      }),
+      /lookup 2 failed/
+    );
+  });
+});
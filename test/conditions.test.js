@@ -0,0 +1,62 @@
+// test/conditions.test.js
+// Condition pricing: multipliers over the NM value, a condition variant's own price when the
+// product has one, and conditions that aren't accepted, in the rules and through a trade estimate.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockShopify, invoke } = require('./helpers');
+
+const { calculateTradeValues, DEFAULT_PRICING_RULES, applyRulesOverride } = require('../lib/pricing-rules');
+const { detectConditionFromTitle, findConditionVariant } = require('../lib/conditions');
+const buyback = require('../api/buybackstep4');
+
+useMockShopify({ before, after, beforeEach });
+
+const estimate = (cards) => invoke(buyback, { query: { estimate: 'true' }, body: { employeeName: 'Sam', payoutMethod: 'cash', cards } });
+
+describe('condition rules', () => {
+  it('scales the NM value by the condition multiplier', () => {
+    // $8.00 is in the 40% tier: $3.20 at NM
+    const values = (condition) => calculateTradeValues(8, { condition });
+    assert.equal(values('NM').suggestedTradeValue, 3.2);
+    assert.equal(values('MP').suggestedTradeValue, 1.92);
+    assert.equal(values('DMG').suggestedTradeValue, 0.48);
+    assert.equal(values('MP').baseSuggestedTradeValue, 3.2);
+    assert.equal(values('MP').conditionPriceSource, 'multiplier');
+    assert.equal(values('Mint-ish').conditionMultiplier, 1);
+  });
+
+  it('tiers a condition variant price as-is unless the condition is not accepted', () => {
+    const variant = calculateTradeValues(120, { condition: 'LP', conditionPrice: 96 });
+    assert.equal(variant.suggestedTradeValue, 72);
+    assert.deepEqual([variant.conditionMultiplier, variant.conditionPriceSource], [1, 'variant']);
+
+    const refused = applyRulesOverride(DEFAULT_PRICING_RULES, { conditionMultipliers: { DMG: 0 } });
+    assert.equal(calculateTradeValues(120, { condition: 'DMG', conditionPrice: 20 }, refused).suggestedTradeValue, 0);
+  });
+
+  it('recognises condition variants by title and prefers the same finish', () => {
+    assert.equal(detectConditionFromTitle('Lightly Played - Foil'), 'LP');
+    assert.equal(detectConditionFromTitle('Default Title'), null);
+
+    const variants = [{ title: 'Lightly Played' }, { title: 'Lightly Played - Foil' }, { title: 'Near Mint - Foil' }];
+    assert.equal(findConditionVariant(variants, 'LP', 'Near Mint - Foil').title, 'Lightly Played - Foil');
+    assert.equal(findConditionVariant(variants, 'HP'), null);
+  });
+});
+
+describe('condition pricing in trades', () => {
+  it('uses the LP variant price, and the multiplier where there is no variant', async () => {
+    const res = await estimate([
+      { cardName: 'Charizard ex 199/165', quantity: 1, condition: 'LP' },
+      { cardName: 'Charizard ex 199/165', quantity: 1, condition: 'HP' },
+      { cardName: 'Monkey.D.Luffy OP09-001', quantity: 1, condition: 'MP' }
+    ]);
+
+    assert.equal(res.statusCode, 200);
+    const [lp, hp, luffy] = res.body.results;
+    assert.deepEqual([lp.sku, lp.conditionPriceSource, lp.suggestedTradeValue], ['SV151-199-LP', 'variant', 72]);
+    assert.deepEqual([hp.conditionPriceSource, hp.conditionMultiplier, hp.suggestedTradeValue], ['multiplier', 0.35, 31.5]);
+    assert.deepEqual([luffy.baseSuggestedTradeValue, luffy.suggestedTradeValue], [3.2, 1.92]);
+  });
+});
@@ -0,0 +1,152 @@
+// test/customer-submissions.test.js
+// /api/customer-submissions against the mock Admin API: a submission from quote to staff
+// decision, for walk-in (anonymous) and registered customers, priced the way the counter
+// (buybackstep4) prices the same cards.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockShopify, invoke, shopMetafield } = require('./helpers');
+
+const handler = require('../api/customer-submissions');
+const buyback = require('../api/buybackstep4');
+
+const ctx = useMockShopify({ before, after, beforeEach });
+
+const CARDS = [
+  { cardName: 'Charizard ex 199/165', quantity: 1, condition: 'NM' },
+  { cardName: 'OP09-001', quantity: 3, condition: 'NM' },
+  { cardName: 'Card That Does Not Exist', quantity: 1 }
+];
+
+const submit = (body) => invoke(handler, { body: { payoutMethod: 'cash', cards: CARDS, ...body } });
+const getSubmissions = (query) => invoke(handler, { method: 'GET', query });
+const updateStatus = (body, admin = true) => invoke(handler, { method: 'PUT', body, admin });
+
+describe('submission lifecycle', () => {
+  it('quotes an anonymous walk-in and lets staff approve it', async () => {
+    const created = await submit({});
+
+    assert.equal(created.statusCode, 201);
+    assert.match(created.body.submissionId, /^TR-\d{4}-[A-Z0-9]+$/);
+    assert.equal(created.body.status, 'pending');
+    assert.equal(created.body.estimate.cardsFound, 2);
+    assert.equal(created.body.estimate.cardsNotFound, 1);
+    assert.deepEqual(created.body.cardResults.map(card => card.matchFound), [true, true, false]);
+    assert.deepEqual(created.body.cardResults.map(card => card.game), ['pokemon', 'one-piece', null]);
+
+    const { submissionId } = created.body;
+    const stored = shopMetafield(ctx.mock, 'trade_in_system', 'anonymous_submissions');
+    assert.equal(stored[0].id, submissionId);
+    assert.equal(stored[0].isAnonymous, true);
+
+    const fetched = await getSubmissions({ submissionId });
+    assert.equal(fetched.statusCode, 200);
+    assert.equal(fetched.body.data.cards[1].sku, 'OP09-001');
+
+    const pending = await getSubmissions({ status: 'pending' });
+    assert.deepEqual(pending.body.data.map(entry => entry.id), [submissionId]);
+    assert.deepEqual(pending.body.data[0].games, ['one-piece', 'pokemon']);
+    assert.equal((await getSubmissions({ game: 'One Piece' })).body.data.length, 1);
+    assert.equal((await getSubmissions({ game: 'lorcana' })).body.data.length, 0);
+    assert.equal((await getSubmissions({ game: 'Pokeman' })).statusCode, 400);
+
+    const approved = await updateStatus({ submissionId, status: 'approved', notes: ['Cards checked'], processedBy: 'jdemers' });
+    assert.equal(approved.statusCode, 200);
+    assert.equal(approved.body.data.status, 'approved');
+    assert.equal(approved.body.data.processedBy, 'jdemers');
+    assert.deepEqual(approved.body.data.notes, ['Cards checked']);
+
+    const afterApproval = await getSubmissions({ submissionId });
+    assert.equal(afterApproval.body.data.status, 'approved');
+    assert.equal((await getSubmissions({ status: 'pending' })).body.data.length, 0);
+    assert.equal((await getSubmissions({ status: 'approved' })).body.data[0].id, submissionId);
+  });
+
+  it('stores a registered customer submission on their Shopify customer', async () => {
+    const created = await submit({ customerName: 'Nova Trader', customerEmail: 'nova@example.com', payoutMethod: 'store-credit' });
+
+    assert.equal(created.statusCode, 201);
+    const { submissionId } = created.body;
+
+    const customer = ctx.mock.state.customers.find(c => c.email === 'nova@example.com');
+    assert.ok(customer);
+    assert.equal(customer.first_name, 'Nova');
+
+    const byEmail = await getSubmissions({ email: 'nova@example.com' });
+    assert.deepEqual(byEmail.body.data.map(submission => submission.id), [submissionId]);
+
+    const completed = await updateStatus({ submissionId, status: 'completed', processedBy: 'ealvarez' });
+    assert.equal(completed.statusCode, 200);
+
+    const customerCopy = ctx.mock.state.metafields.find(m =>
+      m.owner_resource === 'customer' && m.owner_id === customer.id && m.key === submissionId
+    );
+    assert.equal(JSON.parse(customerCopy.value).status, 'completed');
+
+    const index = shopMetafield(ctx.mock, 'trade_in_system', 'submission_index');
+    assert.equal(index.find(entry => entry.id === submissionId).status, 'completed');
+  });
+
+  it('reuses an existing Shopify customer', async () => {
+    const created = await submit({ customerName: 'Riley Regular', customerEmail: 'regular@example.com' });
+
+    assert.equal(created.statusCode, 201);
+    assert.equal(ctx.mock.state.customers.length, 1);
+    assert.ok(ctx.mock.state.metafields.some(m => m.owner_resource === 'customer' && m.owner_id === 6001));
+  });
+});
+
+describe('condition pricing', () => {
+  it('picks the same condition variant and value as the counter', async () => {
+    // Charizard has NM and LP variants; MP has none and takes the multiplier off NM
+    const cards = ['NM', 'LP', 'MP'].map(condition => ({ cardName: 'Charizard ex 199/165', quantity: 1, condition }));
+
+    const created = await submit({ cards });
+    const stored = (await getSubmissions({ submissionId: created.body.submissionId })).body.data.cards;
+    const counter = (await invoke(buyback, { query: { estimate: 'true' }, body: { employeeName: 'Sam', payoutMethod: 'cash', cards } })).body.results;
+
+    assert.deepEqual(stored.map(card => card.sku), ['SV151-199-NM', 'SV151-199-LP', 'SV151-199-NM']);
+    assert.deepEqual(stored.map(card => card.sku), counter.map(result => result.sku));
+    assert.deepEqual(stored.map(card => card.suggestedTradeValue), counter.map(result => result.suggestedTradeValue));
+    assert.deepEqual(stored.map(card => card.suggestedTradeValue), [90, 72, 54]);
+    assert.deepEqual(stored.map(card => card.basePrice), [120, 120, 120]);
+  });
+});
+
+describe('submission index', () => {
+  it('keeps every one of several submissions made at once', async () => {
+    const created = await Promise.all([1, 2, 3].map(() => submit({})));
+
+    const index = shopMetafield(ctx.mock, 'trade_in_system', 'submission_index');
+    assert.deepEqual(index.map(entry => entry.id).sort(), created.map(res => res.body.submissionId).sort());
+  });
+});
+
+describe('submission validation', () => {
+  it('requires a payout method and cards', async () => {
+    assert.equal((await submit({ payoutMethod: undefined })).statusCode, 400);
+    assert.equal((await submit({ cards: [] })).statusCode, 400);
+  });
+
+  it('rejects an invalid email', async () => {
+    const res = await submit({ customerEmail: 'not-an-email' });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(ctx.mock.requests.length, 0);
+  });
+
+  it('rejects unknown statuses and submissions', async () => {
+    const created = await submit({});
+
+    assert.equal((await updateStatus({ submissionId: created.body.submissionId, status: 'lost' })).statusCode, 400);
+    assert.equal((await updateStatus({ submissionId: 'TR-2020-NOPE00', status: 'approved' })).statusCode, 404);
+  });
+
+  it('only lets admins change a status', async () => {
+    const created = await submit({});
+    const res = await updateStatus({ submissionId: created.body.submissionId, status: 'approved' }, false);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(shopMetafield(ctx.mock, 'trade_in_system', 'anonymous_submissions')[0].status, 'pending');
+  });
+});
@@ -0,0 +1,208 @@
+// test/edition-signals.test.js
+// lib/edition-signals.js on synthetic pixels (template matching, holo patterns, the art box
+// shadow), canned signals (picking the printing) and a card rendered as a phone would
+// photograph it: tilted on a table, blurred and JPEG-compressed.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const {
+  matchTemplate,
+  holoPattern,
+  artBoxShadow,
+  readEditionSignals,
+  editionAdjustment,
+  applyEditionSignals
+} = require('../lib/edition-signals');
+const { SYMBOL_LIBRARY } = require('../lib/card-symbols');
+
+// A dark ring on light gray
+function ring(size) {
+  const pixels = new Uint8Array(size * size).fill(220);
+  const centre = (size - 1) / 2;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const distance = Math.hypot(x - centre, y - centre);
+      if (distance <= size / 2 - 1 && distance >= size / 4) pixels[y * size + x] = 30;
+    }
+  }
+  return pixels;
+}
+
+// Gray `width` x `height` with `patch` pasted at (left, top)
+function scene(width, height, patch, patchSize, left, top) {
+  const pixels = new Uint8Array(width * height);
+  for (let i = 0; i < pixels.length; i++) pixels[i] = 120 + ((i * 37) % 23);
+  for (let y = 0; y < patchSize; y++) {
+    for (let x = 0; x < patchSize; x++) pixels[(top + y) * width + left + x] = patch[y * patchSize + x];
+  }
+  return pixels;
+}
+
+// RGB card: flat colours, with saturated bright specks in the given boxes (fractions of the card)
+function card(width, height, sparkleBoxes) {
+  const rgb = new Uint8Array(width * height * 3);
+  for (let i = 0; i < width * height; i++) rgb.set([150, 140, 120], i * 3);
+  sparkleBoxes.forEach(box => {
+    for (let y = Math.round(box.top * height); y < Math.round((box.top + box.height) * height); y += 3) {
+      for (let x = Math.round(box.left * width); x < Math.round((box.left + box.width) * width); x += 3) {
+        rgb.set([255, 230, 90], (y * width + x) * 3);
+      }
+    }
+  });
+  return rgb;
+}
+
+const signals = (symbols, holo = { pattern: 'none', confidence: 0 }, shadow = null) => ({ symbols, holo, shadow, back: null });
+const stamp = (score, traced = false) => ({ id: 'first-edition', kind: 'stamp', label: '1st Edition', score, present: score >= 0.7, traced });
+
+const option = (sku, productTitle, variantTitle, score) => ({ sku, productTitle, variantTitle, score });
+const charizard = () => [
+  option('BS-4-UL', 'Charizard - 4/102 - Base Set', 'Unlimited', 0.9),
+  option('BS-4-1ED', 'Charizard - 4/102 - Base Set', '1st Edition', 0.9),
+  option('SVI-025', 'Pikachu - 025/198 - Scarlet & Violet', 'Default Title', 0.5)
+];
+
+describe('template matching', () => {
+  it('finds a symbol where it is and scores its absence low', () => {
+    const template = ring(12);
+    const pixels = scene(80, 60, template, 12, 50, 30);
+
+    const found = matchTemplate(pixels, 80, 60, template, 12, 12);
+    assert.deepEqual([found.x, found.y], [50, 30]);
+    assert.equal(found.score, 1);
+
+    // Only searching where the symbol isn't
+    const elsewhere = matchTemplate(pixels, 80, 60, template, 12, 12, { left: 0, top: 0, width: 40, height: 60 });
+    assert.ok(elsewhere.score < 0.5);
+  });
+});
+
+describe('holo pattern', () => {
+  it('tells holo, reverse holo and non-holo cards apart', () => {
+    const art = { left: 0.15, top: 0.15, width: 0.7, height: 0.3 };
+    const text = { left: 0.1, top: 0.65, width: 0.8, height: 0.2 };
+
+    assert.equal(holoPattern(card(100, 140, [art]), 100, 140).pattern, 'holo');
+    assert.equal(holoPattern(card(100, 140, [text]), 100, 140).pattern, 'reverse_holo');
+
+    const plain = holoPattern(card(100, 140, []), 100, 140);
+    assert.deepEqual([plain.pattern, plain.confidence], ['none', 1]);
+  });
+});
+
+describe('art box shadow', () => {
+  // Gray card with a frame of `frame` and, right of the art box, a strip of `strip`
+  function framed(strip, frame = 200) {
+    const [width, height] = [252, 352];
+    const gray = new Uint8Array(width * height).fill(frame);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < Math.round(0.91 * width); x++) gray[y * width + x] = 90;
+      for (let x = Math.round(0.91 * width); x < Math.round(0.93 * width); x++) gray[y * width + x] = strip;
+    }
+    return artBoxShadow(gray, width, height);
+  }
+
+  it('sees the shadow beside the art box, and its absence', () => {
+    assert.deepEqual(framed(120), { present: true, confidence: 1, contrast: 80 });
+    assert.deepEqual(framed(200), { present: false, confidence: 1, contrast: 0 });
+    assert.equal(framed(185).present, false);
+    assert.equal(framed(185).confidence, 0.5);
+  });
+});
+
+describe('picking the printing', () => {
+  it('puts the 1st Edition first when a traced stamp is there', () => {
+    const ranked = applyEditionSignals(charizard(), signals([stamp(0.92, true)]));
+
+    assert.deepEqual(ranked.map(candidate => candidate.sku), ['BS-4-1ED', 'BS-4-UL', 'SVI-025']);
+    assert.deepEqual(ranked[0].variantSignals, ['1st Edition']);
+    assert.ok(ranked[0].score > 0.9 && ranked[1].score < 0.9);
+    // Another card keeps its place and score
+    assert.deepEqual([ranked[2].score, ranked[2].editionAdjustment], [0.5, 0]);
+
+    // A stand-in template's match is only a hint
+    const untraced = applyEditionSignals(charizard(), signals([stamp(0.92)]));
+    assert.deepEqual(untraced.map(candidate => candidate.sku), ['BS-4-UL', 'BS-4-1ED', 'SVI-025']);
+    assert.ok(untraced.every(candidate => candidate.editionAdjustment === 0));
+  });
+
+  it('favours Unlimited when a traced stamp is clearly missing, and holds back otherwise', () => {
+    const missing = applyEditionSignals(charizard().reverse(), signals([stamp(0.2, true)]));
+    assert.deepEqual(missing.map(candidate => candidate.sku), ['SVI-025', 'BS-4-UL', 'BS-4-1ED']);
+    assert.deepEqual(missing[1].variantSignals, ['No 1st Edition stamp']);
+
+    // A stand-in template's low score doesn't rule the stamp out
+    const untraced = applyEditionSignals(charizard().reverse(), signals([stamp(0.2)]));
+    assert.deepEqual(untraced.map(candidate => candidate.sku), ['SVI-025', 'BS-4-1ED', 'BS-4-UL']);
+    assert.ok(untraced.every(candidate => candidate.editionAdjustment === 0));
+
+    const unsure = applyEditionSignals(charizard(), signals([stamp(0.6, true)]));
+    assert.deepEqual(unsure.map(candidate => [candidate.sku, candidate.score]), charizard().map(candidate => [candidate.sku, candidate.score]));
+
+    assert.equal(applyEditionSignals(charizard(), null)[0].sku, 'BS-4-UL');
+  });
+
+  it('weighs the holo pattern against the listed finish', () => {
+    const holo = signals([], { pattern: 'reverse_holo', confidence: 0.8 });
+    assert.deepEqual(editionAdjustment(option('X', 'Dragonite - 9/62 - Fossil', 'Reverse Holo'), holo), { adjustment: 0.04, reasons: ['Reverse Holo'] });
+    assert.equal(editionAdjustment(option('X', 'Dragonite - 9/62 - Fossil', 'Holo'), holo).adjustment, -0.04);
+    assert.equal(editionAdjustment(option('X', 'Dragonite - 9/62 - Fossil', 'Default Title'), holo).adjustment, 0);
+  });
+
+  it('leaves the art box shadow out of the ranking', () => {
+    const shadowless = signals([], undefined, { present: false, confidence: 1 });
+    assert.deepEqual(editionAdjustment(option('X', 'Charizard - 4/102 - Base Set', 'Shadowless'), shadowless), { adjustment: 0, reasons: [] });
+    assert.deepEqual(editionAdjustment(option('X', 'Charizard - 4/102 - Base Set', 'Unlimited'), shadowless), { adjustment: 0, reasons: [] });
+  });
+});
+
+describe('photographed cards', () => {
+  // A Base Set style card (yellow border, art box, shadow strip right of it), optionally with
+  // the 1st Edition stamp, photographed 3 degrees off square on a brown table, blurred and
+  // saved as a JPEG
+  async function photographedCard({ stamped }) {
+    const firstEdition = SYMBOL_LIBRARY.find(symbol => symbol.id === 'first-edition');
+    const stampImage = await sharp(Buffer.from(firstEdition.svg)).resize(54, 54).png().toBuffer();
+    const card = await sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="630" height="880">
+        <rect width="630" height="880" rx="30" fill="#e8c84a"/>
+        <rect x="30" y="30" width="570" height="820" fill="#d9d2b8"/>
+        <rect x="63" y="106" width="504" height="317" fill="#6a8fb0"/>
+        <rect x="574" y="110" width="10" height="313" fill="#7a7464"/>
+        <rect x="60" y="560" width="510" height="14" fill="#555"/>
+        <rect x="60" y="620" width="420" height="14" fill="#555"/>
+      </svg>`))
+      .composite(stamped ? [{ input: stampImage, left: 60, top: 430 }] : [])
+      .png()
+      .toBuffer();
+    const tilted = await sharp(card).rotate(3, { background: '#5b4636' }).png().toBuffer();
+    const { width, height } = await sharp(tilted).metadata();
+
+    const [tableWidth, tableHeight] = [1000, 1300];
+    const table = Buffer.alloc(tableWidth * tableHeight * 3);
+    for (let i = 0; i < table.length; i++) table[i] = [91, 70, 54][i % 3] + ((i * 7919) % 17) - 8;
+    return sharp(table, { raw: { width: tableWidth, height: tableHeight, channels: 3 } })
+      .composite([{ input: tilted, left: Math.round((tableWidth - width) / 2), top: Math.round((tableHeight - height) / 2) }])
+      .blur(1.2)
+      .jpeg({ quality: 60 })
+      .toBuffer();
+  }
+
+  it('reports the stand-in stamp as a hint without picking the printing', async () => {
+    const stamped = await readEditionSignals(await photographedCard({ stamped: true }), { game: 'pokemon' });
+    const plain = await readEditionSignals(await photographedCard({ stamped: false }), { game: 'pokemon' });
+    const firstEdition = (read) => read.symbols.find(symbol => symbol.id === 'first-edition');
+
+    assert.deepEqual([firstEdition(stamped).present, firstEdition(stamped).traced], [true, false]);
+    assert.equal(firstEdition(plain).present, false);
+    assert.ok(stamped.symbols.filter(symbol => symbol.id !== 'first-edition').every(symbol => !symbol.present));
+    assert.equal(stamped.holo.pattern, 'none');
+    // The drawn shadow strip is missed at this tilt, which is why the shadow is only reported
+    assert.equal(stamped.shadow.present, false);
+
+    for (const read of [stamped, plain]) {
+      assert.deepEqual(applyEditionSignals(charizard(), read).map(candidate => candidate.sku), ['BS-4-UL', 'BS-4-1ED', 'SVI-025']);
+    }
+  });
+});
@@ -0,0 +1,110 @@
+// test/fuzzy-match.test.js
+// lib/fuzzy-match.js calibration: typed card names against store-style titles, checking that
+// the confidence levels mean what the search pipeline treats them as.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  MATCH_THRESHOLDS,
+  scoreMatch,
+  rankMatches,
+  bestMatch,
+  confidenceFor,
+  spellingCorrections,
+  correctSpelling
+} = require('../lib/fuzzy-match');
+
+const option = (fullTitle, productId = fullTitle) => ({ fullTitle, productTitle: fullTitle, productId });
+
+// [typed name, store title, expected confidence]
+const CORPUS = [
+  ['Charizard ex 199/165', 'Charizard ex - 199/165 - Scarlet & Violet 151', 'high'],
+  ['Charzard ex 199/165', 'Charizard ex - 199/165 - Scarlet & Violet 151', 'high'],
+  ['charizard ex 199165', 'Charizard ex - 199/165 - Scarlet & Violet 151', 'high'],
+  ['Pikachu 25/198', 'Pikachu - 025/198 - Scarlet & Violet', 'high'],
+  ['Luffy OP09-001', 'Monkey.D.Luffy - OP09-001 - Emperors in the New World', 'high'],
+  ['Monkey D Luffy op9 1', 'Monkey.D.Luffy - OP09-001 - Emperors in the New World', 'high'],
+  ['Flareon', 'Flareon ex - 014/131 - Prismatic Evolutions', 'medium'],
+  ['Umbreon VMAX Alt Art', 'Umbreon VMAX - 215/203 - Evolving Skies', 'medium'],
+  ['Mewtwo 150/165', 'Mew ex - 151/165 - Scarlet & Violet 151', 'uncertain'],
+  ['Gengar VMAX', 'Pikachu - 025/198 - Scarlet & Violet', 'uncertain'],
+  ['Zoro OP01-025', 'Monkey.D.Luffy - OP09-001 - Emperors in the New World', 'uncertain']
+];
+
+describe('fuzzy card name matching', () => {
+  CORPUS.forEach(([query, title, expected]) => {
+    it(`rates "${query}" against "${title}" as ${expected}`, () => {
+      assert.equal(confidenceFor(scoreMatch(query, title)), expected);
+    });
+  });
+
+  it('treats the attribute synonyms as the same token', () => {
+    const pairs = [
+      ['Pikachu VMAX', 'Pikachu V-MAX'],
+      ['Giratina V Alt Art', 'Giratina V Alternate Art'],
+      ['Giratina V SIR', 'Giratina V Special Illustration Rare'],
+      ['Lugia V Full Art', 'Lugia V FA'],
+      ['Arceus VSTAR', 'Arceus V STAR']
+    ];
+    pairs.forEach(([query, title]) => assert.equal(scoreMatch(query, title), 1, `${query} / ${title}`));
+  });
+
+  it('ranks the variant with the searched attributes first', () => {
+    const ranked = rankMatches('Pikachu VMAX Rainbow', [
+      option('Pikachu V - 043/185 - Vivid Voltage'),
+      option('Pikachu VMAX - 044/185 - Vivid Voltage'),
+      option('Pikachu VMAX - 188/185 - Vivid Voltage - Rainbow Rare')
+    ]);
+
+    assert.deepEqual(ranked.map(r => r.option.fullTitle), [
+      'Pikachu VMAX - 188/185 - Vivid Voltage - Rainbow Rare',
+      'Pikachu VMAX - 044/185 - Vivid Voltage',
+      'Pikachu V - 043/185 - Vivid Voltage'
+    ]);
+  });
+
+  it('does not tolerate typos in card numbers or set codes', () => {
+    assert.ok(scoreMatch('Charizard 199/165', 'Charizard - 198/165') < MATCH_THRESHOLDS.high);
+    assert.ok(scoreMatch('OP09-001', 'Monkey.D.Luffy - OP09-002') < MATCH_THRESHOLDS.low);
+  });
+
+  it('reports an uncertain pick instead of falling back to the first option', () => {
+    const options = [option('Pikachu - 025/198 - Scarlet & Violet'), option('Mewtwo - 150/165 - Scarlet & Violet 151')];
+
+    const weak = bestMatch('Blastoise 009/165', options);
+    assert.equal(weak.confidence, 'uncertain');
+
+    const picked = bestMatch('Mewtwo 150/165', options);
+    assert.equal(picked.option.fullTitle, 'Mewtwo - 150/165 - Scarlet & Violet 151');
+    assert.equal(picked.confidence, 'high');
+
+    assert.deepEqual(bestMatch('Mewtwo', []), { option: null, score: 0, confidence: 'uncertain', runnerUpScore: null });
+  });
+
+  it('lowers the confidence when another product scores about the same', () => {
+    const result = bestMatch('Charizard ex', [
+      option('Charizard ex - 199/165 - Scarlet & Violet 151', 1),
+      option('Charizard ex - 223/197 - Obsidian Flames', 2)
+    ]);
+
+    assert.equal(result.score, 1);
+    assert.equal(result.confidence, 'medium');
+  });
+
+  it('corrects misspelled character names only when one name is closest', () => {
+    assert.equal(correctSpelling('Charzard ex'), 'Charizard ex');
+    assert.equal(correctSpelling('mewto 150/165'), 'mewtwo 150/165');
+    assert.equal(correctSpelling('Pikachu promo holo'), 'Pikachu promo holo');
+  });
+
+  it('leaves alone words the catalog has in its titles', () => {
+    assert.deepEqual(spellingCorrections('Lucky Egg Charzard'), [
+      { word: 'lucky', correction: 'lucy' },
+      { word: 'charzard', correction: 'charizard' }
+    ]);
+    const knownWords = new Set(['lucky', 'bloom', 'kings']);
+    assert.equal(correctSpelling('Lucky Egg', { knownWords }), 'Lucky Egg');
+    assert.equal(correctSpelling('Kings Rock Charzard', { knownWords }), 'Kings Rock Charizard');
+  });
+});
@@ -0,0 +1,41 @@
+// test/games.test.js
+// lib/games.js: reading a game from what callers type and from how Shopify products are
+// typed, tagged and titled.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { GAMES, normalizeGame, findSetName, gameForProduct, gameForCard, gamesIn } = require('../lib/games');
+const { SET_CODE_REGISTRY } = require('../lib/set-codes');
+
+describe('games', () => {
+  it('normalizes slugs, display names and aliases', () => {
+    assert.equal(normalizeGame('Pokémon'), 'pokemon');
+    assert.equal(normalizeGame('Pokémon TCG'), 'pokemon');
+    assert.equal(normalizeGame('MTG'), 'magic');
+    assert.equal(normalizeGame('Yu-Gi-Oh!'), 'yugioh');
+    assert.equal(normalizeGame(' one piece '), 'one-piece');
+    assert.equal(normalizeGame('chess'), null);
+    assert.equal(normalizeGame(''), null);
+  });
+
+  it('has a set-code registry entry for every game', () => {
+    assert.deepEqual(Object.keys(GAMES).sort(), SET_CODE_REGISTRY.map(entry => entry.game).sort());
+  });
+
+  it('reads a product game from its type, tags, set code or set name', () => {
+    assert.equal(gameForProduct({ productType: 'One Piece Single' }), 'one-piece');
+    assert.equal(gameForProduct({ productType: 'Graded Card', tags: ['pokemon', 'graded'] }), 'pokemon');
+    assert.equal(gameForProduct({ tags: ['Dark Magician'], title: 'Dark Magician - SDK-001' }), 'yugioh');
+    assert.equal(gameForProduct({ title: 'Elsa - Spirit of Winter - The First Chapter' }), 'lorcana');
+    assert.equal(gameForProduct({ productType: 'Accessories', title: 'Card Sleeves' }), null);
+  });
+
+  it('takes a card game from the request, else from its set code', () => {
+    assert.equal(gameForCard({ cardName: 'Charizard ex 199/165', game: 'Pokemon' }), 'pokemon');
+    assert.equal(gameForCard({ cardName: 'Luffy OP09-001' }), 'one-piece');
+    assert.equal(gameForCard({ cardName: 'Charizard ex 199/165', game: 'chess' }), null);
+    assert.deepEqual(findSetName('Pikachu - Surging Sparks'), { game: 'pokemon', setName: 'Surging Sparks' });
+    assert.deepEqual(gamesIn([{ game: 'pokemon' }, { game: null }, { game: 'magic' }, { game: 'pokemon' }]), ['magic', 'pokemon']);
+  });
+});
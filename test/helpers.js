@@ -0,0 +1,240 @@
+// test/helpers.js
+// Run the Vercel handlers in-process against the mock Admin API: fake req/res objects, the
+// Shopify env the handlers expect, and quiet console output (TEST_VERBOSE=1 to see it).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { startMockShopify } = require('./mock-shopify/server');
+const { startMockBlob } = require('./mock-blob/server');
+const { clearSearchAliasCache } = require('../lib/learned-aliases');
+const { clearIndexStorageCache } = require('../lib/index-storage');
+
+const ADMIN_TOKEN = 'test-admin-token';
+const STAFF_TOKEN = 'test-staff-token';
+// Catalog index file for this test process; removed before each test so search goes to the mock
+const CATALOG_INDEX_PATH = path.join(os.tmpdir(), `trade-in-test-catalog-${process.pid}.json`);
+const IMAGE_INDEX_PATH = path.join(os.tmpdir(), `trade-in-test-images-${process.pid}.json`);
+
+function setShopifyEnv(mock) {
+  process.env.SHOPIFY_DOMAIN = 'mock-card-shop.myshopify.com';
+  process.env.SHOPIFY_STORE = 'mock-card-shop';
+  process.env.SHOPIFY_API_KEY = 'test-api-key';
+  process.env.SHOPIFY_API_SECRET = 'test-api-secret';
+  process.env.SHOPIFY_ACCESS_TOKEN = 'shpat_test';
+  process.env.SHOPIFY_API_BASE_URL = mock.url;
+  process.env.TRADE_ADMIN_TOKEN = ADMIN_TOKEN;
+  process.env.TRADE_STAFF_TOKEN = STAFF_TOKEN;
+  process.env.CATALOG_INDEX_PATH = CATALOG_INDEX_PATH;
+  process.env.IMAGE_INDEX_PATH = IMAGE_INDEX_PATH;
+  delete process.env.TRADE_MANAGERS;
+}
+
+function removeCatalogIndex() {
+  fs.rmSync(CATALOG_INDEX_PATH, { force: true });
+  fs.rmSync(CATALOG_INDEX_PATH.replace(/\.json$/, '.updates'), { recursive: true, force: true });
+  fs.rmSync(IMAGE_INDEX_PATH, { force: true });
+}
+
+// Start the mock for a test file; resets the store before each test
+function useMockShopify({ before, after, beforeEach }) {
+  const context = { mock: null };
+  const restoreConsole = [];
+
+  before(async () => {
+    context.mock = await startMockShopify();
+    setShopifyEnv(context.mock);
+    restoreConsole.push(quietConsole());
+  });
+
+  beforeEach(() => {
+    context.mock.reset();
+    removeCatalogIndex();
+    clearSearchAliasCache();
+    clearIndexStorageCache();
+  });
+
+  after(async () => {
+    removeCatalogIndex();
+    restoreConsole.forEach(restore => restore());
+    await context.mock.close();
+  });
+
+  return context;
+}
+
+/**
+ * Set environment variables for the length of fn, then put back what was there (deleting the
+ * ones that weren't set). An undefined value unsets the variable.
+ */
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+  const apply = (values) => Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+
+  apply(vars);
+  try {
+    return await fn();
+  } finally {
+    apply(saved);
+  }
+}
+
+// Run fn with the indexes kept in a mock Vercel Blob store, as on Vercel with a store connected
+async function withMockBlob(fn) {
+  const blob = await startMockBlob();
+  clearIndexStorageCache();
+  try {
+    return await withEnv({
+      VERCEL: '1',
+      BLOB_READ_WRITE_TOKEN: 'vercel_blob_rw_mockstore_secret',
+      VERCEL_BLOB_API_URL: blob.url,
+      VERCEL_BLOB_RETRIES: '0'
+    }, () => fn(blob));
+  } finally {
+    clearIndexStorageCache();
+    await blob.close();
+  }
+}
+
+function quietConsole() {
+  if (process.env.TEST_VERBOSE) return () => {};
+
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = console.warn = console.error = () => {};
+  return () => Object.assign(console, original);
+}
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    ended: false,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      this.ended = true;
+      return this;
+    },
+    end(body) {
+      if (body !== undefined) this.body = body;
+      this.ended = true;
+      return this;
+    }
+  };
+}
+
+/**
+ * Call a handler with a JSON request the way Vercel would (body already parsed).
+ * @returns {Promise<object>} the response: statusCode, headers, body
+ */
+async function invoke(handler, { method = 'POST', query = {}, headers = {}, body = undefined, admin = false } = {}) {
+  const req = {
+    method,
+    url: '/api/test',
+    query,
+    headers: {
+      'content-type': 'application/json',
+      ...(admin ? { authorization: `Bearer ${ADMIN_TOKEN}` } : {}),
+      ...headers
+    },
+    body
+  };
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+}
+
+// Multipart body for fields and a file (or several); the stream comes in small chunks so
+// parsers see boundaries split across them
+function multipartRequest(fields, files) {
+  const boundary = '----tradeinTestBoundary';
+  const parts = Object.entries(fields).map(([name, value]) =>
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`)
+  );
+  [].concat(files || []).forEach(file => {
+    parts.push(
+      Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="${file.field}"; filename="${file.filename}"\r\n` +
+        `Content-Type: ${file.mimetype}\r\n\r\n`
+      ),
+      file.data,
+      Buffer.from('\r\n')
+    );
+  });
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+  const body = Buffer.concat(parts);
+  const chunks = [];
+  for (let offset = 0; offset < body.length; offset += 1024) chunks.push(body.subarray(offset, offset + 1024));
+
+  const req = Readable.from(chunks);
+  req.method = 'POST';
+  req.url = '/api/test';
+  req.query = {};
+  req.headers = { 'content-type': `multipart/form-data; boundary=${boundary}`, 'content-length': String(body.length) };
+  return req;
+}
+
+// Handler that reads the raw multipart stream itself (bodyParser disabled)
+async function invokeMultipart(handler, fields, files) {
+  const req = multipartRequest(fields, files);
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+}
+
+// Handler that reads the raw body itself (e.g. to verify a webhook signature)
+async function invokeRaw(handler, rawBody, headers = {}) {
+  const req = Readable.from([Buffer.from(rawBody)]);
+  req.method = 'POST';
+  req.url = '/api/test';
+  req.query = {};
+  req.headers = { 'content-type': 'application/json', ...headers };
+
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+}
+
+// Parsed JSON value of a shop metafield in the mock store
+function shopMetafield(mock, namespace, key) {
+  const metafield = mock.state.metafields.find(m =>
+    m.owner_resource === 'shop' && m.namespace === namespace && m.key === key
+  );
+  return metafield ? JSON.parse(metafield.value) : undefined;
+}
+
+function inventoryLevel(mock, inventoryItemId, locationId) {
+  return mock.state.inventoryLevels.find(level =>
+    level.inventory_item_id === inventoryItemId && level.location_id === locationId
+  )?.available;
+}
+
+module.exports = {
+  ADMIN_TOKEN,
+  STAFF_TOKEN,
+  withEnv,
+  withMockBlob,
+  useMockShopify,
+  invoke,
+  invokeMultipart,
+  multipartRequest,
+  invokeRaw,
+  shopMetafield,
+  inventoryLevel
+};
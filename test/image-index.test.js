@@ -0,0 +1,187 @@
+// test/image-index.test.js
+// Perceptual hashes on synthetic pixels, incremental image index refreshes from the synced
+// catalog (downloads and hashing injected), variant images, shared storage, and blending visual
+// with text scores.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockShopify, invoke, withEnv, withMockBlob } = require('./helpers');
+
+const { dHashFromPixels, pHashFromPixels, hammingDistance } = require('../lib/image-hash');
+const { refreshImageIndex, loadImageIndex, blendCandidates, createImageIndex } = require('../lib/image-index');
+const { syncCatalog, loadCatalogIndex } = require('../lib/catalog-index');
+const { makeShopifyRequest } = require('../lib/shopify-client');
+const { clearIndexStorageCache } = require('../lib/index-storage');
+const { createCardSearch, rankCandidates } = require('../lib/card-search');
+const handler = require('../api/catalog/images');
+
+const ctx = useMockShopify({ before, after, beforeEach });
+
+const CHARIZARD = 'https://cdn.shopify.com/s/files/1/0001/products/charizard-ex-199.jpg';
+const SLAB = 'https://cdn.shopify.com/s/files/1/0001/products/charizard-ex-199-psa10.jpg';
+const REVERSE = 'https://cdn.shopify.com/s/files/1/0001/products/charizard-ex-199-reverse.jpg';
+const HASHES = {
+  [CHARIZARD]: { dHash: '0f0f0f0f0f0f0f0f', pHash: 'a5a5a5a5a5a5a5a5' },
+  [SLAB]: { dHash: 'f0f0f0f0f0f0f0f0', pHash: '5a5a5a5a5a5a5a5a' },
+  [REVERSE]: { dHash: '3c3c3c3c3c3c3c3c', pHash: 'c3c3c3c3c3c3c3c3' }
+};
+
+// Charizard's LP variant pictured as its own (reverse holo) print
+function giveVariantImage(mock) {
+  const charizard = mock.state.products.find(product => product.id === 8001);
+  charizard.images = [{ id: 7001, src: CHARIZARD }, { id: 7002, src: REVERSE }];
+  charizard.variants.find(variant => variant.id === 9002).image_id = 7002;
+}
+
+// Downloads return the URL itself, which the fake hash looks up
+function fakeImages() {
+  const fetched = [];
+  return {
+    fetched,
+    fetchImage: async (src) => {
+      fetched.push(src);
+      return src;
+    },
+    hash: async (src) => {
+      if (!HASHES[src]) throw new Error('unsupported image');
+      return HASHES[src];
+    }
+  };
+}
+
+const gradient = (width, height, fn) => Array.from({ length: width * height }, (_, i) => fn(i % width, Math.floor(i / width)));
+
+describe('image hashes', () => {
+  it('is stable under brightness changes and tells different images apart', () => {
+    const image = gradient(32, 32, (x, y) => (x * 7 + y * 3) % 256);
+    const brighter = image.map(value => Math.min(255, value + 20));
+    const other = gradient(32, 32, (x, y) => ((31 - y) * 8) % 256);
+
+    assert.equal(pHashFromPixels(image).length, 16);
+    assert.ok(hammingDistance(pHashFromPixels(image), pHashFromPixels(brighter)) <= 4);
+    assert.ok(hammingDistance(pHashFromPixels(image), pHashFromPixels(other)) > 16);
+
+    const left = gradient(9, 8, (x) => 255 - x * 20);
+    assert.equal(dHashFromPixels(left), 'ffffffffffffffff');
+    assert.equal(dHashFromPixels(left.slice().reverse()), '0000000000000000');
+    assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+  });
+
+  it('finds the nearest product and scores unrelated images near zero', () => {
+    const index = createImageIndex();
+    index.set({ productId: 8001 }, HASHES[CHARIZARD]);
+    index.set({ productId: 'gid://shopify/Product/8004' }, HASHES[SLAB]);
+
+    const [nearest, other] = index.nearest({ dHash: '0f0f0f0f0f0f0f0e', pHash: 'a5a5a5a5a5a5a5a5' });
+    assert.equal(nearest.productId, 8001);
+    assert.ok(nearest.visualScore > 0.95);
+    assert.equal(other.visualScore, 0);
+  });
+});
+
+describe('image index refresh', () => {
+  it('hashes new images only and drops products that left the catalog', async () => {
+    await syncCatalog(makeShopifyRequest);
+    const images = fakeImages();
+
+    const first = await refreshImageIndex(await loadCatalogIndex(), images);
+    assert.deepEqual([first.hashed, first.failed, first.removed, first.images], [2, 0, 0, 2]);
+    assert.deepEqual(images.fetched.sort(), [SLAB, CHARIZARD].sort());
+
+    const again = await refreshImageIndex(await loadCatalogIndex(), images);
+    assert.deepEqual([again.hashed, again.remaining], [0, 0]);
+    assert.equal(images.fetched.length, 2);
+
+    ctx.mock.state.products = ctx.mock.state.products.filter(product => product.id !== 8004);
+    await syncCatalog(makeShopifyRequest, { full: true });
+    const pruned = await refreshImageIndex(await loadCatalogIndex(), images);
+    assert.deepEqual([pruned.removed, pruned.images], [1, 1]);
+    assert.equal((await loadImageIndex()).get({ productId: 8001 }).dHash, HASHES[CHARIZARD].dHash);
+  });
+
+  it('hashes a variant image of its own and scores each variant by its picture', async () => {
+    giveVariantImage(ctx.mock);
+    await syncCatalog(makeShopifyRequest);
+    const images = fakeImages();
+
+    const result = await refreshImageIndex(await loadCatalogIndex(), images);
+    assert.deepEqual([result.hashed, result.images], [3, 3]);
+    assert.ok(images.fetched.includes(REVERSE));
+    const index = await loadImageIndex();
+    assert.equal(index.get({ productId: 8001, variantId: 9002 }).pHash, HASHES[REVERSE].pHash);
+
+    const [nearest] = index.nearest(HASHES[REVERSE]);
+    assert.deepEqual([nearest.productId, nearest.visualScore, nearest.variantScores[9002]], [8001, 1, 1]);
+    assert.equal(nearest.productScore, 0);
+
+    const blended = blendCandidates({ visualMatches: [nearest], catalog: await loadCatalogIndex() });
+    assert.deepEqual(blended.map(option => [option.sku, option.visualScore]), [['SV151-199-LP', 1]]);
+  });
+
+  it('records failures, batches large refreshes and is gated for admins', async () => {
+    await syncCatalog(makeShopifyRequest);
+    const images = fakeImages();
+
+    const batch = await refreshImageIndex(await loadCatalogIndex(), { ...images, maxImages: 1 });
+    assert.deepEqual([batch.hashed, batch.remaining], [1, 1]);
+
+    const failing = { ...images, hash: async () => { throw new Error('corrupt'); } };
+    const rest = await refreshImageIndex(await loadCatalogIndex(), failing);
+    assert.deepEqual([rest.hashed, rest.failed, rest.remaining], [0, 1, 0]);
+    assert.equal((await refreshImageIndex(await loadCatalogIndex(), failing)).failed, 0);
+
+    assert.equal((await invoke(handler, { body: {} })).statusCode, 401);
+    assert.equal((await invoke(handler, { body: { maxImages: 0 }, admin: true })).statusCode, 400);
+    const status = await invoke(handler, { method: 'GET' });
+    assert.deepEqual([status.body.indexed, status.body.images], [true, 2]);
+  });
+
+  it('needs a catalog index to refresh from', async () => {
+    const res = await invoke(handler, { body: {}, admin: true });
+    assert.equal(res.statusCode, 409);
+  });
+
+  it('keeps the index in Vercel Blob for every instance to read', async () => {
+    await withMockBlob(async (blob) => {
+      await syncCatalog(makeShopifyRequest);
+      await refreshImageIndex(await loadCatalogIndex(), fakeImages());
+      assert.ok(blob.blobs.has('trade-in/image-index.json'));
+
+      clearIndexStorageCache();
+      const status = await invoke(handler, { method: 'GET' });
+      assert.deepEqual([status.body.storage, status.body.indexed, status.body.images], ['blob', true, 2]);
+    });
+
+    const unshared = await withEnv({ VERCEL: '1' }, () => invoke(handler, { body: {}, admin: true }));
+    assert.equal(unshared.statusCode, 503);
+  });
+});
+
+describe('blending', () => {
+  it('tells apart products that share a name by their picture', async () => {
+    await syncCatalog(makeShopifyRequest);
+    const catalog = await loadCatalogIndex();
+    const cardName = 'Charizard ex 199/165';
+    const result = await createCardSearch(makeShopifyRequest, { catalog }).searchCard({ cardName });
+    const textCandidates = rankCandidates(result, cardName);
+
+    const blended = blendCandidates({
+      textCandidates,
+      visualMatches: [{ productId: 8004, visualScore: 0.9 }, { productId: 8001, visualScore: 0.05 }],
+      catalog,
+      cardName
+    });
+    assert.equal(blended[0].sku, 'SV151-199-PSA10');
+    assert.equal(blended[0].matchReason, 'combined');
+    assert.equal(blended[0].visualScore, 0.9);
+    assert.equal(blended.find(option => option.sku === 'SV151-199-NM').matchReason, 'text');
+
+    // Nothing read from the card: only a convincing likeness, found through the catalog
+    const visualOnly = blendCandidates({
+      visualMatches: [{ productId: 8001, visualScore: 0.8 }, { productId: 8005, visualScore: 0.3 }],
+      catalog
+    });
+    assert.deepEqual(visualOnly.map(option => option.sku).sort(), ['SV151-199-LP', 'SV151-199-NM']);
+    assert.ok(visualOnly.every(option => option.matchReason === 'visual' && option.score === 0.8));
+  });
+});
@@ -0,0 +1,119 @@
+// test/learned-aliases.test.js
+// /api/cards/aliases against the mock Admin API: picks at the counter teach the search once
+// confirmed twice, admins correct and forget aliases, and search reads them from the metafield.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockShopify, invoke, shopMetafield, ADMIN_TOKEN, STAFF_TOKEN } = require('./helpers');
+
+const handler = require('../api/cards/aliases');
+const searchHandler = require('../api/cards/search');
+const { makeShopifyRequest } = require('../lib/shopify-client');
+const { syncCatalog } = require('../lib/catalog-index');
+const { clearSearchAliasCache } = require('../lib/learned-aliases');
+
+const ctx = useMockShopify({ before, after, beforeEach });
+
+const staffHeaders = { authorization: `Bearer ${STAFF_TOKEN}` };
+const action = (body, admin = false) => invoke(handler, { body, admin });
+const confirm = (query, sku, headers = staffHeaders) =>
+  invoke(handler, { body: { action: 'confirm', query, sku, confirmedBy: 'Sam' }, headers });
+const search = (q) => invoke(searchHandler, { method: 'GET', query: { q, includeOutOfStock: 'true' } });
+
+describe('learned aliases', () => {
+  it('resolves a query to the option staff picked for it', async () => {
+    const before = await search('Charizard');
+    assert.notEqual(before.body.searchMethod, 'learned_alias');
+
+    const first = await confirm('Charizard', 'SV151-199-LP');
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.body.alias.title, 'Charizard ex - 199/165 - Scarlet & Violet 151 - Lightly Played');
+    assert.equal(first.body.alias.game, 'pokemon');
+
+    // One pick puts the option first but still asks
+    const once = await search('Charizard');
+    assert.equal(once.body.searchMethod, 'learned_alias');
+    assert.equal(once.body.needsConfirmation, true);
+    assert.equal(once.body.candidates[0].sku, 'SV151-199-LP');
+    assert.equal(once.body.candidates[0].confidence, 'medium');
+
+    const again = await confirm('  charizard ', 'SV151-199-LP');
+    assert.equal(again.body.alias.id, first.body.alias.id);
+    assert.equal(again.body.alias.confirmations, 2);
+
+    const learned = await search('CHARIZARD');
+    assert.equal(learned.body.searchMethod, 'learned_alias');
+    assert.equal(learned.body.needsConfirmation, false);
+    assert.equal(learned.body.candidates[0].sku, 'SV151-199-LP');
+    assert.equal(learned.body.candidates[0].confidence, 'high');
+
+    const stored = shopMetafield(ctx.mock, 'trade_in_system', 'learned_aliases');
+    assert.deepEqual(stored.map(alias => [alias.query, alias.sku]), [['charizard', 'SV151-199-LP']]);
+  });
+
+  it('only takes picks from staff', async () => {
+    assert.equal((await confirm('Charizard', 'SV151-199-LP', {})).statusCode, 401);
+    assert.equal((await confirm('Charizard', 'SV151-199-LP', { authorization: 'Bearer wrong' })).statusCode, 401);
+    assert.equal(shopMetafield(ctx.mock, 'trade_in_system', 'learned_aliases'), undefined);
+
+    const { body } = await confirm('Charizard', 'SV151-199-LP');
+    assert.equal((await invoke(handler, { body: { action: 'delete', aliasId: body.alias.id }, headers: staffHeaders })).statusCode, 401);
+
+    delete process.env.TRADE_STAFF_TOKEN;
+    delete process.env.TRADE_ADMIN_TOKEN;
+    try {
+      assert.equal((await confirm('Charizard', 'SV151-199-LP')).statusCode, 503);
+    } finally {
+      process.env.TRADE_STAFF_TOKEN = STAFF_TOKEN;
+      process.env.TRADE_ADMIN_TOKEN = ADMIN_TOKEN;
+    }
+    assert.equal((await confirm('Charizard', 'SV151-199-LP', { authorization: `Bearer ${ADMIN_TOKEN}` })).statusCode, 200);
+  });
+
+  it('lets admins correct and forget an alias', async () => {
+    const { body } = await confirm('Charizard', 'SV151-199-LP');
+    const aliasId = body.alias.id;
+
+    assert.equal((await action({ action: 'update', aliasId, sku: 'SV151-199-NM' })).statusCode, 401);
+    assert.equal((await action({ action: 'delete', aliasId })).statusCode, 401);
+    assert.equal((await invoke(handler, { method: 'GET' })).statusCode, 401);
+
+    const updated = await action({ action: 'update', aliasId, sku: 'SV151-199-NM', updatedBy: 'jdemers' }, true);
+    assert.equal(updated.statusCode, 200);
+    assert.equal(updated.body.alias.sku, 'SV151-199-NM');
+    assert.equal(updated.body.alias.previousSku, 'SV151-199-LP');
+    assert.equal((await search('Charizard')).body.candidates[0].sku, 'SV151-199-NM');
+
+    const listed = await invoke(handler, { method: 'GET', query: { q: 'NM' }, admin: true });
+    assert.deepEqual(listed.body.data.map(alias => alias.id), [aliasId]);
+
+    assert.equal((await action({ action: 'delete', aliasId }, true)).statusCode, 200);
+    assert.notEqual((await search('Charizard')).body.searchMethod, 'learned_alias');
+    assert.equal((await action({ action: 'delete', aliasId }, true)).statusCode, 404);
+  });
+
+  it('only learns SKUs the store has', async () => {
+    assert.equal((await confirm('Charizard', 'NOT-A-SKU')).statusCode, 404);
+    assert.equal((await confirm('Charizard')).statusCode, 400);
+    assert.equal((await confirm('x', 'SV151-199-LP')).statusCode, 400);
+    assert.equal((await action({ action: 'rename' })).statusCode, 400);
+    assert.equal(shopMetafield(ctx.mock, 'trade_in_system', 'learned_aliases'), undefined);
+  });
+
+  it('reads aliases from the metafield, reusing them briefly', async () => {
+    await syncCatalog(makeShopifyRequest);
+    await confirm('Charizard', 'SV151-199-LP');
+    await confirm('Charizard', 'SV151-199-LP');
+
+    ctx.mock.requests.length = 0;
+    assert.equal((await search('Charizard')).body.searchMethod, 'learned_alias');
+    assert.equal(ctx.mock.requests.length, 0);
+
+    // Another instance forgets it: seen here once the cache has gone
+    const metafield = ctx.mock.state.metafields.find(m => m.key === 'learned_aliases');
+    metafield.value = '[]';
+    clearSearchAliasCache();
+    assert.notEqual((await search('Charizard')).body.searchMethod, 'learned_alias');
+    assert.deepEqual(ctx.mock.requests.map(request => request.path), ['/metafields.json']);
+  });
+});
@@ -0,0 +1,134 @@
+// test/locations.test.js
+// Trade-in location routing: picking the location (explicit, kiosk, employee, default, first),
+// the /api/locations admin mapping, and buybacks stocked at and recorded with the routed location.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockShopify, invoke, shopMetafield, inventoryLevel } = require('./helpers');
+
+const { resolveTradeLocation } = require('../lib/locations');
+const handler = require('../api/locations');
+const buyback = require('../api/buybackstep4');
+
+const ctx = useMockShopify({ before, after, beforeEach });
+
+const MAIN_STORE = 71001;
+const WAREHOUSE = 71002;
+const MEWTWO_ITEM = 5006;
+
+const LOCATIONS = [
+  { id: MAIN_STORE, name: 'Main Store' },
+  { id: WAREHOUSE, name: 'Warehouse' }
+];
+
+const route = (body) => invoke(handler, { body, admin: true });
+// Mewtwo is only stocked at the warehouse, so it commits only when routed there
+const commitMewtwo = (body = {}) => invoke(buyback, {
+  body: { employeeName: 'Sam', payoutMethod: 'cash', cards: [{ cardName: 'Mewtwo 150/165', quantity: 1 }], ...body }
+});
+
+describe('resolveTradeLocation', () => {
+  const routing = {
+    defaultLocation: 'Warehouse',
+    employees: { sam: 'Main Store' },
+    kiosks: { 'kiosk-2': String(WAREHOUSE) }
+  };
+  const pick = (request) => {
+    const { location, source } = resolveTradeLocation(LOCATIONS, request, routing);
+    return [location?.id, source];
+  };
+
+  it('takes an explicit ID or name over any mapping', () => {
+    assert.deepEqual(pick({ locationId: `gid://shopify/Location/${WAREHOUSE}`, employeeName: 'Sam' }), [WAREHOUSE, 'request_id']);
+    assert.deepEqual(pick({ locationName: 'main store', kioskId: 'kiosk-2' }), [MAIN_STORE, 'request_name']);
+  });
+
+  it('falls back from kiosk to employee to the configured default', () => {
+    assert.deepEqual(pick({ kioskId: 'KIOSK-2', employeeName: 'Sam' }), [WAREHOUSE, 'kiosk']);
+    assert.deepEqual(pick({ kioskId: 'kiosk-9', employeeName: 'SAM' }), [MAIN_STORE, 'employee']);
+    assert.deepEqual(pick({ employeeName: 'Alex' }), [WAREHOUSE, 'default']);
+  });
+
+  it('skips a mapping to a location that is gone, then uses the first location', () => {
+    const { location, source } = resolveTradeLocation(LOCATIONS, { employeeName: 'Sam' }, {
+      defaultLocation: null,
+      employees: { sam: 'Old Booth' },
+      kiosks: {}
+    });
+
+    assert.deepEqual([location.id, source], [MAIN_STORE, 'first_location']);
+  });
+
+  it('refuses an explicit location it cannot find', () => {
+    const { location, error } = resolveTradeLocation(LOCATIONS, { locationName: 'Old Booth' }, routing);
+
+    assert.equal(location, null);
+    assert.match(error, /Old Booth/);
+  });
+});
+
+describe('/api/locations', () => {
+  it('lists active locations and the routing for the staff screen', async () => {
+    const res = await invoke(handler, { method: 'GET' });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.locations, LOCATIONS);
+    assert.deepEqual(res.body.routing, { defaultLocation: null, employees: {}, kiosks: {} });
+  });
+
+  it('only lets an admin change the routing, and only to known locations', async () => {
+    const anonymous = await invoke(handler, { body: { employees: { Sam: 'Warehouse' } } });
+    assert.equal(anonymous.statusCode, 401);
+
+    const invalid = await route({ employees: { Sam: 'Old Booth' }, kiosks: [] });
+    assert.equal(invalid.statusCode, 400);
+    assert.deepEqual(invalid.body.details, ['employees.Sam: unknown location "Old Booth"', 'kiosks must be an object']);
+    assert.equal(shopMetafield(ctx.mock, 'trade_in_system', 'location_routing'), undefined);
+
+    const saved = await route({ employees: { Sam: 'Warehouse' } });
+    assert.equal(saved.statusCode, 200);
+    assert.deepEqual(shopMetafield(ctx.mock, 'trade_in_system', 'location_routing'), {
+      defaultLocation: null,
+      employees: { Sam: 'Warehouse' },
+      kiosks: {}
+    });
+  });
+});
+
+describe('routed buybacks', () => {
+  it('stocks the employee\'s default location and records it in the ledger', async () => {
+    assert.equal((await commitMewtwo()).statusCode, 409);
+
+    await route({ employees: { Sam: 'Warehouse' } });
+    const res = await commitMewtwo();
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.location, { id: WAREHOUSE, name: 'Warehouse', source: 'employee' });
+    assert.equal(inventoryLevel(ctx.mock, MEWTWO_ITEM, WAREHOUSE), 4);
+
+    const trade = shopMetafield(ctx.mock, 'trade_ledger', res.body.tradeId);
+    assert.deepEqual(trade.location, res.body.location);
+    assert.ok(trade.cards.every(card => card.locationId === WAREHOUSE && card.locationName === 'Warehouse'));
+  });
+
+  it('uses the kiosk mapping over the employee\'s', async () => {
+    await route({ employees: { Sam: 'Main Store' }, kiosks: { 'back-room': 'Warehouse' } });
+
+    const res = await commitMewtwo({ kioskId: 'back-room' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.location.source, 'kiosk');
+    assert.equal(inventoryLevel(ctx.mock, MEWTWO_ITEM, WAREHOUSE), 4);
+  });
+
+  it('takes a location by name, and refuses one that is not active', async () => {
+    const byName = await commitMewtwo({ locationName: 'warehouse' });
+    assert.equal(byName.statusCode, 200);
+    assert.equal(byName.body.location.source, 'request_name');
+
+    const inactive = await commitMewtwo({ locationName: 'Old Booth' });
+    assert.equal(inactive.statusCode, 400);
+    assert.equal(inactive.body.error, 'Invalid location');
+    assert.equal(inventoryLevel(ctx.mock, MEWTWO_ITEM, WAREHOUSE), 4);
+  });
+});
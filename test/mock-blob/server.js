@@ -0,0 +1,93 @@
+// test/mock-blob/server.js
+// Local stand-in for the Vercel Blob API, enough of it for lib/index-storage.js: put (PUT
+// /?pathname=), head (GET /?url=), list (GET /?prefix=), del (POST /delete) and downloading a
+// blob from its URL. Point @vercel/blob at it
+// with VERCEL_BLOB_API_URL (withMockBlob in test/helpers.js sets that and a token).
+
+const http = require('http');
+
+/**
+ * Start the mock on a free local port.
+ * @returns {Promise<{ url, blobs, requests, close }>} blobs: Map of pathname -> { body, uploadedAt }
+ */
+async function startMockBlob() {
+  const blobs = new Map();
+  const requests = [];
+  let baseUrl = null;
+
+  const metadata = (pathname) => ({
+    url: `${baseUrl}/${pathname}`,
+    downloadUrl: `${baseUrl}/${pathname}?download=1`,
+    pathname,
+    contentType: 'application/json',
+    contentDisposition: `inline; filename="${pathname.split('/').pop()}"`
+  });
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+      };
+      requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+      // API calls carry the token; blob downloads are public
+      if (url.pathname === '/' || url.pathname === '/delete') {
+        if (!(req.headers.authorization || '').startsWith('Bearer vercel_blob_rw_')) {
+          return send(403, { error: { code: 'forbidden', message: 'Access denied' } });
+        }
+
+        if (req.method === 'PUT') {
+          const pathname = url.searchParams.get('pathname');
+          if (blobs.has(pathname) && req.headers['x-allow-overwrite'] !== '1') {
+            return send(400, { error: { code: 'bad_request', message: 'This blob already exists' } });
+          }
+          blobs.set(pathname, { body: Buffer.concat(chunks).toString(), uploadedAt: new Date() });
+          return send(200, metadata(pathname));
+        }
+
+        if (req.method === 'POST' && url.pathname === '/delete') {
+          const { urls = [] } = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+          urls.forEach(blobUrl => blobs.delete(blobUrl.replace(`${baseUrl}/`, '')));
+          return send(200, {});
+        }
+
+        // Everything in one page; the client follows cursor/hasMore either way
+        if (req.method === 'GET' && !url.searchParams.has('url')) {
+          const prefix = url.searchParams.get('prefix') || '';
+          const listed = [...blobs.entries()]
+            .filter(([pathname]) => pathname.startsWith(prefix))
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([pathname, blob]) => ({ ...metadata(pathname), size: blob.body.length, uploadedAt: blob.uploadedAt.toISOString() }));
+          return send(200, { blobs: listed, cursor: null, hasMore: false });
+        }
+
+        if (req.method === 'GET') {
+          const pathname = url.searchParams.get('url').replace(`${baseUrl}/`, '');
+          const blob = blobs.get(pathname);
+          if (!blob) return send(404, { error: { code: 'not_found', message: 'The requested blob does not exist' } });
+          return send(200, { ...metadata(pathname), size: blob.body.length, uploadedAt: blob.uploadedAt.toISOString(), cacheControl: 'public, max-age=60' });
+        }
+      }
+
+      const blob = req.method === 'GET' && blobs.get(url.pathname.slice(1));
+      if (!blob) return send(404, { error: { code: 'not_found', message: 'Not Found' } });
+      return send(200, blob.body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url: baseUrl,
+    blobs,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startMockBlob };
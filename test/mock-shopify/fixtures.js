@@ -0,0 +1,91 @@
+// test/mock-shopify/fixtures.js
+// Store contents the mock Admin API starts from. Products use the same tag and title
+// conventions as the live store (card-number tags like "199165", "OP09001"; slabs tagged "PSA10").
+
+const LOCATIONS = [
+  { id: 71001, name: 'Main Store', active: true },
+  { id: 71002, name: 'Warehouse', active: true },
+  { id: 71003, name: 'Old Booth', active: false }
+];
+
+const PRODUCTS = [
+  {
+    id: 8001,
+    title: 'Charizard ex - 199/165 - Scarlet & Violet 151',
+    product_type: 'Pokemon Single',
+    tags: ['pokemon', 'sv151', '199165'],
+    image: { src: 'https://cdn.shopify.com/s/files/1/0001/products/charizard-ex-199.jpg' },
+    variants: [
+      { id: 9001, title: 'Near Mint', sku: 'SV151-199-NM', price: '120.00', inventory_item_id: 5001, inventory_quantity: 2 },
+      { id: 9002, title: 'Lightly Played', sku: 'SV151-199-LP', price: '96.00', inventory_item_id: 5002, inventory_quantity: 1 }
+    ]
+  },
+  {
+    id: 8002,
+    title: 'Pikachu - 025/198 - Scarlet & Violet',
+    product_type: 'Pokemon Single',
+    tags: ['pokemon', 'svi', '025198'],
+    variants: [
+      { id: 9003, title: 'Default Title', sku: 'SVI-025', price: '1.50', inventory_item_id: 5003, inventory_quantity: 12 }
+    ]
+  },
+  {
+    id: 8003,
+    title: 'Monkey.D.Luffy - OP09-001 - Emperors in the New World',
+    product_type: 'One Piece Single',
+    tags: ['one piece', 'op09', 'OP09001'],
+    variants: [
+      { id: 9004, title: 'Default Title', sku: 'OP09-001', price: '8.00', inventory_item_id: 5004, inventory_quantity: 4 }
+    ]
+  },
+  {
+    id: 8004,
+    title: 'Charizard ex - 199/165 - PSA 10',
+    product_type: 'Graded Card',
+    tags: ['pokemon', 'graded', 'PSA10'],
+    image: { src: 'https://cdn.shopify.com/s/files/1/0001/products/charizard-ex-199-psa10.jpg' },
+    variants: [
+      { id: 9005, title: 'Default Title', sku: 'SV151-199-PSA10', price: '450.00', inventory_item_id: 5005, inventory_quantity: 0 }
+    ]
+  },
+  {
+    id: 8005,
+    title: 'Mewtwo - 150/165 - Scarlet & Violet 151',
+    product_type: 'Pokemon Single',
+    tags: ['pokemon', 'sv151', '150165'],
+    variants: [
+      { id: 9006, title: 'Default Title', sku: 'SV151-150', price: '3.00', inventory_item_id: 5006, inventory_quantity: 3 }
+    ]
+  }
+];
+
+// Which inventory items have a level at which location. Mewtwo is only stocked at the
+// Warehouse, so committing it at Main Store is refused.
+const INVENTORY_LEVELS = [
+  { inventory_item_id: 5001, location_id: 71001, available: 2 },
+  { inventory_item_id: 5002, location_id: 71001, available: 1 },
+  { inventory_item_id: 5003, location_id: 71001, available: 12 },
+  { inventory_item_id: 5004, location_id: 71001, available: 4 },
+  { inventory_item_id: 5005, location_id: 71001, available: 0 },
+  { inventory_item_id: 5001, location_id: 71002, available: 0 },
+  { inventory_item_id: 5006, location_id: 71002, available: 3 }
+];
+
+const CUSTOMERS = [
+  { id: 6001, email: 'regular@example.com', first_name: 'Riley', last_name: 'Regular', tags: 'trade-in-customer' }
+];
+
+const SHOP = {
+  id: 1,
+  name: 'Mock Card Shop',
+  domain: 'mock-card-shop.myshopify.com',
+  currency: 'CAD'
+};
+
+module.exports = {
+  SHOP,
+  LOCATIONS,
+  PRODUCTS,
+  INVENTORY_LEVELS,
+  CUSTOMERS
+};
@@ -0,0 +1,593 @@
+// test/mock-shopify/server.js
+// Local stand-in for the Shopify Admin API, enough of it for the trade-in endpoints: products,
+// variants and tags (REST and the GraphQL product / productVariants search), locations and
+// inventory levels, customers, shop and customer metafields, gift cards and the store credit
+// credit/debit mutations. Point the handlers at it with SHOPIFY_API_BASE_URL.
+
+const crypto = require('crypto');
+const http = require('http');
+const fixtures = require('./fixtures');
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const gid = (type, id) => `gid://shopify/${type}/${id}`;
+const numericId = (id) => parseInt(id.toString().replace(/^gid:\/\/shopify\/\w+\//, ''), 10);
+// updated_at for fixture products that haven't been edited
+const FIXTURE_UPDATED_AT = '2024-01-01T00:00:00.000Z';
+
+const GRAPHQL_COST = {
+  requestedQueryCost: 12,
+  actualQueryCost: 12,
+  throttleStatus: { maximumAvailable: 2000, currentlyAvailable: 1988, restoreRate: 100 }
+};
+
+function createState() {
+  return {
+    shop: clone(fixtures.SHOP),
+    locations: clone(fixtures.LOCATIONS),
+    products: clone(fixtures.PRODUCTS),
+    inventoryLevels: clone(fixtures.INVENTORY_LEVELS),
+    customers: clone(fixtures.CUSTOMERS),
+    metafields: [],
+    giftCards: [],
+    storeCreditAccounts: [],
+    nextId: 100000
+  };
+}
+
+// ---------- Search syntax (the subset of Shopify's query language the handlers use) ----------
+
+function tokenize(query) {
+  return query.match(/\(|\)|[\w.-]+:"[^"]*"|"[^"]*"|[^\s()]+/g) || [];
+}
+
+// expr := and ('OR' and)* ; and := atom (['AND'] atom)* ; atom := '(' expr ')' | term
+function parseQuery(query) {
+  const tokens = tokenize(query);
+  let pos = 0;
+
+  function parseExpr() {
+    const alternatives = [parseAnd()];
+    while (tokens[pos] === 'OR') {
+      pos++;
+      alternatives.push(parseAnd());
+    }
+    return { op: 'or', children: alternatives };
+  }
+
+  function parseAnd() {
+    const terms = [];
+    while (pos < tokens.length && tokens[pos] !== ')' && tokens[pos] !== 'OR') {
+      if (tokens[pos] === 'AND') {
+        pos++;
+        continue;
+      }
+      terms.push(parseAtom());
+    }
+    return { op: 'and', children: terms };
+  }
+
+  function parseAtom() {
+    const token = tokens[pos++];
+    if (token === '(') {
+      const inner = parseExpr();
+      if (tokens[pos] === ')') pos++;
+      return inner;
+    }
+
+    const fieldMatch = token.match(/^([\w_]+):(.*)$/);
+    const unquote = (value) => value.replace(/^"(.*)"$/, '$1');
+    return fieldMatch
+      ? { op: 'term', field: fieldMatch[1].toLowerCase(), value: unquote(fieldMatch[2]).toLowerCase() }
+      : { op: 'term', field: null, value: unquote(token).toLowerCase() };
+  }
+
+  return tokens.length ? parseExpr() : { op: 'and', children: [] };
+}
+
+function evaluate(node, matchTerm) {
+  if (node.op === 'or') return node.children.some(child => evaluate(child, matchTerm));
+  if (node.op === 'and') return node.children.every(child => evaluate(child, matchTerm));
+  return matchTerm(node);
+}
+
+function productMatchesTerm(product, { field, value }, variant = null) {
+  const tags = product.tags.map(tag => tag.toLowerCase());
+  const skus = (variant ? [variant] : product.variants).map(v => (v.sku || '').toLowerCase());
+  const title = product.title.toLowerCase();
+
+  switch (field) {
+    case 'tag':
+      return tags.includes(value);
+    case 'title':
+      return title.includes(value);
+    case 'sku':
+      return skus.includes(value);
+    case 'product_type':
+      return product.product_type.toLowerCase() === value;
+    case null:
+      return title.includes(value) || tags.some(tag => tag.includes(value)) ||
+        skus.some(sku => sku.includes(value)) || product.product_type.toLowerCase().includes(value);
+    default:
+      return false;
+  }
+}
+
+function searchProducts(state, query) {
+  const tree = parseQuery(query || '');
+  return state.products.filter(product => evaluate(tree, term => productMatchesTerm(product, term)));
+}
+
+function searchVariants(state, query) {
+  const tree = parseQuery(query || '');
+  const matches = [];
+  state.products.forEach(product => product.variants.forEach(variant => {
+    if (evaluate(tree, term => productMatchesTerm(product, term, variant))) {
+      matches.push({ product, variant });
+    }
+  }));
+  return matches;
+}
+
+// ---------- Shapes ----------
+
+function restProduct(product) {
+  return {
+    id: product.id,
+    title: product.title,
+    product_type: product.product_type,
+    status: product.status || 'active',
+    updated_at: product.updated_at || FIXTURE_UPDATED_AT,
+    tags: product.tags.join(', '),
+    image: product.image || null,
+    images: product.images || (product.image ? [product.image] : []),
+    variants: product.variants.map(variant => ({
+      id: variant.id,
+      product_id: product.id,
+      title: variant.title,
+      sku: variant.sku,
+      price: variant.price,
+      inventory_item_id: variant.inventory_item_id,
+      inventory_quantity: variant.inventory_quantity,
+      image_id: variant.image_id || null
+    }))
+  };
+}
+
+function variantImage(product, variant) {
+  const image = variant.image_id && (product.images || []).find(candidate => candidate.id === variant.image_id);
+  return image ? { url: image.src } : null;
+}
+
+function graphqlVariant(product, variant) {
+  return {
+    id: gid('ProductVariant', variant.id),
+    title: variant.title,
+    sku: variant.sku,
+    price: variant.price,
+    inventoryQuantity: variant.inventory_quantity,
+    image: variantImage(product, variant),
+    inventoryItem: { id: gid('InventoryItem', variant.inventory_item_id) },
+    product: { id: gid('Product', product.id), title: product.title }
+  };
+}
+
+function graphqlProduct(product, variantLimit = 10) {
+  return {
+    id: gid('Product', product.id),
+    title: product.title,
+    tags: product.tags,
+    productType: product.product_type,
+    featuredImage: product.image ? { url: product.image.src } : null,
+    variants: {
+      edges: product.variants.slice(0, variantLimit).map(variant => ({ node: graphqlVariant(product, variant) }))
+    }
+  };
+}
+
+// ---------- GraphQL ----------
+
+function readQueryArgument(query, variables, field) {
+  const args = query.match(new RegExp(`\\b${field}\\s*\\(([^)]*)\\)`));
+  if (!args) return { first: 10, after: null, search: '' };
+
+  const firstArg = args[1].match(/first:\s*(\$\w+|\d+)/);
+  const afterArg = args[1].match(/after:\s*(\$\w+|"[^"]*")/);
+  const searchArg = args[1].match(/query:\s*(\$\w+|"((?:[^"\\]|\\.)*)")/);
+
+  const resolve = (value) => value.startsWith('$') ? variables[value.slice(1)] : value;
+  return {
+    first: firstArg ? parseInt(resolve(firstArg[1]), 10) : 10,
+    after: afterArg ? (afterArg[1].startsWith('"') ? afterArg[1].slice(1, -1) : resolve(afterArg[1])) : null,
+    search: searchArg
+      ? (searchArg[2] !== undefined ? searchArg[2].replace(/\\"/g, '"') : resolve(searchArg[1]))
+      : ''
+  };
+}
+
+function storeCreditAccountFor(state, ownerOrAccountId, currencyCode) {
+  const id = ownerOrAccountId.toString();
+  if (id.includes('/StoreCreditAccount/')) {
+    return state.storeCreditAccounts.find(account => account.id === id) || null;
+  }
+
+  const customerId = numericId(id);
+  if (!state.customers.some(customer => customer.id === customerId)) return null;
+
+  let account = state.storeCreditAccounts.find(a => a.customerId === customerId && a.currencyCode === currencyCode);
+  if (!account) {
+    account = { id: gid('StoreCreditAccount', state.nextId++), customerId, currencyCode, balance: 0, transactions: [] };
+    state.storeCreditAccounts.push(account);
+  }
+  return account;
+}
+
+function storeCreditTransaction(state, account, amount, kind) {
+  const transaction = {
+    id: gid(kind === 'credit' ? 'StoreCreditAccountCreditTransaction' : 'StoreCreditAccountDebitTransaction', state.nextId++),
+    amount: { amount: amount.toFixed(2), currencyCode: account.currencyCode },
+    createdAt: new Date().toISOString(),
+    account: {
+      id: account.id,
+      balance: { amount: account.balance.toFixed(2), currencyCode: account.currencyCode }
+    }
+  };
+  account.transactions.push(transaction);
+  return transaction;
+}
+
+function handleGraphQL(state, { query = '', variables = {} }) {
+  if (/\bstoreCreditAccountCredit\s*\(/.test(query)) {
+    const { amount, currencyCode } = variables.creditInput?.creditAmount || {};
+    const account = storeCreditAccountFor(state, variables.id || '', currencyCode);
+    if (!account) {
+      return { data: { storeCreditAccountCredit: { storeCreditAccountTransaction: null, userErrors: [{ field: ['id'], message: 'Owner does not exist' }] } } };
+    }
+    account.balance += parseFloat(amount);
+    return { data: { storeCreditAccountCredit: { storeCreditAccountTransaction: storeCreditTransaction(state, account, parseFloat(amount), 'credit'), userErrors: [] } } };
+  }
+
+  if (/\bstoreCreditAccountDebit\s*\(/.test(query)) {
+    const { amount, currencyCode } = variables.debitInput?.debitAmount || {};
+    const account = storeCreditAccountFor(state, variables.id || '', currencyCode);
+    if (!account || account.balance < parseFloat(amount)) {
+      return { data: { storeCreditAccountDebit: { storeCreditAccountTransaction: null, userErrors: [{ field: ['debitInput'], message: 'Insufficient funds' }] } } };
+    }
+    account.balance -= parseFloat(amount);
+    return { data: { storeCreditAccountDebit: { storeCreditAccountTransaction: storeCreditTransaction(state, account, parseFloat(amount), 'debit'), userErrors: [] } } };
+  }
+
+  if (/\bmetafieldsSet\s*\(/.test(query)) {
+    return metafieldsSet(state, variables.metafields || []);
+  }
+
+  if (/\bshop\s*\{/.test(query)) {
+    const metafield = findMetafields(state, 'shop', state.shop.id, variables)[0];
+    return {
+      data: {
+        shop: {
+          id: gid('Shop', state.shop.id),
+          metafield: metafield
+            ? { id: gid('Metafield', metafield.id), value: metafield.value, compareDigest: metafieldDigest(metafield) }
+            : null
+        }
+      }
+    };
+  }
+
+  if (/\bproductVariants\s*\(/.test(query)) {
+    const { first, search } = readQueryArgument(query, variables, 'productVariants');
+    const edges = searchVariants(state, search).slice(0, first).map(({ product, variant }) => ({
+      node: { ...graphqlVariant(product, variant), product: graphqlProduct(product) }
+    }));
+    return { data: { productVariants: { edges } } };
+  }
+
+  if (/\bproducts\s*\(/.test(query)) {
+    const { first, after, search } = readQueryArgument(query, variables, 'products');
+    const variantLimit = parseInt(query.match(/variants\s*\(\s*first:\s*(\d+)/)?.[1] || '10', 10);
+    // Cursors are offsets into the search results
+    const start = after ? parseInt(after, 10) : 0;
+    const matching = searchProducts(state, search);
+    const edges = matching.slice(start, start + first).map(product => ({ node: graphqlProduct(product, variantLimit) }));
+    const end = start + edges.length;
+    return {
+      data: {
+        products: {
+          pageInfo: { hasNextPage: end < matching.length, endCursor: edges.length ? String(end) : after },
+          edges
+        }
+      }
+    };
+  }
+
+  return { errors: [{ message: 'Query not supported by the mock Admin API', extensions: { code: 'UNSUPPORTED' } }] };
+}
+
+// Shopify's compareDigest changes on every write; here it's a hash of the id and a per-write
+// revision, bumped by REST and GraphQL writes alike
+const metafieldRevisions = new WeakMap();
+
+function touchMetafield(metafield) {
+  metafieldRevisions.set(metafield, (metafieldRevisions.get(metafield) || 0) + 1);
+  metafield.updated_at = new Date().toISOString();
+  return metafield;
+}
+
+function metafieldDigest(metafield) {
+  return crypto.createHash('sha256').update(`${metafield.id}:${metafieldRevisions.get(metafield) || 0}`).digest('hex');
+}
+
+// metafieldsSet with compareDigest: null means "must not exist yet", a digest means "must
+// still be this version". All-or-nothing, like the real mutation.
+function metafieldsSet(state, inputs) {
+  const owned = inputs.map(input => {
+    if (numericId(input.ownerId || '') !== state.shop.id) return { input, error: { field: ['ownerId'], message: 'Owner does not exist', code: 'INVALID' } };
+    const existing = findMetafields(state, 'shop', state.shop.id, input)[0];
+    if ('compareDigest' in input && (input.compareDigest === null ? existing : !existing || metafieldDigest(existing) !== input.compareDigest)) {
+      return { input, error: { field: ['metafields', 'compareDigest'], message: 'The resource has been updated since it was loaded.', code: 'STALE_OBJECT' } };
+    }
+    return { input };
+  });
+
+  const userErrors = owned.filter(entry => entry.error).map(entry => entry.error);
+  if (userErrors.length) {
+    return { data: { metafieldsSet: { metafields: [], userErrors } } };
+  }
+
+  const metafields = inputs.map(input => {
+    const metafield = createMetafield(state, 'shop', state.shop.id, input);
+    return { id: gid('Metafield', metafield.id), key: metafield.key, namespace: metafield.namespace, value: metafield.value, compareDigest: metafieldDigest(metafield) };
+  });
+  return { data: { metafieldsSet: { metafields, userErrors: [] } } };
+}
+
+// ---------- REST ----------
+
+function findMetafields(state, ownerResource, ownerId, query) {
+  return state.metafields.filter(metafield =>
+    metafield.owner_resource === ownerResource &&
+    metafield.owner_id === ownerId &&
+    (!query.namespace || metafield.namespace === query.namespace) &&
+    (!query.key || metafield.key === query.key)
+  );
+}
+
+function createMetafield(state, ownerResource, ownerId, input) {
+  const existing = findMetafields(state, ownerResource, ownerId, input)[0];
+  if (existing) {
+    Object.assign(existing, { value: input.value, type: input.type || existing.type });
+    return touchMetafield(existing);
+  }
+
+  const metafield = {
+    id: state.nextId++,
+    namespace: input.namespace,
+    key: input.key,
+    value: input.value,
+    type: input.type || 'json',
+    owner_resource: ownerResource,
+    owner_id: ownerId,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+  state.metafields.push(metafield);
+  return touchMetafield(metafield);
+}
+
+function handleRest(state, method, path, query, body) {
+  let match;
+
+  if (method === 'GET' && path === '/shop.json') {
+    return [200, { shop: state.shop }];
+  }
+
+  if (method === 'GET' && path === '/locations.json') {
+    return [200, { locations: state.locations }];
+  }
+
+  // Products
+  if (method === 'GET' && path === '/products.json') {
+    // Ordered by id, so since_id pages through the whole catalog like the real API
+    let products = [...state.products].sort((a, b) => a.id - b.id);
+    if (query.since_id) products = products.filter(p => p.id > parseInt(query.since_id, 10));
+    if (query.updated_at_min) products = products.filter(p => (p.updated_at || FIXTURE_UPDATED_AT) >= query.updated_at_min);
+    if (query.title) products = products.filter(p => p.title === query.title);
+    if (query.product_type) products = products.filter(p => p.product_type === query.product_type);
+    if (query.query) products = products.filter(p => searchProducts(state, query.query).includes(p));
+    return [200, { products: products.slice(0, Math.min(parseInt(query.limit || '50', 10), 250)).map(restProduct) }];
+  }
+
+  if ((match = path.match(/^\/products\/(\d+)\.json$/))) {
+    const product = state.products.find(p => p.id === parseInt(match[1], 10));
+    if (!product) return [404, { errors: 'Not Found' }];
+
+    if (method === 'PUT') {
+      if (typeof body.product?.tags === 'string') {
+        product.tags = body.product.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+      }
+      product.updated_at = new Date().toISOString();
+      return [200, { product: restProduct(product) }];
+    }
+    return [200, { product: restProduct(product) }];
+  }
+
+  // Inventory
+  if (method === 'GET' && path === '/inventory_levels.json') {
+    const itemIds = (query.inventory_item_ids || '').split(',').filter(Boolean).map(Number);
+    const locationIds = (query.location_ids || '').split(',').filter(Boolean).map(Number);
+    const levels = state.inventoryLevels.filter(level =>
+      (!itemIds.length || itemIds.includes(level.inventory_item_id)) &&
+      (!locationIds.length || locationIds.includes(level.location_id))
+    );
+    return [200, { inventory_levels: levels }];
+  }
+
+  if (method === 'POST' && path === '/inventory_levels/adjust.json') {
+    const level = state.inventoryLevels.find(l =>
+      l.inventory_item_id === body.inventory_item_id && l.location_id === body.location_id
+    );
+    if (!level) {
+      return [422, { errors: ['Inventory item is not stocked at the location'] }];
+    }
+    level.available += body.available_adjustment;
+    state.products.forEach(product => product.variants.forEach(variant => {
+      if (variant.inventory_item_id === level.inventory_item_id) {
+        variant.inventory_quantity += body.available_adjustment;
+      }
+    }));
+    return [200, { inventory_level: level }];
+  }
+
+  // Customers
+  if (method === 'GET' && path === '/customers/search.json') {
+    const email = (query.query || '').replace(/^email:/, '').toLowerCase();
+    return [200, { customers: state.customers.filter(c => (c.email || '').toLowerCase() === email) }];
+  }
+
+  if (method === 'POST' && path === '/customers.json') {
+    const input = body.customer || {};
+    if (state.customers.some(c => c.email && c.email === input.email)) {
+      return [422, { errors: { email: ['has already been taken'] } }];
+    }
+    const customer = { id: state.nextId++, ...input };
+    state.customers.push(customer);
+    return [201, { customer }];
+  }
+
+  if ((match = path.match(/^\/customers\/(\d+)\/metafields\.json$/))) {
+    const customerId = parseInt(match[1], 10);
+    if (!state.customers.some(c => c.id === customerId)) return [404, { errors: 'Not Found' }];
+
+    if (method === 'POST') {
+      return [201, { metafield: createMetafield(state, 'customer', customerId, body.metafield || {}) }];
+    }
+    return [200, { metafields: findMetafields(state, 'customer', customerId, query) }];
+  }
+
+  // Shop metafields
+  if (path === '/metafields.json') {
+    if (method === 'POST') {
+      return [201, { metafield: createMetafield(state, 'shop', state.shop.id, body.metafield || {}) }];
+    }
+    return [200, { metafields: findMetafields(state, 'shop', state.shop.id, query) }];
+  }
+
+  if ((match = path.match(/^\/metafields\/(\d+)\.json$/))) {
+    const metafield = state.metafields.find(m => m.id === parseInt(match[1], 10));
+    if (!metafield) return [404, { errors: 'Not Found' }];
+
+    if (method === 'PUT') {
+      touchMetafield(Object.assign(metafield, { value: body.metafield?.value }));
+    }
+    return [200, { metafield }];
+  }
+
+  // Gift cards
+  if (method === 'POST' && path === '/gift_cards.json') {
+    const input = body.gift_card || {};
+    const giftCard = {
+      id: state.nextId++,
+      code: `MOCK${Math.random().toString(36).slice(2, 14).toUpperCase()}`,
+      initial_value: input.initial_value,
+      balance: input.initial_value,
+      currency: input.currency || 'CAD',
+      note: input.note || null,
+      disabled_at: null
+    };
+    state.giftCards.push(giftCard);
+    return [201, { gift_card: giftCard }];
+  }
+
+  if ((match = path.match(/^\/gift_cards\/(\d+)\/disable\.json$/)) && method === 'POST') {
+    const giftCard = state.giftCards.find(g => g.id === parseInt(match[1], 10));
+    if (!giftCard) return [404, { errors: 'Not Found' }];
+    giftCard.disabled_at = giftCard.disabled_at || new Date().toISOString();
+    return [200, { gift_card: giftCard }];
+  }
+
+  return [404, { errors: `Mock Admin API has no route for ${method} ${path}` }];
+}
+
+// ---------- Server ----------
+
+/**
+ * Start the mock on a free local port.
+ * @returns {Promise<{ url, state, requests, reset, failNext, close }>}
+ */
+async function startMockShopify() {
+  let state = createState();
+  const requests = [];
+  const failures = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const versioned = url.pathname.match(/^\/admin\/api\/([\w-]+)(\/.*)$/);
+      const send = (status, payload) => {
+        // Rate limits come with Retry-After, like Shopify's; 0 keeps retrying tests fast
+        res.writeHead(status, { 'Content-Type': 'application/json', ...(status === 429 ? { 'Retry-After': '0' } : {}) });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (!versioned) return send(404, { errors: 'Not Found' });
+      if (!req.headers['x-shopify-access-token']) {
+        return send(401, { errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+      }
+
+      const [, apiVersion, path] = versioned;
+      const query = Object.fromEntries(url.searchParams);
+      let body = {};
+      try {
+        body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : {};
+      } catch (e) {
+        return send(400, { errors: 'Invalid JSON' });
+      }
+
+      requests.push({ method: req.method, path, query, body, apiVersion });
+
+      const failureIndex = failures.findIndex(f => f.method === req.method && f.path === path);
+      if (failureIndex !== -1) {
+        const [failure] = failures.splice(failureIndex, 1);
+        return send(failure.status, failure.body);
+      }
+
+      if (path === '/graphql.json' && req.method === 'POST') {
+        const result = handleGraphQL(state, body);
+        return send(200, { ...result, extensions: { cost: GRAPHQL_COST } });
+      }
+
+      const [status, payload] = handleRest(state, req.method, path, query, body);
+      return send(status, payload);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    get state() {
+      return state;
+    },
+    requests,
+    // Back to the fixture store, with the request log and queued failures cleared
+    reset() {
+      state = createState();
+      requests.length = 0;
+      failures.length = 0;
+    },
+    // Answer the next matching request with this status instead of handling it
+    failNext(method, path, status = 500, body = { errors: 'Mock failure' }) {
+      failures.push({ method, path, status, body });
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  startMockShopify,
+  parseQuery
+};
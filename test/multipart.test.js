@@ -0,0 +1,109 @@
+// test/multipart.test.js
+// Streaming multipart parsing: binary files intact, several image fields, size caps (413)
+// and type checks (415).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { multipartRequest } = require('./helpers');
+
+const { parseMultipartForm, sniffImageType, UploadError } = require('../lib/multipart');
+
+const JPEG_HEADER = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Every byte value, and the sequences a string-splitting parser trips on
+function binaryImage(header, size = 5000) {
+  const body = Buffer.alloc(size);
+  for (let i = 0; i < size; i++) body[i] = (i * 7) % 256;
+  body.write('\r\n--', 100, 'latin1');
+  body.write('\r\n------tradeinTestBoundar', 2000, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+const rejection = async (promise) => {
+  const err = await promise.then(() => null, e => e);
+  assert.ok(err instanceof UploadError, `expected an UploadError, got ${err}`);
+  return err;
+};
+
+describe('multipart parsing', () => {
+  it('keeps binary files byte for byte across several fields', async () => {
+    const front = binaryImage(JPEG_HEADER);
+    const back = binaryImage(PNG_HEADER, 3000);
+
+    const { fields, files } = await parseMultipartForm(multipartRequest({ game: 'pokemon', note: 'pocket 3' }, [
+      { field: 'front', filename: 'front.jpg', mimetype: 'image/jpeg', data: front },
+      // Declared type wrong but still an image: the bytes decide
+      { field: 'back', filename: 'back.jpg', mimetype: 'image/jpeg', data: back }
+    ]));
+
+    assert.deepEqual(fields, { game: 'pokemon', note: 'pocket 3' });
+    assert.ok(files.front.data.equals(front));
+    assert.equal(files.front.mimetype, 'image/jpeg');
+    assert.ok(files.back.data.equals(back));
+    assert.equal(files.back.size, back.length);
+    assert.equal(files.back.mimetype, 'image/png');
+    assert.equal(files.back.declaredMimetype, 'image/jpeg');
+  });
+
+  it('recognizes the accepted image signatures', () => {
+    assert.equal(sniffImageType(JPEG_HEADER), 'image/jpeg');
+    assert.equal(sniffImageType(PNG_HEADER), 'image/png');
+    assert.equal(sniffImageType(Buffer.from('RIFF\x10\x00\x00\x00WEBPVP8 ', 'latin1')), 'image/webp');
+    assert.equal(sniffImageType(Buffer.from('\x00\x00\x00\x18ftypheic\x00\x00\x00\x00', 'latin1')), 'image/heic');
+    assert.equal(sniffImageType(Buffer.from('\x00\x00\x00\x18ftypmif1\x00\x00\x00\x00', 'latin1')), 'image/heif');
+    assert.equal(sniffImageType(Buffer.from('%PDF-1.7')), null);
+    assert.equal(sniffImageType(Buffer.alloc(0)), null);
+  });
+
+  it('answers 413 past a size cap', async () => {
+    const image = binaryImage(JPEG_HEADER, 4000);
+    const file = (field) => ({ field, filename: `${field}.jpg`, mimetype: 'image/jpeg', data: image });
+
+    const perFile = await rejection(parseMultipartForm(multipartRequest({}, file('image')), { limits: { maxFileSize: 3000 } }));
+    assert.equal(perFile.status, 413);
+    assert.equal(perFile.code, 'FILE_TOO_LARGE');
+
+    const total = await rejection(parseMultipartForm(multipartRequest({}, [file('front'), file('back')]), {
+      limits: { maxTotalFileSize: 6000, maxFieldsSize: 1000000 }
+    }));
+    assert.equal(total.status, 413);
+    assert.equal(total.code, 'UPLOAD_TOO_LARGE');
+
+    // Refused from Content-Length before any of the body is read
+    const declared = await rejection(parseMultipartForm(multipartRequest({}, file('image')), {
+      limits: { maxTotalFileSize: 1000, maxFieldsSize: 1000 }
+    }));
+    assert.equal(declared.status, 413);
+
+    const many = await rejection(parseMultipartForm(multipartRequest({}, [file('front'), file('back')]), { limits: { maxFiles: 1 } }));
+    assert.equal(many.code, 'TOO_MANY_FILES');
+  });
+
+  it('answers 415 for anything but an image upload', async () => {
+    const pdf = { field: 'image', filename: 'card.pdf', mimetype: 'application/pdf', data: Buffer.from('%PDF-1.7 ...') };
+    assert.equal((await rejection(parseMultipartForm(multipartRequest({}, pdf)))).status, 415);
+
+    const disguised = { ...pdf, filename: 'card.jpg', mimetype: 'image/jpeg' };
+    const err = await rejection(parseMultipartForm(multipartRequest({}, disguised)));
+    assert.equal(err.status, 415);
+    assert.equal(err.code, 'UNSUPPORTED_MEDIA_TYPE');
+
+    const json = Readable.from([Buffer.from('{"image":"..."}')]);
+    json.headers = { 'content-type': 'application/json' };
+    assert.equal((await rejection(parseMultipartForm(json))).status, 415);
+  });
+
+  it('only takes files in the expected fields', async () => {
+    const file = { field: 'attachment', filename: 'a.jpg', mimetype: 'image/jpeg', data: JPEG_HEADER };
+    const err = await rejection(parseMultipartForm(multipartRequest({}, file), { fileFields: ['image', 'back'] }));
+    assert.equal(err.status, 400);
+    assert.equal(err.code, 'UNEXPECTED_FILE');
+
+    // An empty file input is no file at all
+    const empty = { field: 'back', filename: '', mimetype: 'application/octet-stream', data: Buffer.alloc(0) };
+    const { files } = await parseMultipartForm(multipartRequest({}, empty), { fileFields: ['image', 'back'] });
+    assert.deepEqual(files, {});
+  });
+});
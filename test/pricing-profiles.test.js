@@ -0,0 +1,142 @@
+// test/pricing-profiles.test.js
+// Versioned pricing profiles: picking the one in effect, append-only versions and rollback,
+// the admin API (fails closed without a token), trades priced by the active profile, and the
+// customer portal pricing with the same code from /api/pricing-rules.
+
+const vm = require('vm');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockShopify, invoke, shopMetafield, ADMIN_TOKEN } = require('./helpers');
+
+const {
+  selectActiveProfile,
+  buildActivePricing,
+  createProfile,
+  updateProfile,
+  setProfileEnabled,
+  rollbackProfile
+} = require('../lib/pricing-profiles');
+const handler = require('../api/pricing-profiles');
+const rulesHandler = require('../api/pricing-rules');
+const buyback = require('../api/buybackstep4');
+
+const ctx = useMockShopify({ before, after, beforeEach });
+
+const action = (body) => invoke(handler, { body, admin: true });
+const estimateLuffy = () => invoke(buyback, {
+  query: { estimate: 'true' },
+  body: { employeeName: 'Sam', payoutMethod: 'cash', cards: [{ cardName: 'Monkey.D.Luffy OP09-001', quantity: 1, condition: 'NM' }] }
+});
+
+describe('profile versions', () => {
+  it('appends a version per edit and rolls back by republishing an old one', () => {
+    const profiles = [];
+    const { profile } = createProfile(profiles, { name: 'Weekend Bonus', rules: { bonusMultiplier: 1.1 } });
+    updateProfile(profiles, profile.id, { rules: { bonusMultiplier: 1.25 }, note: 'Bigger weekend' });
+
+    assert.equal(profile.currentVersion, 2);
+    assert.equal(buildActivePricing(profile).rules.bonusMultiplier, 1.25);
+
+    rollbackProfile(profiles, profile.id, 1);
+    assert.deepEqual(profile.versions.map(v => v.version), [1, 2, 3]);
+    assert.equal(profile.currentVersion, 3);
+    assert.equal(profile.versions[2].note, 'Rollback to version 1');
+    assert.deepEqual(buildActivePricing(profile).profile, { id: profile.id, name: 'Weekend Bonus', version: 3 });
+    assert.equal(buildActivePricing(profile).rules.bonusMultiplier, 1.1);
+    // History is untouched
+    assert.equal(profile.versions[1].rules.bonusMultiplier, 1.25);
+
+    assert.equal(rollbackProfile(profiles, profile.id, 9).status, 404);
+    assert.ok(updateProfile(profiles, profile.id, { rules: { bonusMultiplier: -1 } }).error);
+    assert.equal(profile.currentVersion, 3);
+  });
+
+  it('applies the enabled profile whose window holds now, latest start first', () => {
+    const profiles = [];
+    const now = new Date('2026-06-15T12:00:00Z');
+    const summer = createProfile(profiles, { name: 'Summer', startsAt: '2026-06-01', endsAt: '2026-09-01' }).profile;
+    const weekend = createProfile(profiles, { name: 'Weekend', startsAt: '2026-06-13', endsAt: '2026-06-16' }).profile;
+    const expired = createProfile(profiles, { name: 'Spring', startsAt: '2026-03-01', endsAt: '2026-06-01' }).profile;
+
+    assert.equal(selectActiveProfile(profiles, now), null);
+    [summer, weekend, expired].forEach(profile => setProfileEnabled(profiles, profile.id, true));
+    assert.equal(selectActiveProfile(profiles, now).id, weekend.id);
+    assert.equal(selectActiveProfile(profiles, new Date('2026-06-20T00:00:00Z')).id, summer.id);
+    assert.equal(buildActivePricing(null).profile.id, 'standard');
+
+    assert.ok(createProfile(profiles, { name: 'Backwards', startsAt: '2026-06-02', endsAt: '2026-06-01' }).error);
+  });
+});
+
+describe('pricing profiles API', () => {
+  it('creates, activates and rolls back a profile that trades are then priced by', async () => {
+    const standard = (await estimateLuffy()).body.results[0].suggestedTradeValue;
+
+    const created = await action({ action: 'create', name: 'Double Luffy', rules: { bonusMultiplier: 2 } });
+    assert.equal(created.statusCode, 201);
+    const { id } = created.body.profile;
+    await action({ action: 'activate', profileId: id });
+    await action({ action: 'update', profileId: id, rules: { bonusMultiplier: 3 } });
+
+    const boosted = await estimateLuffy();
+    assert.equal(boosted.body.results[0].suggestedTradeValue, Math.round(standard * 300) / 100);
+    assert.deepEqual(boosted.body.pricingProfile, { id, name: 'Double Luffy', version: 2 });
+
+    const rolledBack = await action({ action: 'rollback', profileId: id, version: 1 });
+    assert.equal(rolledBack.body.activeProfile.version, 3);
+    assert.equal((await estimateLuffy()).body.results[0].suggestedTradeValue, Math.round(standard * 200) / 100);
+
+    const stored = shopMetafield(ctx.mock, 'trade_in_system', 'pricing_profiles');
+    assert.deepEqual(stored[0].versions.map(v => v.rules.bonusMultiplier), [2, 3, 2]);
+
+    assert.equal((await action({ action: 'rollback', profileId: id })).statusCode, 400);
+    assert.equal((await action({ action: 'publish', profileId: id })).statusCode, 400);
+  });
+
+  it('refuses requests without the admin token, and everyone when none is configured', async () => {
+    assert.equal((await invoke(handler, { method: 'GET' })).statusCode, 401);
+    assert.equal((await invoke(handler, { method: 'GET', headers: { authorization: 'Bearer wrong' } })).statusCode, 401);
+    assert.equal((await invoke(handler, { method: 'GET', admin: true })).statusCode, 200);
+
+    delete process.env.TRADE_ADMIN_TOKEN;
+    try {
+      const res = await invoke(handler, { method: 'GET', admin: true });
+      assert.equal(res.statusCode, 503);
+    } finally {
+      process.env.TRADE_ADMIN_TOKEN = ADMIN_TOKEN;
+    }
+  });
+});
+
+describe('portal pricing', () => {
+  // The portal page: the served script, then the rules it fetches
+  async function loadPortalPricing() {
+    const script = await invoke(rulesHandler, { method: 'GET', query: { format: 'js' } });
+    assert.equal(script.statusCode, 200);
+    assert.match(script.headers['content-type'], /^application\/javascript/);
+
+    const page = { window: {} };
+    vm.runInNewContext(script.body, page);
+    const { rules } = (await invoke(rulesHandler, { method: 'GET' })).body;
+    return { PricingRules: page.window.PricingRules, rules, globals: Object.keys(page) };
+  }
+
+  it('quotes what the buyback endpoint pays, under the active profile', async () => {
+    const created = await action({ action: 'create', name: 'Bonus', rules: { bonusMultiplier: 1.5, games: { 'one-piece': { payoutMethods: { cash: 0.8 } } } } });
+    await action({ action: 'activate', profileId: created.body.profile.id });
+
+    const [luffy] = (await estimateLuffy()).body.results;
+    const { PricingRules, rules, globals } = await loadPortalPricing();
+    const quote = PricingRules.calculateTradeValues(luffy.retailPrice, {
+      condition: 'NM',
+      conditionPrice: null,
+      payoutMethod: 'cash',
+      game: luffy.game,
+      productType: luffy.productType
+    }, rules).payoutTradeValue;
+
+    assert.equal(quote, luffy.suggestedTradeValue);
+    assert.equal(quote, Math.round(8 * 0.4 * 1.5 * 0.8 * 100) / 100);
+    assert.deepEqual(globals, ['window']);
+  });
+});
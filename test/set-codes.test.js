@@ -0,0 +1,82 @@
+// test/set-codes.test.js
+// lib/set-codes.js against card names as staff and customers type them, and as store titles
+// spell them.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SET_CODE_REGISTRY, findSetCodes, canonicalSetCode } = require('../lib/set-codes');
+const { extractPotentialTags, normalizeCardNumber } = require('../lib/card-search');
+
+// [input, game, canonical tag]
+const CORPUS = [
+  ['Monkey.D.Luffy OP09-001', 'one-piece', 'OP09001'],
+  ['op9 1', 'one-piece', 'OP09001'],
+  ['Yamato EB01-061', 'one-piece', 'EB01061'],
+  ['Uta ST11-001', 'one-piece', 'ST11001'],
+  ['Nami PRB01-044', 'one-piece', 'PRB01044'],
+  ['Charizard ex SV3-125', 'pokemon', 'SV03125'],
+  ['Pikachu sv7 25', 'pokemon', 'SV07025'],
+  ['Umbreon VMAX SWSH7 215', 'pokemon', 'SWSH07215'],
+  ['Pikachu with Grey Felt Hat SVP 085', 'pokemon', 'SVP085'],
+  ['Pikachu SVP EN 101', 'pokemon', 'SVP101'],
+  ['Charizard V SWSH050', 'pokemon', 'SWSH050'],
+  ['Detective Pikachu SM190', 'pokemon', 'SM190'],
+  ['Hisuian Zoroark VSTAR TG05/TG30', 'pokemon', 'TG05'],
+  ['Pikachu VMAX TG17', 'pokemon', 'TG17'],
+  ['Umbreon VMAX GG35/GG70', 'pokemon', 'GG35'],
+  ['Pikachu ex sv4a 190/190', 'pokemon', 'SV4A190'],
+  ['Lugia V s12a', 'pokemon', 'S12A'],
+  ['Blue-Eyes White Dragon LOB-EN001', 'yugioh', 'LOBEN001'],
+  ['Accesscode Talker MP22-EN045', 'yugioh', 'MP22EN045'],
+  ['Dark Magician SDK-001', 'yugioh', 'SDK001'],
+  ['Sheoldred, the Apocalypse (DMU) 107', 'magic', 'DMU107'],
+  ['Ragavan, Nimble Pilferer MH2 #138', 'magic', 'MH2138'],
+  ['The One Ring (LTR) #246a', 'magic', 'LTR246A'],
+  ['Elsa - Spirit of Winter TFC 42/204', 'lorcana', 'TFC042'],
+  ['Ursula URR-001', 'lorcana', 'URR001'],
+  ['Son Goku BT1-001', 'dragon-ball-super', 'BT01001'],
+  ['Son Goku FB01-139', 'dragon-ball-super', 'FB01139']
+];
+
+// Card names with no set code in them
+const NO_CODE = [
+  'Charizard ex 199/165',
+  'Charizard PSA-10',
+  'Pikachu VMAX',
+  'Mew #151',
+  'Blue-Eyes White Dragon',
+  'Monkey.D.Luffy - Emperors in the New World'
+];
+
+describe('set-code registry', () => {
+  CORPUS.forEach(([input, game, tag]) => {
+    it(`reads "${input}" as ${game} ${tag}`, () => {
+      assert.deepEqual(findSetCodes(input).map(code => [code.game, code.tag]), [[game, tag]]);
+    });
+  });
+
+  it('finds no set code in plain names and card numbers', () => {
+    NO_CODE.forEach(input => assert.deepEqual(findSetCodes(input), [], input));
+  });
+
+  it('has a display name and formats for every game', () => {
+    SET_CODE_REGISTRY.forEach(entry => {
+      assert.ok(entry.displayName, entry.game);
+      assert.ok(entry.formats.length > 0, entry.game);
+    });
+  });
+
+  it('canonicalizes a name only when it is just a set code', () => {
+    assert.equal(canonicalSetCode(' lob-en001 '), 'LOBEN001');
+    assert.equal(canonicalSetCode('Luffy OP09-001'), null);
+    assert.equal(normalizeCardNumber('TG05/TG30'), 'TG05');
+    assert.equal(normalizeCardNumber('Pikachu'), 'Pikachu');
+  });
+
+  it('feeds the canonical tags to tag search', () => {
+    assert.ok(extractPotentialTags('Dark Magician SDK-001').includes('SDK001'));
+    assert.ok(extractPotentialTags('Pikachu ex sv4a 190/190').includes('SV4A190'));
+    assert.ok(extractPotentialTags('Hisuian Zoroark VSTAR TG05/TG30').includes('TG05'));
+  });
+});
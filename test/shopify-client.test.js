@@ -0,0 +1,144 @@
+// test/shopify-client.test.js
+// lib/shopify-client.js retries against the mock Admin API: GraphQL THROTTLED and the
+// throttleStatus bucket (lib/graphql-throttle.js), backoff on 5xx and network failures, and
+// never repeating a POST or a mutation.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockShopify } = require('./helpers');
+
+const {
+  createShopifyClient,
+  ShopifyRateLimitError,
+  ShopifyNetworkError
+} = require('../lib/shopify-client');
+const { createGraphQLThrottle } = require('../lib/graphql-throttle');
+
+const ctx = useMockShopify({ before, after, beforeEach });
+
+const client = (options = {}) => createShopifyClient({ domain: 'mock-card-shop.myshopify.com', accessToken: 'shpat_test', baseUrl: ctx.mock.url, ...options });
+const requestsTo = (method, path) => ctx.mock.requests.filter(r => r.method === method && r.path === path);
+
+const PRODUCTS_QUERY = 'query { products(first: 1, query: "Pikachu") { edges { node { id } } } }';
+const MUTATION = 'mutation { giftCardCreate(input: { initialValue: "5.00" }) { giftCard { id } } }';
+const graphqlBody = (query) => ({ method: 'POST', body: JSON.stringify({ query }) });
+
+const bucket = (currentlyAvailable, restoreRate, requestedQueryCost) => ({
+  requestedQueryCost,
+  throttleStatus: { maximumAvailable: 1000, currentlyAvailable, restoreRate }
+});
+const THROTTLED = {
+  errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+  extensions: { cost: bucket(0, 1000, 10) }
+};
+
+// fetch failing at the socket `times` times before going through
+async function withFailingFetch(times, fn) {
+  const realFetch = globalThis.fetch;
+  let calls = 0;
+  globalThis.fetch = (...args) => {
+    calls++;
+    return calls <= times ? Promise.reject(new TypeError('fetch failed')) : realFetch(...args);
+  };
+  try {
+    await fn();
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+  return calls;
+}
+
+describe('GraphQL throttling', () => {
+  it('retries a query answered THROTTLED once the bucket has refilled', async () => {
+    ctx.mock.failNext('POST', '/graphql.json', 200, THROTTLED);
+
+    const data = await client().graphql(PRODUCTS_QUERY);
+
+    assert.equal(data.products.edges.length, 1);
+    assert.equal(requestsTo('POST', '/graphql.json').length, 2);
+  });
+
+  it('gives up on THROTTLED after the last retry', async () => {
+    ctx.mock.failNext('POST', '/graphql.json', 200, THROTTLED);
+
+    await assert.rejects(client({ maxRetries: 0 }).graphql(PRODUCTS_QUERY), ShopifyRateLimitError);
+    assert.equal(requestsTo('POST', '/graphql.json').length, 1);
+  });
+
+  it('waits for the points the last response said were missing', async () => {
+    const shopify = client();
+    // The first query leaves the bucket empty, refilling 1000 points a second, and cost 400
+    ctx.mock.failNext('POST', '/graphql.json', 200, { data: { products: { edges: [] } }, extensions: { cost: bucket(0, 1000, 400) } });
+    await shopify.graphql(PRODUCTS_QUERY);
+
+    const started = Date.now();
+    await shopify.graphql(PRODUCTS_QUERY);
+    assert.ok(Date.now() - started >= 350, `waited ${Date.now() - started}ms`);
+  });
+
+  // Dividing by the reported rate of 0 would wait Infinity ms, which setTimeout fires at once
+  it('refills at the default rate when the bucket reports no restore rate', { timeout: 2000 }, async () => {
+    const throttle = createGraphQLThrottle();
+    throttle.update(bucket(0, 0, 10));
+
+    const started = Date.now();
+    await throttle.acquire();
+    assert.ok(Date.now() - started >= 150);
+  });
+});
+
+describe('retries', () => {
+  it('backs off and retries a GET answered 5xx', async () => {
+    ctx.mock.failNext('GET', '/shop.json', 503);
+    ctx.mock.failNext('GET', '/shop.json', 502);
+
+    const response = await client().request('/shop.json');
+
+    assert.equal(response.status, 200);
+    assert.equal(requestsTo('GET', '/shop.json').length, 3);
+  });
+
+  it('retries GETs and GraphQL queries after a network failure', async () => {
+    const shopify = client();
+    let response;
+    const calls = await withFailingFetch(1, async () => {
+      response = await shopify.request('/shop.json');
+    });
+    assert.equal(response.status, 200);
+    assert.equal(calls, 2);
+
+    const queryCalls = await withFailingFetch(1, () => shopify.graphql(PRODUCTS_QUERY));
+    assert.equal(queryCalls, 2);
+  });
+
+  it('never repeats a POST or a mutation that may have run', async () => {
+    const shopify = client();
+
+    ctx.mock.failNext('POST', '/gift_cards.json', 503);
+    const post = await shopify.request('/gift_cards.json', { method: 'POST', body: JSON.stringify({ gift_card: { initial_value: '5.00' } }) });
+    assert.equal(post.status, 503);
+    assert.equal(requestsTo('POST', '/gift_cards.json').length, 1);
+
+    ctx.mock.failNext('POST', '/graphql.json', 502);
+    const mutation = await shopify.request('/graphql.json', graphqlBody(MUTATION));
+    assert.equal(mutation.status, 502);
+    assert.equal(requestsTo('POST', '/graphql.json').length, 1);
+
+    let calls = await withFailingFetch(1, () =>
+      assert.rejects(shopify.request('/gift_cards.json', { method: 'POST', body: '{}' }), ShopifyNetworkError));
+    assert.equal(calls, 1);
+    calls = await withFailingFetch(1, () =>
+      assert.rejects(shopify.request('/graphql.json', graphqlBody(MUTATION)), ShopifyNetworkError));
+    assert.equal(calls, 1);
+    assert.equal(ctx.mock.state.giftCards.length, 0);
+  });
+
+  it('still retries a POST answered 429, which Shopify never ran', async () => {
+    ctx.mock.failNext('POST', '/gift_cards.json', 429, { errors: 'Exceeded 2 calls per second' });
+
+    const response = await client().request('/gift_cards.json', { method: 'POST', body: JSON.stringify({ gift_card: { initial_value: '5.00' } }) });
+
+    assert.equal(response.status, 201);
+    assert.equal(ctx.mock.state.giftCards.length, 1);
+  });
+});
@@ -0,0 +1,161 @@
+// test/shopify-image-match.test.js
+// /api/shopify-image-match against the mock Admin API, with the OCR text sent by the frontend
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { useMockShopify, invokeMultipart, withEnv } = require('./helpers');
+const { terminateWorker } = require('../lib/card-ocr');
+const { SYMBOL_LIBRARY } = require('../lib/card-symbols');
+
+const ctx = useMockShopify({ before, after, beforeEach });
+
+const IMAGE = { field: 'image', filename: 'card.jpg', mimetype: 'image/jpeg', data: Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]) };
+
+let handler;
+before(async () => {
+  // ES module handler (Vercel bundles it); loaded here so the env is set first
+  ({ default: handler } = await import('../api/shopify-image-match.js'));
+});
+// The multi-card photo is read here, which starts an OCR worker
+after(terminateWorker);
+
+// 16 blank cards on a dark table, four rows of four
+async function sixteenCardPhoto() {
+  const [width, height] = [520, 640];
+  const pixels = Buffer.alloc(width * height, 40);
+  for (let card = 0; card < 16; card++) {
+    const [left, top] = [20 + (card % 4) * 125, 20 + Math.floor(card / 4) * 155];
+    for (let y = top; y < top + 140; y++) pixels.fill(210, y * width + left, y * width + left + 100);
+  }
+  const data = await sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+  return { field: 'image', filename: 'page.png', mimetype: 'image/png', data };
+}
+
+describe('image match', () => {
+  it('finds the Pokemon single from the card number in the OCR text', async () => {
+    const res = await invokeMultipart(handler, {
+      extracted_text: 'Pikachu\nHP 60\nPokemon 025/198',
+      match_threshold: '0.1'
+    }, IMAGE);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.shop_name, 'Mock Card Shop');
+    assert.equal(res.body.ocr_source, 'frontend');
+    assert.equal(res.body.ocr_fields.name.value, 'Pikachu');
+    assert.deepEqual(res.body.ocr_fields.set_number, { value: '025', confidence: null });
+    assert.equal(res.body.ocr_fields.hp.value, 60);
+    assert.ok(res.body.matches.length > 0);
+    assert.match(res.body.matches[0].title, /Pikachu/);
+    assert.equal(res.body.matches[0].sku, 'SVI-025');
+    assert.equal(res.body.matches[0].match_reason, 'text');
+    assert.equal(res.body.matches[0].visual_score, null);
+    // The stub photo can't be decoded, so there are no edition signals to pick a printing by
+    assert.equal(res.body.edition_signals, null);
+    assert.ok(res.body.edition_error);
+    assert.deepEqual(res.body.matches[0].variant_signals, []);
+    assert.match(res.body.searchMethod, /^tag_/);
+    assert.equal(res.body.confidence, 'high');
+    // Read-only: REST GETs and GraphQL queries, never a mutation
+    assert.ok(ctx.mock.requests.every(request =>
+      request.method === 'GET' || (request.path === '/graphql.json' && !/^\s*mutation/.test(request.body.query))
+    ));
+  });
+
+  it('reports a stand-in stamp without letting it pick the printing', async () => {
+    ctx.mock.state.products.push({
+      id: 8010,
+      title: 'Charizard - 4/102 - Base Set',
+      product_type: 'Pokemon Single',
+      tags: ['pokemon', 'base set', '4102'],
+      variants: [
+        { id: 9010, title: 'Unlimited', sku: 'BS-4-UL', price: '300.00', inventory_item_id: 5010, inventory_quantity: 1 },
+        { id: 9011, title: '1st Edition', sku: 'BS-4-1ED', price: '9000.00', inventory_item_id: 5011, inventory_quantity: 1 }
+      ]
+    });
+    // A card-sized photo with the library's 1st Edition stamp below the art box
+    const firstEdition = SYMBOL_LIBRARY.find(symbol => symbol.id === 'first-edition');
+    const stampImage = await sharp(Buffer.from(firstEdition.svg)).resize(54, 54).png().toBuffer();
+    const data = await sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="630" height="880">
+        <defs><linearGradient id="g" x2="1" y2="1"><stop offset="0" stop-color="#999"/><stop offset="1" stop-color="#ccc"/></linearGradient></defs>
+        <rect width="630" height="880" fill="url(#g)"/>
+      </svg>`))
+      .composite([{ input: stampImage, left: 60, top: 460 }])
+      .jpeg()
+      .toBuffer();
+
+    const res = await invokeMultipart(handler, { extracted_text: 'Charizard\nHP 120\n4/102', match_threshold: '0.1' },
+      { field: 'image', filename: 'card.jpg', mimetype: 'image/jpeg', data });
+
+    assert.equal(res.statusCode, 200);
+    const stamp = res.body.edition_signals.stamps.find(symbol => symbol.id === 'first-edition');
+    assert.deepEqual([stamp.present, stamp.traced], [true, false]);
+    assert.equal(res.body.matches[0].sku, 'BS-4-UL');
+    assert.deepEqual(res.body.matches[0].variant_signals, []);
+    assert.equal(res.body.printing_changed, false);
+  });
+
+  it('treats a multi-card photo it cannot split as one card', async () => {
+    const res = await invokeMultipart(handler, {
+      multi_card: 'true',
+      extracted_text: 'Pikachu\nHP 60\nPokemon 025/198',
+      match_threshold: '0.1'
+    }, IMAGE);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.multi_card, true);
+    assert.equal(res.body.cards_detected, 0);
+    assert.ok(res.body.detection_error);
+    assert.equal(res.body.cards.length, 1);
+    assert.equal(res.body.cards[0].index, 0);
+    assert.equal(res.body.cards[0].matches[0].sku, 'SVI-025');
+    assert.equal(res.body.cards[0].card_query, 'Pikachu 025/198');
+  });
+
+  it('says when a photo has more cards than it matches', async () => {
+    const res = await invokeMultipart(handler, { multi_card: 'true' }, await sixteenCardPhoto());
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual([res.body.cards_detected, res.body.cards_truncated, res.body.max_cards], [16, true, 12]);
+    assert.equal(res.body.cards.length, 12);
+    assert.deepEqual(res.body.cards_skipped, []);
+    assert.equal(res.body.partial, false);
+  });
+
+  it('answers with what it has once the time budget is spent', async () => {
+    const res = await withEnv({ MULTI_CARD_BUDGET_MS: '1' }, async () =>
+      invokeMultipart(handler, { multi_card: 'true' }, await sixteenCardPhoto()));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.partial, true);
+    assert.equal(res.body.cards.length, 0);
+    assert.deepEqual(res.body.cards_skipped.map(card => card.index), [...Array(12).keys()]);
+    assert.ok(res.body.cards_skipped[0].bounding_box);
+  });
+
+  it('rejects a request without an image', async () => {
+    const res = await invokeMultipart(handler, { extracted_text: 'Pikachu' });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(ctx.mock.requests.length, 0);
+  });
+
+  it('needs the store configured', async () => {
+    const res = await withEnv({ SHOPIFY_DOMAIN: undefined, SHOPIFY_STORE: undefined },
+      () => invokeMultipart(handler, { extracted_text: 'Pikachu' }, IMAGE));
+    assert.equal(res.statusCode, 500);
+    assert.match(res.body.details, /SHOPIFY_DOMAIN/);
+    assert.equal(ctx.mock.requests.length, 0);
+  });
+
+  it('refuses uploads that are not card photos', async () => {
+    const pdf = await invokeMultipart(handler, { extracted_text: 'Pikachu' },
+      { field: 'image', filename: 'card.jpg', mimetype: 'image/jpeg', data: Buffer.from('%PDF-1.7') });
+    assert.equal(pdf.statusCode, 415);
+    assert.equal(pdf.body.code, 'UNSUPPORTED_MEDIA_TYPE');
+
+    const extra = await invokeMultipart(handler, {}, [IMAGE, { ...IMAGE, field: 'receipt' }]);
+    assert.equal(extra.statusCode, 400);
+    assert.equal(ctx.mock.requests.length, 0);
+  });
+});
@@ -0,0 +1,68 @@
+// test/trade-ledger.test.js
+// lib/trade-ledger.js against the mock Admin API: the shared trade index keeping every entry
+// when trades are recorded at the same time.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockShopify, shopMetafield } = require('./helpers');
+
+const { makeShopifyRequest } = require('../lib/shopify-client');
+const { generateTradeId, recordTrade, saveIndexEntry } = require('../lib/trade-ledger');
+
+const ctx = useMockShopify({ before, after, beforeEach });
+
+const trade = (overrides = {}) => ({
+  id: generateTradeId(),
+  createdAt: new Date().toISOString(),
+  status: 'completed',
+  employeeName: 'Sam',
+  payoutMethod: 'cash',
+  totals: { finalPayout: 10 },
+  cards: [{ cardName: 'Charizard ex 199/165', quantity: 1, productId: 8001, inventoryUpdated: true }],
+  ...overrides
+});
+
+const indexIds = () => (shopMetafield(ctx.mock, 'trade_in_system', 'trade_ledger_index') || []).map(entry => entry.id);
+
+describe('trade index', () => {
+  it('keeps both entries when another trade is indexed between the read and the write', async () => {
+    await recordTrade(makeShopifyRequest, trade());
+    const [a, b] = [trade(), trade()];
+
+    // B reads the index, then stalls until A has written its entry
+    let releaseB;
+    const aIndexed = new Promise(resolve => { releaseB = resolve; });
+    let bRequests = 0;
+    const stalledRequest = async (endpoint, options) => {
+      if (bRequests++ > 0) await aIndexed;
+      return makeShopifyRequest(endpoint, options);
+    };
+
+    const pending = saveIndexEntry(stalledRequest, b);
+    await saveIndexEntry(makeShopifyRequest, a);
+    releaseB();
+    await pending;
+
+    assert.equal(indexIds().length, 3);
+    assert.deepEqual(indexIds().slice(0, 2), [b.id, a.id]);
+  });
+
+  it('keeps every one of several trades recorded at once', async () => {
+    const trades = [trade(), trade(), trade(), trade()];
+
+    await Promise.all(trades.map(entry => recordTrade(makeShopifyRequest, entry)));
+
+    assert.deepEqual(indexIds().sort(), trades.map(entry => entry.id).sort());
+  });
+
+  it('replaces a trade\'s entry in place when it is recorded again', async () => {
+    const [first, second] = [trade(), trade()];
+    await recordTrade(makeShopifyRequest, first);
+    await recordTrade(makeShopifyRequest, second);
+
+    await recordTrade(makeShopifyRequest, { ...first, status: 'voided' });
+
+    const index = shopMetafield(ctx.mock, 'trade_in_system', 'trade_ledger_index');
+    assert.deepEqual(index.map(entry => [entry.id, entry.status]), [[second.id, 'completed'], [first.id, 'voided']]);
+  });
+});
@@ -0,0 +1,193 @@
+// test/trades.test.js
+// /api/trades: listing and filtering the ledger, fetching a trade for its receipt, and voiding
+// committed trades: a full reversal, double and concurrent voids (including a claim that loses
+// the race after reading the trade), and a void that fails part-way being retried.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockShopify, invoke, shopMetafield, inventoryLevel } = require('./helpers');
+
+const buyback = require('../api/buybackstep4');
+const handler = require('../api/trades');
+const { claimTradeVoid } = require('../lib/trade-void');
+const { generateTradeId, recordTrade } = require('../lib/trade-ledger');
+const { makeShopifyRequest } = require('../lib/shopify-client');
+
+const ctx = useMockShopify({ before, after, beforeEach });
+
+const MAIN_STORE = 71001;
+const CHARIZARD_NM_ITEM = 5001;
+
+// Two rows of the same variant: each is its own inventory step
+const CARDS = [
+  { cardName: 'Charizard ex 199/165', quantity: 1, condition: 'NM' },
+  { cardName: 'Charizard ex 199/165', quantity: 2, condition: 'NM' }
+];
+
+async function commitTrade(payoutMethod = 'gift-card') {
+  const res = await invoke(buyback, { body: { employeeName: 'Sam', payoutMethod, cards: CARDS } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(inventoryLevel(ctx.mock, CHARIZARD_NM_ITEM, MAIN_STORE), 5);
+  return res.body.tradeId;
+}
+
+const voidRequest = (tradeId) => invoke(handler, {
+  admin: true,
+  body: { action: 'void', tradeId, reason: 'Customer changed their mind', managerName: 'Alex' }
+});
+
+describe('trade ledger', () => {
+  const list = (query = {}) => invoke(handler, { method: 'GET', query, admin: true });
+  const rows = (res) => res.body.data.map(entry => `${entry.employeeName}:${entry.createdAt.slice(0, 10)}`);
+
+  // Recorded oldest first, so the index lists them newest first
+  async function seed() {
+    const trades = [
+      { employeeName: 'Sam', createdAt: '2026-03-01T15:00:00Z', customer: { email: 'riley@example.com', name: 'Riley Regular' }, game: 'pokemon' },
+      { employeeName: 'Alex', createdAt: '2026-03-15T23:30:00Z', customer: null, game: 'one-piece' },
+      { employeeName: 'Samira', createdAt: '2026-04-02T10:00:00Z', customer: { email: 'nova@example.com', name: 'Nova Trader' }, game: 'pokemon' }
+    ];
+    for (const { game, ...fields } of trades) {
+      await recordTrade(makeShopifyRequest, {
+        id: generateTradeId(),
+        status: 'completed',
+        payoutMethod: 'cash',
+        totals: { finalPayout: 25 },
+        cards: [{ cardName: 'Test card', quantity: 1, game }],
+        ...fields
+      });
+    }
+  }
+
+  it('only shows the ledger to an admin', async () => {
+    assert.equal((await invoke(handler, { method: 'GET' })).statusCode, 401);
+    assert.equal((await invoke(handler, { method: 'GET', query: { tradeId: 'BB-2026-ABC123' } })).statusCode, 401);
+  });
+
+  it('filters by date, employee, customer and game', async () => {
+    await seed();
+
+    assert.deepEqual(rows(await list()), ['Samira:2026-04-02', 'Alex:2026-03-15', 'Sam:2026-03-01']);
+    // A bare `to` date takes in the whole day
+    assert.deepEqual(rows(await list({ from: '2026-03-02', to: '2026-03-15' })), ['Alex:2026-03-15']);
+    assert.deepEqual(rows(await list({ employee: 'sam' })), ['Samira:2026-04-02', 'Sam:2026-03-01']);
+    assert.deepEqual(rows(await list({ customer: 'RILEY' })), ['Sam:2026-03-01']);
+    assert.deepEqual(rows(await list({ customer: 'nova@' })), ['Samira:2026-04-02']);
+    assert.deepEqual(rows(await list({ game: 'op' })), ['Alex:2026-03-15']);
+  });
+
+  it('pages the list and rejects bad filters', async () => {
+    await seed();
+
+    const page = await list({ limit: '1', offset: '1' });
+    assert.deepEqual([page.body.total, page.body.limit, page.body.offset], [3, 1, 1]);
+    assert.deepEqual(rows(page), ['Alex:2026-03-15']);
+
+    assert.equal((await list({ from: 'last tuesday' })).statusCode, 400);
+    assert.equal((await list({ game: 'chess' })).statusCode, 400);
+  });
+
+  it('returns a committed trade with what its receipt needs', async () => {
+    const tradeId = await commitTrade();
+
+    const res = await invoke(handler, { method: 'GET', query: { tradeId }, admin: true });
+
+    assert.equal(res.statusCode, 200);
+    const trade = res.body.data;
+    assert.deepEqual([trade.id, trade.status, trade.employeeName], [tradeId, 'completed', 'Sam']);
+    assert.deepEqual(trade.cards.map(card => [card.sku, card.quantity]), [['SV151-199-NM', 1], ['SV151-199-NM', 2]]);
+    assert.equal(trade.payout.method, 'gift-card');
+    assert.equal(trade.payout.giftCardCode, ctx.mock.state.giftCards[0].code);
+    assert.equal(trade.totals.finalPayout, trade.payout.amount);
+    assert.equal(trade.location.name, 'Main Store');
+
+    const [entry] = (await list({ employee: 'Sam' })).body.data;
+    assert.deepEqual([entry.id, entry.cardCount, entry.games], [tradeId, 3, ['pokemon']]);
+  });
+
+  it('rejects a malformed trade ID and reports an unknown one', async () => {
+    const get = (tradeId) => invoke(handler, { method: 'GET', query: { tradeId }, admin: true });
+
+    assert.equal((await get('../trade_in_system')).statusCode, 400);
+    const missing = await get('BB-2026-ZZZZZZ');
+    assert.equal(missing.statusCode, 404);
+    assert.equal(missing.body.tradeId, 'BB-2026-ZZZZZZ');
+  });
+});
+
+describe('trade voids', () => {
+  it('reverses inventory, payout and tags once, and refuses a second void', async () => {
+    const tradeId = await commitTrade();
+
+    const res = await voidRequest(tradeId);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.status, 'voided');
+    assert.deepEqual(res.body.steps.filter(step => step.type === 'inventory_adjust').map(step => step.row), [0, 1]);
+    assert.equal(inventoryLevel(ctx.mock, CHARIZARD_NM_ITEM, MAIN_STORE), 2);
+    assert.ok(ctx.mock.state.giftCards[0].disabled_at);
+    assert.ok(!ctx.mock.state.products.find(p => p.id === 8001).tags.includes('justtraded'));
+
+    const stored = shopMetafield(ctx.mock, 'trade_ledger', tradeId);
+    assert.equal(stored.status, 'voided');
+    assert.equal(stored.voidClaim, undefined);
+
+    const again = await voidRequest(tradeId);
+    assert.equal(again.statusCode, 409);
+    assert.equal(inventoryLevel(ctx.mock, CHARIZARD_NM_ITEM, MAIN_STORE), 2);
+  });
+
+  it('lets only one of two simultaneous voids reverse the trade', async () => {
+    const tradeId = await commitTrade('cash');
+
+    const results = await Promise.all([voidRequest(tradeId), voidRequest(tradeId)]);
+    assert.deepEqual(results.map(res => res.statusCode).sort(), [200, 409]);
+    assert.equal(results.find(res => res.statusCode === 409).body.code, 'VOID_IN_PROGRESS');
+    assert.equal(inventoryLevel(ctx.mock, CHARIZARD_NM_ITEM, MAIN_STORE), 2);
+  });
+
+  it('refuses a claim written after another void claimed the trade it read', async () => {
+    const tradeId = await commitTrade('cash');
+
+    // B reads the voidable trade, then stalls until A has claimed it (written and read back)
+    let releaseB;
+    const aClaimed = new Promise(resolve => { releaseB = resolve; });
+    let bRequests = 0;
+    const stalledRequest = async (endpoint, options) => {
+      if (bRequests++ > 0) await aClaimed;
+      return makeShopifyRequest(endpoint, options);
+    };
+
+    const b = claimTradeVoid(stalledRequest, tradeId, 'Blake');
+    const a = await claimTradeVoid(makeShopifyRequest, tradeId, 'Alex');
+    releaseB();
+
+    assert.equal(a.trade.voidClaim.managerName, 'Alex');
+    assert.equal((await b).code, 'VOID_IN_PROGRESS');
+    assert.equal(shopMetafield(ctx.mock, 'trade_ledger', tradeId).voidClaim.managerName, 'Alex');
+  });
+
+  it('records a partial reversal and finishes it on retry without repeating steps', async () => {
+    const tradeId = await commitTrade();
+    const giftCardId = ctx.mock.state.giftCards[0].id;
+    ctx.mock.failNext('POST', '/inventory_levels/adjust.json');
+    ctx.mock.failNext('POST', `/gift_cards/${giftCardId}/disable.json`);
+
+    const partial = await voidRequest(tradeId);
+    assert.equal(partial.statusCode, 207);
+    assert.equal(partial.body.status, 'void_incomplete');
+    assert.deepEqual(partial.body.steps.filter(step => step.status === 'failed').map(step => step.type),
+      ['inventory_adjust', 'gift_card_disable']);
+    // The second row went back; the first didn't
+    assert.equal(inventoryLevel(ctx.mock, CHARIZARD_NM_ITEM, MAIN_STORE), 3);
+
+    const retry = await voidRequest(tradeId);
+    assert.equal(retry.statusCode, 200);
+    assert.equal(retry.body.status, 'voided');
+    const [first, second] = retry.body.steps.filter(step => step.type === 'inventory_adjust');
+    assert.equal(first.previously, undefined);
+    assert.equal(second.previously, true);
+    assert.equal(inventoryLevel(ctx.mock, CHARIZARD_NM_ITEM, MAIN_STORE), 2);
+    assert.ok(ctx.mock.state.giftCards[0].disabled_at);
+    assert.equal(shopMetafield(ctx.mock, 'trade_ledger', tradeId).void.attempts.length, 2);
+  });
+});